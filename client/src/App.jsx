@@ -5,30 +5,45 @@ import Dashboard from './pages/DashboardPage';
 import Packages from './pages/PackagesPage';
 import Clients from './pages/ClientsPage';
 import Projects from './pages/ProjectsPage'; // <--- Import the Projects Page
-
-// Placeholder for remaining pages
-const Placeholder = ({ title }) => (
-  <div>
-    <h2 className="text-2xl font-bold mb-4">{title}</h2>
-    <div className="bg-white p-10 rounded-lg shadow-sm border border-gray-200 text-center text-gray-400">
-      Feature coming soon!
-    </div>
-  </div>
-);
+import Team from './pages/TeamPage';
+import Payments from './pages/PaymentsPage';
+import Quotes from './pages/QuotesPage';
+import Discounts from './pages/DiscountsPage';
+import Portal from './pages/PortalPage';
+import Enquiry from './pages/EnquiryPage';
+import Leads from './pages/LeadsPage';
+import Contracts from './pages/ContractsPage';
+import Notifications from './pages/NotificationsPage';
+import Jobs from './pages/JobsPage';
+import CalendarView from './pages/CalendarPage';
 
 function App() {
   return (
     <BrowserRouter>
-      <Layout>
-        <Routes>
-          <Route path="/" element={<Dashboard />} />
-          <Route path="/clients" element={<Clients />} />
-          <Route path="/packages" element={<Packages />} />
-          <Route path="/projects" element={<Projects />} /> {/* <--- USE THE REAL PAGE HERE */}
-          <Route path="/payments" element={<Placeholder title="Payments & Invoices" />} />
-          <Route path="/team" element={<Placeholder title="Team Members" />} />
-        </Routes>
-      </Layout>
+      <Routes>
+        {/* Client-facing pages sit outside the staff layout */}
+        <Route path="/portal/:token" element={<Portal />} />
+        <Route path="/enquire" element={<Enquiry />} />
+        <Route path="*" element={
+          <Layout>
+            <Routes>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/clients" element={<Clients />} />
+              <Route path="/packages" element={<Packages />} />
+              <Route path="/projects" element={<Projects />} /> {/* <--- USE THE REAL PAGE HERE */}
+              <Route path="/calendar" element={<CalendarView />} />
+              <Route path="/leads" element={<Leads />} />
+              <Route path="/quotes" element={<Quotes />} />
+              <Route path="/contracts" element={<Contracts />} />
+              <Route path="/discounts" element={<Discounts />} />
+              <Route path="/payments" element={<Payments />} />
+              <Route path="/team" element={<Team />} />
+              <Route path="/notifications" element={<Notifications />} />
+              <Route path="/jobs" element={<Jobs />} />
+            </Routes>
+          </Layout>
+        } />
+      </Routes>
     </BrowserRouter>
   );
 }
@@ -0,0 +1,7 @@
+// client/src/api/config.js
+
+const API_BASE_URL = import.meta.env.PROD 
+  ? 'https://frameflicker-app.onrender.com'  // Render backend (same as axios.defaults in main.jsx)
+  : '';  // Empty for development (uses Vite proxy)
+
+export default API_BASE_URL;
\ No newline at end of file
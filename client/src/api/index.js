@@ -27,20 +27,197 @@ export const packagesAPI = {
   delete: (id) => api.delete(`/packages/${id}`),
 };
 
+// ============ ADD-ONS ============
+export const addonsAPI = {
+  getAll: () => api.get('/addons'),
+  getById: (id) => api.get(`/addons/${id}`),
+  create: (data) => api.post('/addons', data),
+  update: (id, data) => api.put(`/addons/${id}`, data),
+  delete: (id) => api.delete(`/addons/${id}`),
+};
+
+// ============ DISCOUNTS & TAX ============
+export const discountsAPI = {
+  getAll: () => api.get('/discounts'),
+  create: (data) => api.post('/discounts', data),
+  update: (id, data) => api.put(`/discounts/${id}`, data),
+  delete: (id) => api.delete(`/discounts/${id}`),
+};
+
+export const taxRatesAPI = {
+  getAll: () => api.get('/tax-rates'),
+  create: (data) => api.post('/tax-rates', data),
+  update: (id, data) => api.put(`/tax-rates/${id}`, data),
+  delete: (id) => api.delete(`/tax-rates/${id}`),
+};
+
+// ============ TEAM ============
+export const teamAPI = {
+  getAll: () => api.get('/team'),
+  getById: (id) => api.get(`/team/${id}`),
+  create: (data) => api.post('/team', data),
+  update: (id, data) => api.put(`/team/${id}`, data),
+  delete: (id) => api.delete(`/team/${id}`),
+};
+
 // ============ PROJECTS ============
 export const projectsAPI = {
   getAll: () => api.get('/projects'),
   getById: (id) => api.get(`/projects/${id}`),
   create: (data) => api.post('/projects', data),
   update: (id, data) => api.put(`/projects/${id}`, data),
+  updateStatus: (id, data) => api.patch(`/projects/${id}/status`, data),
+  getStatusHistory: (id) => api.get(`/projects/${id}/status-history`),
   delete: (id) => api.delete(`/projects/${id}`),
 };
 
+// ============ CALENDAR ============
+export const calendarAPI = {
+  // params: { from, to, status } with YYYY-MM-DD dates. Returns { from, to, events, blocked }.
+  getEvents: (params) => api.get('/calendar', { params }),
+  // Full URLs, for subscribing from a phone or desktop calendar
+  feedUrl: () => new URL(`${API_BASE_URL}/api/calendar.ics`, window.location.origin).href,
+  teamFeedUrl: (teamMemberId) => new URL(`${API_BASE_URL}/api/team/${teamMemberId}/calendar.ics`, window.location.origin).href,
+  // ics: the file's text; mode: 'tentative' or 'blocked'.
+  // Returns { created, updated, removed, skipped: [{ uid, reason }] }.
+  importIcs: (ics, mode) => api.post('/calendar/import', ics, { params: { mode }, headers: { 'Content-Type': 'text/calendar' } }),
+  getBlockedDates: () => api.get('/blocked-dates'),
+  deleteBlockedDate: (id) => api.delete(`/blocked-dates/${id}`),
+};
+
+// ============ QUOTES ============
+export const quotesAPI = {
+  getAll: (filters = {}) => api.get('/quotes', { params: filters }),
+  getById: (id) => api.get(`/quotes/${id}`),
+  create: (data) => api.post('/quotes', data),
+  update: (id, data) => api.put(`/quotes/${id}`, data),
+  updateStatus: (id, data) => api.patch(`/quotes/${id}/status`, data),
+  // Creates the project and returns { quote, project }
+  accept: (id) => api.post(`/quotes/${id}/accept`),
+  delete: (id) => api.delete(`/quotes/${id}`),
+};
+
 // ============ PAYMENTS ============
 export const paymentsAPI = {
-  getAll: (projectId) => api.get('/payments', { params: { project_id: projectId } }),
+  // filters: { project_id, client_id, method, entry_type, from, to }
+  getAll: (filters = {}) => api.get('/payments', { params: filters }),
   create: (data) => api.post('/payments', data),
-  delete: (id) => api.delete(`/payments/${id}`),
+  // Both add a negative ledger entry; data: { reason, amount (refund only), method, reference }
+  refund: (id, data) => api.post(`/payments/${id}/refund`, data),
+  void: (id, data) => api.post(`/payments/${id}/void`, data),
+};
+
+// ============ REVISIONS ============
+export const revisionsAPI = {
+  getForProject: (projectId) => api.get(`/projects/${projectId}/revisions`),
+  // data: { request_text, requested_on, editor_id, addon_id (needed once the limit is reached) }
+  create: (projectId, data) => api.post(`/projects/${projectId}/revisions`, data),
+  // data: { request_text, editor_id, resolution }
+  update: (projectId, id, data) => api.put(`/projects/${projectId}/revisions/${id}`, data),
+  delete: (projectId, id) => api.delete(`/projects/${projectId}/revisions/${id}`),
+};
+
+// ============ DELIVERABLES ============
+// Each project's checklist, copied from its package's deliverable_items
+export const deliverablesAPI = {
+  getForProject: (projectId) => api.get(`/projects/${projectId}/deliverables`),
+  // data: { name, quantity, required }
+  create: (projectId, data) => api.post(`/projects/${projectId}/deliverables`, data),
+  // data: any of { name, quantity, required, status, delivery_link, delivered_on }
+  update: (projectId, id, data) => api.put(`/projects/${projectId}/deliverables/${id}`, data),
+  delete: (projectId, id) => api.delete(`/projects/${projectId}/deliverables/${id}`),
+};
+
+// ============ CONTRACTS ============
+export const contractsAPI = {
+  getTemplates: () => api.get('/contract-templates'),
+  getPlaceholders: () => api.get('/contract-templates/placeholders'),
+  // data: { name, body } with {{placeholders}}
+  createTemplate: (data) => api.post('/contract-templates', data),
+  updateTemplate: (id, data) => api.put(`/contract-templates/${id}`, data),
+  deleteTemplate: (id) => api.delete(`/contract-templates/${id}`),
+  getForProject: (projectId) => api.get(`/projects/${projectId}/contracts`),
+  // data: { template_id }; supersedes any contract still waiting for acceptance
+  generate: (projectId, data) => api.post(`/projects/${projectId}/contracts`, data),
+  // In person at the studio. data: { accepted_by, version_hash }
+  accept: (id, data) => api.post(`/contracts/${id}/accept`, data),
+  pdfUrl: (id) => `${API_BASE_URL}/api/contracts/${id}/contract.pdf`,
+};
+
+// ============ NOTIFICATIONS ============
+export const notificationsAPI = {
+  // { templates, placeholders, email_enabled, messaging_enabled, messaging_channel }
+  getTemplates: () => api.get('/notification-templates'),
+  // data: { subject, body, active }
+  updateTemplate: (id, data) => api.put(`/notification-templates/${id}`, data),
+  // params: { project_id, client_id, status }
+  getLog: (params = {}) => api.get('/notifications', { params }),
+  // Sends a template by hand. data: { event, channel }, e.g. { event: 'balance_reminder' }.
+  // Returns one log row per channel it went out on.
+  send: (projectId, data) => api.post(`/projects/${projectId}/notifications`, data),
+};
+
+// ============ BACKGROUND JOBS ============
+export const jobsAPI = {
+  // params: { status, job_type }
+  getAll: (params = {}) => api.get('/jobs', { params }),
+  getRuns: (id) => api.get(`/jobs/${id}/runs`),
+  // Runs a scheduler pass now. Returns { queued, ran }.
+  runNow: () => api.post('/jobs/run'),
+  retry: (id) => api.post(`/jobs/${id}/retry`),
+};
+
+// ============ CLIENT PORTAL ============
+export const portalAPI = {
+  getLinks: (projectId) => api.get(`/projects/${projectId}/portal-links`),
+  // data: { expires_in_days }; the response is the only time the token is shown
+  createLink: (projectId, data = {}) => api.post(`/projects/${projectId}/portal-links`, data),
+  revokeLink: (id) => api.post(`/portal-links/${id}/revoke`),
+  // Public, read-only view of one booking
+  view: (token) => api.get(`/public/portal/${token}`),
+  // data: { accepted_by, version_hash } of the contract shown in the portal
+  acceptContract: (token, data) => api.post(`/public/portal/${token}/contract/accept`, data),
+  pageUrl: (token) => `${window.location.origin}/portal/${token}`,
+};
+
+// ============ LEADS ============
+export const leadsAPI = {
+  // params: { stage, source, follow_up_due: true }
+  getAll: (params = {}) => api.get('/leads', { params }),
+  getById: (id) => api.get(`/leads/${id}`),
+  // data: { name, phone, email, source, event_type, event_date, location, package_id, follow_up_date, notes }
+  create: (data) => api.post('/leads', data),
+  // data: as create, plus stage and lost_reason (needed when the stage is 'lost')
+  update: (id, data) => api.put(`/leads/${id}`, data),
+  delete: (id) => api.delete(`/leads/${id}`),
+  // Creates (or reuses) the client and a New project. data: { package_id, event_type, event_date, event_time, location }
+  convert: (id, data = {}) => api.post(`/leads/${id}/convert`, data),
+  // params: { from, to } as YYYY-MM
+  getReport: (params = {}) => api.get('/leads/report', { params }),
+};
+
+// ============ PUBLIC ENQUIRIES ============
+export const enquiriesAPI = {
+  getPackages: () => api.get('/public/packages'),
+  // data: { name, phone, email, event_type, event_date, location, package_id, message, website (honeypot) }
+  submit: (data) => api.post('/public/enquiries', data),
+};
+
+// ============ INSTALLMENTS ============
+export const installmentsAPI = {
+  getForProject: (projectId) => api.get(`/projects/${projectId}/installments`),
+  // data: { installments: [{ amount, due_date, note }] }, adding up to the project price
+  setForProject: (projectId, data) => api.put(`/projects/${projectId}/installments`, data),
+  getOverdue: (params = {}) => api.get('/installments/overdue', { params }),
+  // data: { amount } (optional; the configured late fee when left out)
+  chargeLateFee: (id, data = {}) => api.post(`/installments/${id}/late-fee`, data),
+};
+
+// ============ DOCUMENTS ============
+// Plain URLs so PDFs can open in a new tab
+export const documentsAPI = {
+  invoiceUrl: (projectId) => `${API_BASE_URL}/api/projects/${projectId}/invoice.pdf`,
+  receiptUrl: (paymentId) => `${API_BASE_URL}/api/payments/${paymentId}/receipt.pdf`,
 };
 
 // ============ HEALTH CHECK ============
@@ -1,6 +1,6 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { LayoutDashboard, Users, Package, Calendar, CreditCard, Users2 } from 'lucide-react';
+import { LayoutDashboard, Users, Package, Calendar, CreditCard, Users2, FileText, Tag, Inbox, FileSignature, Mail, Clock, CalendarDays } from 'lucide-react';
 
 const SidebarItem = ({ icon: Icon, label, path, active }) => (
   <Link
@@ -23,9 +23,16 @@ export default function Layout({ children }) {
     { icon: LayoutDashboard, label: "Dashboard", path: "/" },
     { icon: Users, label: "Clients", path: "/clients" },
     { icon: Package, label: "Packages", path: "/packages" },
+    { icon: Inbox, label: "Leads", path: "/leads" },
+    { icon: FileText, label: "Quotes", path: "/quotes" },
+    { icon: FileSignature, label: "Contracts", path: "/contracts" },
     { icon: Calendar, label: "Projects", path: "/projects" },
+    { icon: CalendarDays, label: "Calendar", path: "/calendar" },
     { icon: CreditCard, label: "Payments", path: "/payments" },
+    { icon: Tag, label: "Discounts", path: "/discounts" },
     { icon: Users2, label: "Team", path: "/team" },
+    { icon: Mail, label: "Notifications", path: "/notifications" },
+    { icon: Clock, label: "Jobs", path: "/jobs" },
   ];
 
   return (
@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, Plus, Users, MapPin, X, Ban, Link2, Upload } from 'lucide-react';
+import { calendarAPI } from '../api';
+
+const STATUS_COLORS = {
+  New: 'bg-blue-100 text-blue-700 border-blue-300',
+  Confirmed: 'bg-green-100 text-green-700 border-green-300',
+  Shooting: 'bg-yellow-100 text-yellow-700 border-yellow-300',
+  Editing: 'bg-purple-100 text-purple-700 border-purple-300',
+  Review: 'bg-orange-100 text-orange-700 border-orange-300',
+  Delivered: 'bg-gray-100 text-gray-700 border-gray-300',
+  Completed: 'bg-gray-200 text-gray-600 border-gray-400',
+  Cancelled: 'bg-red-100 text-red-700 border-red-300 line-through',
+};
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Local YYYY-MM-DD (toISOString would shift the day by the timezone)
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Monday on or before `date`
+const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+// The days the view shows: whole weeks covering the month, or one week
+const visibleDays = (view, anchor) => {
+  const first = view === 'month'
+    ? startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth(), 1))
+    : startOfWeek(anchor);
+  const last = view === 'month'
+    ? addDays(startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)), 6)
+    : addDays(first, 6);
+
+  const days = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+export default function CalendarPage() {
+  const navigate = useNavigate();
+  const [view, setView] = useState('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [events, setEvents] = useState([]);
+  const [blocked, setBlocked] = useState([]);
+  const [showCancelled, setShowCancelled] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [importForm, setImportForm] = useState({ mode: 'tentative', file: null });
+  const [importResult, setImportResult] = useState(null);
+  // Bumped to reload the visible range after a change
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const days = visibleDays(view, anchor);
+  const from = toDateKey(days[0]);
+  const to = toDateKey(days[days.length - 1]);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await calendarAPI.getEvents({ from, to });
+        setEvents(res.data.events);
+        setBlocked(res.data.blocked);
+      } catch (error) { console.error("Error loading calendar", error); }
+    };
+    load();
+  }, [from, to, reloadKey]);
+
+  const move = (step) => {
+    setAnchor(view === 'month'
+      ? new Date(anchor.getFullYear(), anchor.getMonth() + step, 1)
+      : addDays(anchor, step * 7));
+  };
+
+  const shown = events.filter(e => showCancelled || e.status !== 'Cancelled');
+  const eventsOn = (dateKey) => shown.filter(e => e.event_date === dateKey);
+  const blocksOn = (dateKey) => blocked.filter(b => b.start_date <= dateKey && b.end_date >= dateKey);
+
+  // An empty day opens the booking form with the date filled in
+  const newBooking = (dateKey) => {
+    const blocks = blocksOn(dateKey);
+    if (blocks.length > 0 && !confirm(`⚠️ ${dateKey} is blocked (${blocks.map(b => b.reason || 'no reason given').join(', ')}). Book anyway?`)) return;
+    navigate(`/projects?date=${dateKey}`);
+  };
+
+  const copyFeedUrl = async () => {
+    const url = calendarAPI.feedUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(`✅ Feed link copied. Add it to your phone or desktop calendar as a subscription:\n${url}`);
+    } catch {
+      prompt("Copy this link and add it to your calendar as a subscription:", url);
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!importForm.file) return;
+    try {
+      const res = await calendarAPI.importIcs(await importForm.file.text(), importForm.mode);
+      setImportResult(res.data);
+      setReloadKey(reloadKey + 1);
+    } catch (error) {
+      alert("❌ Import Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const removeBlock = async (block) => {
+    if (!confirm(`Unblock ${block.start_date}${block.end_date !== block.start_date ? ` to ${block.end_date}` : ''}?`)) return;
+    try {
+      await calendarAPI.deleteBlockedDate(block.id);
+      setReloadKey(reloadKey + 1);
+    } catch (error) {
+      alert("❌ Delete Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const todayKey = toDateKey(new Date());
+
+  const title = view === 'month'
+    ? anchor.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })
+    : `${days[0].toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })} - ${days[6].toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+
+  const renderEvent = (e, compact) => (
+    <button
+      key={e.id}
+      onClick={(ev) => { ev.stopPropagation(); setSelected(e); }}
+      className={`w-full text-left rounded border px-1.5 py-1 text-xs ${STATUS_COLORS[e.status] || 'bg-gray-100 text-gray-600 border-gray-300'}`}
+    >
+      <div className="font-bold truncate">
+        {e.all_day ? 'All day' : e.start_time} · {e.client_name || e.event_type || `#${e.id}`}
+      </div>
+      {!compact && (
+        <>
+          <div className="truncate">{e.event_type}{e.package_name && ` · ${e.package_name}`}</div>
+          {!e.all_day && <div>{e.start_time} - {e.end_time}</div>}
+        </>
+      )}
+      {e.crew.length > 0 && (
+        <div className="flex items-center gap-1 truncate opacity-80">
+          <Users size={10} /> {e.crew.map(m => m.name).join(', ')}
+        </div>
+      )}
+    </button>
+  );
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex items-center gap-3">
+          <h2 className="text-2xl font-bold">{title}</h2>
+          <button onClick={() => move(-1)} title="Previous" className="btn btn-secondary"><ChevronLeft size={18} /></button>
+          <button onClick={() => setAnchor(new Date())} className="btn btn-secondary">Today</button>
+          <button onClick={() => move(1)} title="Next" className="btn btn-secondary"><ChevronRight size={18} /></button>
+        </div>
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input type="checkbox" checked={showCancelled} onChange={e => setShowCancelled(e.target.checked)} />
+            Show cancelled
+          </label>
+          <select className="input w-auto" value={view} onChange={e => setView(e.target.value)}>
+            <option value="month">Month</option>
+            <option value="week">Week</option>
+          </select>
+          <button onClick={copyFeedUrl} title="Subscribe from a phone or desktop calendar" className="btn btn-secondary"><Link2 size={18} /> Subscribe</button>
+          <button onClick={() => setShowImport(!showImport)} className="btn btn-secondary"><Upload size={18} /> Import .ics</button>
+        </div>
+      </div>
+
+      {showImport && (
+        <div className="card mb-6 border-l-4 border-[#ff1f1f]">
+          <h3 className="font-bold text-lg mb-4">Import Calendar File</h3>
+          <form onSubmit={handleImport} className="flex flex-wrap items-center gap-4">
+            <input type="file" accept=".ics,text/calendar" onChange={e => setImportForm({...importForm, file: e.target.files[0] || null})} required />
+            <select className="input w-auto" value={importForm.mode} onChange={e => setImportForm({...importForm, mode: e.target.value})}>
+              <option value="tentative">Create tentative bookings</option>
+              <option value="blocked">Mark dates as blocked</option>
+            </select>
+            <button type="submit" className="btn btn-primary">Import</button>
+            <button type="button" onClick={() => { setShowImport(false); setImportResult(null); }} className="btn btn-secondary">Close</button>
+          </form>
+          <p className="text-xs text-gray-400 mt-2">Importing an updated copy of the same file moves the events it already created instead of adding them twice.</p>
+          {importResult && (
+            <div className="text-sm mt-3">
+              <p className="text-gray-700">{importResult.created} created, {importResult.updated} updated, {importResult.removed} removed, {importResult.skipped.length} skipped</p>
+              {importResult.skipped.map(s => <p key={s.uid} className="text-xs text-gray-400">{s.uid}: {s.reason}</p>)}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.entries(STATUS_COLORS).map(([status, colors]) => (
+          <span key={status} className={`px-2 py-0.5 rounded border text-xs font-medium ${colors}`}>{status}</span>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <div className="grid grid-cols-7 bg-gray-50 border-b border-gray-100 text-xs font-medium text-gray-500">
+          {WEEKDAYS.map(d => <div key={d} className="px-2 py-2">{d}</div>)}
+        </div>
+        <div className="grid grid-cols-7">
+          {days.map(day => {
+            const dateKey = toDateKey(day);
+            const dayEvents = eventsOn(dateKey);
+            const dayBlocks = blocksOn(dateKey);
+            const outsideMonth = view === 'month' && day.getMonth() !== anchor.getMonth();
+
+            return (
+              <div
+                key={dateKey}
+                onClick={() => dayEvents.length === 0 && newBooking(dateKey)}
+                className={`border-b border-r border-gray-100 p-1.5 space-y-1 ${view === 'month' ? 'min-h-28' : 'min-h-96'} ${outsideMonth || dayBlocks.length > 0 ? 'bg-gray-50' : ''} ${dayEvents.length === 0 ? 'cursor-pointer hover:bg-red-50 group' : ''}`}
+              >
+                <div className="flex justify-between items-center">
+                  <span className={`text-xs font-medium ${dateKey === todayKey ? 'bg-[#ff1f1f] text-white rounded-full px-1.5' : outsideMonth ? 'text-gray-300' : 'text-gray-600'}`}>
+                    {day.getDate()}
+                  </span>
+                  {dayEvents.length === 0 && <Plus size={12} className="text-gray-300 opacity-0 group-hover:opacity-100" />}
+                </div>
+                {dayBlocks.map(b => (
+                  <div key={b.id} className="flex items-center gap-1 rounded bg-gray-200 text-gray-600 px-1.5 py-0.5 text-xs">
+                    <Ban size={10} />
+                    <span className="truncate flex-1">{b.reason || 'Blocked'}</span>
+                    <button onClick={(ev) => { ev.stopPropagation(); removeBlock(b); }} title="Unblock" className="text-gray-400 hover:text-gray-700"><X size={10} /></button>
+                  </div>
+                ))}
+                {dayEvents.map(e => renderEvent(e, view === 'month'))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {selected && (
+        <div className="card mt-6 border-l-4 border-[#ff1f1f]">
+          <div className="flex justify-between items-start">
+            <div>
+              <h3 className="font-bold text-lg">#{selected.id} · {selected.client_name || 'No client'}</h3>
+              <p className="text-sm text-gray-600">
+                {selected.event_type}{selected.package_name && ` · ${selected.package_name}`} · {selected.event_date} {selected.all_day ? '(all day)' : `${selected.start_time} - ${selected.end_time}`}
+              </p>
+              {selected.location && <p className="text-sm text-gray-500 flex items-center gap-1 mt-1"><MapPin size={14} /> {selected.location}</p>}
+              <p className="text-sm text-gray-500 flex items-center gap-1 mt-1">
+                <Users size={14} /> {selected.crew.length > 0 ? selected.crew.map(m => `${m.name}${m.role ? ` (${m.role})` : ''}`).join(', ') : 'No crew assigned'}
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <span className={`px-2 py-1 rounded border text-xs font-bold uppercase ${STATUS_COLORS[selected.status] || ''}`}>{selected.status}</span>
+              <button onClick={() => setSelected(null)} title="Close" className="text-gray-400 hover:text-gray-700"><X size={18} /></button>
+            </div>
+          </div>
+          <div className="flex justify-end mt-3">
+            <button onClick={() => newBooking(selected.event_date)} className="btn btn-secondary"><Plus size={16} /> Another booking this day</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
-import { UserPlus, Search, Phone, Trash2 } from 'lucide-react';
+import { UserPlus, Search, Phone, Trash2, MessageSquare, MessageSquareOff } from 'lucide-react';
 
 export default function ClientsPage() {
   const [clients, setClients] = useState([]);
@@ -19,10 +19,24 @@ export default function ClientsPage() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    await axios.post('/api/clients', formData);
-    setShowForm(false);
-    setFormData({ name: '', phone: '', email: '', address: '' });
-    fetchClients();
+    try {
+      await axios.post('/api/clients', formData);
+      setShowForm(false);
+      setFormData({ name: '', phone: '', email: '', address: '' });
+      fetchClients();
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // SMS/WhatsApp opt-out; email notifications are unaffected
+  const toggleMessaging = async (client) => {
+    try {
+      await axios.put(`/api/clients/${client.id}`, { ...client, messaging_opt_out: !client.messaging_opt_out });
+      fetchClients();
+    } catch (error) {
+      alert("❌ Update Failed: " + (error.response?.data?.error || error.message));
+    }
   };
 
   const handleDelete = async (id) => {
@@ -62,13 +76,18 @@ export default function ClientsPage() {
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
         <table className="w-full text-left">
           <thead className="bg-gray-50 border-b border-gray-100">
-            <tr><th className="p-4">Name</th><th className="p-4">Phone</th><th className="p-4 text-right">Action</th></tr>
+            <tr><th className="p-4">Name</th><th className="p-4">Phone</th><th className="p-4">SMS / WhatsApp</th><th className="p-4 text-right">Action</th></tr>
           </thead>
           <tbody className="divide-y divide-gray-100">
             {filtered.map(c => (
               <tr key={c.id} className="hover:bg-gray-50">
                 <td className="p-4 font-bold">{c.name}</td>
                 <td className="p-4 text-gray-600 flex items-center gap-2"><Phone size={14} /> {c.phone}</td>
+                <td className="p-4">
+                  <button onClick={() => toggleMessaging(c)} title={c.messaging_opt_out ? "Opted out - click to opt back in" : "Click to opt out"} className={`flex items-center gap-1 text-sm ${c.messaging_opt_out ? 'text-gray-400' : 'text-green-600'}`}>
+                    {c.messaging_opt_out ? <><MessageSquareOff size={14} /> Opted out</> : <><MessageSquare size={14} /> Allowed</>}
+                  </button>
+                </td>
                 <td className="p-4 text-right">
                   <button onClick={() => handleDelete(c.id)} className="text-red-400 hover:text-red-600"><Trash2 size={18} /></button>
                 </td>
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import { FilePlus, Edit, Trash2 } from 'lucide-react';
+import { contractsAPI } from '../api';
+
+const emptyTemplate = { name: '', body: '' };
+
+export default function ContractsPage() {
+  const [templates, setTemplates] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(emptyTemplate);
+
+  const fetchTemplates = async () => {
+    try {
+      const res = await contractsAPI.getTemplates();
+      setTemplates(res.data);
+    } catch (error) { console.error("Error loading contract templates", error); }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchTemplates();
+      try {
+        const res = await contractsAPI.getPlaceholders();
+        setPlaceholders(res.data);
+      } catch (error) { console.error("Error loading placeholders", error); }
+    };
+    load();
+  }, []);
+
+  const openForm = (template = null) => {
+    setEditingId(template?.id || null);
+    setFormData(template ? { name: template.name, body: template.body } : emptyTemplate);
+    setShowForm(true);
+  };
+
+  const insertPlaceholder = (key) => {
+    setFormData({ ...formData, body: `${formData.body}{{${key}}}` });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        await contractsAPI.updateTemplate(editingId, formData);
+      } else {
+        await contractsAPI.createTemplate(formData);
+      }
+      setShowForm(false);
+      setFormData(emptyTemplate);
+      fetchTemplates();
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm("Delete this template? Contracts already generated from it are kept.")) return;
+    try {
+      await contractsAPI.deleteTemplate(id);
+      fetchTemplates();
+    } catch (error) {
+      alert("❌ Delete Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Contract Templates</h2>
+        <button onClick={() => openForm()} className="btn btn-primary">
+          <FilePlus size={18} /> New Template
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="card mb-8 border-l-4 border-[#ff1f1f]">
+          <h3 className="font-bold text-lg mb-4">{editingId ? 'Edit Template' : 'New Template'}</h3>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input className="input" placeholder="Template name" value={formData.name} onChange={e => setFormData({...formData, name: e.target.value})} required />
+            <div>
+              <label className="label">Placeholders (click to add)</label>
+              <div className="flex flex-wrap gap-2">
+                {placeholders.map(p => (
+                  <button key={p.key} type="button" onClick={() => insertPlaceholder(p.key)} title={p.label} className="px-2 py-1 rounded bg-gray-100 text-xs font-mono text-gray-700 hover:bg-gray-200">
+                    {`{{${p.key}}}`}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <textarea className="input font-mono text-sm" rows="18" value={formData.body} onChange={e => setFormData({...formData, body: e.target.value})} required />
+            <p className="text-xs text-gray-400">Changes only apply to contracts generated from now on.</p>
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
+              <button type="submit" className="btn btn-primary">Save Template</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {templates.length === 0 && <p className="text-gray-400">No contract templates yet.</p>}
+        {templates.map(t => (
+          <div key={t.id} className="card">
+            <div className="flex justify-between items-start mb-3">
+              <h3 className="font-bold">{t.name}</h3>
+              <div className="flex gap-3">
+                <button onClick={() => openForm(t)} title="Edit template" className="text-gray-400 hover:text-gray-700"><Edit size={16} /></button>
+                <button onClick={() => handleDelete(t.id)} title="Delete template" className="text-red-400 hover:text-red-600"><Trash2 size={16} /></button>
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 whitespace-pre-line line-clamp-6">{t.body}</p>
+            <p className="text-xs text-gray-400 mt-3">Updated {new Date(t.updated_at).toLocaleDateString()}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
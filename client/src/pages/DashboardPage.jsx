@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
+import { Link } from 'react-router-dom';
 import { DollarSign, Users, Briefcase, Clock } from 'lucide-react';
 
 const StatCard = ({ title, value, icon: Icon, color }) => (
@@ -15,29 +16,76 @@ const StatCard = ({ title, value, icon: Icon, color }) => (
   </div>
 );
 
+// Local YYYY-MM-DD, so the range isn't shifted by the UTC conversion in toISOString()
+const formatDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const getDateRange = (period) => {
+  const now = new Date();
+  const year = now.getFullYear();
+
+  if (period === 'month') {
+    return { from: formatDate(new Date(year, now.getMonth(), 1)), to: formatDate(new Date(year, now.getMonth() + 1, 0)) };
+  }
+  if (period === 'quarter') {
+    const quarterStart = Math.floor(now.getMonth() / 3) * 3;
+    return { from: formatDate(new Date(year, quarterStart, 1)), to: formatDate(new Date(year, quarterStart + 3, 0)) };
+  }
+  return {};
+};
+
 export default function Dashboard() {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [period, setPeriod] = useState('all');
+  const [status, setStatus] = useState('');
 
   useEffect(() => {
-    fetchStats();
-  }, []);
+    const fetchStats = async () => {
+      try {
+        const params = { ...getDateRange(period), status: status || undefined };
+        const res = await axios.get('/api/dashboard', { params });
+        setStats(res.data);
+        setError(null);
+      } catch (error) {
+        console.error("Error fetching stats", error);
+        setError(error.response?.data?.error || error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
 
-  const fetchStats = async () => {
-    try {
-      const res = await axios.get('/api/dashboard');
-      setStats(res.data);
-      setLoading(false);
-    } catch (error) {
-      console.error("Error fetching stats", error);
-    }
-  };
+    fetchStats();
+  }, [period, status]);
 
   if (loading) return <div className="p-10 text-gray-500">Loading Dashboard...</div>;
+  if (!stats) return <div className="p-10 text-red-500">Could not load dashboard: {error}</div>;
 
   return (
     <div>
-      <h2 className="text-2xl font-bold mb-6 text-gray-800">Studio Overview</h2>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Studio Overview</h2>
+        <div className="flex gap-2">
+          <select className="input" value={period} onChange={e => setPeriod(e.target.value)}>
+            <option value="month">This Month</option>
+            <option value="quarter">This Quarter</option>
+            <option value="all">All Time</option>
+          </select>
+          <select className="input" value={status} onChange={e => setStatus(e.target.value)}>
+            <option value="">All Statuses</option>
+            <option>New</option>
+            <option>Confirmed</option>
+            <option>Shooting</option>
+            <option>Editing</option>
+            <option>Review</option>
+            <option>Delivered</option>
+            <option>Completed</option>
+            <option>Cancelled</option>
+          </select>
+        </div>
+      </div>
+      {error && <p className="text-sm text-red-500 mb-4">Could not refresh dashboard: {error}</p>}
       
       {/* Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
@@ -67,6 +115,24 @@ export default function Dashboard() {
         />
       </div>
 
+      {/* Refunds & cancellations */}
+      {(stats.totalRefunds > 0 || stats.cancellations.count > 0) && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 px-6 py-4 mb-8 flex flex-wrap gap-8 text-sm text-gray-600">
+          <span>Refunded: <b className="text-gray-900">Rs. {stats.totalRefunds.toLocaleString()}</b></span>
+          <span>Cancelled bookings: <b className="text-gray-900">{stats.cancellations.count}</b></span>
+          <span>Refunded on cancellations: <b className="text-gray-900">Rs. {stats.cancellations.refunded.toLocaleString()}</b></span>
+          <span>Kept from cancellations: <b className="text-gray-900">Rs. {stats.cancellations.retained.toLocaleString()}</b></span>
+        </div>
+      )}
+
+      {/* Late installments */}
+      {stats.overdue?.installments > 0 && (
+        <Link to="/payments" className="block bg-orange-50 rounded-xl border border-orange-200 px-6 py-4 mb-8 text-sm text-orange-700">
+          <b>{stats.overdue.installments}</b> overdue installment(s) from <b>{stats.overdue.clients}</b> client(s),
+          Rs. <b>{stats.overdue.amount.toLocaleString()}</b> outstanding. View on Payments →
+        </Link>
+      )}
+
       {/* Recent Activity */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
         <div className="px-6 py-4 border-b border-gray-100 flex justify-between items-center">
@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import { Tag, Percent, Trash2, Plus } from 'lucide-react';
+import { discountsAPI, taxRatesAPI } from '../api';
+
+const emptyDiscount = {
+  name: '', code: '', type: 'percent', value: '', valid_from: '', valid_until: '', usage_limit: ''
+};
+const emptyTaxRate = { name: '', rate: '' };
+
+const describeValue = (d) => d.type === 'percent'
+  ? `${Number(d.value)}% off`
+  : `Rs. ${Number(d.value).toLocaleString()} off`;
+
+export default function DiscountsPage() {
+  const [discounts, setDiscounts] = useState([]);
+  const [taxRates, setTaxRates] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyDiscount);
+  const [taxForm, setTaxForm] = useState(emptyTaxRate);
+
+  const fetchData = async () => {
+    try {
+      const [dRes, tRes] = await Promise.all([discountsAPI.getAll(), taxRatesAPI.getAll()]);
+      setDiscounts(dRes.data);
+      setTaxRates(tRes.data);
+    } catch (error) { console.error("Error loading discounts and tax rates", error); }
+  };
+
+  useEffect(() => {
+    const load = async () => { await fetchData(); };
+    load();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await discountsAPI.create(formData);
+      setShowForm(false);
+      setFormData(emptyDiscount);
+      fetchData();
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const toggleActive = async (discount) => {
+    try {
+      await discountsAPI.update(discount.id, { ...discount, active: !discount.active });
+      fetchData();
+    } catch (error) {
+      alert("❌ Update Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm("Delete this discount? Bookings that used it keep their discounted price.")) return;
+    await discountsAPI.delete(id);
+    fetchData();
+  };
+
+  const handleTaxSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await taxRatesAPI.create(taxForm);
+      setTaxForm(emptyTaxRate);
+      fetchData();
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleTaxDelete = async (id) => {
+    if (!confirm("Delete this tax rate?")) return;
+    await taxRatesAPI.delete(id);
+    fetchData();
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Discounts & Tax</h2>
+        <button onClick={() => setShowForm(!showForm)} className="btn btn-primary">
+          <Tag size={18} /> New Discount
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="card mb-8 border-l-4 border-[#ff1f1f]">
+          <h3 className="font-bold text-lg mb-4">New Discount</h3>
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input className="input" placeholder="Name (e.g. Loyalty 10%)" value={formData.name} onChange={e => setFormData({...formData, name: e.target.value})} required />
+            <input className="input uppercase" placeholder="Promo code (optional)" value={formData.code} onChange={e => setFormData({...formData, code: e.target.value})} />
+            <select className="input" value={formData.type} onChange={e => setFormData({...formData, type: e.target.value})}>
+              <option value="percent">Percentage</option>
+              <option value="fixed">Fixed amount</option>
+            </select>
+            <input type="number" min="0" step="0.01" className="input" placeholder={formData.type === 'percent' ? "Percent off" : "Amount off (LKR)"} value={formData.value} onChange={e => setFormData({...formData, value: e.target.value})} required />
+            <div>
+              <label className="label">Valid From</label>
+              <input type="date" className="input" value={formData.valid_from} onChange={e => setFormData({...formData, valid_from: e.target.value})} />
+            </div>
+            <div>
+              <label className="label">Valid Until</label>
+              <input type="date" className="input" value={formData.valid_until} onChange={e => setFormData({...formData, valid_until: e.target.value})} />
+            </div>
+            <input type="number" min="1" className="input" placeholder="Usage limit (blank = unlimited)" value={formData.usage_limit} onChange={e => setFormData({...formData, usage_limit: e.target.value})} />
+            <div className="md:col-span-2 flex justify-end gap-2 mt-2">
+              <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
+              <button type="submit" className="btn btn-primary">Save</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mb-10">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 text-gray-500 border-b border-gray-100">
+            <tr>
+              <th className="px-4 py-3 font-medium">Discount</th>
+              <th className="px-4 py-3 font-medium">Code</th>
+              <th className="px-4 py-3 font-medium">Value</th>
+              <th className="px-4 py-3 font-medium">Valid</th>
+              <th className="px-4 py-3 font-medium">Used</th>
+              <th className="px-4 py-3 text-right font-medium">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {discounts.length === 0 ? (
+              <tr><td colSpan="6" className="px-4 py-8 text-center text-gray-400">No discounts yet.</td></tr>
+            ) : (
+              discounts.map(d => (
+                <tr key={d.id} className={d.active ? "hover:bg-gray-50" : "text-gray-400"}>
+                  <td className="px-4 py-3 font-medium">{d.name}</td>
+                  <td className="px-4 py-3 font-mono">{d.code || '—'}</td>
+                  <td className="px-4 py-3">{describeValue(d)}</td>
+                  <td className="px-4 py-3 text-gray-500">{d.valid_from || 'Any time'} → {d.valid_until || 'No end'}</td>
+                  <td className="px-4 py-3">{d.times_used}{d.usage_limit ? ` / ${d.usage_limit}` : ''}</td>
+                  <td className="px-4 py-3 text-right space-x-3 whitespace-nowrap">
+                    <button onClick={() => toggleActive(d)} className="text-xs text-gray-500 hover:text-gray-800">{d.active ? 'Deactivate' : 'Activate'}</button>
+                    <button onClick={() => handleDelete(d.id)} className="text-red-400 hover:text-red-600"><Trash2 size={16} /></button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Tax rates */}
+      <h2 className="text-xl font-bold mb-4 flex items-center gap-2"><Percent size={18} /> Tax Rates</h2>
+      <form onSubmit={handleTaxSubmit} className="card mb-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <input className="input" placeholder="Name (e.g. VAT)" value={taxForm.name} onChange={e => setTaxForm({...taxForm, name: e.target.value})} required />
+        <input type="number" min="0" max="100" step="0.01" className="input" placeholder="Rate %" value={taxForm.rate} onChange={e => setTaxForm({...taxForm, rate: e.target.value})} required />
+        <button type="submit" className="btn btn-primary"><Plus size={18} /> Add</button>
+      </form>
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+        {taxRates.length === 0 && <p className="p-4 text-sm text-gray-400">No tax rates yet.</p>}
+        {taxRates.map(t => (
+          <div key={t.id} className="p-4 flex justify-between items-center">
+            <span className="font-medium">{t.name}</span>
+            <div className="flex items-center gap-4">
+              <span className="font-bold">{Number(t.rate)}%</span>
+              <button onClick={() => handleTaxDelete(t.id)} className="text-red-400 hover:text-red-600"><Trash2 size={16} /></button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
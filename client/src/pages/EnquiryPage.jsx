@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { Send } from 'lucide-react';
+import { enquiriesAPI } from '../api';
+
+// Public enquiry form. It has no staff layout, so the studio website can
+// embed it: <iframe src="https://<app>/enquire" width="100%" height="900"></iframe>
+
+const emptyForm = {
+  name: '', phone: '', email: '', event_type: 'Wedding', event_date: '', location: '',
+  package_id: '', message: '', website: ''
+};
+
+export default function EnquiryPage() {
+  const [packages, setPackages] = useState([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await enquiriesAPI.getPackages();
+        setPackages(res.data);
+      } catch (error) { console.error("Error loading packages", error); }
+    };
+    load();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError(null);
+    try {
+      const res = await enquiriesAPI.submit(formData);
+      setSent(res.data.message);
+      setFormData(emptyForm);
+    } catch (error) {
+      setError(error.response?.data?.error || "Sorry, we couldn't send your enquiry. Please try again.");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 md:p-10 max-w-2xl mx-auto">
+      <h1 className="text-2xl font-bold tracking-wider italic mb-2">
+        <span className="text-[#ff1f1f]">Frame</span>Flicker
+      </h1>
+      <h2 className="text-xl font-bold mb-6">Tell us about your event</h2>
+
+      {sent ? (
+        <div className="card border-l-4 border-green-500">
+          <p className="font-medium">{sent}</p>
+          <button onClick={() => setSent(null)} className="btn btn-secondary mt-4">Send another enquiry</button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="card grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input className="input md:col-span-2" placeholder="Your name" value={formData.name} onChange={e => setFormData({...formData, name: e.target.value})} required />
+          <input type="tel" className="input" placeholder="Phone" value={formData.phone} onChange={e => setFormData({...formData, phone: e.target.value})} />
+          <input type="email" className="input" placeholder="Email" value={formData.email} onChange={e => setFormData({...formData, email: e.target.value})} />
+          <select className="input" value={formData.event_type} onChange={e => setFormData({...formData, event_type: e.target.value})}>
+            <option>Wedding</option><option>Event</option><option>Portrait</option><option>Corporate</option>
+          </select>
+          <input type="date" className="input" value={formData.event_date} onChange={e => setFormData({...formData, event_date: e.target.value})} />
+          <input className="input" placeholder="Location" value={formData.location} onChange={e => setFormData({...formData, location: e.target.value})} />
+          <select className="input" value={formData.package_id} onChange={e => setFormData({...formData, package_id: e.target.value})}>
+            <option value="">-- Preferred package (optional) --</option>
+            {packages.map(p => <option key={p.id} value={p.id}>{p.name} (Rs. {p.price.toLocaleString()})</option>)}
+          </select>
+          <textarea className="input md:col-span-2" rows="3" placeholder="Anything else we should know?" value={formData.message} onChange={e => setFormData({...formData, message: e.target.value})} />
+
+          {/* Honeypot: hidden from people, so only bots fill it in */}
+          <input
+            type="text" name="website" tabIndex="-1" autoComplete="off" aria-hidden="true"
+            className="absolute -left-[9999px]" value={formData.website}
+            onChange={e => setFormData({...formData, website: e.target.value})}
+          />
+
+          {error && <p className="md:col-span-2 text-sm text-red-500">{error}</p>}
+          <div className="md:col-span-2 flex justify-end">
+            <button type="submit" disabled={sending} className="btn btn-primary">
+              <Send size={18} /> {sending ? 'Sending...' : 'Send Enquiry'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from 'react';
+import { Play, RotateCcw, ChevronDown, ChevronRight } from 'lucide-react';
+import { jobsAPI } from '../api';
+
+const JOB_LABELS = {
+  balance_reminder: 'Balance reminder',
+  shoot_reminder: 'Shoot tomorrow (client)',
+  crew_briefing: 'Crew briefing',
+  start_shooting: 'Move to Shooting',
+  expire_quotes: 'Expire quotes',
+};
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  running: 'bg-blue-100 text-blue-700',
+  done: 'bg-green-100 text-green-700',
+  succeeded: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+};
+
+export default function JobsPage() {
+  const [jobs, setJobs] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [openJobId, setOpenJobId] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [running, setRunning] = useState(false);
+
+  const fetchJobs = async (status) => {
+    try {
+      const res = await jobsAPI.getAll(status ? { status } : {});
+      setJobs(res.data);
+    } catch (error) { console.error("Error loading jobs", error); }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchJobs('');
+    };
+    load();
+  }, []);
+
+  const changeFilter = (status) => {
+    setStatusFilter(status);
+    fetchJobs(status);
+  };
+
+  const toggleRuns = async (job) => {
+    if (openJobId === job.id) {
+      setOpenJobId(null);
+      return;
+    }
+    try {
+      const res = await jobsAPI.getRuns(job.id);
+      setRuns(res.data);
+      setOpenJobId(job.id);
+    } catch (error) {
+      alert("❌ Load Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const runNow = async () => {
+    setRunning(true);
+    try {
+      const res = await jobsAPI.runNow();
+      alert(`✅ Queued ${res.data.queued} new job(s), ran ${res.data.ran}`);
+      fetchJobs(statusFilter);
+    } catch (error) {
+      alert("❌ Run Failed: " + (error.response?.data?.error || error.message));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const retry = async (job) => {
+    try {
+      await jobsAPI.retry(job.id);
+      fetchJobs(statusFilter);
+    } catch (error) {
+      alert("❌ Retry Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Background Jobs</h2>
+        <div className="flex gap-2">
+          <select className="input w-auto" value={statusFilter} onChange={e => changeFilter(e.target.value)}>
+            <option value="">All</option>
+            <option value="pending">Pending</option>
+            <option value="running">Running</option>
+            <option value="done">Done</option>
+            <option value="failed">Failed</option>
+          </select>
+          <button onClick={runNow} disabled={running} className="btn btn-primary"><Play size={18} /> {running ? 'Running...' : 'Run Now'}</button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 text-gray-500 border-b border-gray-100">
+            <tr>
+              <th className="px-4 py-3 font-medium">Job</th>
+              <th className="px-4 py-3 font-medium">Run At</th>
+              <th className="px-4 py-3 font-medium">Attempts</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+              <th className="px-4 py-3 font-medium text-right">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {jobs.length === 0 ? (
+              <tr><td colSpan="5" className="px-4 py-8 text-center text-gray-400">No jobs yet.</td></tr>
+            ) : (
+              jobs.map(job => (
+                <React.Fragment key={job.id}>
+                  <tr className="hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <button onClick={() => toggleRuns(job)} className="flex items-center gap-1 font-medium text-gray-900">
+                        {openJobId === job.id ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                        {JOB_LABELS[job.job_type] || job.job_type}
+                      </button>
+                      <div className="text-xs text-gray-400 ml-5">{job.payload?.project_id ? `Project #${job.payload.project_id} · ${job.payload.event_date}` : job.run_key}</div>
+                    </td>
+                    <td className="px-4 py-3 text-gray-500 whitespace-nowrap">{new Date(job.run_at).toLocaleString()}</td>
+                    <td className="px-4 py-3 text-gray-500">{job.attempts} / {job.max_attempts}</td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 rounded text-xs font-bold uppercase ${STATUS_STYLES[job.status] || ''}`}>{job.status}</span>
+                      {job.last_error && <div className="text-xs text-gray-400 mt-1">{job.last_error}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      {job.status === 'failed' && (
+                        <button onClick={() => retry(job)} title="Retry job" className="text-gray-400 hover:text-gray-700"><RotateCcw size={16} /></button>
+                      )}
+                    </td>
+                  </tr>
+                  {openJobId === job.id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan="5" className="px-8 py-3">
+                        {runs.length === 0 ? (
+                          <p className="text-xs text-gray-400">Not run yet.</p>
+                        ) : (
+                          <ul className="space-y-1 text-xs">
+                            {runs.map(run => (
+                              <li key={run.id} className="flex gap-3">
+                                <span className="text-gray-500">#{run.attempt}</span>
+                                <span className="text-gray-500">{new Date(run.started_at).toLocaleString()}</span>
+                                <span className={`px-1 rounded font-bold uppercase ${STATUS_STYLES[run.status] || ''}`}>{run.status}</span>
+                                <span className="text-gray-600">{run.error || (run.result && JSON.stringify(run.result))}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
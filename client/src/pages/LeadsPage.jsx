@@ -0,0 +1,308 @@
+import React, { useEffect, useState } from 'react';
+import { UserPlus, CheckCircle, Trash2, BarChart3 } from 'lucide-react';
+import { leadsAPI, packagesAPI } from '../api';
+
+const SOURCES = ['instagram', 'facebook', 'referral', 'walk-in', 'website', 'other'];
+const STAGES = ['new', 'contacted', 'quoted', 'won', 'lost'];
+
+const emptyForm = {
+  name: '', phone: '', email: '', source: 'instagram', event_type: 'Wedding', event_date: '',
+  location: '', package_id: '', quoted_price: '', follow_up_date: '', notes: ''
+};
+
+const STAGE_STYLES = {
+  new: 'bg-blue-100 text-blue-700',
+  contacted: 'bg-yellow-100 text-yellow-700',
+  quoted: 'bg-purple-100 text-purple-700',
+  won: 'bg-green-100 text-green-700',
+  lost: 'bg-gray-100 text-gray-500',
+};
+
+const formatMoney = (value) => `Rs. ${Number(value || 0).toLocaleString()}`;
+const today = () => new Date().toISOString().slice(0, 10);
+
+export default function LeadsPage() {
+  const [leads, setLeads] = useState([]);
+  const [packages, setPackages] = useState([]);
+  const [report, setReport] = useState(null);
+  const [filters, setFilters] = useState({ stage: '', source: '' });
+  const [showForm, setShowForm] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const fetchLeads = async (params) => {
+    try {
+      const res = await leadsAPI.getAll(params);
+      setLeads(res.data);
+    } catch (error) { console.error("Error loading leads", error); }
+  };
+
+  const fetchReport = async () => {
+    try {
+      const res = await leadsAPI.getReport();
+      setReport(res.data);
+    } catch (error) { console.error("Error loading lead report", error); }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchLeads({ stage: '', source: '' });
+      try {
+        const res = await packagesAPI.getAll();
+        setPackages(res.data);
+      } catch (error) { console.error("Error loading packages", error); }
+    };
+    load();
+  }, []);
+
+  const changeFilter = (field, value) => {
+    const next = { ...filters, [field]: value };
+    setFilters(next);
+    fetchLeads(next);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await leadsAPI.create(formData);
+      setShowForm(false);
+      setFormData(emptyForm);
+      fetchLeads(filters);
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const changeStage = async (lead, stage) => {
+    let lostReason = null;
+    if (stage === 'lost') {
+      lostReason = prompt(`Why was ${lead.name} lost? (e.g. price, date taken, went with another studio)`);
+      if (!lostReason) return;
+    }
+    try {
+      await leadsAPI.update(lead.id, { ...lead, stage, lost_reason: lostReason });
+      fetchLeads(filters);
+    } catch (error) {
+      alert("❌ Update Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const changeFollowUp = async (lead, follow_up_date) => {
+    try {
+      await leadsAPI.update(lead.id, { ...lead, follow_up_date });
+      fetchLeads(filters);
+    } catch (error) {
+      alert("❌ Update Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleConvert = async (lead) => {
+    if (!confirm(`Convert ${lead.name} into a client and a new ${lead.package_name || 'custom'} project?`)) return;
+    try {
+      const res = await leadsAPI.convert(lead.id);
+      alert(`✅ Project #${res.data.project.id} created for ${res.data.lead.client_name}`);
+      fetchLeads(filters);
+      if (showReport) fetchReport();
+    } catch (error) {
+      alert("❌ Convert Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm("Delete this lead?")) return;
+    try {
+      await leadsAPI.delete(id);
+      fetchLeads(filters);
+    } catch (error) {
+      alert("❌ Delete Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const toggleReport = () => {
+    if (!showReport) fetchReport();
+    setShowReport(!showReport);
+  };
+
+  const isOpen = (lead) => lead.stage !== 'won' && lead.stage !== 'lost';
+  const followUpDue = leads.filter(l => isOpen(l) && l.follow_up_date && l.follow_up_date <= today()).length;
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Leads</h2>
+        <div className="flex gap-2">
+          <button onClick={toggleReport} className="btn btn-secondary">
+            <BarChart3 size={18} /> {showReport ? 'Hide Report' : 'Conversion Report'}
+          </button>
+          <button onClick={() => setShowForm(!showForm)} className="btn btn-primary">
+            <UserPlus size={18} /> New Lead
+          </button>
+        </div>
+      </div>
+
+      {showReport && report && (
+        <div className="card mb-8">
+          <h3 className="font-bold text-lg mb-4">Conversion by Source</h3>
+          {report.by_source.length === 0 && <p className="text-sm text-gray-400">No leads yet.</p>}
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6">
+            {report.by_source.map(s => (
+              <div key={s.source} className="border border-gray-100 rounded-lg p-3 text-sm">
+                <p className="font-bold capitalize">{s.source}</p>
+                <p className="text-2xl font-bold text-[#ff1f1f]">{s.conversion_rate}%</p>
+                <p className="text-gray-500">{s.won} won / {s.leads} leads · {s.lost} lost</p>
+                <p className="text-gray-500">{formatMoney(s.booked_value)} booked</p>
+              </div>
+            ))}
+          </div>
+
+          {report.by_month.length > 0 && (
+            <table className="w-full text-left text-sm">
+              <thead className="text-gray-400 border-b border-gray-100">
+                <tr>
+                  <th className="py-2 font-medium">Month</th>
+                  <th className="py-2 font-medium">Source</th>
+                  <th className="py-2 text-right font-medium">Leads</th>
+                  <th className="py-2 text-right font-medium">Won</th>
+                  <th className="py-2 text-right font-medium">Lost</th>
+                  <th className="py-2 text-right font-medium">Conversion</th>
+                  <th className="py-2 text-right font-medium">Booked</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {report.by_month.map(m => (
+                  <tr key={`${m.month}-${m.source}`}>
+                    <td className="py-2">{m.month}</td>
+                    <td className="py-2 capitalize">{m.source}</td>
+                    <td className="py-2 text-right">{m.leads}</td>
+                    <td className="py-2 text-right text-green-700">{m.won}</td>
+                    <td className="py-2 text-right text-gray-500">{m.lost}</td>
+                    <td className="py-2 text-right font-medium">{m.conversion_rate}%</td>
+                    <td className="py-2 text-right">{formatMoney(m.booked_value)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="card mb-8 border-l-4 border-[#ff1f1f]">
+          <h3 className="font-bold text-lg mb-4">New Lead</h3>
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input className="input" placeholder="Name" value={formData.name} onChange={e => setFormData({...formData, name: e.target.value})} required />
+            <select className="input" value={formData.source} onChange={e => setFormData({...formData, source: e.target.value})}>
+              {SOURCES.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            <input type="tel" className="input" placeholder="Phone" value={formData.phone} onChange={e => setFormData({...formData, phone: e.target.value})} />
+            <input type="email" className="input" placeholder="Email" value={formData.email} onChange={e => setFormData({...formData, email: e.target.value})} />
+            <input className="input" placeholder="Event Type" value={formData.event_type} onChange={e => setFormData({...formData, event_type: e.target.value})} />
+            <input type="date" className="input" value={formData.event_date} onChange={e => setFormData({...formData, event_date: e.target.value})} />
+            <input className="input" placeholder="Location" value={formData.location} onChange={e => setFormData({...formData, location: e.target.value})} />
+            <select className="input" value={formData.package_id} onChange={e => setFormData({...formData, package_id: e.target.value})}>
+              <option value="">-- Interested Package (optional) --</option>
+              {packages.map(p => <option key={p.id} value={p.id}>{p.name} ({formatMoney(p.price)})</option>)}
+            </select>
+            <input type="number" min="0" className="input" placeholder="Quoted Price (optional)" value={formData.quoted_price} onChange={e => setFormData({...formData, quoted_price: e.target.value})} />
+            <div>
+              <label className="label">Follow Up On</label>
+              <input type="date" className="input" value={formData.follow_up_date} onChange={e => setFormData({...formData, follow_up_date: e.target.value})} />
+            </div>
+            <textarea className="input md:col-span-2" rows="2" placeholder="Notes" value={formData.notes} onChange={e => setFormData({...formData, notes: e.target.value})} />
+            <div className="md:col-span-2 flex justify-end gap-2 mt-2">
+              <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
+              <button type="submit" className="btn btn-primary">Save Lead</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-4 items-center mb-4">
+        <select className="input w-auto" value={filters.stage} onChange={e => changeFilter('stage', e.target.value)}>
+          <option value="">All stages</option>
+          {STAGES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select className="input w-auto" value={filters.source} onChange={e => changeFilter('source', e.target.value)}>
+          <option value="">All sources</option>
+          {SOURCES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        {followUpDue > 0 && <span className="text-sm font-medium text-[#ff1f1f]">{followUpDue} follow-up(s) due</span>}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 text-gray-500 border-b border-gray-100">
+            <tr>
+              <th className="px-4 py-3 font-medium">Lead</th>
+              <th className="px-4 py-3 font-medium">Source</th>
+              <th className="px-4 py-3 font-medium">Event</th>
+              <th className="px-4 py-3 font-medium">Follow Up</th>
+              <th className="px-4 py-3 font-medium">Stage</th>
+              <th className="px-4 py-3 text-right font-medium">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {leads.length === 0 ? (
+              <tr><td colSpan="6" className="px-4 py-8 text-center text-gray-400">No leads yet.</td></tr>
+            ) : (
+              leads.map(l => (
+                <tr key={l.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3">
+                    <div className="font-medium text-gray-900">{l.name}</div>
+                    <div className="text-xs text-gray-400">{[l.phone, l.email].filter(Boolean).join(' · ')}</div>
+                    {l.client_name && l.stage !== 'won' && <div className="text-xs text-blue-500">Existing client</div>}
+                  </td>
+                  <td className="px-4 py-3 capitalize text-gray-600">{l.source}</td>
+                  <td className="px-4 py-3 text-gray-600">
+                    {l.event_type} {l.event_date && `· ${l.event_date}`}
+                    {l.package_name && <div className="text-xs text-gray-400">{l.package_name}</div>}
+                    {l.quoted_price != null && l.stage !== 'won' && <div className="text-xs text-gray-400">Quoted {formatMoney(l.quoted_price)}</div>}
+                  </td>
+                  <td className="px-4 py-3">
+                    {isOpen(l) ? (
+                      <input
+                        type="date"
+                        className={`input py-1 ${l.follow_up_date && l.follow_up_date <= today() ? 'border-red-400 text-red-600' : ''}`}
+                        value={l.follow_up_date || ''}
+                        onChange={e => changeFollowUp(l, e.target.value)}
+                      />
+                    ) : (
+                      <span className="text-gray-400">-</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3">
+                    {l.stage === 'won' ? (
+                      <>
+                        <span className={`px-2 py-1 rounded text-xs font-bold uppercase ${STAGE_STYLES.won}`}>won</span>
+                        <div className="text-xs text-gray-400 mt-1">Project #{l.project_id} · {formatMoney(l.project_price)}</div>
+                      </>
+                    ) : (
+                      <>
+                        <select
+                          className={`px-2 py-1 rounded text-xs font-bold uppercase border-0 ${STAGE_STYLES[l.stage] || STAGE_STYLES.new}`}
+                          value={l.stage}
+                          onChange={e => changeStage(l, e.target.value)}
+                        >
+                          {STAGES.filter(s => s !== 'won').map(s => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                        {l.stage === 'lost' && <div className="text-xs text-gray-400 mt-1 italic">{l.lost_reason}</div>}
+                      </>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right space-x-3 whitespace-nowrap">
+                    {isOpen(l) && (
+                      <button onClick={() => handleConvert(l)} title="Convert to client & project" className="text-green-600 hover:text-green-800"><CheckCircle size={16} /></button>
+                    )}
+                    {l.stage !== 'won' && (
+                      <button onClick={() => handleDelete(l.id)} title="Delete lead" className="text-red-400 hover:text-red-600"><Trash2 size={16} /></button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
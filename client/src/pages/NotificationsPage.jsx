@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react';
+import { Edit, Save, X, AlertCircle } from 'lucide-react';
+import { notificationsAPI } from '../api';
+
+const EVENT_LABELS = {
+  booking_confirmation: 'Booking confirmation',
+  payment_received: 'Payment received',
+  balance_reminder: 'Balance reminder',
+  shoot_reminder: 'Shoot tomorrow',
+  crew_briefing: 'Crew briefing',
+  delivery_ready: 'Delivery ready',
+};
+
+const CHANNEL_TITLES = {
+  email: 'Email Templates',
+  message: 'SMS / WhatsApp Templates',
+};
+
+const STATUS_STYLES = {
+  sent: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  skipped: 'bg-gray-100 text-gray-500',
+};
+
+export default function NotificationsPage() {
+  const [templates, setTemplates] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [emailEnabled, setEmailEnabled] = useState(true);
+  const [messaging, setMessaging] = useState({ enabled: true, channel: 'sms' });
+  const [log, setLog] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({ subject: '', body: '' });
+
+  const fetchTemplates = async () => {
+    try {
+      const res = await notificationsAPI.getTemplates();
+      setTemplates(res.data.templates);
+      setPlaceholders(res.data.placeholders);
+      setEmailEnabled(res.data.email_enabled);
+      setMessaging({ enabled: res.data.messaging_enabled, channel: res.data.messaging_channel });
+    } catch (error) { console.error("Error loading notification templates", error); }
+  };
+
+  const fetchLog = async (status) => {
+    try {
+      const res = await notificationsAPI.getLog(status ? { status } : {});
+      setLog(res.data);
+    } catch (error) { console.error("Error loading notifications", error); }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchTemplates();
+      await fetchLog('');
+    };
+    load();
+  }, []);
+
+  const startEdit = (template) => {
+    setEditingId(template.id);
+    setEditForm({ subject: template.subject || '', body: template.body });
+  };
+
+  const saveTemplate = async (template, changes) => {
+    try {
+      await notificationsAPI.updateTemplate(template.id, { ...template, ...changes });
+      setEditingId(null);
+      fetchTemplates();
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const changeFilter = (status) => {
+    setStatusFilter(status);
+    fetchLog(status);
+  };
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-6">Notifications</h2>
+
+      {!emailEnabled && (
+        <div className="card mb-6 border-l-4 border-yellow-400 flex items-center gap-2 text-sm">
+          <AlertCircle size={18} className="text-yellow-500" />
+          Email is switched off: set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS, MAIL_FROM) on the server. Messages are logged as skipped until then.
+        </div>
+      )}
+      {!messaging.enabled && (
+        <div className="card mb-6 border-l-4 border-yellow-400 flex items-center gap-2 text-sm">
+          <AlertCircle size={18} className="text-yellow-500" />
+          SMS/WhatsApp is switched off: set MESSAGING_PROVIDER to "http" (with MESSAGING_HTTP_URL) or "mock" on the server.
+        </div>
+      )}
+
+      {Object.entries(CHANNEL_TITLES).map(([channel, title]) => (
+        <div key={channel}>
+          <h3 className="font-bold text-lg mb-4">
+            {title}
+            {channel === 'message' && messaging.enabled && <span className="ml-2 text-xs font-normal text-gray-400">sent by {messaging.channel}</span>}
+          </h3>
+          <div className="space-y-4 mb-10">
+            {templates.filter(t => t.channel === channel).map(t => (
+              <div key={t.id} className={`card ${t.active ? '' : 'opacity-60'}`}>
+                <div className="flex justify-between items-center mb-2">
+                  <h4 className="font-bold">{EVENT_LABELS[t.event] || t.event}</h4>
+                  <div className="flex items-center gap-4 text-sm">
+                    <label className="flex items-center gap-2 text-gray-600">
+                      <input type="checkbox" checked={t.active} onChange={e => saveTemplate(t, { active: e.target.checked })} />
+                      Enabled
+                    </label>
+                    {editingId !== t.id && (
+                      <button onClick={() => startEdit(t)} title="Edit template" className="text-gray-400 hover:text-gray-700"><Edit size={16} /></button>
+                    )}
+                  </div>
+                </div>
+
+                {editingId === t.id ? (
+                  <div className="space-y-3">
+                    {t.channel === 'email' && (
+                      <input className="input" value={editForm.subject} onChange={e => setEditForm({...editForm, subject: e.target.value})} />
+                    )}
+                    <textarea className="input font-mono text-sm" rows={t.channel === 'email' ? 10 : 3} value={editForm.body} onChange={e => setEditForm({...editForm, body: e.target.value})} />
+                    <div className="flex flex-wrap gap-2">
+                      {placeholders.map(p => (
+                        <button key={p.key} type="button" title={p.label} onClick={() => setEditForm({...editForm, body: `${editForm.body}{{${p.key}}}`})} className="px-2 py-1 rounded bg-gray-100 text-xs font-mono text-gray-700 hover:bg-gray-200">
+                          {`{{${p.key}}}`}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="flex justify-end gap-2">
+                      <button onClick={() => setEditingId(null)} className="btn btn-secondary"><X size={16} /> Cancel</button>
+                      <button onClick={() => saveTemplate(t, editForm)} className="btn btn-primary"><Save size={16} /> Save</button>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    {t.subject && <p className="text-sm font-medium text-gray-700">{t.subject}</p>}
+                    <p className="text-xs text-gray-500 whitespace-pre-line line-clamp-4 mt-1">{t.body}</p>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-bold text-lg">Sent Log</h3>
+        <select className="input w-auto" value={statusFilter} onChange={e => changeFilter(e.target.value)}>
+          <option value="">All</option>
+          <option value="sent">Sent</option>
+          <option value="failed">Failed</option>
+          <option value="skipped">Skipped</option>
+        </select>
+      </div>
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 text-gray-500 border-b border-gray-100">
+            <tr>
+              <th className="px-4 py-3 font-medium">When</th>
+              <th className="px-4 py-3 font-medium">To</th>
+              <th className="px-4 py-3 font-medium">Message</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {log.length === 0 ? (
+              <tr><td colSpan="4" className="px-4 py-8 text-center text-gray-400">Nothing sent yet.</td></tr>
+            ) : (
+              log.map(n => (
+                <tr key={n.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-gray-500 whitespace-nowrap">{new Date(n.created_at).toLocaleString()}</td>
+                  <td className="px-4 py-3">
+                    <div className="font-medium text-gray-900">{n.team_member_name || n.client_name || '-'}</div>
+                    <div className="text-xs text-gray-400">{n.recipient}</div>
+                  </td>
+                  <td className="px-4 py-3">
+                    {n.subject || <span className="text-gray-600">{n.body}</span>}
+                    <div className="text-xs text-gray-400">{EVENT_LABELS[n.event] || n.event} · {n.channel}{n.project_id && ` · Project #${n.project_id}`}</div>
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-1 rounded text-xs font-bold uppercase ${STATUS_STYLES[n.status] || STATUS_STYLES.skipped}`}>{n.status}</span>
+                    {n.error && <div className="text-xs text-gray-400 mt-1">{n.error}</div>}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,16 +1,59 @@
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
-import { Plus, Trash2, Check } from 'lucide-react';
+import { Plus, Trash2, Check, X } from 'lucide-react';
+
+const emptyPackage = { name: '', category: 'Wedding', price: '', description: '', deliverable_items: [] };
+const emptyDeliverable = { name: '', quantity: '', required: true };
 
 export default function PackagesPage() {
   const [packages, setPackages] = useState([]);
   const [showForm, setShowForm] = useState(false);
-  const [formData, setFormData] = useState({
-    name: '', category: 'Wedding', price: '', description: ''
-  });
+  const [depositTiers, setDepositTiers] = useState([]);
+  const [addons, setAddons] = useState([]);
+  const [addonForm, setAddonForm] = useState({ name: '', price: '', description: '' });
+  const [formData, setFormData] = useState(emptyPackage);
 
   useEffect(() => { fetchPackages(); }, []);
 
+  // Deposit tiers come from the server's pricing rules
+  useEffect(() => {
+    const loadRules = async () => {
+      try {
+        const res = await axios.get('/api/pricing/rules');
+        setDepositTiers(res.data.deposit_tiers);
+      } catch (error) { console.error("Error loading pricing rules", error); }
+    };
+    loadRules();
+  }, []);
+
+  const fetchAddons = async () => {
+    try {
+      const res = await axios.get('/api/addons');
+      setAddons(res.data);
+    } catch (error) { console.error("Error loading add-ons", error); }
+  };
+
+  useEffect(() => {
+    const load = async () => { await fetchAddons(); };
+    load();
+  }, []);
+
+  const handleAddonSubmit = async (e) => {
+    e.preventDefault();
+    await axios.post('/api/addons', addonForm);
+    setAddonForm({ name: '', price: '', description: '' });
+    fetchAddons();
+  };
+
+  const handleAddonDelete = async (id) => {
+    if(!confirm("Delete this add-on? Existing bookings keep their line items.")) return;
+    await axios.delete(`/api/addons/${id}`);
+    fetchAddons();
+  };
+
+  const depositPercentFor = (price) =>
+    depositTiers.find(t => t.max_price === null || Number(price) <= t.max_price)?.percent;
+
   const fetchPackages = async () => {
     try {
       const res = await axios.get('/api/packages');
@@ -22,10 +65,15 @@ export default function PackagesPage() {
     e.preventDefault();
     await axios.post('/api/packages', formData);
     setShowForm(false);
-    setFormData({ name: '', category: 'Wedding', price: '', description: '' });
+    setFormData(emptyPackage);
     fetchPackages();
   };
 
+  const updateDeliverable = (index, field, value) => {
+    const items = formData.deliverable_items.map((item, i) => (i === index ? { ...item, [field]: value } : item));
+    setFormData({ ...formData, deliverable_items: items });
+  };
+
   const handleDelete = async (id) => {
     if(!confirm("Delete this package?")) return;
     await axios.delete(`/api/packages/${id}`);
@@ -51,6 +99,25 @@ export default function PackagesPage() {
             </select>
             <input type="number" className="input" placeholder="Price (LKR)" value={formData.price} onChange={e => setFormData({...formData, price: e.target.value})} required />
             <input className="input" placeholder="Description" value={formData.description} onChange={e => setFormData({...formData, description: e.target.value})} />
+
+            {/* What the client gets; each booking gets these as a checklist */}
+            <div className="md:col-span-2 space-y-2">
+              <label className="label">Deliverables</label>
+              {formData.deliverable_items.map((item, i) => (
+                <div key={i} className="grid grid-cols-12 gap-2 items-center">
+                  <input type="number" min="1" className="input col-span-2" placeholder="Qty" value={item.quantity} onChange={e => updateDeliverable(i, 'quantity', e.target.value)} />
+                  <input className="input col-span-7" placeholder="e.g. edited photos" value={item.name} onChange={e => updateDeliverable(i, 'name', e.target.value)} required />
+                  <label className="col-span-2 text-sm flex items-center gap-1">
+                    <input type="checkbox" checked={item.required} onChange={e => updateDeliverable(i, 'required', e.target.checked)} /> Required
+                  </label>
+                  <button type="button" onClick={() => setFormData({...formData, deliverable_items: formData.deliverable_items.filter((_, j) => j !== i)})} className="text-gray-400 hover:text-red-600"><X size={16} /></button>
+                </div>
+              ))}
+              <button type="button" onClick={() => setFormData({...formData, deliverable_items: [...formData.deliverable_items, emptyDeliverable]})} className="btn btn-secondary text-sm">
+                <Plus size={14} /> Add Deliverable
+              </button>
+            </div>
+
             <div className="md:col-span-2 flex justify-end gap-2 mt-2">
               <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
               <button type="submit" className="btn btn-primary">Save</button>
@@ -70,13 +137,44 @@ export default function PackagesPage() {
               </div>
               <h3 className="text-xl font-bold mb-2">{pkg.name}</h3>
               <p className="text-2xl font-bold text-[#ff1f1f]">Rs. {Number(pkg.price).toLocaleString()}</p>
+              {pkg.deliverable_items?.length > 0 && (
+                <ul className="text-sm text-gray-600 mt-3 space-y-1">
+                  {pkg.deliverable_items.map(d => (
+                    <li key={d.id}>• {d.quantity ? `${d.quantity} ${d.name}` : d.name}{!d.required && <span className="text-gray-400"> (optional)</span>}</li>
+                  ))}
+                </ul>
+              )}
               <div className="text-xs text-gray-400 mt-4 flex items-center gap-1">
-                <Check size={12} /> <span>Auto-Deposit: {pkg.price <= 15000 ? "50%" : "25%"}</span>
+                <Check size={12} /> <span>Auto-Deposit: {depositPercentFor(pkg.price) ?? '-'}%</span>
               </div>
             </div>
           </div>
         ))}
       </div>
+
+      {/* Add-ons catalog */}
+      <h2 className="text-xl font-bold mt-10 mb-4">Add-ons</h2>
+      <form onSubmit={handleAddonSubmit} className="card mb-4 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <input className="input" placeholder="Add-on (e.g. Drone Coverage)" value={addonForm.name} onChange={e => setAddonForm({...addonForm, name: e.target.value})} required />
+        <input type="number" className="input" placeholder="Price (LKR)" value={addonForm.price} onChange={e => setAddonForm({...addonForm, price: e.target.value})} required />
+        <input className="input" placeholder="Description" value={addonForm.description} onChange={e => setAddonForm({...addonForm, description: e.target.value})} />
+        <button type="submit" className="btn btn-primary"><Plus size={18} /> Add</button>
+      </form>
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+        {addons.length === 0 && <p className="p-4 text-sm text-gray-400">No add-ons yet.</p>}
+        {addons.map(addon => (
+          <div key={addon.id} className="p-4 flex justify-between items-center">
+            <div>
+              <span className="font-medium">{addon.name}</span>
+              {addon.description && <span className="text-sm text-gray-400 ml-2">{addon.description}</span>}
+            </div>
+            <div className="flex items-center gap-4">
+              <span className="font-bold text-[#ff1f1f]">Rs. {Number(addon.price).toLocaleString()}</span>
+              <button onClick={() => handleAddonDelete(addon.id)} className="text-red-400 hover:text-red-600"><Trash2 size={16} /></button>
+            </div>
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,267 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CreditCard, Ban, Filter, FileText, Undo2, AlertTriangle } from 'lucide-react';
+import { paymentsAPI, projectsAPI, clientsAPI, documentsAPI, installmentsAPI } from '../api';
+
+const METHODS = ['Cash', 'Bank Transfer', 'Card', 'Online'];
+
+const emptyFilters = { project_id: '', client_id: '', method: '', entry_type: '', from: '', to: '' };
+const emptyForm = { project_id: '', amount: '', method: 'Cash', reference: '', note: '' };
+
+const formatMoney = (value) => `Rs. ${Number(value || 0).toLocaleString()}`;
+
+export default function PaymentsPage() {
+  const [payments, setPayments] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [overdue, setOverdue] = useState([]);
+
+  const fetchOverdue = async () => {
+    try {
+      const res = await installmentsAPI.getOverdue();
+      setOverdue(res.data);
+    } catch (error) { console.error("Error loading overdue installments", error); }
+  };
+
+  const fetchPayments = useCallback(async () => {
+    try {
+      // Only send the filters that are set
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const res = await paymentsAPI.getAll(params);
+      setPayments(res.data);
+    } catch (error) { console.error("Error loading payments", error); }
+  }, [filters]);
+
+  useEffect(() => {
+    const load = async () => { await fetchPayments(); };
+    load();
+  }, [fetchPayments]);
+
+  useEffect(() => {
+    const loadLookups = async () => {
+      try {
+        const [pRes, cRes] = await Promise.all([projectsAPI.getAll(), clientsAPI.getAll()]);
+        setProjects(pRes.data);
+        setClients(cRes.data);
+      } catch (error) { console.error("Error loading projects and clients", error); }
+    };
+    loadLookups();
+  }, []);
+
+  useEffect(() => {
+    const load = async () => { await fetchOverdue(); };
+    load();
+  }, []);
+
+  const projectLabel = (p) => `#${p.id} ${p.client_name || ''} ${p.event_type ? `- ${p.event_type}` : ''}`.trim();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await paymentsAPI.create(formData);
+      setShowForm(false);
+      setFormData(emptyForm);
+      fetchPayments();
+      fetchOverdue();
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // Voids and refunds are added to the ledger as negative entries; nothing is deleted
+  const handleVoid = async (payment) => {
+    const reason = prompt(`Void payment of ${formatMoney(payment.amount)} on project #${payment.project_id}?\nReason:`);
+    if (!reason) return;
+    try {
+      await paymentsAPI.void(payment.id, { reason });
+      fetchPayments();
+      fetchOverdue();
+    } catch (error) {
+      alert("❌ Void Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleRefund = async (payment) => {
+    const amount = prompt(`Refund how much of ${formatMoney(payment.amount)} on project #${payment.project_id}?`);
+    if (!amount) return;
+    const reason = prompt("Reason for the refund:");
+    if (!reason) return;
+    try {
+      await paymentsAPI.refund(payment.id, { amount, reason });
+      fetchPayments();
+      fetchOverdue();
+    } catch (error) {
+      alert("❌ Refund Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // The configured fee is offered as the default; staff can change it
+  const handleLateFee = async (installment) => {
+    const amount = prompt(
+      `Charge a late fee on ${installment.client_name}'s installment due ${installment.due_date}?\nAmount (LKR):`,
+      installment.suggested_late_fee || ''
+    );
+    if (!amount) return;
+    try {
+      await installmentsAPI.chargeLateFee(installment.id, { amount });
+      fetchOverdue();
+    } catch (error) {
+      alert("❌ Late Fee Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const total = payments.reduce((sum, p) => sum + Number(p.amount || 0), 0);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Payments & Invoices</h2>
+        <button onClick={() => setShowForm(!showForm)} className="btn btn-primary">
+          <CreditCard size={18} /> Record Payment
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="card mb-8 border-l-4 border-[#ff1f1f]">
+          <h3 className="font-bold text-lg mb-4">Record Payment</h3>
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <select className="input" value={formData.project_id} onChange={e => setFormData({...formData, project_id: e.target.value})} required>
+              <option value="">-- Choose Project --</option>
+              {projects.map(p => (
+                <option key={p.id} value={p.id}>{projectLabel(p)} (Balance {formatMoney(p.balance_amount)})</option>
+              ))}
+            </select>
+            <input type="number" min="0" step="0.01" className="input" placeholder="Amount (LKR)" value={formData.amount} onChange={e => setFormData({...formData, amount: e.target.value})} required />
+            <select className="input" value={formData.method} onChange={e => setFormData({...formData, method: e.target.value})}>
+              {METHODS.map(m => <option key={m}>{m}</option>)}
+            </select>
+            <input className="input" placeholder="Reference (e.g. slip number)" value={formData.reference} onChange={e => setFormData({...formData, reference: e.target.value})} />
+            <input className="input md:col-span-2" placeholder="Note" value={formData.note} onChange={e => setFormData({...formData, note: e.target.value})} />
+            <div className="md:col-span-2 flex justify-end gap-2 mt-2">
+              <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
+              <button type="submit" className="btn btn-primary">Save</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Late clients */}
+      {overdue.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-orange-200 mb-6 overflow-hidden">
+          <div className="px-4 py-3 bg-orange-50 text-orange-700 font-medium text-sm flex items-center gap-2">
+            <AlertTriangle size={16} /> {overdue.length} overdue installment(s)
+          </div>
+          <table className="w-full text-left text-sm">
+            <tbody className="divide-y divide-gray-100">
+              {overdue.map(i => (
+                <tr key={i.id}>
+                  <td className="px-4 py-2 font-medium text-gray-900">{i.client_name} <span className="text-gray-400 font-normal">{i.client_phone}</span></td>
+                  <td className="px-4 py-2">#{i.project_id} <span className="text-gray-400">{i.event_type}</span></td>
+                  <td className="px-4 py-2 text-gray-600">Due {i.due_date} · <span className="text-red-600">{i.days_overdue} day(s) late</span></td>
+                  <td className="px-4 py-2 text-right font-medium">
+                    {formatMoney(i.outstanding)}
+                    {i.late_fee > 0 && <span className="block text-xs text-gray-400">incl. late fee {formatMoney(i.late_fee)}</span>}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    {i.late_fee === 0 && (
+                      <button onClick={() => handleLateFee(i)} className="text-xs text-orange-600 hover:text-orange-800">Charge late fee</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6 grid grid-cols-1 md:grid-cols-7 gap-3 items-center">
+        <div className="flex items-center gap-2 text-sm font-medium text-gray-500"><Filter size={16} /> Filters</div>
+        <select className="input" value={filters.project_id} onChange={e => setFilters({...filters, project_id: e.target.value})}>
+          <option value="">All Projects</option>
+          {projects.map(p => <option key={p.id} value={p.id}>{projectLabel(p)}</option>)}
+        </select>
+        <select className="input" value={filters.client_id} onChange={e => setFilters({...filters, client_id: e.target.value})}>
+          <option value="">All Clients</option>
+          {clients.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+        <select className="input" value={filters.method} onChange={e => setFilters({...filters, method: e.target.value})}>
+          <option value="">All Methods</option>
+          {METHODS.map(m => <option key={m}>{m}</option>)}
+        </select>
+        <select className="input" value={filters.entry_type} onChange={e => setFilters({...filters, entry_type: e.target.value})}>
+          <option value="">All Entries</option>
+          <option value="payment">Payments</option>
+          <option value="refund">Refunds</option>
+          <option value="void">Voids</option>
+        </select>
+        <input type="date" className="input" value={filters.from} onChange={e => setFilters({...filters, from: e.target.value})} />
+        <input type="date" className="input" value={filters.to} onChange={e => setFilters({...filters, to: e.target.value})} />
+      </div>
+
+      {/* Ledger */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 text-gray-500 border-b border-gray-100">
+            <tr>
+              <th className="px-4 py-3 font-medium">Date</th>
+              <th className="px-4 py-3 font-medium">Project</th>
+              <th className="px-4 py-3 font-medium">Client</th>
+              <th className="px-4 py-3 font-medium">Method</th>
+              <th className="px-4 py-3 font-medium">Reference / Reason</th>
+              <th className="px-4 py-3 text-right font-medium">Amount</th>
+              <th className="px-4 py-3 text-right font-medium">Balance After</th>
+              <th className="px-4 py-3 text-right font-medium">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {payments.length === 0 ? (
+              <tr><td colSpan="8" className="px-4 py-8 text-center text-gray-400">No payments found.</td></tr>
+            ) : (
+              payments.map(p => (
+                <tr key={p.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-gray-600">{new Date(p.created_at).toLocaleDateString()}</td>
+                  <td className="px-4 py-3">#{p.project_id} <span className="text-gray-400">{p.event_type}</span></td>
+                  <td className="px-4 py-3 font-medium text-gray-900">{p.client_name}</td>
+                  <td className="px-4 py-3 text-gray-600">{p.method}</td>
+                  <td className="px-4 py-3 text-gray-500">
+                    {p.entry_type && p.entry_type !== 'payment' ? (
+                      <span>
+                        <span className="uppercase text-xs font-bold text-red-600">{p.entry_type}</span> of #{p.original_payment_id}
+                        {p.reason && <span className="block text-xs italic">{p.reason}</span>}
+                      </span>
+                    ) : p.reference}
+                  </td>
+                  <td className={`px-4 py-3 text-right font-medium ${Number(p.amount) < 0 ? 'text-red-600' : 'text-green-700'}`}>{formatMoney(p.amount)}</td>
+                  <td className={`px-4 py-3 text-right ${Number(p.running_balance) > 0 ? 'text-orange-600' : 'text-gray-500'}`}>
+                    {p.running_balance === null ? '—' : formatMoney(p.running_balance)}
+                  </td>
+                  <td className="px-4 py-3 text-right space-x-3 whitespace-nowrap">
+                    {(p.entry_type || 'payment') === 'payment' && (
+                      <>
+                        <a href={documentsAPI.receiptUrl(p.id)} target="_blank" rel="noreferrer" title="Receipt PDF" className="inline-block text-gray-400 hover:text-gray-700"><FileText size={16} /></a>
+                        <button onClick={() => handleRefund(p)} title="Refund" className="text-orange-400 hover:text-orange-600"><Undo2 size={16} /></button>
+                        <button onClick={() => handleVoid(p)} title="Void payment" className="text-red-400 hover:text-red-600"><Ban size={16} /></button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+          {payments.length > 0 && (
+            <tfoot className="bg-gray-50 border-t border-gray-100">
+              <tr>
+                <td colSpan="5" className="px-4 py-3 font-medium text-gray-500">{payments.length} entries (net)</td>
+                <td className="px-4 py-3 text-right font-bold">{formatMoney(total)}</td>
+                <td colSpan="2"></td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Calendar, MapPin, Clock, Download, CheckCircle, FileSignature } from 'lucide-react';
+import { portalAPI } from '../api';
+
+// Public, read-only page a client opens from their portal link.
+// It lives outside the staff layout and only talks to /api/public routes.
+
+const formatMoney = (value) => `Rs. ${Number(value || 0).toLocaleString()}`;
+
+const Section = ({ title, children }) => (
+  <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+    <h3 className="font-bold text-lg mb-4">{title}</h3>
+    {children}
+  </div>
+);
+
+export default function PortalPage() {
+  const { token } = useParams();
+  const [view, setView] = useState(null);
+  const [error, setError] = useState(null);
+  const [signature, setSignature] = useState('');
+  const [agreed, setAgreed] = useState(false);
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await portalAPI.view(token);
+        setView(res.data);
+      } catch (error) {
+        setError(error.response?.data?.error || "This link can't be opened right now.");
+      }
+    };
+    load();
+  }, [token]);
+
+  const header = (
+    <h1 className="text-2xl font-bold tracking-wider italic mb-8">
+      <span className="text-[#ff1f1f]">Frame</span>Flicker
+    </h1>
+  );
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-10 max-w-3xl mx-auto">
+        {header}
+        <p className="text-gray-600">{error} Please contact the studio for a new link.</p>
+      </div>
+    );
+  }
+  if (!view) return <div className="p-10 text-gray-500">Loading...</div>;
+
+  const { event, payments, contract } = view;
+
+  // Sends back the hash of the text on screen, so only this version is accepted
+  const acceptContract = async (e) => {
+    e.preventDefault();
+    setAccepting(true);
+    try {
+      const res = await portalAPI.acceptContract(token, { accepted_by: signature, version_hash: contract.version_hash });
+      setView({ ...view, contract: res.data.contract });
+    } catch (error) {
+      alert("❌ " + (error.response?.data?.error || error.message));
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 md:p-10 max-w-3xl mx-auto">
+      {header}
+      <h2 className="text-2xl font-bold mb-1">Hi {view.client_name || 'there'},</h2>
+      <p className="text-gray-500 mb-6">Here's where your booking stands.</p>
+
+      <Section title={`${event.type || 'Your event'}${event.package_name ? ` · ${event.package_name}` : ''}`}>
+        <div className="flex flex-wrap gap-6 text-sm text-gray-600">
+          <span className="flex items-center gap-1"><Calendar size={14} /> {event.date || 'Date TBD'}</span>
+          <span className="flex items-center gap-1"><Clock size={14} /> {event.time || '--:--'}</span>
+          <span className="flex items-center gap-1"><MapPin size={14} /> {event.location || 'Location TBD'}</span>
+        </div>
+        <p className="mt-4 text-sm">Status: <span className="font-bold uppercase">{event.status}</span></p>
+      </Section>
+
+      {contract && (
+        <Section title={contract.title}>
+          <div className="max-h-96 overflow-y-auto whitespace-pre-line text-sm text-gray-700 border border-gray-100 rounded-lg p-4 mb-4">
+            {contract.body}
+          </div>
+          {contract.status === 'accepted' ? (
+            <p className="text-sm text-green-700 flex items-center gap-2">
+              <CheckCircle size={16} /> Accepted by {contract.accepted_by} on {new Date(contract.accepted_at).toLocaleString()}
+            </p>
+          ) : (
+            <form onSubmit={acceptContract} className="space-y-3 text-sm">
+              <label className="flex items-start gap-2">
+                <input type="checkbox" className="mt-1" checked={agreed} onChange={e => setAgreed(e.target.checked)} />
+                I have read this agreement and accept its terms.
+              </label>
+              <div className="flex gap-2">
+                <input className="input" placeholder="Type your full name" value={signature} onChange={e => setSignature(e.target.value)} required />
+                <button type="submit" disabled={!agreed || accepting} className="btn btn-primary whitespace-nowrap">
+                  <FileSignature size={16} /> {accepting ? 'Accepting...' : 'Accept'}
+                </button>
+              </div>
+            </form>
+          )}
+        </Section>
+      )}
+
+      <Section title="Payments">
+        <div className="grid grid-cols-3 gap-4 text-sm mb-4">
+          <div><p className="text-gray-400">Total</p><p className="font-bold">{formatMoney(payments.price + payments.late_fees)}</p></div>
+          <div><p className="text-gray-400">Paid</p><p className="font-bold text-green-700">{formatMoney(payments.amount_paid)}</p></div>
+          <div><p className="text-gray-400">Outstanding</p><p className="font-bold text-[#ff1f1f]">{formatMoney(payments.balance)}</p></div>
+        </div>
+        {payments.schedule.length > 0 && (
+          <table className="w-full text-left text-sm">
+            <thead className="text-gray-400 border-b border-gray-100">
+              <tr><th className="py-2 font-medium">Due</th><th className="py-2 font-medium">Status</th><th className="py-2 text-right font-medium">Amount</th></tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {payments.schedule.map((i, index) => (
+                <tr key={index}>
+                  <td className="py-2">{i.due_date}</td>
+                  <td className={`py-2 uppercase text-xs font-bold ${i.overdue ? 'text-red-600' : i.status === 'paid' ? 'text-green-600' : 'text-gray-500'}`}>
+                    {i.overdue ? 'overdue' : i.status}
+                  </td>
+                  <td className="py-2 text-right">
+                    {formatMoney(i.amount + i.late_fee)}
+                    {i.late_fee > 0 && <span className="block text-xs text-gray-400">incl. late fee {formatMoney(i.late_fee)}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Section>
+
+      <Section title="Deliverables">
+        {view.deliverables.length === 0 && <p className="text-sm text-gray-400">Nothing to deliver yet.</p>}
+        <ul className="space-y-2 text-sm">
+          {view.deliverables.map((d, index) => (
+            <li key={index} className="flex justify-between items-center">
+              <span className="flex items-center gap-2">
+                {d.status === 'delivered' ? <CheckCircle size={14} className="text-green-600" /> : <Clock size={14} className="text-gray-400" />}
+                {d.quantity ? `${d.quantity} ${d.name}` : d.name}
+                {d.delivered_on && <span className="text-gray-400">· {d.delivered_on}</span>}
+              </span>
+              {d.download_link && (
+                <a href={d.download_link} target="_blank" rel="noreferrer" className="text-[#ff1f1f] flex items-center gap-1 hover:underline">
+                  <Download size={14} /> Download
+                </a>
+              )}
+            </li>
+          ))}
+        </ul>
+      </Section>
+
+      {view.revisions.length > 0 && (
+        <Section title="Revision Requests">
+          <ul className="space-y-3 text-sm">
+            {view.revisions.map((r, index) => (
+              <li key={index}>
+                <span className="text-gray-400">{r.requested_on}</span> {r.request}
+                <span className={`ml-2 text-xs font-bold uppercase ${r.status === 'resolved' ? 'text-green-600' : 'text-orange-600'}`}>{r.status}</span>
+                {r.resolution && <p className="text-gray-500 italic">{r.resolution}</p>}
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      <p className="text-xs text-gray-400 text-center">This link expires on {new Date(view.expires_at).toLocaleDateString()}.</p>
+    </div>
+  );
+}
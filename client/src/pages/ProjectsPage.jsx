@@ -1,38 +1,119 @@
 import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import axios from 'axios';
-import { Calendar, MapPin, DollarSign, Clock, CheckCircle, AlertCircle } from 'lucide-react';
+import { Calendar, MapPin, DollarSign, Clock, CheckCircle, AlertCircle, History, Users, FileText, Plus, X, CalendarClock, PenLine, ListChecks, Link2, FileSignature, Mail } from 'lucide-react';
+import { documentsAPI, installmentsAPI, revisionsAPI, deliverablesAPI, portalAPI, contractsAPI, notificationsAPI } from '../api';
+
+const INSTALLMENT_COLORS = {
+  paid: 'text-green-600',
+  partial: 'text-orange-600',
+  pending: 'text-gray-500',
+};
+
+// YYYY-MM-DD `months` months after today
+const monthsFromToday = (months) => {
+  const date = new Date();
+  date.setMonth(date.getMonth() + months);
+  return date.toISOString().slice(0, 10);
+};
+
+const emptyRevision = { request_text: '', editor_id: '', addon_id: '' };
 
 export default function ProjectsPage() {
+  // The calendar links here with ?date= to start a booking on that day
+  const [searchParams] = useSearchParams();
   const [projects, setProjects] = useState([]);
   const [clients, setClients] = useState([]);
   const [packages, setPackages] = useState([]);
-  const [showForm, setShowForm] = useState(false);
+  const [team, setTeam] = useState([]);
+  const [addons, setAddons] = useState([]);
+  const [taxRates, setTaxRates] = useState([]);
+  const [pricingError, setPricingError] = useState('');
+  const [showForm, setShowForm] = useState(() => Boolean(searchParams.get('date')));
+  const [historyFor, setHistoryFor] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [scheduleFor, setScheduleFor] = useState(null);
+  const [scheduleRows, setScheduleRows] = useState([]);
+  const [revisionsFor, setRevisionsFor] = useState(null);
+  const [revisionList, setRevisionList] = useState([]);
+  const [revisionForm, setRevisionForm] = useState(emptyRevision);
+  const [checklistFor, setChecklistFor] = useState(null);
+  const [newDeliverable, setNewDeliverable] = useState('');
+  const [linksFor, setLinksFor] = useState(null);
+  const [portalLinks, setPortalLinks] = useState([]);
+  const [newLinkUrl, setNewLinkUrl] = useState('');
+  const [contractsFor, setContractsFor] = useState(null);
+  const [projectContracts, setProjectContracts] = useState([]);
+  const [contractTemplates, setContractTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [pricing, setPricing] = useState(null);
 
   // Form Data
   const [formData, setFormData] = useState({
     clientId: '',
     packageId: '',
-    eventDate: '',
+    eventDate: searchParams.get('date') || '',
     eventTime: '',
     location: '',
-    notes: ''
+    notes: '',
+    crewIds: [],
+    lineItems: [],
+    discountCode: '',
+    taxRateId: '',
+    priceOverride: '',
+    depositPercentOverride: '',
+    overrideReason: ''
   });
 
   useEffect(() => {
     fetchData();
   }, []);
 
+  // Price, deposit and balance as the server will work them out
+  useEffect(() => {
+    if (!formData.packageId) return;
+    const loadPricing = async () => {
+      try {
+        const res = await axios.post('/api/pricing/preview', {
+          package_id: formData.packageId,
+          // Rows still being filled in would fail validation
+          line_items: formData.lineItems.filter(li => li.description),
+          price: formData.priceOverride,
+          deposit_percent: formData.depositPercentOverride,
+          discount_code: formData.discountCode,
+          tax_rate_id: formData.taxRateId
+        });
+        setPricing(res.data);
+        setPricingError('');
+      } catch (error) {
+        console.error("Error previewing price", error);
+        setPricing(null);
+        setPricingError(error.response?.data?.error || '');
+      }
+    };
+    loadPricing();
+  }, [
+    formData.packageId, formData.lineItems, formData.priceOverride,
+    formData.depositPercentOverride, formData.discountCode, formData.taxRateId
+  ]);
+
   const fetchData = async () => {
     try {
       console.log("Fetching data...");
-      const [pRes, cRes, pkRes] = await Promise.all([
+      const [pRes, cRes, pkRes, tRes, aRes, trRes] = await Promise.all([
         axios.get('/api/projects'),
         axios.get('/api/clients'),
-        axios.get('/api/packages')
+        axios.get('/api/packages'),
+        axios.get('/api/team'),
+        axios.get('/api/addons'),
+        axios.get('/api/tax-rates')
       ]);
       setProjects(pRes.data);
       setClients(cRes.data);
       setPackages(pkRes.data);
+      setTeam(tRes.data);
+      setAddons(aRes.data);
+      setTaxRates(trRes.data);
       console.log("Data loaded:", { clients: cRes.data.length, packages: pkRes.data.length });
     } catch (error) { 
       console.error("Error loading data", error);
@@ -40,7 +121,7 @@ export default function ProjectsPage() {
     }
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = async (e, overrideConflicts = false) => {
     e.preventDefault(); // Stop page reload
     
     // DEBUG LOGGING
@@ -57,7 +138,22 @@ export default function ProjectsPage() {
     }
 
     try {
-      const response = await axios.post('/api/projects', formData);
+      const response = await axios.post('/api/projects', {
+        client_id: formData.clientId,
+        package_id: formData.packageId,
+        event_date: formData.eventDate,
+        event_time: formData.eventTime,
+        location: formData.location,
+        notes: formData.notes,
+        crew_ids: formData.crewIds,
+        line_items: formData.lineItems,
+        discount_code: formData.discountCode,
+        tax_rate_id: formData.taxRateId,
+        price: formData.priceOverride,
+        deposit_percent: formData.depositPercentOverride,
+        override_reason: formData.overrideReason,
+        override_conflicts: overrideConflicts
+      });
       console.log("Server Response:", response.data);
       alert("✅ Booking Created Successfully!");
       
@@ -68,21 +164,284 @@ export default function ProjectsPage() {
         eventDate: '',
         eventTime: '',
         location: '',
-        notes: ''
+        notes: '',
+        crewIds: [],
+        lineItems: [],
+        discountCode: '',
+        taxRateId: '',
+        priceOverride: '',
+        depositPercentOverride: '',
+        overrideReason: ''
       });
+      setPricing(null);
       fetchData(); // Reload list
     } catch (error) { 
+      // Crew double-booked: show the clashes and let staff book anyway
+      const conflicts = error.response?.status === 409 ? error.response.data.conflicts : null;
+      if (conflicts) {
+        const details = conflicts
+          .map(c => `• ${c.team_member_name} on project #${c.project_id} (${c.event_date} ${c.event_time || 'all day'})`)
+          .join('\n');
+        if (confirm(`⚠️ Crew already booked:\n${details}\n\nBook anyway?`)) {
+          handleSubmit(e, true);
+        }
+        return;
+      }
       console.error("Save failed:", error);
       alert("❌ Save Failed: " + (error.response?.data?.error || error.message)); 
     }
   };
 
+  // Picking an add-on fills in its name and catalog price; both stay editable
+  const updateLineItem = (index, changes) => {
+    const lineItems = formData.lineItems.map((item, i) => {
+      if (i !== index) return item;
+      const addon = addons.find(a => String(a.id) === String(changes.addon_id));
+      return addon
+        ? { ...item, ...changes, description: addon.name, unit_price: addon.price }
+        : { ...item, ...changes };
+    });
+    setFormData({ ...formData, lineItems });
+  };
+
   const updateStatus = async (id, newStatus) => {
+    const note = prompt(`Note for moving to ${newStatus} (optional):`);
+    if (note === null) return; // Cancelled
+
+    try {
+      await axios.patch(`/api/projects/${id}/status`, { status: newStatus, note });
+      fetchData();
+      if (historyFor === id) fetchHistory(id);
+    } catch (error) {
+      console.error("Status update failed", error);
+      alert("❌ Status Change Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const fetchHistory = async (id) => {
+    try {
+      const res = await axios.get(`/api/projects/${id}/status-history`);
+      setHistory(res.data);
+    } catch (error) {
+      console.error("Error loading status history", error);
+    }
+  };
+
+  const toggleHistory = (id) => {
+    if (historyFor === id) {
+      setHistoryFor(null);
+      return;
+    }
+    setHistoryFor(id);
+    setHistory([]);
+    fetchHistory(id);
+  };
+
+  const fetchRevisions = async (id) => {
+    try {
+      const res = await revisionsAPI.getForProject(id);
+      setRevisionList(res.data);
+    } catch (error) {
+      console.error("Error loading revisions", error);
+    }
+  };
+
+  const toggleRevisions = (id) => {
+    if (revisionsFor === id) {
+      setRevisionsFor(null);
+      return;
+    }
+    setRevisionsFor(id);
+    setRevisionList([]);
+    setRevisionForm(emptyRevision);
+    fetchRevisions(id);
+  };
+
+  const logRevision = async (project) => {
+    try {
+      await revisionsAPI.create(project.id, revisionForm);
+      setRevisionForm(emptyRevision);
+      fetchRevisions(project.id);
+      fetchData();
+    } catch (error) {
+      alert("❌ Revision Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const resolveRevision = async (project, revision) => {
+    const resolution = prompt("How was this revision resolved?", revision.resolution || '');
+    if (!resolution) return;
+    try {
+      await revisionsAPI.update(project.id, revision.id, { ...revision, resolution });
+      fetchRevisions(project.id);
+    } catch (error) {
+      alert("❌ Update Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // Checklist items come with the project list, so changes just refetch it
+  const updateDeliverable = async (project, item, changes) => {
+    try {
+      await deliverablesAPI.update(project.id, item.id, changes);
+      fetchData();
+    } catch (error) {
+      alert("❌ Update Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const addDeliverableLink = (project, item) => {
+    const link = prompt("Delivery link (e.g. gallery or Drive folder):", item.delivery_link || '');
+    if (link === null) return;
+    updateDeliverable(project, item, { delivery_link: link });
+  };
+
+  const addDeliverable = async (project) => {
+    if (!newDeliverable.trim()) return;
+    try {
+      await deliverablesAPI.create(project.id, { name: newDeliverable });
+      setNewDeliverable('');
+      fetchData();
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const fetchPortalLinks = async (id) => {
+    try {
+      const res = await portalAPI.getLinks(id);
+      setPortalLinks(res.data);
+    } catch (error) {
+      console.error("Error loading portal links", error);
+    }
+  };
+
+  const toggleLinks = (id) => {
+    setNewLinkUrl('');
+    if (linksFor === id) {
+      setLinksFor(null);
+      return;
+    }
+    setLinksFor(id);
+    setPortalLinks([]);
+    fetchPortalLinks(id);
+  };
+
+  // The token is only returned once, so show the full URL straight away
+  const createPortalLink = async (id) => {
+    const days = prompt("Link valid for how many days?", "30");
+    if (!days) return;
+    try {
+      const res = await portalAPI.createLink(id, { expires_in_days: days });
+      setNewLinkUrl(portalAPI.pageUrl(res.data.token));
+      fetchPortalLinks(id);
+    } catch (error) {
+      alert("❌ Link Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const revokePortalLink = async (projectId, link) => {
+    if (!confirm("Revoke this link? The client won't be able to open it any more.")) return;
+    try {
+      await portalAPI.revokeLink(link.id);
+      fetchPortalLinks(projectId);
+    } catch (error) {
+      alert("❌ Revoke Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const sendBalanceReminder = async (project) => {
+    if (!confirm(`Send ${project.client_name} a reminder about the Rs. ${Number(project.balance_amount).toLocaleString()} balance?`)) return;
+    try {
+      const res = await notificationsAPI.send(project.id, { event: 'balance_reminder' });
+      alert(res.data.map(n => `${n.status === 'sent' ? '✅' : '⚠️'} ${n.channel}: ${n.status}${n.error ? ` (${n.error})` : ''}`).join('\n'));
+    } catch (error) {
+      alert("❌ Reminder Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const fetchContracts = async (id) => {
+    try {
+      const res = await contractsAPI.getForProject(id);
+      setProjectContracts(res.data);
+    } catch (error) {
+      console.error("Error loading contracts", error);
+    }
+  };
+
+  const toggleContracts = async (id) => {
+    if (contractsFor === id) {
+      setContractsFor(null);
+      return;
+    }
+    setContractsFor(id);
+    setProjectContracts([]);
+    fetchContracts(id);
+    try {
+      const res = await contractsAPI.getTemplates();
+      setContractTemplates(res.data);
+      setTemplateId(res.data[0]?.id || '');
+    } catch (error) {
+      console.error("Error loading contract templates", error);
+    }
+  };
+
+  const generateContract = async (id) => {
+    if (!templateId) return;
+    try {
+      await contractsAPI.generate(id, { template_id: templateId });
+      fetchContracts(id);
+    } catch (error) {
+      alert("❌ Contract Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  // Signed at the studio: the client types their name on this device
+  const acceptInPerson = async (projectId, contract) => {
+    const name = prompt("Client's full name, as they accept the contract:");
+    if (!name) return;
+    try {
+      await contractsAPI.accept(contract.id, { accepted_by: name, version_hash: contract.content_hash });
+      fetchContracts(projectId);
+    } catch (error) {
+      alert("❌ Accept Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const toggleSchedule = (project) => {
+    if (scheduleFor === project.id) {
+      setScheduleFor(null);
+      return;
+    }
+    setScheduleFor(project.id);
+    setScheduleRows(project.installments.map(i => ({ amount: i.amount, due_date: i.due_date, note: i.note || '' })));
+  };
+
+  // Even monthly installments starting today; the last one takes the rounding
+  const splitEvenly = (project) => {
+    const count = parseInt(prompt("Split the price into how many installments?", "3"));
+    if (!(count > 0)) return;
+    const price = Number(project.price);
+    const share = Math.floor((price / count) * 100) / 100;
+    setScheduleRows(Array.from({ length: count }, (_, i) => ({
+      amount: i === count - 1 ? Math.round((price - share * (count - 1)) * 100) / 100 : share,
+      due_date: monthsFromToday(i),
+      note: `Installment ${i + 1} of ${count}`,
+    })));
+  };
+
+  const updateScheduleRow = (index, field, value) => {
+    setScheduleRows(scheduleRows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const saveSchedule = async (project) => {
+    if (project.installments.some(i => Number(i.late_fee) > 0) &&
+        !confirm("Late fees charged on the current schedule will be dropped. Continue?")) return;
     try {
-      await axios.patch(`/api/projects/${id}/status`, { status: newStatus });
+      await installmentsAPI.setForProject(project.id, { installments: scheduleRows });
+      setScheduleFor(null);
       fetchData();
     } catch (error) {
-      console.error("Status update failed");
+      alert("❌ Schedule Failed: " + (error.response?.data?.error || error.message));
     }
   };
 
@@ -94,6 +453,7 @@ export default function ProjectsPage() {
       case 'Editing': return 'bg-purple-100 text-purple-700';
       case 'Review': return 'bg-orange-100 text-orange-700';
       case 'Delivered': return 'bg-gray-100 text-gray-700';
+      case 'Cancelled': return 'bg-red-100 text-red-700';
       default: return 'bg-gray-100 text-gray-600';
     }
   };
@@ -136,7 +496,94 @@ export default function ProjectsPage() {
             <input type="date" className="input" value={formData.eventDate} onChange={e => setFormData({...formData, eventDate: e.target.value})} />
             <input type="time" className="input" value={formData.eventTime} onChange={e => setFormData({...formData, eventTime: e.target.value})} />
             <input className="input" placeholder="Location" value={formData.location} onChange={e => setFormData({...formData, location: e.target.value})} />
-            <input className="input" placeholder="Notes (e.g. Drone needed)" value={formData.notes} onChange={e => setFormData({...formData, notes: e.target.value})} />
+            <input className="input" placeholder="Notes (e.g. Parking at the back gate)" value={formData.notes} onChange={e => setFormData({...formData, notes: e.target.value})} />
+
+            {/* Crew Assignment */}
+            <div className="md:col-span-2">
+              <label className="label">Assign Crew</label>
+              <div className="flex flex-wrap gap-3">
+                {team.map(m => (
+                  <label key={m.id} className="flex items-center gap-2 text-sm border rounded px-3 py-1 bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={formData.crewIds.includes(m.id)}
+                      onChange={e => setFormData({
+                        ...formData,
+                        crewIds: e.target.checked
+                          ? [...formData.crewIds, m.id]
+                          : formData.crewIds.filter(id => id !== m.id)
+                      })}
+                    />
+                    {m.name} <span className="text-gray-400">({m.role})</span>
+                  </label>
+                ))}
+                {team.length === 0 && <p className="text-xs text-gray-400">No team members yet. Add them on the Team page.</p>}
+              </div>
+            </div>
+
+            {/* Extras on top of the package */}
+            <div className="md:col-span-2 space-y-2">
+              <label className="label">Add-ons & Extras</label>
+              {formData.lineItems.map((item, i) => (
+                <div key={i} className="grid grid-cols-12 gap-2">
+                  <select className="input col-span-3" value={item.addon_id} onChange={e => updateLineItem(i, { addon_id: e.target.value })}>
+                    <option value="">Custom item</option>
+                    {addons.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                  </select>
+                  <input className="input col-span-4" placeholder="Description" value={item.description} onChange={e => updateLineItem(i, { description: e.target.value })} />
+                  <input type="number" min="1" className="input col-span-1" value={item.quantity} onChange={e => updateLineItem(i, { quantity: e.target.value })} />
+                  <input type="number" min="0" className="input col-span-3" placeholder="Unit Price" value={item.unit_price} onChange={e => updateLineItem(i, { unit_price: e.target.value })} />
+                  <button type="button" onClick={() => setFormData({...formData, lineItems: formData.lineItems.filter((_, j) => j !== i)})} className="text-gray-400 hover:text-red-600"><X size={16} /></button>
+                </div>
+              ))}
+              <button type="button" onClick={() => setFormData({...formData, lineItems: [...formData.lineItems, { addon_id: '', description: '', quantity: 1, unit_price: '' }]})} className="btn btn-secondary text-sm">
+                <Plus size={14} /> Add Extra
+              </button>
+            </div>
+
+            {/* Pricing: worked out from the package unless overridden */}
+            <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-3 gap-4 border-t pt-4">
+              <div>
+                <label className="label">Promo Code</label>
+                <input className="input uppercase" placeholder="e.g. XMAS10" value={formData.discountCode} onChange={e => setFormData({...formData, discountCode: e.target.value})} />
+              </div>
+              <div>
+                <label className="label">Tax</label>
+                <select className="input" value={formData.taxRateId} onChange={e => setFormData({...formData, taxRateId: e.target.value})}>
+                  <option value="">No tax</option>
+                  {taxRates.map(t => <option key={t.id} value={t.id}>{t.name} ({Number(t.rate)}%)</option>)}
+                </select>
+              </div>
+              <div></div>
+              <div>
+                <label className="label">Price Override (optional)</label>
+                <input type="number" min="0" className="input" placeholder={pricing ? `Package: Rs. ${pricing.computed.price.toLocaleString()}` : 'Package price'} value={formData.priceOverride} onChange={e => setFormData({...formData, priceOverride: e.target.value})} />
+              </div>
+              <div>
+                <label className="label">Deposit % Override (optional)</label>
+                <input type="number" min="0" max="100" className="input" placeholder={pricing ? `Rule: ${pricing.computed.deposit_percent}%` : 'From price tier'} value={formData.depositPercentOverride} onChange={e => setFormData({...formData, depositPercentOverride: e.target.value})} />
+              </div>
+              <div>
+                <label className="label">Override Reason</label>
+                <input className="input" placeholder="e.g. Returning client discount" value={formData.overrideReason} onChange={e => setFormData({...formData, overrideReason: e.target.value})} />
+              </div>
+              {pricingError && formData.packageId && (
+                <p className="md:col-span-3 text-sm text-red-500">{pricingError}</p>
+              )}
+              {pricing && formData.packageId && (
+                <div className="md:col-span-3 flex gap-6 text-sm bg-gray-50 rounded p-3">
+                  {(pricing.discount_amount > 0 || pricing.tax_amount > 0) && (
+                    <span>Subtotal: Rs. {pricing.subtotal.toLocaleString()}</span>
+                  )}
+                  {pricing.discount_amount > 0 && <span className="text-green-700">Discount: -Rs. {pricing.discount_amount.toLocaleString()}</span>}
+                  {pricing.tax_amount > 0 && <span>Tax: Rs. {pricing.tax_amount.toLocaleString()}</span>}
+                  <span>Total: <b>Rs. {pricing.price.toLocaleString()}</b></span>
+                  <span>Deposit ({pricing.deposit_percent}%): <b>Rs. {pricing.deposit_amount.toLocaleString()}</b></span>
+                  <span>Balance: <b>Rs. {pricing.balance_amount.toLocaleString()}</b></span>
+                  {pricing.overrides.length > 0 && <span className="text-orange-600">Manual override</span>}
+                </div>
+              )}
+            </div>
 
             <div className="md:col-span-2 flex justify-end gap-2 mt-2">
               <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
@@ -162,12 +609,138 @@ export default function ProjectsPage() {
               </div>
               
               <h3 className="text-xl font-bold mb-1">{p.package_name}</h3>
+              {p.line_items?.length > 0 && (
+                <p className="text-xs text-gray-500">
+                  + {p.line_items.map(li => li.quantity > 1 ? `${li.description} x${li.quantity}` : li.description).join(', ')}
+                </p>
+              )}
               
               <div className="flex flex-wrap gap-4 text-sm text-gray-500 mt-2">
                 <div className="flex items-center gap-1"><Calendar size={14} /> {p.event_date || "Date TBD"}</div>
                 <div className="flex items-center gap-1"><Clock size={14} /> {p.event_time || "--:--"}</div>
                 <div className="flex items-center gap-1"><MapPin size={14} /> {p.location || "No Location"}</div>
+                <div className="flex items-center gap-1"><Users size={14} /> {p.crew?.length ? p.crew.map(m => m.name).join(', ') : "No crew assigned"}</div>
               </div>
+
+              <button onClick={() => toggleHistory(p.id)} className="text-xs text-gray-400 hover:text-gray-700 flex items-center gap-1 mt-3">
+                <History size={12} /> {historyFor === p.id ? "Hide history" : "Status history"}
+              </button>
+              {historyFor === p.id && (
+                <ul className="mt-2 space-y-1 text-xs text-gray-500 border-l-2 border-gray-200 pl-3">
+                  {history.length === 0 && <li>No status changes recorded.</li>}
+                  {history.map(h => (
+                    <li key={h.id}>
+                      <span className="text-gray-400">{new Date(h.changed_at).toLocaleString()}</span>{' '}
+                      {h.from_status ? `${h.from_status} → ${h.to_status}` : h.to_status}
+                      {h.note && <span className="italic"> — {h.note}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <button onClick={() => setChecklistFor(checklistFor === p.id ? null : p.id)} className="text-xs text-gray-400 hover:text-gray-700 flex items-center gap-1 mt-3">
+                <ListChecks size={12} /> Deliverables {p.deliverables?.filter(d => d.status === 'delivered').length || 0}/{p.deliverables?.length || 0}
+              </button>
+              {checklistFor === p.id && (
+                <div className="mt-2 space-y-1 text-xs border-l-2 border-gray-200 pl-3">
+                  {p.deliverables.length === 0 && <p className="text-gray-500">No deliverables on this booking.</p>}
+                  {p.deliverables.map(d => (
+                    <div key={d.id} className="flex items-center gap-2 text-gray-600">
+                      <input type="checkbox" checked={d.status === 'delivered'} onChange={e => updateDeliverable(p, d, { status: e.target.checked ? 'delivered' : 'pending' })} />
+                      <span className={d.status === 'delivered' ? 'line-through text-gray-400' : ''}>
+                        {d.quantity ? `${d.quantity} ${d.name}` : d.name}
+                      </span>
+                      {!d.required && <span className="text-gray-400">(optional)</span>}
+                      {d.delivered_on && <span className="text-gray-400">· {d.delivered_on}</span>}
+                      {d.delivery_link
+                        ? <a href={d.delivery_link} target="_blank" rel="noreferrer" className="text-blue-500 hover:underline">link</a>
+                        : <button onClick={() => addDeliverableLink(p, d)} className="text-gray-400 hover:text-gray-700">+ link</button>}
+                    </div>
+                  ))}
+                  <div className="flex gap-2 pt-1">
+                    <input className="input text-sm" placeholder="Add a deliverable" value={newDeliverable} onChange={e => setNewDeliverable(e.target.value)} />
+                    <button type="button" onClick={() => addDeliverable(p)} className="btn btn-secondary text-sm"><Plus size={14} /></button>
+                  </div>
+                </div>
+              )}
+
+              <button onClick={() => toggleRevisions(p.id)} className="text-xs text-gray-400 hover:text-gray-700 flex items-center gap-1 mt-3">
+                <PenLine size={12} /> Revisions {p.revisions_used}/{p.revision_limit}
+              </button>
+              {revisionsFor === p.id && (
+                <div className="mt-2 space-y-2 text-xs border-l-2 border-gray-200 pl-3">
+                  {revisionList.length === 0 && <p className="text-gray-500">No revisions requested yet.</p>}
+                  {revisionList.map(r => (
+                    <div key={r.id} className="text-gray-600">
+                      <span className="text-gray-400">{r.requested_on}</span>{' '}
+                      {r.request_text}
+                      {r.editor_name && <span className="text-gray-400"> · {r.editor_name}</span>}
+                      {r.billable && <span className="text-orange-600"> · billed Rs. {Number(r.billed_amount || 0).toLocaleString()}</span>}
+                      {r.status === 'resolved' ? (
+                        <span className="block text-green-700 italic">✓ {r.resolution}</span>
+                      ) : (
+                        <button onClick={() => resolveRevision(p, r)} className="ml-2 text-blue-500 hover:text-blue-700">Resolve</button>
+                      )}
+                    </div>
+                  ))}
+                  {p.status !== 'Cancelled' && (
+                    <div className="grid grid-cols-12 gap-2 text-sm">
+                      <input className="input col-span-12" placeholder="What did the client ask for?" value={revisionForm.request_text} onChange={e => setRevisionForm({...revisionForm, request_text: e.target.value})} />
+                      <select className="input col-span-6" value={revisionForm.editor_id} onChange={e => setRevisionForm({...revisionForm, editor_id: e.target.value})}>
+                        <option value="">-- Editor --</option>
+                        {team.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                      </select>
+                      {p.revisions_used >= p.revision_limit ? (
+                        <select className="input col-span-6" value={revisionForm.addon_id} onChange={e => setRevisionForm({...revisionForm, addon_id: e.target.value})}>
+                          <option value="">-- Limit reached: bill as --</option>
+                          {addons.map(a => <option key={a.id} value={a.id}>{a.name} (Rs. {Number(a.price).toLocaleString()})</option>)}
+                        </select>
+                      ) : <span className="col-span-6" />}
+                      <button type="button" onClick={() => logRevision(p)} className="btn btn-secondary text-sm col-span-12"><Plus size={14} /> Log Revision</button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {p.installments?.length > 0 && scheduleFor !== p.id && (
+                <ul className="mt-3 space-y-1 text-xs">
+                  {p.installments.map(i => (
+                    <li key={i.id} className={INSTALLMENT_COLORS[i.status]}>
+                      {i.due_date} · Rs. {Number(i.amount).toLocaleString()}
+                      {Number(i.late_fee) > 0 && <span> + late fee Rs. {Number(i.late_fee).toLocaleString()}</span>}
+                      {' '}<span className="uppercase font-bold">{i.status}</span>
+                      {i.status !== 'paid' && i.due_date < new Date().toISOString().slice(0, 10) && p.status !== 'Cancelled' && (
+                        <span className="text-red-600 font-bold"> · OVERDUE</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {p.status !== 'Cancelled' && (
+                <button onClick={() => toggleSchedule(p)} className="text-xs text-gray-400 hover:text-gray-700 flex items-center gap-1 mt-3">
+                  <CalendarClock size={12} /> {scheduleFor === p.id ? "Close schedule" : p.installments?.length ? "Edit payment schedule" : "Set up installments"}
+                </button>
+              )}
+              {scheduleFor === p.id && (
+                <div className="mt-2 space-y-2 text-sm border-l-2 border-gray-200 pl-3">
+                  {scheduleRows.map((row, i) => (
+                    <div key={i} className="grid grid-cols-12 gap-2">
+                      <input type="date" className="input col-span-4" value={row.due_date} onChange={e => updateScheduleRow(i, 'due_date', e.target.value)} />
+                      <input type="number" min="0" step="0.01" className="input col-span-3" placeholder="Amount" value={row.amount} onChange={e => updateScheduleRow(i, 'amount', e.target.value)} />
+                      <input className="input col-span-4" placeholder="Note" value={row.note} onChange={e => updateScheduleRow(i, 'note', e.target.value)} />
+                      <button type="button" onClick={() => setScheduleRows(scheduleRows.filter((_, j) => j !== i))} className="text-gray-400 hover:text-red-600"><X size={16} /></button>
+                    </div>
+                  ))}
+                  <p className="text-xs text-gray-500">
+                    Scheduled Rs. {scheduleRows.reduce((sum, row) => sum + Number(row.amount || 0), 0).toLocaleString()} of Rs. {Number(p.price).toLocaleString()}
+                  </p>
+                  <div className="flex gap-2">
+                    <button type="button" onClick={() => setScheduleRows([...scheduleRows, { amount: '', due_date: '', note: '' }])} className="btn btn-secondary text-sm"><Plus size={14} /> Add</button>
+                    <button type="button" onClick={() => splitEvenly(p)} className="btn btn-secondary text-sm">Split evenly</button>
+                    <button type="button" onClick={() => saveSchedule(p)} className="btn btn-primary text-sm">Save schedule</button>
+                  </div>
+                </div>
+              )}
             </div>
 
             {/* Right Financials & Actions */}
@@ -175,6 +748,12 @@ export default function ProjectsPage() {
               <div className="text-right">
                 <p className="text-xs text-gray-400 uppercase">Total Price</p>
                 <p className="font-bold text-lg">Rs. {Number(p.price).toLocaleString()}</p>
+                {Number(p.discount_amount) > 0 && (
+                  <p className="text-xs text-green-700">{p.discount_code || p.discount_name || 'Discount'}: -Rs. {Number(p.discount_amount).toLocaleString()}</p>
+                )}
+                {Number(p.tax_amount) > 0 && (
+                  <p className="text-xs text-gray-500">incl. {p.tax_name || 'tax'} Rs. {Number(p.tax_amount).toLocaleString()}</p>
+                )}
                 
                 {/* Deposit Logic Display */}
                 <div className="text-xs mt-1">
@@ -198,7 +777,65 @@ export default function ProjectsPage() {
                 <option>Review</option>
                 <option>Delivered</option>
                 <option>Completed</option>
+                <option>Cancelled</option>
               </select>
+
+              <a href={documentsAPI.invoiceUrl(p.id)} target="_blank" rel="noreferrer" className="text-xs text-gray-500 hover:text-gray-800 flex items-center gap-1">
+                <FileText size={12} /> Invoice PDF
+              </a>
+              {Number(p.balance_amount) > 0 && p.status !== 'Cancelled' && (
+                <button onClick={() => sendBalanceReminder(p)} className="text-xs text-gray-500 hover:text-gray-800 flex items-center gap-1">
+                  <Mail size={12} /> Balance reminder
+                </button>
+              )}
+              <button onClick={() => toggleLinks(p.id)} className="text-xs text-gray-500 hover:text-gray-800 flex items-center gap-1">
+                <Link2 size={12} /> Client link
+              </button>
+              {linksFor === p.id && (
+                <div className="text-xs text-right space-y-1 max-w-[260px]">
+                  {newLinkUrl && (
+                    <input readOnly className="input text-xs" value={newLinkUrl} onFocus={e => e.target.select()} />
+                  )}
+                  {portalLinks.map(link => (
+                    <div key={link.id} className={link.active ? 'text-gray-600' : 'text-gray-400 line-through'}>
+                      Expires {new Date(link.expires_at).toLocaleDateString()}
+                      {link.last_viewed_at && <span> · viewed {new Date(link.last_viewed_at).toLocaleDateString()}</span>}
+                      {link.active && <button onClick={() => revokePortalLink(p.id, link)} className="ml-2 text-red-400 hover:text-red-600">Revoke</button>}
+                    </div>
+                  ))}
+                  <button onClick={() => createPortalLink(p.id)} className="text-blue-500 hover:text-blue-700">+ New link</button>
+                </div>
+              )}
+              <button onClick={() => toggleContracts(p.id)} className="text-xs text-gray-500 hover:text-gray-800 flex items-center gap-1">
+                <FileSignature size={12} /> Contract
+              </button>
+              {contractsFor === p.id && (
+                <div className="text-xs text-right space-y-1 max-w-[260px]">
+                  {projectContracts.length === 0 && <p className="text-gray-400">No contract yet.</p>}
+                  {projectContracts.map(c => (
+                    <div key={c.id} className={c.status === 'superseded' ? 'text-gray-400 line-through' : 'text-gray-600'}>
+                      <a href={contractsAPI.pdfUrl(c.id)} target="_blank" rel="noreferrer" className="hover:underline">{c.title}</a>
+                      {c.status === 'accepted' && (
+                        <span className="block text-green-600">
+                          Accepted by {c.accepted_by} · {new Date(c.accepted_at).toLocaleDateString()} ({c.accepted_via === 'portal' ? 'portal' : 'in person'})
+                        </span>
+                      )}
+                      {c.status === 'pending' && (
+                        <span className="block">
+                          Awaiting acceptance
+                          <button onClick={() => acceptInPerson(p.id, c)} className="ml-2 text-green-600 hover:text-green-800">Accept in person</button>
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                  <div className="flex gap-1 justify-end pt-1">
+                    <select className="input text-xs py-1" value={templateId} onChange={e => setTemplateId(e.target.value)}>
+                      {contractTemplates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                    </select>
+                    <button onClick={() => generateContract(p.id)} className="text-blue-500 hover:text-blue-700 whitespace-nowrap">+ Generate</button>
+                  </div>
+                </div>
+              )}
             </div>
 
           </div>
@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from 'react';
+import { FilePlus, Send, CheckCircle, Clock, Trash2, Plus, X } from 'lucide-react';
+import { quotesAPI, clientsAPI, packagesAPI } from '../api';
+
+const emptyItem = { description: '', quantity: 1, unit_price: '' };
+const emptyForm = {
+  client_id: '', package_id: '', event_type: 'Wedding', event_date: '', location: '',
+  valid_until: '', notes: '', items: []
+};
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  sent: 'bg-blue-100 text-blue-700',
+  accepted: 'bg-green-100 text-green-700',
+  expired: 'bg-red-100 text-red-700',
+};
+
+const formatMoney = (value) => `Rs. ${Number(value || 0).toLocaleString()}`;
+
+export default function QuotesPage() {
+  const [quotes, setQuotes] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [packages, setPackages] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const fetchQuotes = async () => {
+    try {
+      const res = await quotesAPI.getAll();
+      setQuotes(res.data);
+    } catch (error) { console.error("Error loading quotes", error); }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchQuotes();
+      try {
+        const [cRes, pRes] = await Promise.all([clientsAPI.getAll(), packagesAPI.getAll()]);
+        setClients(cRes.data);
+        setPackages(pRes.data);
+      } catch (error) { console.error("Error loading clients and packages", error); }
+    };
+    load();
+  }, []);
+
+  const selectedPackage = packages.find(p => String(p.id) === String(formData.package_id));
+  const itemsTotal = formData.items.reduce((sum, item) => sum + (Number(item.quantity) || 1) * Number(item.unit_price || 0), 0);
+  const formTotal = Number(selectedPackage?.price || 0) + itemsTotal;
+
+  const updateItem = (index, field, value) => {
+    const items = formData.items.map((item, i) => (i === index ? { ...item, [field]: value } : item));
+    setFormData({ ...formData, items });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await quotesAPI.create(formData);
+      setShowForm(false);
+      setFormData(emptyForm);
+      fetchQuotes();
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const changeStatus = async (quote, status) => {
+    try {
+      await quotesAPI.updateStatus(quote.id, { status });
+      fetchQuotes();
+    } catch (error) {
+      alert("❌ Update Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleAccept = async (quote) => {
+    if (!confirm(`Accept quote #${quote.id} for ${formatMoney(quote.price)} and create the project?`)) return;
+    try {
+      const res = await quotesAPI.accept(quote.id);
+      alert(`✅ Project #${res.data.project.id} created`);
+      fetchQuotes();
+    } catch (error) {
+      alert("❌ Accept Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm("Delete this quote?")) return;
+    try {
+      await quotesAPI.delete(id);
+      fetchQuotes();
+    } catch (error) {
+      alert("❌ Delete Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Quotes</h2>
+        <button onClick={() => setShowForm(!showForm)} className="btn btn-primary">
+          <FilePlus size={18} /> New Quote
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="card mb-8 border-l-4 border-[#ff1f1f]">
+          <h3 className="font-bold text-lg mb-4">New Quote</h3>
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <select className="input" value={formData.client_id} onChange={e => setFormData({...formData, client_id: e.target.value})} required>
+              <option value="">-- Choose Client --</option>
+              {clients.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <select className="input" value={formData.package_id} onChange={e => setFormData({...formData, package_id: e.target.value})}>
+              <option value="">-- No Package (items only) --</option>
+              {packages.map(p => <option key={p.id} value={p.id}>{p.name} ({formatMoney(p.price)})</option>)}
+            </select>
+            <input className="input" placeholder="Event Type" value={formData.event_type} onChange={e => setFormData({...formData, event_type: e.target.value})} />
+            <input type="date" className="input" value={formData.event_date} onChange={e => setFormData({...formData, event_date: e.target.value})} />
+            <input className="input" placeholder="Location" value={formData.location} onChange={e => setFormData({...formData, location: e.target.value})} />
+            <div>
+              <label className="label">Valid Until (defaults to 30 days)</label>
+              <input type="date" className="input" value={formData.valid_until} onChange={e => setFormData({...formData, valid_until: e.target.value})} />
+            </div>
+
+            {/* Custom line items on top of the package */}
+            <div className="md:col-span-2 space-y-2">
+              <label className="label">Extra Items</label>
+              {formData.items.map((item, i) => (
+                <div key={i} className="grid grid-cols-12 gap-2">
+                  <input className="input col-span-7" placeholder="Description" value={item.description} onChange={e => updateItem(i, 'description', e.target.value)} required />
+                  <input type="number" min="1" className="input col-span-1" value={item.quantity} onChange={e => updateItem(i, 'quantity', e.target.value)} />
+                  <input type="number" min="0" step="0.01" className="input col-span-3" placeholder="Unit Price" value={item.unit_price} onChange={e => updateItem(i, 'unit_price', e.target.value)} required />
+                  <button type="button" onClick={() => setFormData({...formData, items: formData.items.filter((_, j) => j !== i)})} className="text-gray-400 hover:text-red-600"><X size={16} /></button>
+                </div>
+              ))}
+              <button type="button" onClick={() => setFormData({...formData, items: [...formData.items, emptyItem]})} className="btn btn-secondary text-sm">
+                <Plus size={14} /> Add Item
+              </button>
+            </div>
+
+            <textarea className="input md:col-span-2" rows="2" placeholder="Notes" value={formData.notes} onChange={e => setFormData({...formData, notes: e.target.value})} />
+            <div className="md:col-span-2 flex justify-between items-center mt-2">
+              <span className="font-bold">Total: {formatMoney(formTotal)}</span>
+              <div className="flex gap-2">
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">Cancel</button>
+                <button type="submit" className="btn btn-primary">Save Draft</button>
+              </div>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 text-gray-500 border-b border-gray-100">
+            <tr>
+              <th className="px-4 py-3 font-medium">Quote</th>
+              <th className="px-4 py-3 font-medium">Client</th>
+              <th className="px-4 py-3 font-medium">Event</th>
+              <th className="px-4 py-3 font-medium">Valid Until</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+              <th className="px-4 py-3 text-right font-medium">Total</th>
+              <th className="px-4 py-3 text-right font-medium">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {quotes.length === 0 ? (
+              <tr><td colSpan="7" className="px-4 py-8 text-center text-gray-400">No quotes yet.</td></tr>
+            ) : (
+              quotes.map(q => (
+                <tr key={q.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3">
+                    #{q.id} <span className="text-gray-400">{q.package_name || 'Custom'}</span>
+                    {q.items.length > 0 && <div className="text-xs text-gray-400">+ {q.items.length} extra item(s)</div>}
+                  </td>
+                  <td className="px-4 py-3 font-medium text-gray-900">{q.client_name}</td>
+                  <td className="px-4 py-3 text-gray-600">{q.event_type} {q.event_date && `· ${q.event_date}`}</td>
+                  <td className="px-4 py-3 text-gray-600">{q.valid_until}</td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-1 rounded text-xs font-bold uppercase ${STATUS_STYLES[q.status] || STATUS_STYLES.draft}`}>{q.status}</span>
+                    {q.project_id && <div className="text-xs text-gray-400 mt-1">Project #{q.project_id}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-right font-medium">{formatMoney(q.price)}</td>
+                  <td className="px-4 py-3 text-right space-x-3 whitespace-nowrap">
+                    {q.status === 'draft' && (
+                      <button onClick={() => changeStatus(q, 'sent')} title="Mark as sent" className="text-blue-500 hover:text-blue-700"><Send size={16} /></button>
+                    )}
+                    {q.status === 'sent' && (
+                      <button onClick={() => handleAccept(q)} title="Accept & create project" className="text-green-600 hover:text-green-800"><CheckCircle size={16} /></button>
+                    )}
+                    {(q.status === 'draft' || q.status === 'sent') && (
+                      <button onClick={() => changeStatus(q, 'expired')} title="Mark as expired" className="text-gray-400 hover:text-gray-700"><Clock size={16} /></button>
+                    )}
+                    {q.status !== 'accepted' && (
+                      <button onClick={() => handleDelete(q.id)} title="Delete quote" className="text-red-400 hover:text-red-600"><Trash2 size={16} /></button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
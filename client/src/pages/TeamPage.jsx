@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { UserPlus, Phone, Mail, Pencil, Trash2, CalendarDays, Link2 } from 'lucide-react';
+import { calendarAPI } from '../api';
+
+const emptyForm = { name: '', role: 'Photographer', phone: '', email: '' };
+
+// How far ahead the availability view looks
+const AVAILABILITY_DAYS = 30;
+
+const formatDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export default function TeamPage() {
+  const [team, setTeam] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [availabilityFor, setAvailabilityFor] = useState(null);
+  const [availability, setAvailability] = useState(null);
+
+  const fetchTeam = async () => {
+    try {
+      const res = await axios.get('/api/team');
+      setTeam(res.data);
+    } catch (error) { console.error("Error loading team", error); }
+  };
+
+  useEffect(() => {
+    const load = async () => { await fetchTeam(); };
+    load();
+  }, []);
+
+  const openForm = (member = null) => {
+    setEditingId(member ? member.id : null);
+    setFormData(member
+      ? { name: member.name, role: member.role || '', phone: member.phone || '', email: member.email || '' }
+      : emptyForm);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        await axios.put(`/api/team/${editingId}`, formData);
+      } else {
+        await axios.post('/api/team', formData);
+      }
+      closeForm();
+      fetchTeam();
+    } catch (error) {
+      alert("❌ Save Failed: " + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const toggleAvailability = async (id) => {
+    if (availabilityFor === id) {
+      setAvailabilityFor(null);
+      return;
+    }
+    setAvailabilityFor(id);
+    setAvailability(null);
+
+    const today = new Date();
+    const until = new Date(today.getFullYear(), today.getMonth(), today.getDate() + AVAILABILITY_DAYS - 1);
+    try {
+      const res = await axios.get(`/api/team/${id}/availability`, {
+        params: { from: formatDate(today), to: formatDate(until) }
+      });
+      setAvailability(res.data);
+    } catch (error) { console.error("Error loading availability", error); }
+  };
+
+  // A feed of just this member's shoots, for their phone's calendar
+  const copyFeedUrl = async (member) => {
+    const url = calendarAPI.teamFeedUrl(member.id);
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(`✅ Calendar link for ${member.name} copied:\n${url}`);
+    } catch {
+      prompt(`Calendar link for ${member.name}:`, url);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if(!confirm("Remove this team member? They will be unassigned from all projects.")) return;
+    await axios.delete(`/api/team/${id}`);
+    fetchTeam();
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Team Members</h2>
+        <button onClick={() => (showForm ? closeForm() : openForm())} className="btn btn-primary"><UserPlus size={18} /> Add</button>
+      </div>
+
+      {showForm && (
+        <div className="card mb-8 border-l-4 border-[#ff1f1f]">
+          <h3 className="font-bold text-lg mb-4">{editingId ? "Edit Team Member" : "Add Team Member"}</h3>
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input className="input" placeholder="Name" value={formData.name} onChange={e => setFormData({...formData, name: e.target.value})} required />
+            <select className="input" value={formData.role} onChange={e => setFormData({...formData, role: e.target.value})}>
+              <option>Photographer</option><option>Videographer</option><option>Editor</option><option>Drone Operator</option><option>Assistant</option>
+            </select>
+            <input className="input" placeholder="Phone" value={formData.phone} onChange={e => setFormData({...formData, phone: e.target.value})} />
+            <input className="input" placeholder="Email" value={formData.email} onChange={e => setFormData({...formData, email: e.target.value})} />
+            <div className="md:col-span-2 flex justify-end gap-2 mt-2">
+              <button type="button" onClick={closeForm} className="btn btn-secondary">Cancel</button>
+              <button type="submit" className="btn btn-primary">Save</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <table className="w-full text-left">
+          <thead className="bg-gray-50 border-b border-gray-100">
+            <tr><th className="p-4">Name</th><th className="p-4">Role</th><th className="p-4">Contact</th><th className="p-4 text-right">Action</th></tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {team.length === 0 && (
+              <tr><td colSpan="4" className="p-8 text-center text-gray-400">No team members yet.</td></tr>
+            )}
+            {team.map(m => (
+              <React.Fragment key={m.id}>
+                <tr className="hover:bg-gray-50">
+                  <td className="p-4 font-bold">{m.name}</td>
+                  <td className="p-4 text-gray-600">{m.role}</td>
+                  <td className="p-4 text-gray-600 text-sm">
+                    {m.phone && <div className="flex items-center gap-2"><Phone size={14} /> {m.phone}</div>}
+                    {m.email && <div className="flex items-center gap-2"><Mail size={14} /> {m.email}</div>}
+                  </td>
+                  <td className="p-4 text-right space-x-3">
+                    <button onClick={() => toggleAvailability(m.id)} title={`Next ${AVAILABILITY_DAYS} days`} className="text-gray-400 hover:text-gray-700"><CalendarDays size={18} /></button>
+                    <button onClick={() => copyFeedUrl(m)} title="Copy calendar feed link" className="text-gray-400 hover:text-gray-700"><Link2 size={18} /></button>
+                    <button onClick={() => openForm(m)} className="text-gray-400 hover:text-gray-700"><Pencil size={18} /></button>
+                    <button onClick={() => handleDelete(m.id)} className="text-red-400 hover:text-red-600"><Trash2 size={18} /></button>
+                  </td>
+                </tr>
+                {availabilityFor === m.id && (
+                  <tr className="bg-gray-50">
+                    <td colSpan="4" className="px-4 pb-4 text-sm">
+                      {!availability ? (
+                        <span className="text-gray-400">Loading availability...</span>
+                      ) : (
+                        <>
+                          <p className="text-gray-500 mb-2">
+                            {availability.free.length} free / {availability.busy.length} busy days in the next {AVAILABILITY_DAYS} days
+                          </p>
+                          {availability.busy.map(day => (
+                            <div key={day.date} className="flex gap-3">
+                              <span className="font-medium w-28">{day.date}</span>
+                              <span className="text-gray-600">
+                                {day.projects.map(p => `#${p.id} ${p.client_name || ''} ${p.event_time || ''}`.trim()).join(', ')}
+                              </span>
+                            </div>
+                          ))}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -4,25 +4,32 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
-const sheets = require('./sheets');
+const storage = require('./storage');
+const workflow = require('./workflow');
+const pricing = require('./pricing');
+const ledger = require('./ledger');
+const scheduling = require('./scheduling');
+const reconcile = require('./reconcile');
 
 // ===========================================
 // 🔐 Environment Validation
 // ===========================================
 
+const STORAGE_CONFIG = storage.STORAGE_CONFIG;
+
 console.log('🔍 Environment Check:');
+console.log('   STORAGE_BACKEND:', STORAGE_CONFIG.backend);
+console.log('   DATABASE_URL exists:', !!process.env.DATABASE_URL);
 console.log('   SPREADSHEET_ID exists:', !!process.env.SPREADSHEET_ID);
 console.log('   GOOGLE_CREDENTIALS exists:', !!process.env.GOOGLE_CREDENTIALS);
 
-if (!process.env.SPREADSHEET_ID) {
-  console.error('❌ FATAL: SPREADSHEET_ID is not set!');
+const configError = storage.validateStorageConfig(STORAGE_CONFIG);
+if (configError) {
+  console.error(`❌ FATAL: ${configError}`);
   process.exit(1);
 }
 
-if (!process.env.GOOGLE_CREDENTIALS) {
-  console.error('❌ FATAL: GOOGLE_CREDENTIALS is not set!');
-  process.exit(1);
-}
+const store = storage.createStorage(STORAGE_CONFIG);
 
 // ===========================================
 // 🚀 Express Setup
@@ -41,12 +48,10 @@ app.use(morgan('dev'));
 // Health Check
 app.get('/api/health', async (req, res) => {
   try {
-    const clients = await sheets.getAllClients();
     res.json({
       status: 'healthy',
       service: 'FrameFlicker Studios API',
-      database: 'Google Sheets',
-      clientCount: clients.length,
+      ...(await store.health()),
     });
   } catch (err) {
     res.status(503).json({
@@ -56,13 +61,38 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// -----------------------------
+// 📊 DASHBOARD
+// -----------------------------
+
+app.get('/api/dashboard', async (req, res) => {
+  try {
+    const { from, to, status } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const stats = await store.dashboard({
+      from,
+      to,
+      statuses: status ? status.split(',').map(s => s.trim()).filter(Boolean) : [],
+    });
+    res.json(stats);
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Failed to fetch dashboard' });
+  }
+});
+
 // -----------------------------
 // 👥 CLIENTS
 // -----------------------------
 
 app.get('/api/clients', async (req, res) => {
   try {
-    const clients = await sheets.getAllClients();
+    const clients = await store.clients.list();
     res.json(clients);
   } catch (err) {
     console.error('Error:', err);
@@ -72,7 +102,7 @@ app.get('/api/clients', async (req, res) => {
 
 app.get('/api/clients/:id', async (req, res) => {
   try {
-    const client = await sheets.getClientById(req.params.id);
+    const client = await store.clients.get(req.params.id);
     if (!client) {
       return res.status(404).json({ error: 'Client not found' });
     }
@@ -85,10 +115,11 @@ app.get('/api/clients/:id', async (req, res) => {
 
 app.post('/api/clients', async (req, res) => {
   try {
-    if (!req.body.name) {
-      return res.status(400).json({ error: 'Name is required' });
+    const validationError = store.clients.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
-    const client = await sheets.createClient(req.body);
+    const client = await store.clients.create(req.body);
     res.status(201).json(client);
   } catch (err) {
     console.error('Error:', err);
@@ -98,7 +129,11 @@ app.post('/api/clients', async (req, res) => {
 
 app.put('/api/clients/:id', async (req, res) => {
   try {
-    const client = await sheets.updateClient(req.params.id, req.body);
+    const validationError = store.clients.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const client = await store.clients.update(req.params.id, req.body);
     if (!client) {
       return res.status(404).json({ error: 'Client not found' });
     }
@@ -111,7 +146,7 @@ app.put('/api/clients/:id', async (req, res) => {
 
 app.delete('/api/clients/:id', async (req, res) => {
   try {
-    const deleted = await sheets.deleteClient(req.params.id);
+    const deleted = await store.clients.remove(req.params.id);
     if (!deleted) {
       return res.status(404).json({ error: 'Client not found' });
     }
@@ -128,7 +163,7 @@ app.delete('/api/clients/:id', async (req, res) => {
 
 app.get('/api/packages', async (req, res) => {
   try {
-    const packages = await sheets.getAllPackages();
+    const packages = await store.packages.list();
     res.json(packages);
   } catch (err) {
     console.error('Error:', err);
@@ -138,7 +173,7 @@ app.get('/api/packages', async (req, res) => {
 
 app.get('/api/packages/:id', async (req, res) => {
   try {
-    const pkg = await sheets.getPackageById(req.params.id);
+    const pkg = await store.packages.get(req.params.id);
     if (!pkg) {
       return res.status(404).json({ error: 'Package not found' });
     }
@@ -151,10 +186,11 @@ app.get('/api/packages/:id', async (req, res) => {
 
 app.post('/api/packages', async (req, res) => {
   try {
-    if (!req.body.name || req.body.price === undefined) {
-      return res.status(400).json({ error: 'Name and price are required' });
+    const validationError = store.packages.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
-    const pkg = await sheets.createPackage(req.body);
+    const pkg = await store.packages.create(req.body);
     res.status(201).json(pkg);
   } catch (err) {
     console.error('Error:', err);
@@ -164,7 +200,11 @@ app.post('/api/packages', async (req, res) => {
 
 app.put('/api/packages/:id', async (req, res) => {
   try {
-    const pkg = await sheets.updatePackage(req.params.id, req.body);
+    const validationError = store.packages.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const pkg = await store.packages.update(req.params.id, req.body);
     if (!pkg) {
       return res.status(404).json({ error: 'Package not found' });
     }
@@ -177,7 +217,7 @@ app.put('/api/packages/:id', async (req, res) => {
 
 app.delete('/api/packages/:id', async (req, res) => {
   try {
-    const deleted = await sheets.deletePackage(req.params.id);
+    const deleted = await store.packages.remove(req.params.id);
     if (!deleted) {
       return res.status(404).json({ error: 'Package not found' });
     }
@@ -188,13 +228,206 @@ app.delete('/api/packages/:id', async (req, res) => {
   }
 });
 
+// -----------------------------
+// 🎥 TEAM
+// -----------------------------
+
+app.get('/api/team', async (req, res) => {
+  try {
+    const team = await store.team.list();
+    res.json(team);
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+app.get('/api/team/:id', async (req, res) => {
+  try {
+    const member = await store.team.get(req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+    res.json(member);
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Failed to fetch team member' });
+  }
+});
+
+app.post('/api/team', async (req, res) => {
+  try {
+    const validationError = store.team.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const member = await store.team.create(req.body);
+    res.status(201).json(member);
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Failed to create team member' });
+  }
+});
+
+app.put('/api/team/:id', async (req, res) => {
+  try {
+    const validationError = store.team.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const member = await store.team.update(req.params.id, req.body);
+    if (!member) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+    res.json(member);
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Failed to update team member' });
+  }
+});
+
+app.get('/api/team/:id/availability', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const rangeError = scheduling.validateRange(from, to);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const member = await store.team.get(req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    const projects = await store.projects.list({ team_member_id: member.id, from, to });
+    const bookings = projects
+      .map(p => ({
+        id: p.id,
+        event_date: p.event_date,
+        event_time: p.event_time || null,
+        event_type: p.event_type,
+        location: p.location,
+        status: p.status,
+        client_name: p.client_name,
+      }));
+
+    res.json({
+      team_member: member,
+      from,
+      to,
+      ...scheduling.getAvailability(from, to, bookings),
+    });
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+app.delete('/api/team/:id', async (req, res) => {
+  try {
+    const deleted = await store.team.remove(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+    res.json({ message: 'Team member deleted successfully' });
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Failed to delete team member' });
+  }
+});
+
 // -----------------------------
 // 📁 PROJECTS
 // -----------------------------
 
+// Checks that crew_ids is a list of existing team member IDs.
+// Returns the de-duplicated IDs, or null when the list is invalid.
+async function validateCrewIds(crewIds) {
+  if (!Array.isArray(crewIds)) return null;
+
+  const ids = [...new Set(crewIds.map(Number))];
+  const team = await store.team.list();
+  return ids.every(id => team.some(t => t.id === id)) ? ids : null;
+}
+
+// Looks for crew in `crewIds` already booked on another project that
+// overlaps the booking's event_date / event_time
+async function findCrewConflicts(booking, crewIds) {
+  if (!booking.event_date || crewIds.length === 0) return [];
+
+  const projects = await store.projects.list();
+  const packages = await store.packages.list();
+  const hoursFor = (packageId) => packages.find(p => p.id === Number(packageId))?.hours;
+
+  const crewBookings = projects.flatMap(p => p.crew.map(member => ({
+    project_id: p.id,
+    team_member_id: member.id,
+    team_member_name: member.name,
+    event_date: p.event_date,
+    event_time: p.event_time,
+    hours: hoursFor(p.package_id),
+    status: p.status,
+  })));
+
+  return scheduling.findCrewConflicts(
+    { ...booking, hours: hoursFor(booking.package_id) },
+    crewIds,
+    crewBookings
+  );
+}
+
+// What a project request may set directly. Price, deposit and balance come
+// from the pricing rules, and amount_paid from the payments ledger.
+const PROJECT_FIELDS = [
+  'client_id', 'package_id', 'event_type', 'event_date', 'event_time',
+  'location', 'drive_link', 'internal_path', 'revision_limit', 'notes',
+];
+
+function projectFields(body) {
+  return Object.fromEntries(
+    PROJECT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+}
+
+// Price, deposit and balance for a project being created (`existing` null)
+// or edited, from its package and any hand-set price / deposit_percent /
+// deposit_amount. Hand-set values stay until they're replaced or cleared.
+// { error } when they can't be worked out.
+async function priceProject(existing, body) {
+  const overrides = {
+    price: body.price,
+    deposit_percent: body.deposit_percent,
+    deposit_amount: body.deposit_amount,
+  };
+  const overrideError = pricing.validateOverrides(overrides);
+  if (overrideError) return { error: overrideError };
+
+  const packageId = body.package_id !== undefined ? body.package_id : existing?.package_id;
+  const pkg = packageId ? await store.packages.get(packageId) : null;
+  if (packageId && !pkg) return { error: 'Package not found' };
+
+  const handSet = pricing.activeOverrides(existing, overrides);
+  const priced = pricing.calculatePricing({
+    packagePrice: pkg?.price || 0,
+    amountPaid: existing?.amount_paid || 0,
+    overrides: handSet,
+  });
+
+  return {
+    price: priced.price,
+    subtotal: priced.subtotal,
+    deposit_percent: priced.deposit_percent,
+    deposit_amount: priced.deposit_amount,
+    price_override: handSet.price,
+    deposit_percent_override: handSet.deposit_percent,
+    deposit_amount_override: handSet.deposit_amount,
+  };
+}
+
 app.get('/api/projects', async (req, res) => {
   try {
-    const projects = await sheets.getAllProjects();
+    const projects = await store.projects.list();
     res.json(projects);
   } catch (err) {
     console.error('Error:', err);
@@ -204,7 +437,7 @@ app.get('/api/projects', async (req, res) => {
 
 app.get('/api/projects/:id', async (req, res) => {
   try {
-    const project = await sheets.getProjectById(req.params.id);
+    const project = await store.projects.get(req.params.id);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
@@ -217,7 +450,43 @@ app.get('/api/projects/:id', async (req, res) => {
 
 app.post('/api/projects', async (req, res) => {
   try {
-    const project = await sheets.createProject(req.body);
+    if (req.body.status && !workflow.isValidStatus(req.body.status)) {
+      return res.status(400).json({ error: `Unknown status "${req.body.status}"` });
+    }
+    // Starting further along would skip the workflow's guards, so later
+    // statuses go through the status endpoint
+    if (req.body.status && req.body.status !== workflow.INITIAL_STATUS) {
+      return res.status(409).json({
+        error: `A new project starts as ${workflow.INITIAL_STATUS}; use PATCH /api/projects/:id/status to move it on`,
+      });
+    }
+    const validationError = store.projects.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const crewIds = await validateCrewIds(req.body.crew_ids || []);
+    if (!crewIds) {
+      return res.status(400).json({ error: 'crew_ids must be a list of existing team member IDs' });
+    }
+    const priced = await priceProject(null, req.body);
+    if (priced.error) {
+      return res.status(400).json({ error: priced.error });
+    }
+
+    const fields = projectFields(req.body);
+    if (!req.body.override_conflicts) {
+      const conflicts = await findCrewConflicts(fields, crewIds);
+      if (conflicts.length > 0) {
+        return res.status(409).json(scheduling.conflictResponse(conflicts));
+      }
+    }
+
+    const project = await store.projects.create({
+      ...fields,
+      ...priced,
+      status: workflow.INITIAL_STATUS,
+      crew_ids: crewIds,
+    });
     res.status(201).json(project);
   } catch (err) {
     console.error('Error:', err);
@@ -227,7 +496,46 @@ app.post('/api/projects', async (req, res) => {
 
 app.put('/api/projects/:id', async (req, res) => {
   try {
-    const project = await sheets.updateProject(req.params.id, req.body);
+    const existing = await store.projects.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Status only moves through the workflow endpoint so every change is validated and logged
+    if (req.body.status !== undefined && existing.status !== req.body.status) {
+      return res.status(400).json({
+        error: "Use PATCH /api/projects/:id/status to change a project's status",
+      });
+    }
+
+    const validationError = store.projects.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const changes = projectFields(req.body);
+    if (req.body.crew_ids !== undefined) {
+      changes.crew_ids = await validateCrewIds(req.body.crew_ids);
+      if (!changes.crew_ids) {
+        return res.status(400).json({ error: 'crew_ids must be a list of existing team member IDs' });
+      }
+    }
+    const priced = await priceProject(existing, req.body);
+    if (priced.error) {
+      return res.status(400).json({ error: priced.error });
+    }
+
+    if (!req.body.override_conflicts) {
+      const conflicts = await findCrewConflicts(
+        { ...existing, ...changes },
+        changes.crew_ids || existing.crew.map(m => m.id)
+      );
+      if (conflicts.length > 0) {
+        return res.status(409).json(scheduling.conflictResponse(conflicts));
+      }
+    }
+
+    const project = await store.projects.update(req.params.id, { ...changes, ...priced });
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
@@ -238,9 +546,57 @@ app.put('/api/projects/:id', async (req, res) => {
   }
 });
 
+app.patch('/api/projects/:id/status', async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
+    if (!workflow.isValidStatus(status)) {
+      return res.status(400).json({ error: `Unknown status "${status}"` });
+    }
+
+    const project = await store.projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Contracts and deliverables only exist on Postgres, so their guards
+    // don't apply here
+    const transitionError = workflow.validateTransition(project, status);
+    if (transitionError) {
+      return res.status(409).json({
+        error: transitionError,
+        allowed: workflow.getAllowedTransitions(project.status),
+      });
+    }
+
+    const updated = await store.projects.setStatus(req.params.id, status, note);
+    res.json(updated);
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Failed to update project status' });
+  }
+});
+
+app.get('/api/projects/:id/status-history', async (req, res) => {
+  try {
+    const project = await store.projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    const history = await store.projects.statusHistory(req.params.id);
+    res.json(history);
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: 'Failed to fetch status history' });
+  }
+});
+
 app.delete('/api/projects/:id', async (req, res) => {
   try {
-    const deleted = await sheets.deleteProject(req.params.id);
+    const deleted = await store.projects.remove(req.params.id);
     if (!deleted) {
       return res.status(404).json({ error: 'Project not found' });
     }
@@ -257,7 +613,14 @@ app.delete('/api/projects/:id', async (req, res) => {
 
 app.get('/api/payments', async (req, res) => {
   try {
-    const payments = await sheets.getAllPayments(req.query.project_id);
+    const { project_id, client_id, method, entry_type, from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const payments = await store.payments.list({ project_id, client_id, method, entry_type, from, to });
     res.json(payments);
   } catch (err) {
     console.error('Error:', err);
@@ -267,10 +630,23 @@ app.get('/api/payments', async (req, res) => {
 
 app.post('/api/payments', async (req, res) => {
   try {
-    if (!req.body.project_id || !req.body.amount || !req.body.method) {
-      return res.status(400).json({ error: 'project_id, amount, and method are required' });
+    const { project_id, amount, method, reference, note } = req.body;
+
+    const validationError = store.payments.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    // Money going back is recorded as a refund or void of a payment
+    if (!(parseFloat(amount) > 0)) {
+      return res.status(400).json({ error: 'amount must be more than 0' });
+    }
+
+    const payment = await store.payments.create({
+      project_id, amount, method, reference, note, entry_type: 'payment',
+    });
+    if (!payment) {
+      return res.status(404).json({ error: 'Project not found' });
     }
-    const payment = await sheets.createPayment(req.body);
     res.status(201).json(payment);
   } catch (err) {
     console.error('Error:', err);
@@ -278,16 +654,80 @@ app.post('/api/payments', async (req, res) => {
   }
 });
 
-app.delete('/api/payments/:id', async (req, res) => {
+// Records a refund or void of a payment as a negative ledger entry.
+// A void reverses the whole payment; a refund gives back `amount` of it.
+async function recordReversal(req, res, type) {
   try {
-    const deleted = await sheets.deletePayment(req.params.id);
-    if (!deleted) {
-      return res.status(404).json({ error: 'Payment not found' });
-    }
-    res.json({ message: 'Payment deleted successfully' });
+    const { amount, reason, method, reference } = req.body;
+
+    const result = await store.transaction(async (tx) => {
+      // Lock the payment so two refunds can't both pass the amount check
+      const payment = await tx.payments.get(req.params.id, { forUpdate: true });
+      if (!payment) {
+        return { status: 404, body: { error: 'Payment not found' } };
+      }
+
+      const reversals = await tx.payments.list({
+        project_id: payment.project_id,
+        original_payment_id: payment.id,
+      });
+      const reversalError = ledger.validateReversal(payment, reversals, { type, amount, reason });
+      if (reversalError) {
+        return { status: 409, body: { error: reversalError } };
+      }
+
+      const entry = await tx.payments.create({
+        project_id: payment.project_id,
+        amount: -(type === 'void' ? payment.amount : parseFloat(amount)),
+        method: method || payment.method,
+        reference,
+        entry_type: type,
+        original_payment_id: payment.id,
+        reason: reason.trim(),
+      });
+      const project = await tx.projects.get(payment.project_id);
+      return { status: 201, body: { ...entry, project } };
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error:', err);
+    res.status(500).json({ error: `Failed to record ${type}` });
+  }
+}
+
+app.post('/api/payments/:id/refund', (req, res) => recordReversal(req, res, 'refund'));
+app.post('/api/payments/:id/void', (req, res) => recordReversal(req, res, 'void'));
+
+// Payments stay in the ledger; taking money back is a refund or void
+app.delete('/api/payments/:id', (req, res) => {
+  res.status(405).json({
+    error: "Payments can't be deleted. Use POST /api/payments/:id/void or /api/payments/:id/refund",
+  });
+});
+
+// -----------------------------
+// 🛠️ ADMIN
+// -----------------------------
+
+// When ADMIN_TOKEN is set, admin routes need it in the X-Admin-Token header
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (token && req.get('X-Admin-Token') !== token) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
+// Dry run unless { "apply": true } is sent
+app.post('/api/admin/reconcile', requireAdmin, async (req, res) => {
+  try {
+    const apply = req.body?.apply === true || req.query.apply === 'true';
+    const report = await reconcile.reconcileStorage(store, { apply });
+    res.json(report);
   } catch (err) {
     console.error('Error:', err);
-    res.status(500).json({ error: 'Failed to delete payment' });
+    res.status(500).json({ error: 'Failed to reconcile balances' });
   }
 });
 
@@ -311,15 +751,15 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 
 async function startServer() {
-  const connected = await sheets.initSheets();
+  const connected = await store.init();
   
   if (!connected) {
-    console.error('⚠️ Starting with Google Sheets issues');
+    console.error(`⚠️ Starting with ${store.label} issues`);
   }
   
   app.listen(PORT, () => {
     console.log(`🚀 FrameFlicker Studios API running on port ${PORT}`);
-    console.log(`📊 Using Google Sheets as database`);
+    console.log(`📊 Using ${store.label} as database`);
     console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
   });
 }
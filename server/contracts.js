@@ -0,0 +1,158 @@
+// server/contracts.js
+const crypto = require('crypto');
+
+// ===========================================
+// 📜 CONTRACT TEMPLATES
+// ===========================================
+
+// Templates are plain text with {{placeholders}} filled in from the
+// project, its client and its package. A rendered contract is a frozen copy:
+// later changes to the project don't touch a contract already sent out.
+const CONTRACT_STATUSES = ['pending', 'accepted', 'superseded'];
+const ACCEPTANCE_METHODS = ['portal', 'in_person'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Shown where a field has no value yet, so it can be filled in by hand
+const BLANK = '__________';
+
+const STUDIO_NAME = process.env.STUDIO_NAME || 'FrameFlicker Studios';
+
+function formatMoney(value) {
+  return `Rs. ${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) return String(value);
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' });
+}
+
+// Every placeholder a template may use: what it shows, and how to get it
+// from { project, client, package }
+const PLACEHOLDERS = {
+  'client.name': { label: 'Client name', value: ({ client }) => client.name },
+  'client.phone': { label: 'Client phone', value: ({ client }) => client.phone },
+  'client.email': { label: 'Client email', value: ({ client }) => client.email },
+  'client.address': { label: 'Client address', value: ({ client }) => client.address },
+  'project.id': { label: 'Project number', value: ({ project }) => project.id },
+  'project.event_type': { label: 'Event type', value: ({ project }) => project.event_type },
+  'project.event_date': { label: 'Event date', value: ({ project }) => formatDate(project.event_date) },
+  'project.event_time': { label: 'Event time', value: ({ project }) => project.event_time },
+  'project.location': { label: 'Location', value: ({ project }) => project.location },
+  'project.price': { label: 'Total price', value: ({ project }) => formatMoney(project.price) },
+  'project.deposit_percent': { label: 'Deposit %', value: ({ project }) => `${Number(project.deposit_percent || 0)}%` },
+  'project.deposit_amount': { label: 'Deposit amount', value: ({ project }) => formatMoney(project.deposit_amount) },
+  'project.balance_amount': { label: 'Balance due', value: ({ project }) => formatMoney(project.balance_amount) },
+  'project.revision_limit': { label: 'Free revisions', value: ({ project }) => project.revision_limit },
+  'package.name': { label: 'Package name', value: ({ package: pkg }) => pkg?.name },
+  'package.hours': { label: 'Package coverage', value: ({ package: pkg }) => pkg?.hours },
+  'package.deliverables': { label: 'Package deliverables', value: ({ package: pkg }) => pkg?.deliverables },
+  'studio.name': { label: 'Studio name', value: () => STUDIO_NAME },
+  'today': { label: "Today's date", value: () => formatDate(new Date()) },
+};
+
+// The template a new install starts with
+const DEFAULT_TEMPLATE = {
+  name: 'Wedding Photography Agreement',
+  body: `WEDDING PHOTOGRAPHY AGREEMENT
+
+This agreement is made on {{today}} between {{studio.name}} ("the Studio") and {{client.name}} ("the Client") for project #{{project.id}}.
+
+1. THE EVENT
+{{project.event_type}} on {{project.event_date}} at {{project.event_time}}, {{project.location}}.
+Package: {{package.name}} ({{package.hours}}).
+
+2. FEES AND DEPOSIT
+The total fee is {{project.price}}. A non-refundable deposit of {{project.deposit_percent}} ({{project.deposit_amount}}) secures the date. The balance of {{project.balance_amount}} is due before the final images are delivered.
+
+3. REVISIONS
+The fee includes {{project.revision_limit}} rounds of edits. Further revisions are billed as paid add-ons.
+
+4. DELIVERY
+The Studio will deliver: {{package.deliverables}}.
+
+5. CANCELLATION
+If the Client cancels, the deposit is kept by the Studio. Any other payments are refunded less costs already incurred.
+
+By accepting, the Client confirms they have read and agree to these terms.`,
+};
+
+// ===========================================
+// ✅ VALIDATION
+// ===========================================
+
+function placeholdersIn(body) {
+  return [...String(body || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+// Checks a template body. Returns an error message, or null when it's usable.
+function validateTemplate({ name, body }) {
+  if (!name || !String(name).trim()) return 'Template name is required';
+  if (!body || !String(body).trim()) return 'Template body is required';
+
+  const unknown = [...new Set(placeholdersIn(body).filter(key => !PLACEHOLDERS[key]))];
+  if (unknown.length > 0) {
+    return `Unknown placeholder(s): ${unknown.map(key => `{{${key}}}`).join(', ')}`;
+  }
+  return null;
+}
+
+// Checks an acceptance of `contract`. `version_hash` is the hash of the text
+// the client was shown, so a contract that changed in between can't be
+// accepted unseen. Returns an error message, or null.
+function checkAcceptance(contract, { accepted_by, version_hash }) {
+  if (contract.status === 'accepted') return 'This contract has already been accepted';
+  if (contract.status !== 'pending') return 'This contract has been replaced by a newer version';
+  if (!accepted_by || !String(accepted_by).trim()) return 'Type your full name to accept';
+  if (version_hash !== contract.content_hash) {
+    return 'This contract has changed since it was opened. Please review the latest version.';
+  }
+  return null;
+}
+
+function hasAcceptedContract(contracts = []) {
+  return contracts.some(contract => contract.status === 'accepted');
+}
+
+// ===========================================
+// 🖨️ RENDERING
+// ===========================================
+
+function renderContract(body, context) {
+  const data = { project: {}, client: {}, package: null, ...context };
+
+  return String(body).replace(PLACEHOLDER_PATTERN, (match, key) => {
+    const placeholder = PLACEHOLDERS[key];
+    if (!placeholder) return match;
+
+    const value = placeholder.value(data);
+    return value === null || value === undefined || value === '' ? BLANK : String(value);
+  });
+}
+
+// Fingerprint of the exact text the client agrees to
+function hashContract(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+function listPlaceholders() {
+  return Object.entries(PLACEHOLDERS).map(([key, { label }]) => ({ key, label }));
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  CONTRACT_STATUSES,
+  ACCEPTANCE_METHODS,
+  DEFAULT_TEMPLATE,
+  validateTemplate,
+  checkAcceptance,
+  hasAcceptedContract,
+  renderContract,
+  hashContract,
+  listPlaceholders,
+};
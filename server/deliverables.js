@@ -0,0 +1,62 @@
+// server/deliverables.js
+
+// ===========================================
+// 📦 DELIVERABLES
+// ===========================================
+
+// A package lists what the client gets ("300 edited photos", "1 highlight
+// video"). Each booking gets its own copy as a checklist, so later changes
+// to the package don't touch projects already booked.
+const DELIVERABLE_STATUSES = ['pending', 'in_progress', 'delivered'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "300 edited photos" reads better than "edited photos x300"
+function describeDeliverable(item) {
+  return item.quantity ? `${item.quantity} ${item.name}` : item.name;
+}
+
+// Checks a package's deliverables: [{ name, quantity, required }].
+// Returns an error message, or null when they're usable.
+function validateDeliverableItems(items) {
+  if (!Array.isArray(items)) return 'deliverable_items must be a list';
+
+  for (const item of items) {
+    if (!item || !item.name || !String(item.name).trim()) return 'Every deliverable needs a name';
+    if (item.quantity !== undefined && item.quantity !== null && item.quantity !== '' &&
+        !(parseInt(item.quantity) > 0)) {
+      return 'Deliverable quantity must be at least 1';
+    }
+  }
+  return null;
+}
+
+// Checks a change to one project deliverable.
+// Returns an error message, or null when it's usable.
+function validateDeliverableUpdate({ name, status, delivered_on }) {
+  if (name !== undefined && !String(name || '').trim()) return 'name cannot be empty';
+  if (status !== undefined && !DELIVERABLE_STATUSES.includes(status)) {
+    return `status must be one of ${DELIVERABLE_STATUSES.join(', ')}`;
+  }
+  if (delivered_on && !DATE_PATTERN.test(delivered_on)) {
+    return 'delivered_on must be a date in YYYY-MM-DD format';
+  }
+  return null;
+}
+
+// Required items on a project checklist that haven't been delivered yet
+function outstandingRequired(checklist) {
+  return checklist.filter(item => item.required && item.status !== 'delivered');
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  DELIVERABLE_STATUSES,
+  describeDeliverable,
+  validateDeliverableItems,
+  validateDeliverableUpdate,
+  outstandingRequired,
+};
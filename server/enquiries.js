@@ -0,0 +1,108 @@
+// server/enquiries.js
+
+// ===========================================
+// 📨 PUBLIC ENQUIRIES
+// ===========================================
+
+// The enquiry form is public, so everything in it is checked here before
+// it gets near the database, and bots are kept out two ways: a honeypot
+// field people never see, and a per-IP rate limit.
+
+// Hidden field on the form. A person leaves it empty; a bot filling in
+// every input doesn't.
+const HONEYPOT_FIELD = 'website';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Local and international forms of a number (077 123 4567, +94 77 123 4567)
+// share their last nine digits
+const PHONE_MATCH_DIGITS = 9;
+
+const MAX_LENGTHS = {
+  name: 100,
+  phone: 30,
+  email: 200,
+  event_type: 50,
+  location: 200,
+  message: 2000,
+};
+
+// ===========================================
+// 🧹 NORMALISING
+// ===========================================
+
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return value || null;
+}
+
+// The digits used to match a phone number against existing clients
+function phoneMatchKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-PHONE_MATCH_DIGITS) : null;
+}
+
+function isSpam(body) {
+  return Boolean(body && body[HONEYPOT_FIELD]);
+}
+
+// Checks an enquiry. Returns an error message, or null when it's usable.
+function validateEnquiry(body) {
+  if (!body.name || !String(body.name).trim()) return 'Please tell us your name';
+  if (!body.phone && !body.email) return 'Please give us a phone number or email address';
+  if (body.phone && !phoneMatchKey(body.phone)) return 'That phone number doesn\'t look right';
+  if (body.email && !EMAIL_PATTERN.test(String(body.email).trim())) return 'That email address doesn\'t look right';
+  if (body.event_date && !DATE_PATTERN.test(body.event_date)) return 'event_date must be a date in YYYY-MM-DD format';
+
+  for (const [field, max] of Object.entries(MAX_LENGTHS)) {
+    if (body[field] && String(body[field]).length > max) return `${field} is too long`;
+  }
+  return null;
+}
+
+// ===========================================
+// 🚦 RATE LIMIT
+// ===========================================
+
+// Fixed-window limit per IP, kept in memory. That's enough for one server
+// process; hits reset when it restarts.
+function createRateLimiter({
+  windowMs = (parseInt(process.env.ENQUIRY_RATE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max = parseInt(process.env.ENQUIRY_RATE_LIMIT) || 5,
+} = {}) {
+  const hits = new Map();
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    const key = req.ip;
+
+    // Drop windows that are over so the map doesn't grow forever
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+
+    const entry = hits.get(key) || { count: 0, resetAt: now + windowMs };
+    entry.count += 1;
+    hits.set(key, entry);
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: 'Too many enquiries from this address. Please try again later.' });
+    }
+    next();
+  };
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  HONEYPOT_FIELD,
+  normalizeEmail,
+  phoneMatchKey,
+  isSpam,
+  validateEnquiry,
+  createRateLimiter,
+};
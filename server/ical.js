@@ -0,0 +1,312 @@
+// server/ical.js
+const scheduling = require('./scheduling');
+
+// ===========================================
+// 📆 ICALENDAR (ICS) FEEDS & IMPORT
+// ===========================================
+
+// Bookings as iCalendar (RFC 5545) so phones and desktop calendars can
+// subscribe to them. Every event's UID is built from the row's id, never
+// from its contents, so a changed booking replaces the copy a calendar
+// already has instead of appearing twice.
+const STUDIO_NAME = process.env.STUDIO_NAME || 'FrameFlicker Studios';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'frameflicker';
+
+// Times are written as the studio's local wall-clock time; X-WR-TIMEZONE
+// tells subscribing calendars which zone that is
+const STUDIO_TIMEZONE = process.env.STUDIO_TIMEZONE || 'Asia/Colombo';
+
+// What an imported file's events become
+const IMPORT_MODES = ['tentative', 'blocked'];
+
+// Event STATUS for each project status
+const EVENT_STATUSES = {
+  New: 'TENTATIVE',
+  Cancelled: 'CANCELLED',
+};
+
+const OWN_UID_PATTERN = new RegExp(`^(project|blocked)-\\d+@${UID_DOMAIN.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`);
+
+// ===========================================
+// 🧮 HELPER FUNCTIONS
+// ===========================================
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Lines longer than 75 bytes continue on the next line after a space.
+// Splits between characters, never inside a multi-byte one.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// "2025-06-01", "14:30" -> "20250601T143000"; without a time -> "20250601"
+function formatDateTime(date, time) {
+  const day = date.replace(/-/g, '');
+  return time ? `${day}T${time.replace(':', '')}00` : day;
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// ===========================================
+// 📤 BUILDING FEEDS
+// ===========================================
+
+// A project as a calendar event: { uid, summary, description, location,
+// status, start_date, start_time, end_date, end_time, all_day }.
+// `project` is a row with client_name, client_phone, package_name, hours
+// and crew ([{ name, role }]).
+function projectToEvent(project) {
+  const { all_day, start_time, end_time } = scheduling.toCalendarEvent(project);
+  const crew = project.crew || [];
+
+  // A booking running to midnight ends at 00:00 the next day
+  const endsAtMidnight = end_time === '24:00';
+
+  return {
+    uid: `project-${project.id}@${UID_DOMAIN}`,
+    summary: [project.event_type || 'Booking', project.client_name].filter(Boolean).join(' - '),
+    location: project.location || null,
+    description: [
+      `Project #${project.id} (${project.status || 'New'})`,
+      project.client_name && `Client: ${project.client_name}${project.client_phone ? ` (${project.client_phone})` : ''}`,
+      project.package_name && `Package: ${project.package_name}`,
+      crew.length > 0 && `Crew: ${crew.map(m => (m.role ? `${m.name} (${m.role})` : m.name)).join(', ')}`,
+    ].filter(Boolean).join('\n'),
+    status: EVENT_STATUSES[project.status] || 'CONFIRMED',
+    all_day,
+    start_date: project.event_date,
+    start_time,
+    end_date: all_day ? project.event_date : endsAtMidnight ? addDays(project.event_date, 1) : project.event_date,
+    end_time: endsAtMidnight ? '00:00' : end_time,
+  };
+}
+
+// A blocked date range as an all-day event
+function blockedDateToEvent(block) {
+  return {
+    uid: `blocked-${block.id}@${UID_DOMAIN}`,
+    summary: `Blocked${block.reason ? `: ${block.reason}` : ''}`,
+    location: null,
+    description: block.reason || null,
+    status: 'CONFIRMED',
+    all_day: true,
+    start_date: block.start_date,
+    start_time: null,
+    end_date: block.end_date || block.start_date,
+    end_time: null,
+  };
+}
+
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+  ];
+
+  if (event.all_day) {
+    // An all-day DTEND is the day after the last day
+    lines.push(`DTSTART;VALUE=DATE:${formatDateTime(event.start_date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDateTime(addDays(event.end_date, 1))}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start_date, event.start_time)}`);
+    lines.push(`DTEND:${formatDateTime(event.end_date, event.end_time)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  lines.push(`STATUS:${event.status}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// A complete VCALENDAR document. Events without a valid date are left out.
+function buildCalendar({ name, events, now = new Date() }) {
+  const stamp = formatTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(STUDIO_NAME)}//Bookings//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${STUDIO_TIMEZONE}`,
+  ];
+
+  for (const event of events) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(event.start_date || '')) continue;
+    lines.push(...eventLines(event, stamp));
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// ===========================================
+// 📥 IMPORTING
+// ===========================================
+
+// "NAME;PARAM=x:value" -> { name, params, value }
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// A DTSTART/DTEND value as the studio's local { date, time }. UTC times
+// ("...Z") are converted; times with a TZID are taken as written.
+function parseDateValue({ value, params }) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  if (params.VALUE === 'DATE' || hour === undefined) {
+    return { date: `${year}-${month}-${day}`, time: null };
+  }
+
+  if (utc) {
+    const instant = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone: STUDIO_TIMEZONE,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+      }).formatToParts(instant).map(part => [part.type, part.value])
+    );
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+  }
+
+  return { date: `${year}-${month}-${day}`, time: `${hour}:${minute}` };
+}
+
+// The events in an .ics file: [{ uid, summary, description, location,
+// status, all_day, start_date, start_time, end_date }]. end_date is the
+// last day the event covers. Events without a UID or start are dropped.
+function parseCalendar(text) {
+  const lines = String(text || '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/);
+
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current?.uid && current.start) {
+        const { start, end } = current;
+        const allDay = start.time === null;
+        // All-day DTEND is exclusive: the event ends the day before it
+        const endDate = end
+          ? (allDay && end.date > start.date ? addDays(end.date, -1) : end.date)
+          : start.date;
+
+        events.push({
+          uid: current.uid,
+          summary: current.summary || null,
+          description: current.description || null,
+          location: current.location || null,
+          status: current.status || 'CONFIRMED',
+          all_day: allDay,
+          start_date: start.date,
+          start_time: start.time,
+          end_date: endDate < start.date ? start.date : endDate,
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const property = parseLine(line);
+    if (!property) continue;
+
+    switch (property.name) {
+      case 'UID': current.uid = property.value.trim(); break;
+      case 'SUMMARY': current.summary = unescapeText(property.value).trim(); break;
+      case 'DESCRIPTION': current.description = unescapeText(property.value).trim(); break;
+      case 'LOCATION': current.location = unescapeText(property.value).trim(); break;
+      case 'STATUS': current.status = property.value.trim().toUpperCase(); break;
+      case 'DTSTART': current.start = parseDateValue(property); break;
+      case 'DTEND': current.end = parseDateValue(property); break;
+    }
+  }
+
+  return events;
+}
+
+// True for UIDs this server wrote into its own feeds, so re-importing our
+// own export doesn't copy bookings onto themselves
+function isOwnUid(uid) {
+  return OWN_UID_PATTERN.test(uid);
+}
+
+// Checks an import request. Returns an error message, or null.
+function validateImport({ ics, mode }) {
+  if (!IMPORT_MODES.includes(mode)) return `mode must be one of ${IMPORT_MODES.join(', ')}`;
+  if (!ics || !String(ics).includes('BEGIN:VCALENDAR')) return 'ics must be the contents of an iCalendar (.ics) file';
+  return null;
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  IMPORT_MODES,
+  projectToEvent,
+  blockedDateToEvent,
+  buildCalendar,
+  parseCalendar,
+  isOwnUid,
+  validateImport,
+};
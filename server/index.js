@@ -5,6 +5,25 @@ const express = require("express");
 const cors = require("cors");
 const morgan = require("morgan");
 const { Pool } = require("pg");
+const workflow = require("./workflow");
+const scheduling = require("./scheduling");
+const pdf = require("./pdf");
+const quotes = require("./quotes");
+const pricing = require("./pricing");
+const ledger = require("./ledger");
+const reconcile = require("./reconcile");
+const installments = require("./installments");
+const revisions = require("./revisions");
+const deliverables = require("./deliverables");
+const portal = require("./portal");
+const enquiries = require("./enquiries");
+const leads = require("./leads");
+const contracts = require("./contracts");
+const notifications = require("./notifications");
+const messaging = require("./messaging");
+const jobs = require("./jobs");
+const ical = require("./ical");
+const storage = require("./storage");
 
 // ===========================================
 // 🔐 Environment Variable Validation
@@ -14,6 +33,7 @@ const DATABASE_URL = process.env.DATABASE_URL;
 // Debug: Log environment check (remove in production later)
 console.log("🔍 Environment Check:");
 console.log("   NODE_ENV:", process.env.NODE_ENV || "not set");
+console.log("   STORAGE_BACKEND:", storage.STORAGE_CONFIG.backend);
 console.log("   DATABASE_URL exists:", !!DATABASE_URL);
 console.log("   DATABASE_URL length:", DATABASE_URL ? DATABASE_URL.length : 0);
 
@@ -31,6 +51,17 @@ if (!DATABASE_URL.startsWith("postgres://") && !DATABASE_URL.startsWith("postgre
   process.exit(1);
 }
 
+// Clients, packages, team, projects and payments go through the storage
+// repository (see storage/), like every route in the lightweight API in
+// index.js. Pricing, installments, revisions, contracts and the rest are kept
+// next to them in tables only Postgres has, so this server can't run on the
+// other backends: those are served by index.js.
+if (storage.STORAGE_CONFIG.backend !== "postgres") {
+  console.error(`❌ FATAL: STORAGE_BACKEND is "${storage.STORAGE_CONFIG.backend}", but this server needs PostgreSQL.`);
+  console.error("   Unset STORAGE_BACKEND (or set it to postgres), or run index.js for Google Sheets / SQLite.");
+  process.exit(1);
+}
+
 // ===========================================
 // 🗄️ Database Connection Pool
 // ===========================================
@@ -50,6 +81,8 @@ pool.on("error", (err) => {
   console.error("❌ Unexpected database pool error:", err.message);
 });
 
+const store = storage.createStorage(storage.STORAGE_CONFIG, { pool });
+
 // ===========================================
 // 🏗️ Database Initialization
 // ===========================================
@@ -132,6 +165,504 @@ async function initDb() {
     `);
     console.log("   ✓ payments table ready");
 
+    // 5. Project Status History Table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_status_history (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        note TEXT,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ project_status_history table ready");
+
+    // 6. Team Table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS team (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        role TEXT,
+        phone TEXT,
+        email TEXT
+      );
+    `);
+    console.log("   ✓ team table ready");
+
+    // 7. Project Team Table (crew assigned to each project)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_team (
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        team_member_id INTEGER REFERENCES team(id) ON DELETE CASCADE,
+        PRIMARY KEY (project_id, team_member_id)
+      );
+    `);
+    console.log("   ✓ project_team table ready");
+
+    // 8. Document Sequences Table (gap-free invoice / receipt counters)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_sequences (
+        doc_type TEXT PRIMARY KEY,
+        last_number INTEGER NOT NULL DEFAULT 0
+      );
+    `);
+    console.log("   ✓ document_sequences table ready");
+
+    // 9. Invoices Table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id SERIAL PRIMARY KEY,
+        invoice_number TEXT UNIQUE NOT NULL,
+        project_id INTEGER UNIQUE REFERENCES projects(id) ON DELETE SET NULL,
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ invoices table ready");
+
+    // 10. Receipts Table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS receipts (
+        id SERIAL PRIMARY KEY,
+        receipt_number TEXT UNIQUE NOT NULL,
+        payment_id INTEGER UNIQUE REFERENCES payments(id) ON DELETE SET NULL,
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ receipts table ready");
+
+    // 11. Quotes Table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS quotes (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+        package_id INTEGER REFERENCES packages(id) ON DELETE SET NULL,
+        event_type TEXT,
+        event_date TEXT,
+        location TEXT,
+        package_price DECIMAL(10, 2) DEFAULT 0,
+        price DECIMAL(10, 2) NOT NULL,
+        deposit_percent DECIMAL(5, 2) NOT NULL,
+        valid_until TEXT,
+        status TEXT DEFAULT 'draft',
+        notes TEXT,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ quotes table ready");
+
+    // 12. Quote Items Table (custom lines on top of the package)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS quote_items (
+        id SERIAL PRIMARY KEY,
+        quote_id INTEGER REFERENCES quotes(id) ON DELETE CASCADE,
+        description TEXT NOT NULL,
+        quantity INTEGER DEFAULT 1,
+        unit_price DECIMAL(10, 2) NOT NULL
+      );
+    `);
+    console.log("   ✓ quote_items table ready");
+
+    // 13. Pricing Overrides Table (hand-set values that replaced the pricing rules)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS pricing_overrides (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        field TEXT NOT NULL,
+        computed_value DECIMAL(10, 2),
+        override_value DECIMAL(10, 2),
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ pricing_overrides table ready");
+
+    // 14. Add-ons Table (extras sold on top of a package)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS addons (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        category TEXT,
+        price DECIMAL(10, 2) NOT NULL,
+        description TEXT
+      );
+    `);
+    console.log("   ✓ addons table ready");
+
+    // 15. Project Line Items Table (price copied so catalog changes don't reprice old bookings)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_line_items (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        addon_id INTEGER REFERENCES addons(id) ON DELETE SET NULL,
+        description TEXT NOT NULL,
+        quantity INTEGER DEFAULT 1,
+        unit_price DECIMAL(10, 2) NOT NULL
+      );
+    `);
+    console.log("   ✓ project_line_items table ready");
+
+    // 16. Discounts Table (promo codes and loyalty discounts)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS discounts (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        code TEXT UNIQUE,
+        type TEXT NOT NULL,
+        value DECIMAL(10, 2) NOT NULL,
+        valid_from TEXT,
+        valid_until TEXT,
+        usage_limit INTEGER,
+        times_used INTEGER DEFAULT 0,
+        active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ discounts table ready");
+
+    // 17. Tax Rates Table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tax_rates (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        rate DECIMAL(5, 2) NOT NULL
+      );
+    `);
+    console.log("   ✓ tax_rates table ready");
+
+    // Discount and tax columns on projects (price = subtotal - discount + tax)
+    await client.query(`
+      ALTER TABLE projects
+        ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10, 2),
+        ADD COLUMN IF NOT EXISTS discount_id INTEGER REFERENCES discounts(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS tax_rate_id INTEGER REFERENCES tax_rates(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2) DEFAULT 0;
+    `);
+    console.log("   ✓ projects discount/tax columns ready");
+
+    // Hand-set pricing values a project keeps until they're cleared (null
+    // when the pricing rules apply)
+    const overrideColumns = await client.query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_name = 'projects' AND column_name = 'price_override'`
+    );
+    await client.query(`
+      ALTER TABLE projects
+        ADD COLUMN IF NOT EXISTS price_override DECIMAL(10, 2),
+        ADD COLUMN IF NOT EXISTS deposit_percent_override DECIMAL(5, 2),
+        ADD COLUMN IF NOT EXISTS deposit_amount_override DECIMAL(10, 2);
+    `);
+    // Projects priced by hand before the columns existed keep the latest
+    // logged override of each field, where they still carry that value
+    if (overrideColumns.rows.length === 0) {
+      const storedValues = {
+        price: "COALESCE(p.subtotal, p.price)",
+        deposit_percent: "p.deposit_percent",
+        deposit_amount: "p.deposit_amount",
+      };
+      for (const [field, storedValue] of Object.entries(storedValues)) {
+        await client.query(
+          `UPDATE projects p SET ${field}_override = o.override_value
+           FROM (
+             SELECT DISTINCT ON (project_id) project_id, override_value
+             FROM pricing_overrides WHERE field = $1
+             ORDER BY project_id, created_at DESC, id DESC
+           ) o
+           WHERE o.project_id = p.id AND o.override_value = ${storedValue}`,
+          [field]
+        );
+      }
+    }
+    console.log("   ✓ projects pricing override columns ready");
+
+    // Ledger columns on payments: refunds and voids are negative entries
+    // pointing back at the payment they reverse
+    await client.query(`
+      ALTER TABLE payments
+        ADD COLUMN IF NOT EXISTS entry_type TEXT DEFAULT 'payment',
+        ADD COLUMN IF NOT EXISTS original_payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS reason TEXT;
+    `);
+    console.log("   ✓ payments ledger columns ready");
+
+    // 18. Project Installments Table (payment schedule; amount_paid/status follow the ledger)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_installments (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        amount DECIMAL(10, 2) NOT NULL,
+        due_date TEXT NOT NULL,
+        note TEXT,
+        amount_paid DECIMAL(10, 2) DEFAULT 0,
+        status TEXT DEFAULT 'pending',
+        late_fee DECIMAL(10, 2) DEFAULT 0,
+        late_fee_charged_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ project_installments table ready");
+
+    // Late fees charged on installments are owed on top of the price
+    await client.query(`
+      ALTER TABLE projects
+        ADD COLUMN IF NOT EXISTS late_fees DECIMAL(10, 2) DEFAULT 0;
+    `);
+    console.log("   ✓ projects late fee column ready");
+
+    // 19. Project Revisions Table (revisions_used on projects is the count of these)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_revisions (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        request_text TEXT NOT NULL,
+        requested_on TEXT NOT NULL,
+        editor_id INTEGER REFERENCES team(id) ON DELETE SET NULL,
+        status TEXT DEFAULT 'open',
+        resolution TEXT,
+        resolved_at TIMESTAMP,
+        billable BOOLEAN DEFAULT false,
+        line_item_id INTEGER REFERENCES project_line_items(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ project_revisions table ready");
+
+    // 20. Package Deliverables Table (what a package promises, e.g. "300 edited photos")
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS package_deliverables (
+        id SERIAL PRIMARY KEY,
+        package_id INTEGER REFERENCES packages(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        quantity INTEGER,
+        required BOOLEAN DEFAULT true,
+        sort_order INTEGER DEFAULT 0
+      );
+    `);
+    console.log("   ✓ package_deliverables table ready");
+
+    // 21. Project Deliverables Table (per-booking checklist copied from the package)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_deliverables (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        package_deliverable_id INTEGER REFERENCES package_deliverables(id) ON DELETE SET NULL,
+        name TEXT NOT NULL,
+        quantity INTEGER,
+        required BOOLEAN DEFAULT true,
+        sort_order INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'pending',
+        delivery_link TEXT,
+        delivered_on TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ project_deliverables table ready");
+
+    // 22. Portal Links Table (only a hash of each token is kept)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS portal_links (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        last_viewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ portal_links table ready");
+
+    // 23. Leads Table (enquiries until they book or are lost)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS leads (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        phone TEXT,
+        email TEXT,
+        source TEXT NOT NULL,
+        stage TEXT DEFAULT 'new',
+        event_type TEXT,
+        event_date TEXT,
+        location TEXT,
+        package_id INTEGER REFERENCES packages(id) ON DELETE SET NULL,
+        follow_up_date TEXT,
+        lost_reason TEXT,
+        notes TEXT,
+        client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        converted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    // The price agreed with the lead, kept as the project's price on convert
+    await client.query(`
+      ALTER TABLE leads
+        ADD COLUMN IF NOT EXISTS quoted_price DECIMAL(10, 2);
+    `);
+    console.log("   ✓ leads table ready");
+
+    // 24. Contract Templates Table (plain text with {{placeholders}})
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contract_templates (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    const templateCount = await client.query("SELECT COUNT(*)::int AS count FROM contract_templates");
+    if (templateCount.rows[0].count === 0) {
+      await client.query(
+        "INSERT INTO contract_templates (name, body) VALUES ($1, $2)",
+        [contracts.DEFAULT_TEMPLATE.name, contracts.DEFAULT_TEMPLATE.body]
+      );
+    }
+    console.log("   ✓ contract_templates table ready");
+
+    // 25. Project Contracts Table (rendered copies and how they were accepted)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS project_contracts (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+        template_id INTEGER REFERENCES contract_templates(id) ON DELETE SET NULL,
+        title TEXT NOT NULL,
+        body TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        accepted_by TEXT,
+        accepted_at TIMESTAMP,
+        accepted_ip TEXT,
+        accepted_via TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ project_contracts table ready");
+
+    // 26. Notification Templates Table (one per event and channel)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_templates (
+        id SERIAL PRIMARY KEY,
+        event TEXT NOT NULL,
+        channel TEXT NOT NULL DEFAULT 'email',
+        subject TEXT,
+        body TEXT NOT NULL,
+        active BOOLEAN DEFAULT TRUE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (event, channel)
+      );
+    `);
+    for (const [channel, templates] of Object.entries(notifications.DEFAULT_TEMPLATES)) {
+      for (const [event, template] of Object.entries(templates)) {
+        await client.query(
+          `INSERT INTO notification_templates (event, channel, subject, body)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (event, channel) DO NOTHING`,
+          [event, channel, template.subject || null, template.body]
+        );
+      }
+    }
+    console.log("   ✓ notification_templates table ready");
+
+    // 27. Notifications Table (log of every message sent, skipped or failed)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL,
+        event TEXT NOT NULL,
+        channel TEXT NOT NULL DEFAULT 'email',
+        recipient TEXT,
+        subject TEXT,
+        body TEXT,
+        status TEXT NOT NULL,
+        error TEXT,
+        provider_message_id TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ notifications table ready");
+
+    // Clients can opt out of SMS/WhatsApp messages
+    await client.query(`
+      ALTER TABLE clients
+        ADD COLUMN IF NOT EXISTS messaging_opt_out BOOLEAN DEFAULT FALSE;
+    `);
+    console.log("   ✓ clients messaging opt-out column ready");
+
+    // 28. Jobs Table (queued background work, one row per run key)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        job_type TEXT NOT NULL,
+        run_key TEXT NOT NULL,
+        payload JSONB DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (job_type, run_key)
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS jobs_due_idx ON jobs (status, run_at);
+    `);
+    console.log("   ✓ jobs table ready");
+
+    // 29. Job Runs Table (history of every attempt)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER REFERENCES jobs(id) ON DELETE CASCADE,
+        attempt INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        result JSONB,
+        error TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+    `);
+    console.log("   ✓ job_runs table ready");
+
+    // Notifications remember the job that sent them and, for crew
+    // briefings, the crew member they went to
+    await client.query(`
+      ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS team_member_id INTEGER REFERENCES team(id) ON DELETE SET NULL;
+    `);
+    console.log("   ✓ notifications job and crew columns ready");
+
+    // 30. Blocked Dates Table (days the studio can't take bookings)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS blocked_dates (
+        id SERIAL PRIMARY KEY,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        reason TEXT,
+        ics_uid TEXT UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("   ✓ blocked_dates table ready");
+
+    // Bookings imported from an .ics file remember the event's UID, so a
+    // second import updates them instead of duplicating them
+    await client.query(`
+      ALTER TABLE projects
+        ADD COLUMN IF NOT EXISTS ics_uid TEXT;
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS projects_ics_uid_idx ON projects (ics_uid);
+    `);
+    console.log("   ✓ projects ics_uid column ready");
+
     console.log("✅ All database tables initialized successfully!");
     return true;
 
@@ -162,6 +693,10 @@ async function initDb() {
 // ===========================================
 const app = express();
 
+// Render puts one proxy in front of the app; trusting it makes req.ip the
+// visitor's address, which the enquiry rate limit goes by
+app.set("trust proxy", 1);
+
 // CORS Configuration
 const corsOptions = {
   origin: process.env.FRONTEND_URL || "*", // Set FRONTEND_URL in production
@@ -197,15 +732,58 @@ app.get("/api/health", async (req, res) => {
   }
 });
 
+// -----------------------------
+// 📊 DASHBOARD ROUTES
+// -----------------------------
+app.get("/api/dashboard", async (req, res) => {
+  try {
+    const { from, to, status } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: "from and to must be dates in YYYY-MM-DD format" });
+    }
+
+    const [stats, overdue] = await Promise.all([
+      store.dashboard({
+        from,
+        to,
+        statuses: status ? status.split(",").map((s) => s.trim()).filter(Boolean) : [],
+      }),
+      // Late installments as of today, whatever the filters
+      pool.query(
+        `SELECT
+          COUNT(*)::int AS overdue_installments,
+          COUNT(DISTINCT p.client_id)::int AS late_clients,
+          COALESCE(SUM(i.amount + i.late_fee - i.amount_paid), 0) AS overdue_amount
+        FROM project_installments i
+        JOIN projects p ON i.project_id = p.id
+        WHERE i.status <> 'paid' AND i.due_date < $1 AND p.status <> 'Cancelled'`,
+        [new Date().toISOString().slice(0, 10)]
+      ),
+    ]);
+
+    res.json({
+      ...stats,
+      overdue: {
+        installments: overdue.rows[0].overdue_installments,
+        clients: overdue.rows[0].late_clients,
+        amount: Number(overdue.rows[0].overdue_amount),
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching dashboard:", err);
+    res.status(500).json({ error: "Failed to fetch dashboard" });
+  }
+});
+
 // -----------------------------
 // 👥 CLIENTS ROUTES
 // -----------------------------
 app.get("/api/clients", async (req, res) => {
   try {
-    const result = await pool.query(
-      "SELECT * FROM clients ORDER BY created_at DESC"
-    );
-    res.json(result.rows);
+    const clients = await store.clients.list();
+    res.json(clients);
   } catch (err) {
     console.error("Error fetching clients:", err);
     res.status(500).json({ error: "Failed to fetch clients" });
@@ -214,13 +792,12 @@ app.get("/api/clients", async (req, res) => {
 
 app.get("/api/clients/:id", async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query("SELECT * FROM clients WHERE id = $1", [id]);
+    const client = await store.clients.get(req.params.id);
     
-    if (result.rows.length === 0) {
+    if (!client) {
       return res.status(404).json({ error: "Client not found" });
     }
-    res.json(result.rows[0]);
+    res.json(client);
   } catch (err) {
     console.error("Error fetching client:", err);
     res.status(500).json({ error: "Failed to fetch client" });
@@ -229,19 +806,14 @@ app.get("/api/clients/:id", async (req, res) => {
 
 app.post("/api/clients", async (req, res) => {
   try {
-    const { name, phone, email, address } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ error: "Name is required" });
+    // Phone numbers are stored in E.164 so messages can be sent to them as-is
+    const validationError = store.clients.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
     
-    const result = await pool.query(
-      `INSERT INTO clients (name, phone, email, address) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING *`,
-      [name, phone || null, email || null, address || null]
-    );
-    res.status(201).json(result.rows[0]);
+    const client = await store.clients.create(req.body);
+    res.status(201).json(client);
   } catch (err) {
     console.error("Error creating client:", err);
     res.status(500).json({ error: "Failed to create client" });
@@ -250,21 +822,18 @@ app.post("/api/clients", async (req, res) => {
 
 app.put("/api/clients/:id", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, phone, email, address } = req.body;
+    // Fields left out keep their stored value
+    const validationError = store.clients.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
     
-    const result = await pool.query(
-      `UPDATE clients 
-       SET name = $1, phone = $2, email = $3, address = $4 
-       WHERE id = $5 
-       RETURNING *`,
-      [name, phone, email, address, id]
-    );
+    const client = await store.clients.update(req.params.id, req.body);
     
-    if (result.rows.length === 0) {
+    if (!client) {
       return res.status(404).json({ error: "Client not found" });
     }
-    res.json(result.rows[0]);
+    res.json(client);
   } catch (err) {
     console.error("Error updating client:", err);
     res.status(500).json({ error: "Failed to update client" });
@@ -273,13 +842,9 @@ app.put("/api/clients/:id", async (req, res) => {
 
 app.delete("/api/clients/:id", async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query(
-      "DELETE FROM clients WHERE id = $1 RETURNING *",
-      [id]
-    );
+    const deleted = await store.clients.remove(req.params.id);
     
-    if (result.rows.length === 0) {
+    if (!deleted) {
       return res.status(404).json({ error: "Client not found" });
     }
     res.json({ message: "Client deleted successfully" });
@@ -292,340 +857,4103 @@ app.delete("/api/clients/:id", async (req, res) => {
 // -----------------------------
 // 📦 PACKAGES ROUTES
 // -----------------------------
+
+// Package row with its structured deliverables
+const PACKAGE_SELECT = `
+  SELECT
+    pkg.*,
+    COALESCE((
+      SELECT json_agg(pd ORDER BY pd.sort_order, pd.id)
+      FROM package_deliverables pd
+      WHERE pd.package_id = pkg.id
+    ), '[]') as deliverable_items
+  FROM packages pkg
+`;
+
+async function setPackageDeliverables(db, packageId, items) {
+  await db.query("DELETE FROM package_deliverables WHERE package_id = $1", [packageId]);
+  for (const [index, item] of items.entries()) {
+    await db.query(
+      `INSERT INTO package_deliverables (package_id, name, quantity, required, sort_order)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [packageId, item.name.trim(), parseInt(item.quantity) || null, item.required !== false, index]
+    );
+  }
+}
+
+// Adds each package's structured deliverables as deliverable_items
+async function withDeliverableItems(db, packages) {
+  if (packages.length === 0) return packages;
+
+  const result = await db.query(
+    `SELECT * FROM package_deliverables
+     WHERE package_id = ANY($1)
+     ORDER BY sort_order, id`,
+    [packages.map((pkg) => pkg.id)]
+  );
+  return packages.map((pkg) => ({
+    ...pkg,
+    deliverable_items: result.rows.filter((item) => item.package_id === pkg.id),
+  }));
+}
+
 app.get("/api/packages", async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM packages ORDER BY id");
+    const packages = await store.packages.list();
+    res.json(await withDeliverableItems(pool, packages));
+  } catch (err) {
+    console.error("Error fetching packages:", err);
+    res.status(500).json({ error: "Failed to fetch packages" });
+  }
+});
+
+app.get("/api/packages/:id", async (req, res) => {
+  try {
+    const pkg = await store.packages.get(req.params.id);
+    
+    if (!pkg) {
+      return res.status(404).json({ error: "Package not found" });
+    }
+    const [withItems] = await withDeliverableItems(pool, [pkg]);
+    res.json(withItems);
+  } catch (err) {
+    console.error("Error fetching package:", err);
+    res.status(500).json({ error: "Failed to fetch package" });
+  }
+});
+
+// deliverable_items: [{ name, quantity, required }] copied into each new booking's checklist.
+// `deliverables` in the body is the package's free-text summary.
+app.post("/api/packages", async (req, res) => {
+  try {
+    const { deliverable_items = [] } = req.body;
+    
+    const validationError = store.packages.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const itemsError = deliverables.validateDeliverableItems(deliverable_items);
+    if (itemsError) {
+      return res.status(400).json({ error: itemsError });
+    }
+
+    const pkg = await store.transaction(async (tx) => {
+      const created = await tx.packages.create(req.body);
+      await setPackageDeliverables(tx.db, created.id, deliverable_items);
+      const [withItems] = await withDeliverableItems(tx.db, [created]);
+      return withItems;
+    });
+
+    res.status(201).json(pkg);
+  } catch (err) {
+    console.error("Error creating package:", err);
+    res.status(500).json({ error: "Failed to create package" });
+  }
+});
+
+// Fields and deliverables left out are kept as they are. Bookings already
+// made keep the checklist they were given.
+app.put("/api/packages/:id", async (req, res) => {
+  try {
+    const { deliverable_items } = req.body;
+
+    const validationError = store.packages.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (deliverable_items !== undefined) {
+      const itemsError = deliverables.validateDeliverableItems(deliverable_items);
+      if (itemsError) {
+        return res.status(400).json({ error: itemsError });
+      }
+    }
+
+    const pkg = await store.transaction(async (tx) => {
+      const updated = await tx.packages.update(req.params.id, req.body);
+      if (!updated) return null;
+
+      if (deliverable_items !== undefined) {
+        await setPackageDeliverables(tx.db, updated.id, deliverable_items);
+      }
+      const [withItems] = await withDeliverableItems(tx.db, [updated]);
+      return withItems;
+    });
+    
+    if (!pkg) {
+      return res.status(404).json({ error: "Package not found" });
+    }
+    res.json(pkg);
+  } catch (err) {
+    console.error("Error updating package:", err);
+    res.status(500).json({ error: "Failed to update package" });
+  }
+});
+
+app.delete("/api/packages/:id", async (req, res) => {
+  try {
+    const deleted = await store.packages.remove(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: "Package not found" });
+    }
+    res.json({ message: "Package deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting package:", err);
+    res.status(500).json({ error: "Failed to delete package" });
+  }
+});
+
+// -----------------------------
+// 🧩 ADD-ONS ROUTES
+// -----------------------------
+const ADDON_FIELDS = ["name", "category", "price", "description"];
+
+// Name and price are required on create and can't be blanked on update.
+// Returns an error message, or null when the add-on is valid.
+function validateAddon(addon, { creating = false } = {}) {
+  const checks = (field) => creating || addon[field] !== undefined;
+  const blank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+  if ((checks("name") && blank(addon.name)) || (checks("price") && blank(addon.price))) {
+    return "Name and price are required";
+  }
+  if (checks("price") && !(parseFloat(addon.price) >= 0)) {
+    return "Price must be a number of 0 or more";
+  }
+  return null;
+}
+
+app.get("/api/addons", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM addons ORDER BY id");
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching add-ons:", err);
+    res.status(500).json({ error: "Failed to fetch add-ons" });
+  }
+});
+
+app.get("/api/addons/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query("SELECT * FROM addons WHERE id = $1", [id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Add-on not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error fetching add-on:", err);
+    res.status(500).json({ error: "Failed to fetch add-on" });
+  }
+});
+
+app.post("/api/addons", async (req, res) => {
+  try {
+    const { name, category, price, description } = req.body;
+    
+    const validationError = validateAddon(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO addons (name, category, price, description) 
+       VALUES ($1, $2, $3, $4) 
+       RETURNING *`,
+      [name, category || null, price, description || null]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error("Error creating add-on:", err);
+    res.status(500).json({ error: "Failed to create add-on" });
+  }
+});
+
+app.put("/api/addons/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const validationError = validateAddon(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await pool.query("SELECT * FROM addons WHERE id = $1", [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Add-on not found" });
+    }
+
+    // Fields left out keep their stored value
+    const addon = { ...existing.rows[0] };
+    for (const field of ADDON_FIELDS) {
+      if (req.body[field] !== undefined) addon[field] = req.body[field];
+    }
+
+    const result = await pool.query(
+      `UPDATE addons 
+       SET name = $1, category = $2, price = $3, description = $4 
+       WHERE id = $5 
+       RETURNING *`,
+      [addon.name, addon.category || null, addon.price, addon.description || null, id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Add-on not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error updating add-on:", err);
+    res.status(500).json({ error: "Failed to update add-on" });
+  }
+});
+
+app.delete("/api/addons/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      "DELETE FROM addons WHERE id = $1 RETURNING *",
+      [id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Add-on not found" });
+    }
+    res.json({ message: "Add-on deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting add-on:", err);
+    res.status(500).json({ error: "Failed to delete add-on" });
+  }
+});
+
+// -----------------------------
+// 🏷️ DISCOUNTS & TAX ROUTES
+// -----------------------------
+app.get("/api/discounts", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM discounts ORDER BY created_at DESC");
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching discounts:", err);
+    res.status(500).json({ error: "Failed to fetch discounts" });
+  }
+});
+
+app.post("/api/discounts", async (req, res) => {
+  try {
+    const { name, code, type, value, valid_from, valid_until, usage_limit, active } = req.body;
+
+    const discountError = pricing.validateDiscount(req.body);
+    if (discountError) {
+      return res.status(400).json({ error: discountError });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO discounts (name, code, type, value, valid_from, valid_until, usage_limit, active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        name, code ? code.trim().toUpperCase() : null, type, value,
+        valid_from || null, valid_until || null, usage_limit || null, active ?? true
+      ]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "A discount with this code already exists" });
+    }
+    console.error("Error creating discount:", err);
+    res.status(500).json({ error: "Failed to create discount" });
+  }
+});
+
+app.put("/api/discounts/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, code, type, value, valid_from, valid_until, usage_limit, active } = req.body;
+
+    const discountError = pricing.validateDiscount(req.body);
+    if (discountError) {
+      return res.status(400).json({ error: discountError });
+    }
+
+    const result = await pool.query(
+      `UPDATE discounts
+       SET name = $1, code = $2, type = $3, value = $4, valid_from = $5,
+           valid_until = $6, usage_limit = $7, active = $8
+       WHERE id = $9
+       RETURNING *`,
+      [
+        name, code ? code.trim().toUpperCase() : null, type, value,
+        valid_from || null, valid_until || null, usage_limit || null, active ?? true, id
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Discount not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "A discount with this code already exists" });
+    }
+    console.error("Error updating discount:", err);
+    res.status(500).json({ error: "Failed to update discount" });
+  }
+});
+
+app.delete("/api/discounts/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query("DELETE FROM discounts WHERE id = $1 RETURNING *", [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Discount not found" });
+    }
+    res.json({ message: "Discount deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting discount:", err);
+    res.status(500).json({ error: "Failed to delete discount" });
+  }
+});
+
+app.get("/api/tax-rates", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM tax_rates ORDER BY id");
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching tax rates:", err);
+    res.status(500).json({ error: "Failed to fetch tax rates" });
+  }
+});
+
+app.post("/api/tax-rates", async (req, res) => {
+  try {
+    const { name, rate } = req.body;
+
+    const taxError = pricing.validateTaxRate(req.body);
+    if (taxError) {
+      return res.status(400).json({ error: taxError });
+    }
+
+    const result = await pool.query(
+      "INSERT INTO tax_rates (name, rate) VALUES ($1, $2) RETURNING *",
+      [name, rate]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error("Error creating tax rate:", err);
+    res.status(500).json({ error: "Failed to create tax rate" });
+  }
+});
+
+app.put("/api/tax-rates/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, rate } = req.body;
+
+    const taxError = pricing.validateTaxRate(req.body);
+    if (taxError) {
+      return res.status(400).json({ error: taxError });
+    }
+
+    const result = await pool.query(
+      "UPDATE tax_rates SET name = $1, rate = $2 WHERE id = $3 RETURNING *",
+      [name, rate, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Tax rate not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error updating tax rate:", err);
+    res.status(500).json({ error: "Failed to update tax rate" });
+  }
+});
+
+app.delete("/api/tax-rates/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query("DELETE FROM tax_rates WHERE id = $1 RETURNING *", [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Tax rate not found" });
+    }
+    res.json({ message: "Tax rate deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting tax rate:", err);
+    res.status(500).json({ error: "Failed to delete tax rate" });
+  }
+});
+
+// -----------------------------
+// 🎥 TEAM ROUTES
+// -----------------------------
+app.get("/api/team", async (req, res) => {
+  try {
+    const team = await store.team.list();
+    res.json(team);
+  } catch (err) {
+    console.error("Error fetching team:", err);
+    res.status(500).json({ error: "Failed to fetch team" });
+  }
+});
+
+app.get("/api/team/:id", async (req, res) => {
+  try {
+    const member = await store.team.get(req.params.id);
+    
+    if (!member) {
+      return res.status(404).json({ error: "Team member not found" });
+    }
+    res.json(member);
+  } catch (err) {
+    console.error("Error fetching team member:", err);
+    res.status(500).json({ error: "Failed to fetch team member" });
+  }
+});
+
+app.post("/api/team", async (req, res) => {
+  try {
+    const validationError = store.team.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const member = await store.team.create(req.body);
+    res.status(201).json(member);
+  } catch (err) {
+    console.error("Error creating team member:", err);
+    res.status(500).json({ error: "Failed to create team member" });
+  }
+});
+
+app.put("/api/team/:id", async (req, res) => {
+  try {
+    const validationError = store.team.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const member = await store.team.update(req.params.id, req.body);
+    
+    if (!member) {
+      return res.status(404).json({ error: "Team member not found" });
+    }
+    res.json(member);
+  } catch (err) {
+    console.error("Error updating team member:", err);
+    res.status(500).json({ error: "Failed to update team member" });
+  }
+});
+
+app.get("/api/team/:id/availability", async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const rangeError = scheduling.validateRange(from, to);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const member = await store.team.get(req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: "Team member not found" });
+    }
+
+    const projects = await store.projects.list({ team_member_id: member.id, from, to });
+    const bookings = projects.map((p) => ({
+      id: p.id,
+      event_date: p.event_date,
+      event_time: p.event_time,
+      event_type: p.event_type,
+      location: p.location,
+      status: p.status,
+      client_name: p.client_name,
+    }));
+
+    res.json({
+      team_member: member,
+      from,
+      to,
+      ...scheduling.getAvailability(from, to, bookings),
+    });
+  } catch (err) {
+    console.error("Error fetching availability:", err);
+    res.status(500).json({ error: "Failed to fetch availability" });
+  }
+});
+
+app.delete("/api/team/:id", async (req, res) => {
+  try {
+    const deleted = await store.team.remove(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: "Team member not found" });
+    }
+    res.json({ message: "Team member deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting team member:", err);
+    res.status(500).json({ error: "Failed to delete team member" });
+  }
+});
+
+// -----------------------------
+// 💲 PRICING ROUTES
+// -----------------------------
+
+app.get("/api/pricing/rules", (req, res) => {
+  res.json({ deposit_tiers: pricing.DEPOSIT_TIERS });
+});
+
+// What a booking would cost, without saving anything (for the booking form)
+app.post("/api/pricing/preview", async (req, res) => {
+  try {
+    const {
+      package_id, line_items = [], price, deposit_percent, deposit_amount,
+      discount_id, discount_code, tax_rate_id
+    } = req.body;
+
+    const overrides = { price, deposit_percent, deposit_amount };
+    const overrideError = pricing.validateOverrides(overrides);
+    if (overrideError) {
+      return res.status(400).json({ error: overrideError });
+    }
+
+    const lineItems = await resolveLineItems(pool, line_items);
+    if (lineItems.error) {
+      return res.status(400).json({ error: lineItems.error });
+    }
+
+    const adjustments = await resolveAdjustments(pool, { discount_id, discount_code, tax_rate_id });
+    if (adjustments.error) {
+      return res.status(400).json({ error: adjustments.error });
+    }
+
+    const packagePrice = await loadPackagePrice(pool, package_id);
+    if (packagePrice === null) {
+      return res.status(400).json({ error: "Package not found" });
+    }
+
+    res.json(pricing.calculatePricing({
+      packagePrice,
+      lineItems: lineItems.items,
+      overrides,
+      ...adjustments,
+    }));
+  } catch (err) {
+    console.error("Error previewing pricing:", err);
+    res.status(500).json({ error: "Failed to preview pricing" });
+  }
+});
+
+// -----------------------------
+// 📁 PROJECTS ROUTES
+// -----------------------------
+
+// Adds what the Projects page shows beyond the stored project (which the
+// repository has already joined with its client, package and crew):
+// discount and tax names, line items, payment schedule and deliverables checklist
+async function withProjectDetails(db, projects) {
+  if (projects.length === 0) return projects;
+
+  const ids = projects.map((p) => p.id);
+  const byProject = (table, order) => db.query(
+    `SELECT project_id, json_agg(t ORDER BY ${order}) as rows
+     FROM ${table} t
+     WHERE project_id = ANY($1)
+     GROUP BY project_id`,
+    [ids]
+  );
+
+  const [discounts, taxRates, lineItems, schedules, checklists] = await Promise.all([
+    db.query("SELECT id, name, code FROM discounts WHERE id = ANY($1)", [projects.map((p) => p.discount_id)]),
+    db.query("SELECT id, name, rate FROM tax_rates WHERE id = ANY($1)", [projects.map((p) => p.tax_rate_id)]),
+    byProject("project_line_items", "t.id"),
+    byProject("project_installments", "t.due_date, t.id"),
+    byProject("project_deliverables", "t.sort_order, t.id"),
+  ]);
+  const rowsFor = (result, projectId) => result.rows.find((row) => row.project_id === projectId)?.rows || [];
+
+  return projects.map((project) => {
+    const discount = discounts.rows.find((d) => d.id === project.discount_id);
+    const taxRate = taxRates.rows.find((t) => t.id === project.tax_rate_id);
+    return {
+      ...project,
+      discount_name: discount?.name ?? null,
+      discount_code: discount?.code ?? null,
+      tax_name: taxRate?.name ?? null,
+      tax_rate: taxRate?.rate ?? null,
+      line_items: rowsFor(lineItems, project.id),
+      installments: rowsFor(schedules, project.id),
+      deliverables: rowsFor(checklists, project.id),
+    };
+  });
+}
+
+// A project with all its details, or null. `repo` is the store or the
+// transaction's repository.
+async function findProject(repo, id) {
+  const project = await repo.projects.get(id);
+  if (!project) return null;
+
+  const [detailed] = await withProjectDetails(repo.db, [project]);
+  return detailed;
+}
+
+// What a store.transaction callback returns to turn a request down. It only
+// does so before writing anything, so the commit has nothing to keep.
+function rejection(status, body) {
+  return { rejected: { status, body } };
+}
+
+// Checks that crew_ids is a list of existing team member IDs.
+// Returns the de-duplicated IDs, or null when the list is invalid.
+async function validateCrewIds(crewIds) {
+  if (!Array.isArray(crewIds)) return null;
+
+  const ids = [...new Set(crewIds.map(Number))];
+  const team = await store.team.list();
+  return ids.every((id) => team.some((t) => t.id === id)) ? ids : null;
+}
+
+// Looks for crew in `crewIds` already booked on another project that
+// overlaps the booking's event_date / event_time
+async function findCrewConflicts(booking, crewIds) {
+  if (!booking.event_date || crewIds.length === 0) return [];
+
+  const [projects, packages] = await Promise.all([
+    store.projects.list({ from: booking.event_date, to: booking.event_date }),
+    store.packages.list(),
+  ]);
+  const hoursFor = (packageId) => packages.find((p) => p.id === Number(packageId))?.hours;
+
+  const crewBookings = projects.flatMap((p) => p.crew.map((member) => ({
+    project_id: p.id,
+    team_member_id: member.id,
+    team_member_name: member.name,
+    event_date: p.event_date,
+    event_time: p.event_time,
+    hours: hoursFor(p.package_id),
+    status: p.status,
+  })));
+
+  return scheduling.findCrewConflicts(
+    { ...booking, hours: hoursFor(booking.package_id) },
+    crewIds,
+    crewBookings
+  );
+}
+
+// Recomputes amount_paid, late_fees and balance_amount from the payments
+// ledger and the installments, and spreads what's been paid over the
+// installments, inside the caller's transaction. A schedule that no longer
+// adds up to the price (after an edit or a billed revision) is rebalanced
+// first. Returns the updated project row.
+async function syncProjectBalance(db, projectId) {
+  const project = await db.query("SELECT * FROM projects WHERE id = $1 FOR UPDATE", [projectId]);
+  if (project.rows.length === 0) return null;
+
+  const [paid, schedule] = await Promise.all([
+    db.query(
+      "SELECT COALESCE(SUM(amount), 0) AS total FROM payments WHERE project_id = $1",
+      [projectId]
+    ),
+    db.query("SELECT * FROM project_installments WHERE project_id = $1", [projectId]),
+  ]);
+  const amountPaid = Number(paid.rows[0].total);
+
+  const rebalanced = installments.rebalanceSchedule(schedule.rows, project.rows[0].price);
+  for (const installment of schedule.rows) {
+    const kept = rebalanced.find(i => i.id === installment.id);
+    if (!kept) {
+      await db.query("DELETE FROM project_installments WHERE id = $1", [installment.id]);
+    } else if (Number(kept.amount) !== Number(installment.amount)) {
+      await db.query("UPDATE project_installments SET amount = $1 WHERE id = $2", [kept.amount, installment.id]);
+    }
+  }
+  const lateFees = rebalanced.reduce((sum, i) => sum + Number(i.late_fee || 0), 0);
+
+  for (const installment of installments.allocatePayments(rebalanced, amountPaid)) {
+    await db.query(
+      "UPDATE project_installments SET amount_paid = $1, status = $2 WHERE id = $3",
+      [installment.amount_paid, installment.status, installment.id]
+    );
+  }
+
+  const balance = ledger.deriveBalance({ ...project.rows[0], late_fees: lateFees }, amountPaid);
+  const result = await db.query(
+    `UPDATE projects SET amount_paid = $1, late_fees = $2, balance_amount = $3
+     WHERE id = $4 RETURNING *`,
+    [amountPaid, lateFees, balance, projectId]
+  );
+  return result.rows[0];
+}
+
+// Gives a project its own copy of the package's deliverables as a checklist
+async function copyPackageDeliverables(db, projectId, packageId) {
+  if (!packageId) return;
+  await db.query(
+    `INSERT INTO project_deliverables (project_id, package_deliverable_id, name, quantity, required, sort_order)
+     SELECT $1, id, name, quantity, required, sort_order
+     FROM package_deliverables
+     WHERE package_id = $2`,
+    [projectId, packageId]
+  );
+}
+
+// Price of a package, 0 when no package is picked, null when it doesn't exist
+async function loadPackagePrice(db, packageId) {
+  if (!packageId) return 0;
+  const result = await db.query("SELECT price FROM packages WHERE id = $1", [packageId]);
+  return result.rows.length > 0 ? Number(result.rows[0].price) : null;
+}
+
+// Fills in line items picked from the add-ons catalog: an item with an
+// addon_id takes the add-on's name and price unless it sets its own.
+// Returns { items } ready to save, or { error }.
+async function resolveLineItems(db, items) {
+  if (!Array.isArray(items)) return { error: "line_items must be a list" };
+
+  const addonIds = [...new Set(items.filter((i) => i && i.addon_id).map((i) => Number(i.addon_id)))];
+  if (addonIds.some((id) => !Number.isInteger(id))) return { error: "addon_id must be an add-on ID" };
+
+  const addons = addonIds.length > 0
+    ? (await db.query("SELECT * FROM addons WHERE id = ANY($1)", [addonIds])).rows
+    : [];
+  if (addons.length !== addonIds.length) return { error: "Add-on not found" };
+
+  const resolved = items.map((item) => {
+    const addon = item && item.addon_id ? addons.find((a) => a.id === Number(item.addon_id)) : null;
+    if (!addon) return item;
+    return {
+      ...item,
+      description: item.description || addon.name,
+      unit_price: item.unit_price ?? addon.price,
+    };
+  });
+
+  const error = pricing.validateLineItems(resolved);
+  return error ? { error } : { items: resolved };
+}
+
+// Replaces a project's line items, inside the caller's transaction. Items
+// billed for extra revisions belong to their revision (deleting it takes the
+// charge off), so they're kept, and skipped if sent back in `items`.
+async function setProjectLineItems(db, projectId, items) {
+  const revisionItems = await db.query(
+    `SELECT line_item_id FROM project_revisions
+     WHERE project_id = $1 AND line_item_id IS NOT NULL`,
+    [projectId]
+  );
+  const keptIds = revisionItems.rows.map((row) => row.line_item_id);
+
+  await db.query(
+    "DELETE FROM project_line_items WHERE project_id = $1 AND NOT (id = ANY($2))",
+    [projectId, keptIds]
+  );
+  for (const item of items.filter((i) => !keptIds.includes(Number(i.id)))) {
+    await db.query(
+      `INSERT INTO project_line_items (project_id, addon_id, description, quantity, unit_price)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [projectId, item.addon_id || null, item.description, parseInt(item.quantity) || 1, item.unit_price]
+    );
+  }
+}
+
+// Looks up a booking's discount (by discount_id, or promo discount_code)
+// and tax rate. Fields left out keep what `existing` (the stored project)
+// has. A discount the project already carries stays valid even after it
+// expires or runs out; a newly applied one must be usable today.
+// Returns { discount, taxRate } or { error }.
+async function resolveAdjustments(db, { discount_id, discount_code, tax_rate_id }, existing = null) {
+  let discountId = existing ? existing.discount_id : null;
+  let discount = null;
+
+  if (discount_code) {
+    const found = await db.query("SELECT * FROM discounts WHERE code = $1", [discount_code.trim().toUpperCase()]);
+    if (found.rows.length === 0) return { error: `Promo code "${discount_code}" not found` };
+    discount = found.rows[0];
+  } else if (discount_id !== undefined) {
+    discountId = discount_id || null;
+  }
+
+  if (!discount && discountId) {
+    const found = await db.query("SELECT * FROM discounts WHERE id = $1", [discountId]);
+    if (found.rows.length === 0) return { error: "Discount not found" };
+    discount = found.rows[0];
+  }
+
+  if (discount && discount.id !== (existing ? existing.discount_id : null)) {
+    const availableError = pricing.checkDiscountAvailable(discount);
+    if (availableError) return { error: availableError };
+  }
+
+  const taxRateId = tax_rate_id !== undefined ? tax_rate_id || null : existing ? existing.tax_rate_id : null;
+  let taxRate = null;
+  if (taxRateId) {
+    const found = await db.query("SELECT * FROM tax_rates WHERE id = $1", [taxRateId]);
+    if (found.rows.length === 0) return { error: "Tax rate not found" };
+    taxRate = found.rows[0];
+  }
+
+  return { discount, taxRate };
+}
+
+// Moves a use of a discount from the old one to the new one, inside the
+// caller's transaction. Returns false, having changed nothing, when the new
+// one is used up.
+async function claimDiscount(db, newId, oldId) {
+  if ((newId || null) === (oldId || null)) return true;
+
+  if (newId) {
+    const claimed = await db.query(
+      `UPDATE discounts SET times_used = times_used + 1
+       WHERE id = $1 AND (usage_limit IS NULL OR times_used < usage_limit)
+       RETURNING id`,
+      [newId]
+    );
+    if (claimed.rows.length === 0) return false;
+  }
+  if (oldId) {
+    await db.query(
+      "UPDATE discounts SET times_used = GREATEST(times_used - 1, 0) WHERE id = $1",
+      [oldId]
+    );
+  }
+  return true;
+}
+
+// Logs hand-set pricing values, inside the caller's transaction
+async function recordPricingOverrides(db, projectId, overrides, reason) {
+  for (const override of overrides) {
+    await db.query(
+      `INSERT INTO pricing_overrides (project_id, field, computed_value, override_value, reason)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [projectId, override.field, override.computed_value, override.override_value, reason || null]
+    );
+  }
+}
+
+app.get("/api/projects", async (req, res) => {
+  try {
+    const projects = await store.projects.list();
+    res.json(await withProjectDetails(pool, projects));
+  } catch (err) {
+    console.error("Error fetching projects:", err);
+    res.status(500).json({ error: "Failed to fetch projects" });
+  }
+});
+
+app.get("/api/projects/:id", async (req, res) => {
+  try {
+    const project = await findProject(store, req.params.id);
+    
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    res.json(project);
+  } catch (err) {
+    console.error("Error fetching project:", err);
+    res.status(500).json({ error: "Failed to fetch project" });
+  }
+});
+
+app.post("/api/projects", async (req, res) => {
+  try {
+    const {
+      client_id, package_id, event_type, event_date, event_time,
+      location, status, price, deposit_percent, deposit_amount,
+      override_reason, line_items = [], discount_id, discount_code, tax_rate_id,
+      drive_link, internal_path, revision_limit,
+      crew_ids, override_conflicts, notes
+    } = req.body;
+
+    const initialStatus = status || workflow.INITIAL_STATUS;
+    if (!workflow.isValidStatus(initialStatus)) {
+      return res.status(400).json({ error: `Unknown status "${initialStatus}"` });
+    }
+    // Starting further along would skip the contract, deposit and
+    // deliverables guards, so later statuses go through the status endpoint
+    if (initialStatus !== workflow.INITIAL_STATUS) {
+      return res.status(409).json({
+        error: `A new project starts as ${workflow.INITIAL_STATUS}; use PATCH /api/projects/:id/status to move it on`,
+      });
+    }
+
+    const validationError = store.projects.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const crewIds = await validateCrewIds(crew_ids || []);
+    if (!crewIds) {
+      return res.status(400).json({ error: "crew_ids must be a list of existing team member IDs" });
+    }
+
+    // Price, deposit and balance come from the pricing rules unless set by hand
+    const overrides = { price, deposit_percent, deposit_amount };
+    const overrideError = pricing.validateOverrides(overrides);
+    if (overrideError) {
+      return res.status(400).json({ error: overrideError });
+    }
+    const handSet = pricing.activeOverrides(null, overrides);
+    const lineItems = await resolveLineItems(pool, line_items);
+    if (lineItems.error) {
+      return res.status(400).json({ error: lineItems.error });
+    }
+    const adjustments = await resolveAdjustments(pool, { discount_id, discount_code, tax_rate_id });
+    if (adjustments.error) {
+      return res.status(400).json({ error: adjustments.error });
+    }
+    const packagePrice = await loadPackagePrice(pool, package_id);
+    if (packagePrice === null) {
+      return res.status(400).json({ error: "Package not found" });
+    }
+    const priced = pricing.calculatePricing({
+      packagePrice,
+      lineItems: lineItems.items,
+      overrides: handSet,
+      ...adjustments,
+    });
+
+    if (!override_conflicts) {
+      const conflicts = await findCrewConflicts({ event_date, event_time, package_id }, crewIds);
+      if (conflicts.length > 0) {
+        return res.status(409).json(scheduling.conflictResponse(conflicts));
+      }
+    }
+
+    const result = await store.transaction(async (tx) => {
+      if (!(await claimDiscount(tx.db, adjustments.discount?.id, null))) {
+        return rejection(409, { error: `Discount "${adjustments.discount.name}" has been used up` });
+      }
+
+      const created = await tx.projects.create({
+        client_id, package_id, event_type, event_date, event_time, location,
+        drive_link, internal_path, revision_limit, notes,
+        status: initialStatus,
+        price: priced.price,
+        deposit_percent: priced.deposit_percent,
+        deposit_amount: priced.deposit_amount,
+        balance_amount: priced.balance_amount,
+        subtotal: priced.subtotal,
+        discount_id: adjustments.discount?.id,
+        discount_amount: priced.discount_amount,
+        tax_rate_id: adjustments.taxRate?.id,
+        tax_amount: priced.tax_amount,
+        price_override: handSet.price,
+        deposit_percent_override: handSet.deposit_percent,
+        deposit_amount_override: handSet.deposit_amount,
+        crew_ids: crewIds,
+      });
+
+      await setProjectLineItems(tx.db, created.id, lineItems.items);
+      await copyPackageDeliverables(tx.db, created.id, package_id);
+      await recordPricingOverrides(tx.db, created.id, priced.overrides, override_reason);
+
+      return { project: await findProject(tx, created.id) };
+    });
+
+    if (result.rejected) {
+      return res.status(result.rejected.status).json(result.rejected.body);
+    }
+
+    notifyInBackground("booking_confirmation", result.project.id);
+
+    res.status(201).json(result.project);
+  } catch (err) {
+    console.error("Error creating project:", err);
+    res.status(500).json({ error: "Failed to create project" });
+  }
+});
+
+// Fields left out keep what the project has, like the other entities
+app.put("/api/projects/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      client_id, package_id, event_type, event_date, event_time,
+      location, status, price, deposit_percent, deposit_amount,
+      override_reason, line_items, discount_id, discount_code, tax_rate_id,
+      drive_link, internal_path, revision_limit,
+      crew_ids, override_conflicts, notes
+    } = req.body;
+
+    const existing = await store.projects.get(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    // Status only moves through the workflow endpoint so every change is validated and logged
+    if (status !== undefined && existing.status !== status) {
+      return res.status(400).json({
+        error: "Use PATCH /api/projects/:id/status to change a project's status",
+      });
+    }
+
+    const validationError = store.projects.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const overrides = { price, deposit_percent, deposit_amount };
+    const overrideError = pricing.validateOverrides(overrides);
+    if (overrideError) {
+      return res.status(400).json({ error: overrideError });
+    }
+
+    // Line items, like crew, are left as-is unless sent
+    let lineItems = null;
+    if (line_items !== undefined) {
+      const resolved = await resolveLineItems(pool, line_items);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      lineItems = resolved.items;
+    }
+
+    // Crew is left as-is unless crew_ids is sent
+    let crewIds = null;
+    if (crew_ids !== undefined) {
+      crewIds = await validateCrewIds(crew_ids);
+      if (!crewIds) {
+        return res.status(400).json({ error: "crew_ids must be a list of existing team member IDs" });
+      }
+    }
+
+    // The booking as it will be saved
+    const booking = {
+      id: existing.id,
+      package_id: package_id !== undefined ? package_id || null : existing.package_id,
+      event_date: event_date !== undefined ? event_date : existing.event_date,
+      event_time: event_time !== undefined ? event_time : existing.event_time,
+    };
+
+    if (!override_conflicts) {
+      const conflicts = await findCrewConflicts(booking, crewIds || existing.crew.map((member) => member.id));
+      if (conflicts.length > 0) {
+        return res.status(409).json(scheduling.conflictResponse(conflicts));
+      }
+    }
+
+    const result = await store.transaction(async (tx) => {
+      const stored = await tx.projects.get(id, { forUpdate: true });
+      if (!stored) {
+        return rejection(404, { error: "Project not found" });
+      }
+
+      const packagePrice = await loadPackagePrice(tx.db, booking.package_id);
+      if (packagePrice === null) {
+        return rejection(400, { error: "Package not found" });
+      }
+
+      // Discount and tax are left as-is unless sent
+      const adjustments = await resolveAdjustments(
+        tx.db,
+        { discount_id, discount_code, tax_rate_id },
+        stored
+      );
+      if (adjustments.error) {
+        return rejection(400, { error: adjustments.error });
+      }
+      if (!(await claimDiscount(tx.db, adjustments.discount?.id, stored.discount_id))) {
+        return rejection(409, { error: `Discount "${adjustments.discount.name}" has been used up` });
+      }
+
+      if (lineItems) {
+        await setProjectLineItems(tx.db, stored.id, lineItems);
+      }
+      const savedItems = await tx.db.query(
+        "SELECT * FROM project_line_items WHERE project_id = $1",
+        [stored.id]
+      );
+
+      // Hand-set values stay until they're replaced or cleared, so an edit
+      // that leaves them out doesn't re-price the project from its package
+      const handSet = pricing.activeOverrides(stored, overrides);
+
+      // amount_paid only changes through the payments ledger, so the balance is
+      // worked out from it; revisions_used likewise follows the revisions log
+      const priced = pricing.calculatePricing({
+        packagePrice,
+        lineItems: savedItems.rows,
+        amountPaid: stored.amount_paid,
+        overrides: handSet,
+        ...adjustments,
+      });
+
+      await tx.projects.update(stored.id, {
+        client_id, package_id, event_type, event_date, event_time, location,
+        drive_link, internal_path, notes,
+        // A blank revision_limit keeps the one the project has
+        revision_limit: revision_limit === null || revision_limit === "" ? undefined : revision_limit,
+        price: priced.price,
+        deposit_percent: priced.deposit_percent,
+        deposit_amount: priced.deposit_amount,
+        subtotal: priced.subtotal,
+        discount_id: adjustments.discount?.id ?? null,
+        discount_amount: priced.discount_amount,
+        tax_rate_id: adjustments.taxRate?.id ?? null,
+        tax_amount: priced.tax_amount,
+        price_override: handSet.price,
+        deposit_percent_override: handSet.deposit_percent,
+        deposit_amount_override: handSet.deposit_amount,
+        crew_ids: crewIds ?? undefined,
+      });
+
+      // Only log overrides that actually change what's stored, so re-saving is quiet.
+      // A price override sets the subtotal, so compare it with the stored subtotal.
+      const changedOverrides = priced.overrides.filter((o) => {
+        const storedValue = o.field === "price" ? stored.subtotal ?? stored.price : stored[o.field];
+        return Number(storedValue) !== o.override_value;
+      });
+      await recordPricingOverrides(tx.db, stored.id, changedOverrides, override_reason);
+      await syncProjectBalance(tx.db, stored.id);
+
+      // A new package swaps in its deliverables; anything already worked on or
+      // added by hand stays on the checklist
+      if ((booking.package_id || null) !== (stored.package_id || null)) {
+        await tx.db.query(
+          `DELETE FROM project_deliverables
+           WHERE project_id = $1 AND package_deliverable_id IS NOT NULL AND status = 'pending'`,
+          [stored.id]
+        );
+        await copyPackageDeliverables(tx.db, stored.id, booking.package_id);
+      }
+
+      return { project: await findProject(tx, stored.id) };
+    });
+
+    if (result.rejected) {
+      return res.status(result.rejected.status).json(result.rejected.body);
+    }
+    res.json(result.project);
+  } catch (err) {
+    console.error("Error updating project:", err);
+    res.status(500).json({ error: "Failed to update project" });
+  }
+});
+
+app.patch("/api/projects/:id/status", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: "status is required" });
+    }
+    if (!workflow.isValidStatus(status)) {
+      return res.status(400).json({ error: `Unknown status "${status}"` });
+    }
+
+    const result = await store.transaction(async (tx) => {
+      // Lock the row so two status changes can't both pass validation
+      const project = await tx.projects.get(id, { forUpdate: true });
+      if (!project) {
+        return rejection(404, { error: "Project not found" });
+      }
+
+      const [checklist, projectContracts] = await Promise.all([
+        tx.db.query("SELECT * FROM project_deliverables WHERE project_id = $1", [project.id]),
+        tx.db.query("SELECT * FROM project_contracts WHERE project_id = $1", [project.id]),
+      ]);
+      const transitionError = workflow.validateTransition(project, status, {
+        contracts: projectContracts.rows,
+        deliverables: checklist.rows,
+      });
+      if (transitionError) {
+        return rejection(409, {
+          error: transitionError,
+          allowed: workflow.getAllowedTransitions(project.status),
+        });
+      }
+
+      await tx.projects.setStatus(project.id, status, note || null);
+      // Cancelling clears whatever was still owed, installments included
+      await syncProjectBalance(tx.db, project.id);
+
+      return { project: await findProject(tx, project.id) };
+    });
+
+    if (result.rejected) {
+      return res.status(result.rejected.status).json(result.rejected.body);
+    }
+
+    if (notifications.STATUS_EVENTS[status]) {
+      notifyInBackground(notifications.STATUS_EVENTS[status], result.project.id);
+    }
+
+    res.json(result.project);
+  } catch (err) {
+    console.error("Error updating project status:", err);
+    res.status(500).json({ error: "Failed to update project status" });
+  }
+});
+
+app.get("/api/projects/:id/status-history", async (req, res) => {
+  try {
+    const project = await store.projects.get(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const history = await store.projects.statusHistory(project.id);
+    res.json(history);
+  } catch (err) {
+    console.error("Error fetching status history:", err);
+    res.status(500).json({ error: "Failed to fetch status history" });
+  }
+});
+
+app.get("/api/projects/:id/pricing-overrides", async (req, res) => {
+  try {
+    const project = await store.projects.get(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM pricing_overrides
+       WHERE project_id = $1
+       ORDER BY created_at, id`,
+      [project.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching pricing overrides:", err);
+    res.status(500).json({ error: "Failed to fetch pricing overrides" });
+  }
+});
+
+app.delete("/api/projects/:id", async (req, res) => {
+  try {
+    const deleted = await store.projects.remove(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    res.json({ message: "Project deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting project:", err);
+    res.status(500).json({ error: "Failed to delete project" });
+  }
+});
+
+// -----------------------------
+// 📆 CALENDAR ROUTES
+// -----------------------------
+
+// Bookings with what the calendar and the ICS feeds show about them
+const CALENDAR_SELECT = `
+  SELECT
+    p.id, p.event_date, p.event_time, p.event_type, p.location, p.status,
+    p.client_id, c.name as client_name, c.phone as client_phone,
+    pkg.name as package_name, pkg.hours,
+    COALESCE((
+      SELECT json_agg(json_build_object('id', t.id, 'name', t.name, 'role', t.role) ORDER BY t.name)
+      FROM project_team pt
+      JOIN team t ON pt.team_member_id = t.id
+      WHERE pt.project_id = p.id
+    ), '[]') as crew
+  FROM projects p
+  LEFT JOIN clients c ON p.client_id = c.id
+  LEFT JOIN packages pkg ON p.package_id = pkg.id
+`;
+
+// Bookings with an event date between ?from= and ?to= (YYYY-MM-DD,
+// inclusive) for the calendar, with their crew, plus the blocked dates
+// that overlap the range. ?status= narrows the bookings to one status.
+app.get("/api/calendar", async (req, res) => {
+  try {
+    const { from, to, status } = req.query;
+
+    const rangeError = scheduling.validateRange(from, to);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const [events, blocked] = await Promise.all([
+      pool.query(
+        `${CALENDAR_SELECT}
+        WHERE p.event_date BETWEEN $1 AND $2 AND ($3::text IS NULL OR p.status = $3)
+        ORDER BY p.event_date, p.event_time NULLS FIRST, p.id`,
+        [from, to, status || null]
+      ),
+      pool.query(
+        `SELECT * FROM blocked_dates
+         WHERE start_date <= $2 AND end_date >= $1
+         ORDER BY start_date, id`,
+        [from, to]
+      ),
+    ]);
+
+    res.json({
+      from,
+      to,
+      events: events.rows.map(scheduling.toCalendarEvent),
+      blocked: blocked.rows,
+    });
+  } catch (err) {
+    console.error("Error fetching calendar:", err);
+    res.status(500).json({ error: "Failed to fetch calendar" });
+  }
+});
+
+function sendCalendar(res, filename, name, events) {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `inline; filename="${filename}"`,
+    "Cache-Control": "no-cache",
+  });
+  res.send(ical.buildCalendar({ name, events }));
+}
+
+// The studio's subscribable feed: every booking, cancelled ones marked as
+// such so subscribed calendars drop them, and the blocked dates
+app.get("/api/calendar.ics", async (req, res) => {
+  try {
+    const [projects, blocked] = await Promise.all([
+      pool.query(`${CALENDAR_SELECT} WHERE p.event_date IS NOT NULL ORDER BY p.event_date, p.id`),
+      pool.query("SELECT * FROM blocked_dates ORDER BY start_date, id"),
+    ]);
+
+    sendCalendar(res, "frameflicker.ics", "FrameFlicker Bookings", [
+      ...projects.rows.map(ical.projectToEvent),
+      ...blocked.rows.map(ical.blockedDateToEvent),
+    ]);
+  } catch (err) {
+    console.error("Error building calendar feed:", err);
+    res.status(500).json({ error: "Failed to build calendar feed" });
+  }
+});
+
+// One crew member's feed: only the shoots they're assigned to
+app.get("/api/team/:id/calendar.ics", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const member = await pool.query("SELECT * FROM team WHERE id = $1", [id]);
+    if (member.rows.length === 0) {
+      return res.status(404).json({ error: "Team member not found" });
+    }
+
+    const projects = await pool.query(
+      `${CALENDAR_SELECT}
+      WHERE p.event_date IS NOT NULL
+        AND p.id IN (SELECT project_id FROM project_team WHERE team_member_id = $1)
+      ORDER BY p.event_date, p.id`,
+      [id]
+    );
+
+    sendCalendar(
+      res,
+      `frameflicker-team-${id}.ics`,
+      `FrameFlicker - ${member.rows[0].name}`,
+      projects.rows.map(ical.projectToEvent)
+    );
+  } catch (err) {
+    console.error("Error building team calendar feed:", err);
+    res.status(500).json({ error: "Failed to build team calendar feed" });
+  }
+});
+
+// Imported events are matched on their UID, so importing an updated copy
+// of the same file moves the dates it already created instead of adding
+// them again
+async function importBlockedDate(db, event, summary) {
+  if (event.status === "CANCELLED") {
+    const removed = await db.query("DELETE FROM blocked_dates WHERE ics_uid = $1", [event.uid]);
+    summary.removed += removed.rowCount;
+    return;
+  }
+
+  const result = await db.query(
+    `INSERT INTO blocked_dates (start_date, end_date, reason, ics_uid)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (ics_uid) DO UPDATE SET
+       start_date = EXCLUDED.start_date, end_date = EXCLUDED.end_date, reason = EXCLUDED.reason
+     RETURNING (xmax = 0) as inserted`,
+    [event.start_date, event.end_date, event.summary, event.uid]
+  );
+  summary[result.rows[0].inserted ? "created" : "updated"]++;
+}
+
+// Tentative bookings are New projects with no client or package yet.
+// Once staff have confirmed one, later imports leave it alone.
+async function importTentativeBooking(repo, event, summary) {
+  if (event.status === "CANCELLED") {
+    summary.skipped.push({ uid: event.uid, reason: "Cancelled in the imported calendar" });
+    return;
+  }
+
+  const booking = {
+    event_type: event.summary || "Imported booking",
+    event_date: event.start_date,
+    event_time: event.start_time,
+    location: event.location,
+  };
+  const [match] = await repo.projects.list({ ics_uid: event.uid });
+
+  if (match) {
+    const project = await repo.projects.get(match.id, { forUpdate: true });
+    if (project.status !== workflow.INITIAL_STATUS) {
+      summary.skipped.push({ uid: event.uid, reason: `Booking #${project.id} is already ${project.status}` });
+      return;
+    }
+
+    await repo.projects.update(project.id, booking);
+    summary.updated++;
+    return;
+  }
+
+  await repo.projects.create({
+    ...booking,
+    notes: event.description,
+    status: workflow.INITIAL_STATUS,
+    ics_uid: event.uid,
+  }, { note: "Imported from a calendar file" });
+  summary.created++;
+}
+
+// Imports an .ics file, sent as the raw request body (Content-Type
+// text/calendar). ?mode=tentative creates tentative bookings; ?mode=blocked
+// marks the events' dates as blocked.
+app.post(
+  "/api/calendar/import",
+  express.text({ type: ["text/calendar", "text/plain"], limit: "5mb" }),
+  async (req, res) => {
+    try {
+      const { mode } = req.query;
+      const ics = typeof req.body === "string" ? req.body : "";
+
+      const importError = ical.validateImport({ ics, mode });
+      if (importError) {
+        return res.status(400).json({ error: importError });
+      }
+
+      const summary = { created: 0, updated: 0, removed: 0, skipped: [] };
+
+      await store.transaction(async (tx) => {
+        for (const event of ical.parseCalendar(ics)) {
+          if (ical.isOwnUid(event.uid)) {
+            summary.skipped.push({ uid: event.uid, reason: "Exported from this studio's own feed" });
+          } else if (mode === "blocked") {
+            await importBlockedDate(tx.db, event, summary);
+          } else {
+            await importTentativeBooking(tx, event, summary);
+          }
+        }
+      });
+
+      res.json(summary);
+    } catch (err) {
+      console.error("Error importing calendar:", err);
+      res.status(500).json({ error: "Failed to import calendar" });
+    }
+  }
+);
+
+app.get("/api/blocked-dates", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM blocked_dates ORDER BY start_date, id");
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching blocked dates:", err);
+    res.status(500).json({ error: "Failed to fetch blocked dates" });
+  }
+});
+
+app.delete("/api/blocked-dates/:id", async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM blocked_dates WHERE id = $1 RETURNING *",
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Blocked date not found" });
+    }
+    res.json({ message: "Blocked date deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting blocked date:", err);
+    res.status(500).json({ error: "Failed to delete blocked date" });
+  }
+});
+
+// -----------------------------
+// ✏️ REVISION ROUTES
+// -----------------------------
+
+// Revision rows with the editor's name and what an extra revision was billed at
+const REVISION_SELECT = `
+  SELECT
+    r.*,
+    t.name as editor_name,
+    li.unit_price as billed_amount
+  FROM project_revisions r
+  LEFT JOIN team t ON r.editor_id = t.id
+  LEFT JOIN project_line_items li ON r.line_item_id = li.id
+`;
+
+// Moves a project's subtotal by `delta` (an extra revision billed or taken
+// off) and reprices it with its discount and tax. The deposit was agreed at
+// booking, so it stays as it is. A hand-set price moves with the subtotal,
+// so a later edit keeps the extra.
+async function adjustProjectSubtotal(db, project, delta) {
+  const [discount, taxRate] = await Promise.all([
+    db.query("SELECT * FROM discounts WHERE id = $1", [project.discount_id]),
+    db.query("SELECT * FROM tax_rates WHERE id = $1", [project.tax_rate_id]),
+  ]);
+  const priced = pricing.calculatePricing({
+    packagePrice: Number(project.subtotal ?? project.price) + delta,
+    overrides: { deposit_amount: project.deposit_amount },
+    discount: discount.rows[0] || null,
+    taxRate: taxRate.rows[0] || null,
+  });
+
+  await db.query(
+    `UPDATE projects SET
+      subtotal = $1, discount_amount = $2, tax_amount = $3, price = $4,
+      deposit_percent = $5, deposit_amount = $6, price_override = price_override + $7
+    WHERE id = $8`,
+    [
+      priced.subtotal, priced.discount_amount, priced.tax_amount, priced.price,
+      priced.deposit_percent, priced.deposit_amount, delta, project.id
+    ]
+  );
+  return syncProjectBalance(db, project.id);
+}
+
+async function countRevisions(db, projectId) {
+  await db.query(
+    `UPDATE projects SET revisions_used = (
+      SELECT COUNT(*) FROM project_revisions WHERE project_id = $1
+    ) WHERE id = $1`,
+    [projectId]
+  );
+}
+
+app.get("/api/projects/:id/revisions", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const project = await pool.query("SELECT id FROM projects WHERE id = $1", [id]);
+
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const result = await pool.query(
+      `${REVISION_SELECT} WHERE r.project_id = $1 ORDER BY r.requested_on, r.id`,
+      [id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching revisions:", err);
+    res.status(500).json({ error: "Failed to fetch revisions" });
+  }
+});
+
+// Logs a client's revision request. Once the project's included revisions
+// are used up, the request needs an addon_id and is billed with that add-on.
+app.post("/api/projects/:id/revisions", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { request_text, requested_on, editor_id, addon_id } = req.body;
+
+    const result = await store.transaction(async (tx) => {
+      // Lock the project so two requests can't both take the last free revision
+      const project = await tx.projects.get(id, { forUpdate: true });
+      if (!project) {
+        return rejection(404, { error: "Project not found" });
+      }
+
+      let addon = null;
+      if (addon_id && revisions.isLimitReached(project)) {
+        const addonResult = await tx.db.query("SELECT * FROM addons WHERE id = $1", [addon_id]);
+        if (addonResult.rows.length === 0) {
+          return rejection(400, { error: "Add-on not found" });
+        }
+        addon = addonResult.rows[0];
+      }
+
+      const check = revisions.checkRevisionRequest(project, { request_text, requested_on }, addon);
+      if (check.error) {
+        return rejection(check.status, {
+          error: check.error,
+          revision_limit: project.revision_limit,
+          revisions_used: project.revisions_used,
+        });
+      }
+
+      if (editor_id && !(await tx.team.get(editor_id))) {
+        return rejection(400, { error: "Editor not found" });
+      }
+
+      let lineItemId = null;
+      if (check.billable) {
+        const lineItem = await tx.db.query(
+          `INSERT INTO project_line_items (project_id, addon_id, description, quantity, unit_price)
+           VALUES ($1, $2, $3, 1, $4)
+           RETURNING id`,
+          [project.id, addon.id, `Extra revision: ${addon.name}`, addon.price]
+        );
+        lineItemId = lineItem.rows[0].id;
+        await adjustProjectSubtotal(tx.db, project, Number(addon.price));
+      }
+
+      const inserted = await tx.db.query(
+        `INSERT INTO project_revisions (
+          project_id, request_text, requested_on, editor_id, billable, line_item_id
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id`,
+        [
+          project.id, request_text.trim(), requested_on || new Date().toISOString().slice(0, 10),
+          editor_id || null, check.billable, lineItemId
+        ]
+      );
+      await countRevisions(tx.db, project.id);
+
+      const [revision, updated] = await Promise.all([
+        tx.db.query(`${REVISION_SELECT} WHERE r.id = $1`, [inserted.rows[0].id]),
+        findProject(tx, project.id),
+      ]);
+      return { revision: { ...revision.rows[0], project: updated } };
+    });
+
+    if (result.rejected) {
+      return res.status(result.rejected.status).json(result.rejected.body);
+    }
+    res.status(201).json(result.revision);
+  } catch (err) {
+    console.error("Error logging revision:", err);
+    res.status(500).json({ error: "Failed to log revision" });
+  }
+});
+
+// Updates the request, the assigned editor and the resolution. Giving a
+// resolution marks the revision resolved; clearing it re-opens it.
+app.put("/api/projects/:id/revisions/:revisionId", async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    const { request_text, editor_id, resolution } = req.body;
+
+    if (!request_text || !String(request_text).trim()) {
+      return res.status(400).json({ error: "request_text is required" });
+    }
+    if (editor_id) {
+      const editor = await pool.query("SELECT id FROM team WHERE id = $1", [editor_id]);
+      if (editor.rows.length === 0) {
+        return res.status(400).json({ error: "Editor not found" });
+      }
+    }
+
+    const resolved = Boolean(resolution && String(resolution).trim());
+    const result = await pool.query(
+      `UPDATE project_revisions SET
+        request_text = $1, editor_id = $2, resolution = $3, status = $4,
+        resolved_at = CASE WHEN $5::boolean THEN COALESCE(resolved_at, NOW()) ELSE NULL END
+      WHERE id = $6 AND project_id = $7
+      RETURNING id`,
+      [
+        request_text.trim(), editor_id || null, resolved ? resolution.trim() : null,
+        resolved ? "resolved" : "open", resolved, revisionId, id
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const revision = await pool.query(`${REVISION_SELECT} WHERE r.id = $1`, [revisionId]);
+    res.json(revision.rows[0]);
+  } catch (err) {
+    console.error("Error updating revision:", err);
+    res.status(500).json({ error: "Failed to update revision" });
+  }
+});
+
+// Removes a revision logged by mistake. It no longer counts towards the
+// limit, and if it was billed the charge comes off the project too.
+app.delete("/api/projects/:id/revisions/:revisionId", async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id, revisionId } = req.params;
+
+    await client.query("BEGIN");
+
+    const project = await client.query("SELECT * FROM projects WHERE id = $1 FOR UPDATE", [id]);
+    const deleted = await client.query(
+      "DELETE FROM project_revisions WHERE id = $1 AND project_id = $2 RETURNING *",
+      [revisionId, id]
+    );
+
+    if (deleted.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const lineItemId = deleted.rows[0].line_item_id;
+    if (lineItemId) {
+      const lineItem = await client.query(
+        "DELETE FROM project_line_items WHERE id = $1 RETURNING *",
+        [lineItemId]
+      );
+      if (lineItem.rows.length > 0) {
+        await adjustProjectSubtotal(client, project.rows[0], -pricing.lineItemTotal(lineItem.rows[0]));
+      }
+    }
+    await countRevisions(client, id);
+
+    await client.query("COMMIT");
+
+    res.json({ message: "Revision deleted successfully" });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Error deleting revision:", err);
+    res.status(500).json({ error: "Failed to delete revision" });
+  } finally {
+    client.release();
+  }
+});
+
+// -----------------------------
+// 🎁 DELIVERABLES ROUTES
+// -----------------------------
+app.get("/api/projects/:id/deliverables", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const project = await pool.query("SELECT id FROM projects WHERE id = $1", [id]);
+
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const result = await pool.query(
+      "SELECT * FROM project_deliverables WHERE project_id = $1 ORDER BY sort_order, id",
+      [id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching deliverables:", err);
+    res.status(500).json({ error: "Failed to fetch deliverables" });
+  }
+});
+
+// Adds a one-off deliverable to a project's checklist: { name, quantity, required }
+app.post("/api/projects/:id/deliverables", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, quantity, required } = req.body;
+
+    const itemsError = deliverables.validateDeliverableItems([{ name, quantity }]);
+    if (itemsError) {
+      return res.status(400).json({ error: itemsError });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO project_deliverables (project_id, name, quantity, required, sort_order)
+       SELECT id, $2, $3, $4, (
+         SELECT COALESCE(MAX(sort_order), -1) + 1 FROM project_deliverables WHERE project_id = $1
+       )
+       FROM projects WHERE id = $1
+       RETURNING *`,
+      [id, name.trim(), parseInt(quantity) || null, required !== false]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error("Error creating deliverable:", err);
+    res.status(500).json({ error: "Failed to create deliverable" });
+  }
+});
+
+// Updates a checklist item. Fields left out keep their value; marking it
+// delivered without a delivered_on date uses today.
+app.put("/api/projects/:id/deliverables/:deliverableId", async (req, res) => {
+  try {
+    const { id, deliverableId } = req.params;
+    const { name, quantity, required, status, delivery_link, delivered_on } = req.body;
+
+    const updateError = deliverables.validateDeliverableUpdate({ name, status, delivered_on });
+    if (updateError) {
+      return res.status(400).json({ error: updateError });
+    }
+
+    const existing = await pool.query(
+      "SELECT * FROM project_deliverables WHERE id = $1 AND project_id = $2",
+      [deliverableId, id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Deliverable not found" });
+    }
+
+    const item = { ...existing.rows[0] };
+    if (name !== undefined) item.name = name.trim();
+    if (quantity !== undefined) item.quantity = parseInt(quantity) || null;
+    if (required !== undefined) item.required = Boolean(required);
+    if (delivery_link !== undefined) item.delivery_link = delivery_link || null;
+    if (delivered_on !== undefined) item.delivered_on = delivered_on || null;
+    if (status !== undefined) item.status = status;
+
+    if (item.status === "delivered") {
+      item.delivered_on = item.delivered_on || new Date().toISOString().slice(0, 10);
+    } else {
+      item.delivered_on = null;
+    }
+
+    const result = await pool.query(
+      `UPDATE project_deliverables SET
+        name = $1, quantity = $2, required = $3, status = $4, delivery_link = $5, delivered_on = $6
+      WHERE id = $7
+      RETURNING *`,
+      [item.name, item.quantity, item.required, item.status, item.delivery_link, item.delivered_on, deliverableId]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error updating deliverable:", err);
+    res.status(500).json({ error: "Failed to update deliverable" });
+  }
+});
+
+app.delete("/api/projects/:id/deliverables/:deliverableId", async (req, res) => {
+  try {
+    const { id, deliverableId } = req.params;
+    const result = await pool.query(
+      "DELETE FROM project_deliverables WHERE id = $1 AND project_id = $2 RETURNING *",
+      [deliverableId, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Deliverable not found" });
+    }
+    res.json({ message: "Deliverable deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting deliverable:", err);
+    res.status(500).json({ error: "Failed to delete deliverable" });
+  }
+});
+
+// -----------------------------
+// 📜 CONTRACT ROUTES
+// -----------------------------
+
+// Placeholders a template can use, for the template editor
+app.get("/api/contract-templates/placeholders", (req, res) => {
+  res.json(contracts.listPlaceholders());
+});
+
+app.get("/api/contract-templates", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM contract_templates ORDER BY name, id");
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching contract templates:", err);
+    res.status(500).json({ error: "Failed to fetch contract templates" });
+  }
+});
+
+app.post("/api/contract-templates", async (req, res) => {
+  try {
+    const { name, body } = req.body;
+
+    const templateError = contracts.validateTemplate({ name, body });
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    const result = await pool.query(
+      "INSERT INTO contract_templates (name, body) VALUES ($1, $2) RETURNING *",
+      [name.trim(), body]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error("Error creating contract template:", err);
+    res.status(500).json({ error: "Failed to create contract template" });
+  }
+});
+
+// Editing a template only affects contracts generated from it afterwards
+app.put("/api/contract-templates/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, body } = req.body;
+
+    const templateError = contracts.validateTemplate({ name, body });
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    const result = await pool.query(
+      `UPDATE contract_templates SET name = $1, body = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [name.trim(), body, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Contract template not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error updating contract template:", err);
+    res.status(500).json({ error: "Failed to update contract template" });
+  }
+});
+
+app.delete("/api/contract-templates/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query("DELETE FROM contract_templates WHERE id = $1 RETURNING *", [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Contract template not found" });
+    }
+    res.json({ message: "Contract template deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting contract template:", err);
+    res.status(500).json({ error: "Failed to delete contract template" });
+  }
+});
+
+app.get("/api/projects/:id/contracts", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const project = await pool.query("SELECT id FROM projects WHERE id = $1", [id]);
+
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const result = await pool.query(
+      "SELECT * FROM project_contracts WHERE project_id = $1 ORDER BY created_at DESC, id DESC",
+      [id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching contracts:", err);
+    res.status(500).json({ error: "Failed to fetch contracts" });
+  }
+});
+
+// Renders a template against the project as it is now: { template_id }.
+// Any contract still waiting for acceptance is superseded by the new one;
+// accepted contracts are kept as they are.
+app.post("/api/projects/:id/contracts", async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { template_id } = req.body;
+
+    const template = await client.query("SELECT * FROM contract_templates WHERE id = $1", [template_id]);
+    if (template.rows.length === 0) {
+      return res.status(400).json({ error: "Contract template not found" });
+    }
+
+    const context = await loadDocumentContext(client, id);
+    if (!context) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const pkg = context.package && {
+      ...context.package,
+      deliverables: context.package.deliverables ||
+        (context.package.deliverable_items || []).map(deliverables.describeDeliverable).join(", "),
+    };
+    const body = contracts.renderContract(template.rows[0].body, { ...context, package: pkg });
+
+    await client.query("BEGIN");
+
+    await client.query(
+      "UPDATE project_contracts SET status = 'superseded' WHERE project_id = $1 AND status = 'pending'",
+      [id]
+    );
+    const result = await client.query(
+      `INSERT INTO project_contracts (project_id, template_id, title, body, content_hash)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [id, template_id, template.rows[0].name, body, contracts.hashContract(body)]
+    );
+
+    await client.query("COMMIT");
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Error generating contract:", err);
+    res.status(500).json({ error: "Failed to generate contract" });
+  } finally {
+    client.release();
+  }
+});
+
+// Marks a pending contract accepted, recording the version's hash, when and
+// from which IP. Shared by the in-person and portal routes.
+async function acceptContract(contractId, { accepted_by, version_hash }, via, ip) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const existing = await client.query(
+      "SELECT * FROM project_contracts WHERE id = $1 FOR UPDATE",
+      [contractId]
+    );
+    if (existing.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return { status: 404, error: "Contract not found" };
+    }
+
+    const acceptanceError = contracts.checkAcceptance(existing.rows[0], { accepted_by, version_hash });
+    if (acceptanceError) {
+      await client.query("ROLLBACK");
+      return { status: 409, error: acceptanceError };
+    }
+
+    const result = await client.query(
+      `UPDATE project_contracts SET
+        status = 'accepted', accepted_by = $1, accepted_at = NOW(), accepted_ip = $2, accepted_via = $3
+      WHERE id = $4
+      RETURNING *`,
+      [accepted_by.trim(), ip, via, contractId]
+    );
+
+    await client.query("COMMIT");
+    return { contract: result.rows[0] };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Accepted in person at the studio: { accepted_by, version_hash }
+app.post("/api/contracts/:id/accept", async (req, res) => {
+  try {
+    const result = await acceptContract(req.params.id, req.body, "in_person", req.ip);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result.contract);
+  } catch (err) {
+    console.error("Error accepting contract:", err);
+    res.status(500).json({ error: "Failed to accept contract" });
+  }
+});
+
+app.get("/api/contracts/:id/contract.pdf", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const contract = await pool.query("SELECT * FROM project_contracts WHERE id = $1", [id]);
+
+    if (contract.rows.length === 0) {
+      return res.status(404).json({ error: "Contract not found" });
+    }
+
+    const context = await loadDocumentContext(pool, contract.rows[0].project_id);
+    const buffer = await pdf.renderContract({ contract: contract.rows[0], ...context });
+    sendPdf(res, `contract-${contract.rows[0].project_id}-${id}.pdf`, buffer);
+  } catch (err) {
+    console.error("Error generating contract PDF:", err);
+    res.status(500).json({ error: "Failed to generate contract PDF" });
+  }
+});
+
+// -----------------------------
+// 🧲 LEADS ROUTES
+// -----------------------------
+
+// Lead row with its package and, once converted, its client and project
+const LEAD_SELECT = `
+  SELECT
+    l.*,
+    pkg.name as package_name,
+    c.name as client_name,
+    p.price as project_price
+  FROM leads l
+  LEFT JOIN packages pkg ON l.package_id = pkg.id
+  LEFT JOIN clients c ON l.client_id = c.id
+  LEFT JOIN projects p ON l.project_id = p.id
+`;
+
+// The existing client with this email or phone number (the oldest if
+// several match), or null
+async function findClientByContact(repo, { phone, email }) {
+  const emailKey = enquiries.normalizeEmail(email);
+  const phoneKey = enquiries.phoneMatchKey(phone);
+  if (!emailKey && !phoneKey) return null;
+
+  const matches = (await repo.clients.list()).filter((c) =>
+    (emailKey && enquiries.normalizeEmail(c.email) === emailKey) ||
+    (phoneKey && String(c.phone || "").replace(/\D/g, "").endsWith(phoneKey))
+  );
+  return matches.sort((a, b) => a.id - b.id)[0] || null;
+}
+
+// The client a lead converts into: the one it's linked to or matches by
+// email/phone (filling in whichever contact detail they didn't have yet),
+// otherwise a new client
+async function findOrCreateClient(repo, lead) {
+  const existing = lead.client_id
+    ? await repo.clients.get(lead.client_id)
+    : await findClientByContact(repo, lead);
+
+  if (existing) {
+    return repo.clients.update(existing.id, {
+      phone: existing.phone || lead.phone || undefined,
+      email: existing.email || lead.email || undefined,
+    });
+  }
+
+  return repo.clients.create({ name: lead.name, phone: lead.phone, email: lead.email });
+}
+
+// Filters: ?stage=, ?source=, ?follow_up_due=true (open leads to chase today or earlier)
+app.get("/api/leads", async (req, res) => {
+  try {
+    const { stage, source, follow_up_due } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (stage) {
+      params.push(stage);
+      conditions.push(`l.stage = $${params.length}`);
+    }
+    if (source) {
+      params.push(source);
+      conditions.push(`l.source = $${params.length}`);
+    }
+    if (follow_up_due === "true") {
+      params.push(leads.OPEN_STAGES, new Date().toISOString().slice(0, 10));
+      conditions.push(`l.stage = ANY($${params.length - 1}) AND l.follow_up_date <= $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const result = await pool.query(
+      `${LEAD_SELECT} ${where} ORDER BY l.created_at DESC, l.id DESC`,
+      params
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching leads:", err);
+    res.status(500).json({ error: "Failed to fetch leads" });
+  }
+});
+
+// Leads per source per month (by when they came in), how many booked or
+// were lost, and what the booked ones are worth. ?from= / ?to= (YYYY-MM) narrow it.
+app.get("/api/leads/report", async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const monthPattern = /^\d{4}-\d{2}$/;
+
+    if ((from && !monthPattern.test(from)) || (to && !monthPattern.test(to))) {
+      return res.status(400).json({ error: "from and to must be months in YYYY-MM format" });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (from) {
+      params.push(from);
+      conditions.push(`to_char(l.created_at, 'YYYY-MM') >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`to_char(l.created_at, 'YYYY-MM') <= $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT
+        to_char(l.created_at, 'YYYY-MM') AS month,
+        l.source,
+        COUNT(*)::int AS leads,
+        COUNT(*) FILTER (WHERE l.stage = 'won')::int AS won,
+        COUNT(*) FILTER (WHERE l.stage = 'lost')::int AS lost,
+        COALESCE(SUM(p.price) FILTER (WHERE l.stage = 'won'), 0) AS booked_value
+      FROM leads l
+      LEFT JOIN projects p ON l.project_id = p.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      GROUP BY month, l.source
+      ORDER BY month DESC, l.source`,
+      params
+    );
+    res.json(leads.conversionReport(result.rows));
+  } catch (err) {
+    console.error("Error building lead report:", err);
+    res.status(500).json({ error: "Failed to build lead report" });
+  }
+});
+
+app.get("/api/leads/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`${LEAD_SELECT} WHERE l.id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error fetching lead:", err);
+    res.status(500).json({ error: "Failed to fetch lead" });
+  }
+});
+
+app.post("/api/leads", async (req, res) => {
+  try {
+    const {
+      name, phone, email, source, event_type, event_date, location,
+      package_id, quoted_price, follow_up_date, notes
+    } = req.body;
+
+    const leadError = leads.validateLead(req.body);
+    if (leadError) {
+      return res.status(400).json({ error: leadError });
+    }
+
+    const known = await findClientByContact(store, { phone, email });
+    const result = await pool.query(
+      `INSERT INTO leads (
+        name, phone, email, source, event_type, event_date, location,
+        package_id, quoted_price, follow_up_date, notes, client_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id`,
+      [
+        name.trim(), phone || null, email || null, source, event_type || null, event_date || null,
+        location || null, package_id || null, quoted_price === "" ? null : quoted_price ?? null, follow_up_date || null,
+        notes || null, known?.id || null
+      ]
+    );
+
+    const lead = await pool.query(`${LEAD_SELECT} WHERE l.id = $1`, [result.rows[0].id]);
+    res.status(201).json(lead.rows[0]);
+  } catch (err) {
+    console.error("Error creating lead:", err);
+    res.status(500).json({ error: "Failed to create lead" });
+  }
+});
+
+// Updates a lead, including its stage. Losing it needs a lost_reason;
+// winning it happens through POST /api/leads/:id/convert.
+app.put("/api/leads/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      name, phone, email, source, stage, event_type, event_date, location,
+      package_id, quoted_price, follow_up_date, lost_reason, notes
+    } = req.body;
+
+    const leadError = leads.validateLead(req.body);
+    if (leadError) {
+      return res.status(400).json({ error: leadError });
+    }
+
+    const existing = await pool.query("SELECT * FROM leads WHERE id = $1", [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+
+    const nextStage = stage || existing.rows[0].stage;
+    const stageError = leads.validateStageChange(existing.rows[0], nextStage, lost_reason);
+    if (stageError) {
+      return res.status(409).json({ error: stageError });
+    }
+
+    await pool.query(
+      `UPDATE leads SET
+        name = $1, phone = $2, email = $3, source = $4, stage = $5, event_type = $6,
+        event_date = $7, location = $8, package_id = $9, follow_up_date = $10,
+        lost_reason = $11, notes = $12, quoted_price = $13
+      WHERE id = $14`,
+      [
+        name.trim(), phone || null, email || null, source, nextStage, event_type || null,
+        event_date || null, location || null, package_id || null, follow_up_date || null,
+        nextStage === "lost" ? lost_reason.trim() : null, notes || null,
+        quoted_price === "" ? null : quoted_price ?? null, id
+      ]
+    );
+
+    const lead = await pool.query(`${LEAD_SELECT} WHERE l.id = $1`, [id]);
+    res.json(lead.rows[0]);
+  } catch (err) {
+    console.error("Error updating lead:", err);
+    res.status(500).json({ error: "Failed to update lead" });
+  }
+});
+
+// Turns a lead into a client and a New project in one go. The body can
+// change the booking details the lead came with (package_id, event_type,
+// event_date, event_time, location). The price agreed on the lead
+// (quoted_price, or price in the body) is kept as a hand-set price, and
+// deposit_percent / deposit_amount can be set the same way.
+app.post("/api/leads/:id/convert", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await store.transaction(async (tx) => {
+      const existing = await tx.db.query("SELECT * FROM leads WHERE id = $1 FOR UPDATE", [id]);
+      if (existing.rows.length === 0) {
+        return rejection(404, { error: "Lead not found" });
+      }
+
+      const lead = existing.rows[0];
+      const conversionError = leads.validateConversion(lead);
+      if (conversionError) {
+        return rejection(409, { error: conversionError });
+      }
+
+      const booking = {
+        package_id: req.body.package_id ?? lead.package_id,
+        event_type: req.body.event_type ?? lead.event_type,
+        event_date: req.body.event_date ?? lead.event_date,
+        event_time: req.body.event_time ?? null,
+        location: req.body.location ?? lead.location,
+      };
+
+      const agreed = {
+        price: req.body.price ?? lead.quoted_price,
+        deposit_percent: req.body.deposit_percent,
+        deposit_amount: req.body.deposit_amount,
+      };
+      const overrideError = pricing.validateOverrides(agreed);
+      if (overrideError) {
+        return rejection(400, { error: overrideError });
+      }
+
+      const packagePrice = await loadPackagePrice(tx.db, booking.package_id);
+      if (packagePrice === null) {
+        return rejection(400, { error: "Package not found" });
+      }
+      const handSet = pricing.activeOverrides(null, agreed);
+      const priced = pricing.calculatePricing({ packagePrice, overrides: handSet });
+
+      const bookedClient = await findOrCreateClient(tx, lead);
+
+      const project = await tx.projects.create({
+        ...booking,
+        client_id: bookedClient.id,
+        status: workflow.INITIAL_STATUS,
+        price: priced.price,
+        subtotal: priced.subtotal,
+        deposit_percent: priced.deposit_percent,
+        deposit_amount: priced.deposit_amount,
+        balance_amount: priced.balance_amount,
+        price_override: handSet.price,
+        deposit_percent_override: handSet.deposit_percent,
+        deposit_amount_override: handSet.deposit_amount,
+        notes: lead.notes,
+      }, { note: `Converted from lead #${lead.id} (${lead.source})` });
+
+      await recordPricingOverrides(tx.db, project.id, priced.overrides, `Agreed on lead #${lead.id}`);
+      await copyPackageDeliverables(tx.db, project.id, booking.package_id);
+
+      await tx.db.query(
+        `UPDATE leads SET
+          stage = 'won', client_id = $1, project_id = $2, converted_at = NOW(), lost_reason = NULL
+        WHERE id = $3`,
+        [bookedClient.id, project.id, lead.id]
+      );
+
+      const [updatedLead, detailed] = await Promise.all([
+        tx.db.query(`${LEAD_SELECT} WHERE l.id = $1`, [lead.id]),
+        findProject(tx, project.id),
+      ]);
+      return { lead: updatedLead.rows[0], project: detailed };
+    });
+
+    if (result.rejected) {
+      return res.status(result.rejected.status).json(result.rejected.body);
+    }
+
+    notifyInBackground("booking_confirmation", result.project.id);
+
+    res.status(201).json(result);
+  } catch (err) {
+    console.error("Error converting lead:", err);
+    res.status(500).json({ error: "Failed to convert lead" });
+  }
+});
+
+app.delete("/api/leads/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query("DELETE FROM leads WHERE id = $1 RETURNING *", [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Lead not found" });
+    }
+    res.json({ message: "Lead deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting lead:", err);
+    res.status(500).json({ error: "Failed to delete lead" });
+  }
+});
+
+// -----------------------------
+// 💬 QUOTES ROUTES
+// -----------------------------
+
+// Quote row with client / package names and its custom items
+const QUOTE_SELECT = `
+  SELECT
+    q.*,
+    c.name as client_name,
+    pkg.name as package_name,
+    COALESCE((
+      SELECT json_agg(qi ORDER BY qi.id)
+      FROM quote_items qi
+      WHERE qi.quote_id = q.id
+    ), '[]') as items
+  FROM quotes q
+  LEFT JOIN clients c ON q.client_id = c.id
+  LEFT JOIN packages pkg ON q.package_id = pkg.id
+`;
+
+// Replaces a quote's custom items, inside the caller's transaction
+async function setQuoteItems(db, quoteId, items) {
+  await db.query("DELETE FROM quote_items WHERE quote_id = $1", [quoteId]);
+  for (const item of items) {
+    await db.query(
+      `INSERT INTO quote_items (quote_id, description, quantity, unit_price)
+       VALUES ($1, $2, $3, $4)`,
+      [quoteId, item.description, parseInt(item.quantity) || 1, item.unit_price]
+    );
+  }
+}
+
+// Price and deposit for a quote body; the package price is copied so the
+// quote keeps its figure if the package is repriced later. A deposit_percent
+// left blank comes from the deposit tiers. { error } when it can't be priced.
+async function priceQuote(db, { package_id, items, deposit_percent }) {
+  const depositError = quotes.depositPercentError(deposit_percent);
+  if (depositError) return { error: depositError };
+
+  let packagePrice = 0;
+  if (package_id) {
+    const pkg = await db.query("SELECT price FROM packages WHERE id = $1", [package_id]);
+    if (pkg.rows.length === 0) return { error: "Package not found" };
+    packagePrice = Number(pkg.rows[0].price);
+  }
+
+  const price = quotes.calculateQuoteTotal(packagePrice, items);
+  const blank = deposit_percent === undefined || deposit_percent === null || deposit_percent === "";
+  return {
+    package_price: packagePrice,
+    price,
+    deposit_percent: blank ? pricing.depositPercentFor(price) : parseFloat(deposit_percent),
+  };
+}
+
+app.get("/api/quotes", async (req, res) => {
+  try {
+    const { status, client_id } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`q.status = $${params.length}`);
+    }
+    if (client_id) {
+      params.push(client_id);
+      conditions.push(`q.client_id = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const result = await pool.query(`${QUOTE_SELECT} ${where} ORDER BY q.created_at DESC`, params);
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching quotes:", err);
+    res.status(500).json({ error: "Failed to fetch quotes" });
+  }
+});
+
+app.get("/api/quotes/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`${QUOTE_SELECT} WHERE q.id = $1`, [id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Quote not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error fetching quote:", err);
+    res.status(500).json({ error: "Failed to fetch quote" });
+  }
+});
+
+app.post("/api/quotes", async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const {
+      client_id, package_id, event_type, event_date, location,
+      items = [], deposit_percent, valid_until, notes
+    } = req.body;
+
+    const quoteError = quotes.validateQuote(req.body, { creating: true });
+    if (quoteError) {
+      return res.status(400).json({ error: quoteError });
+    }
+
+    const quoted = await priceQuote(client, { package_id, items, deposit_percent });
+    if (quoted.error) {
+      return res.status(400).json({ error: quoted.error });
+    }
+
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `INSERT INTO quotes (
+        client_id, package_id, event_type, event_date, location,
+        package_price, price, deposit_percent, valid_until, notes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id`,
+      [
+        client_id, package_id || null, event_type || null, event_date || null, location || null,
+        quoted.package_price, quoted.price, quoted.deposit_percent,
+        valid_until || quotes.defaultValidUntil(), notes || null
+      ]
+    );
+    const quoteId = result.rows[0].id;
+
+    await setQuoteItems(client, quoteId, items);
+    const quote = await client.query(`${QUOTE_SELECT} WHERE q.id = $1`, [quoteId]);
+
+    await client.query("COMMIT");
+
+    res.status(201).json(quote.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Error creating quote:", err);
+    res.status(500).json({ error: "Failed to create quote" });
+  } finally {
+    client.release();
+  }
+});
+
+// Fields left out keep what the draft has; a deposit_percent sent blank is
+// worked out from the deposit tiers again
+app.put("/api/quotes/:id", async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    const quoteError = quotes.validateQuote(req.body);
+    if (quoteError) {
+      return res.status(400).json({ error: quoteError });
+    }
+
+    await client.query("BEGIN");
+
+    const existing = await client.query(`${QUOTE_SELECT} WHERE q.id = $1 FOR UPDATE OF q`, [id]);
+    if (existing.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Quote not found" });
+    }
+    // What the client was sent has to stay as it was
+    if (existing.rows[0].status !== "draft") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Only draft quotes can be edited" });
+    }
+
+    const merged = { ...existing.rows[0] };
+    for (const field of [
+      "client_id", "package_id", "event_type", "event_date", "location",
+      "items", "deposit_percent", "valid_until", "notes"
+    ]) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    }
+
+    const quoted = await priceQuote(client, merged);
+    if (quoted.error) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: quoted.error });
+    }
+
+    await client.query(
+      `UPDATE quotes SET
+        client_id = $1, package_id = $2, event_type = $3, event_date = $4, location = $5,
+        package_price = $6, price = $7, deposit_percent = $8, valid_until = $9, notes = $10
+      WHERE id = $11`,
+      [
+        merged.client_id, merged.package_id || null, merged.event_type || null, merged.event_date || null,
+        merged.location || null, quoted.package_price, quoted.price, quoted.deposit_percent,
+        merged.valid_until || existing.rows[0].valid_until, merged.notes || null, id
+      ]
+    );
+
+    await setQuoteItems(client, id, merged.items);
+    const quote = await client.query(`${QUOTE_SELECT} WHERE q.id = $1`, [id]);
+
+    await client.query("COMMIT");
+
+    res.json(quote.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Error updating quote:", err);
+    res.status(500).json({ error: "Failed to update quote" });
+  } finally {
+    client.release();
+  }
+});
+
+app.patch("/api/quotes/:id/status", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const existing = await pool.query("SELECT * FROM quotes WHERE id = $1", [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Quote not found" });
+    }
+
+    const statusError = quotes.validateStatusChange(existing.rows[0], status);
+    if (statusError) {
+      return res.status(409).json({ error: statusError });
+    }
+
+    await pool.query("UPDATE quotes SET status = $1 WHERE id = $2", [status, id]);
+    const quote = await pool.query(`${QUOTE_SELECT} WHERE q.id = $1`, [id]);
+    res.json(quote.rows[0]);
+  } catch (err) {
+    console.error("Error updating quote status:", err);
+    res.status(500).json({ error: "Failed to update quote status" });
+  }
+});
+
+// Accept a sent quote and turn it into a New project in one transaction
+app.post("/api/quotes/:id/accept", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await store.transaction(async (tx) => {
+      const existing = await tx.db.query(`${QUOTE_SELECT} WHERE q.id = $1 FOR UPDATE OF q`, [id]);
+      if (existing.rows.length === 0) {
+        return rejection(404, { error: "Quote not found" });
+      }
+
+      const quote = existing.rows[0];
+      const acceptError = quotes.validateAcceptance(quote);
+      if (acceptError) {
+        return rejection(409, { error: acceptError });
+      }
+
+      // The client accepted this price and deposit, so they're kept as
+      // hand-set values: editing the booking later doesn't re-price it from
+      // the package and deposit tiers as they are by then
+      const handSet = {
+        price: Number(quote.price),
+        deposit_percent: Number(quote.deposit_percent),
+        deposit_amount: null,
+      };
+      const priced = pricing.calculatePricing({
+        packagePrice: quote.package_price,
+        lineItems: quote.items,
+        overrides: handSet,
+      });
+
+      const project = await tx.projects.create({
+        client_id: quote.client_id,
+        package_id: quote.package_id,
+        event_type: quote.event_type,
+        event_date: quote.event_date,
+        location: quote.location,
+        status: workflow.INITIAL_STATUS,
+        price: priced.price,
+        subtotal: priced.subtotal,
+        deposit_percent: priced.deposit_percent,
+        deposit_amount: priced.deposit_amount,
+        balance_amount: priced.balance_amount,
+        price_override: handSet.price,
+        deposit_percent_override: handSet.deposit_percent,
+        notes: quote.notes,
+      }, { note: `Created from quote #${quote.id}` });
+
+      // The quote's extras carry over as the project's line items
+      await setProjectLineItems(tx.db, project.id, quote.items);
+      await copyPackageDeliverables(tx.db, project.id, quote.package_id);
+      await recordPricingOverrides(tx.db, project.id, priced.overrides, `Accepted in quote #${quote.id}`);
+
+      await tx.db.query(
+        "UPDATE quotes SET status = 'accepted', project_id = $1 WHERE id = $2",
+        [project.id, quote.id]
+      );
+
+      const [accepted, detailed] = await Promise.all([
+        tx.db.query(`${QUOTE_SELECT} WHERE q.id = $1`, [quote.id]),
+        findProject(tx, project.id),
+      ]);
+      return { quote: accepted.rows[0], project: detailed };
+    });
+
+    if (result.rejected) {
+      return res.status(result.rejected.status).json(result.rejected.body);
+    }
+
+    notifyInBackground("booking_confirmation", result.project.id);
+
+    res.status(201).json(result);
+  } catch (err) {
+    console.error("Error accepting quote:", err);
+    res.status(500).json({ error: "Failed to accept quote" });
+  }
+});
+
+app.delete("/api/quotes/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      "DELETE FROM quotes WHERE id = $1 AND status <> 'accepted' RETURNING *",
+      [id]
+    );
+    
+    if (result.rows.length === 0) {
+      const exists = await pool.query("SELECT id FROM quotes WHERE id = $1", [id]);
+      if (exists.rows.length > 0) {
+        return res.status(409).json({ error: "Accepted quotes can't be deleted" });
+      }
+      return res.status(404).json({ error: "Quote not found" });
+    }
+    res.json({ message: "Quote deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting quote:", err);
+    res.status(500).json({ error: "Failed to delete quote" });
+  }
+});
+
+// -----------------------------
+// 💰 PAYMENTS ROUTES
+// -----------------------------
+app.get("/api/payments", async (req, res) => {
+  try {
+    const { project_id, client_id, method, entry_type, from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: "from and to must be dates in YYYY-MM-DD format" });
+    }
+
+    res.json(await store.payments.list({ project_id, client_id, method, entry_type, from, to }));
+  } catch (err) {
+    console.error("Error fetching payments:", err);
+    res.status(500).json({ error: "Failed to fetch payments" });
+  }
+});
+
+app.post("/api/payments", async (req, res) => {
+  try {
+    const { project_id, amount, method, reference, note } = req.body;
+    
+    const validationError = store.payments.validate(req.body, { creating: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    // Money going back is recorded as a refund or void of a payment
+    if (!(parseFloat(amount) > 0)) {
+      return res.status(400).json({ error: "amount must be more than 0" });
+    }
+    
+    const result = await store.transaction(async (tx) => {
+      const created = await tx.payments.create({
+        project_id, amount, method, reference, note, entry_type: "payment",
+      });
+      if (!created) {
+        return rejection(404, { error: "Project not found" });
+      }
+
+      // The repository only knows the ledger; installments follow it here
+      await syncProjectBalance(tx.db, created.project_id);
+      const receipt = await issueReceipt(tx.db, created.id);
+      return { payment: { ...created, receipt_number: receipt.receipt_number } };
+    });
+
+    if (result.rejected) {
+      return res.status(result.rejected.status).json(result.rejected.body);
+    }
+
+    notifyInBackground("payment_received", result.payment.project_id, { payment: result.payment });
+    
+    res.status(201).json(result.payment);
+  } catch (err) {
+    console.error("Error creating payment:", err);
+    res.status(500).json({ error: "Failed to create payment" });
+  }
+});
+
+// Records a refund or void of a payment as a negative ledger entry.
+// A void reverses the whole payment; a refund gives back `amount` of it.
+async function recordReversal(req, res, type) {
+  try {
+    const { id } = req.params;
+    const { amount, reason, method, reference } = req.body;
+    
+    const result = await store.transaction(async (tx) => {
+      // Lock the payment so two refunds can't both pass the amount check
+      const payment = await tx.payments.get(id, { forUpdate: true });
+      if (!payment) {
+        return rejection(404, { error: "Payment not found" });
+      }
+
+      const reversals = await tx.payments.list({
+        project_id: payment.project_id,
+        original_payment_id: payment.id,
+      });
+      const reversalError = ledger.validateReversal(payment, reversals, { type, amount, reason });
+      if (reversalError) {
+        return rejection(409, { error: reversalError });
+      }
+
+      const reversedAmount = type === "void"
+        ? Number(payment.amount)
+        : parseFloat(amount);
+
+      const entry = await tx.payments.create({
+        project_id: payment.project_id,
+        amount: -reversedAmount,
+        method: method || payment.method,
+        reference,
+        entry_type: type,
+        original_payment_id: payment.id,
+        reason: reason.trim(),
+      });
+      const project = await syncProjectBalance(tx.db, payment.project_id);
+
+      return { entry: { ...entry, project } };
+    });
+
+    if (result.rejected) {
+      return res.status(result.rejected.status).json(result.rejected.body);
+    }
+    res.status(201).json(result.entry);
+  } catch (err) {
+    console.error(`Error recording ${type}:`, err);
+    res.status(500).json({ error: `Failed to record ${type}` });
+  }
+}
+
+app.post("/api/payments/:id/refund", (req, res) => recordReversal(req, res, "refund"));
+app.post("/api/payments/:id/void", (req, res) => recordReversal(req, res, "void"));
+
+// Payments stay in the ledger; taking money back is a refund or void
+app.delete("/api/payments/:id", (req, res) => {
+  res.status(405).json({
+    error: "Payments can't be deleted. Use POST /api/payments/:id/void or /api/payments/:id/refund",
+  });
+});
+
+// -----------------------------
+// 📅 INSTALLMENT ROUTES
+// -----------------------------
+
+// A project's installments in due order, with outstanding/overdue worked out
+async function loadInstallments(db, project, asOf) {
+  const result = await db.query(
+    "SELECT * FROM project_installments WHERE project_id = $1 ORDER BY due_date, id",
+    [project.id]
+  );
+  return result.rows.map((i) => installments.describeInstallment(i, asOf, project.status));
+}
+
+app.get("/api/projects/:id/installments", async (req, res) => {
+  try {
+    const project = await pool.query("SELECT * FROM projects WHERE id = $1", [req.params.id]);
+
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const schedule = await loadInstallments(pool, project.rows[0]);
+    res.json({
+      project_id: project.rows[0].id,
+      price: Number(project.rows[0].price),
+      scheduled_total: schedule.reduce((sum, i) => sum + i.amount, 0),
+      late_fees: Number(project.rows[0].late_fees || 0),
+      installments: schedule,
+    });
+  } catch (err) {
+    console.error("Error fetching installments:", err);
+    res.status(500).json({ error: "Failed to fetch installments" });
+  }
+});
+
+// Replaces a project's payment schedule: { installments: [{ amount, due_date, note }] }.
+// The installments must add up to the project price; an empty list clears
+// the schedule. Late fees charged on the old schedule go with it.
+app.put("/api/projects/:id/installments", async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const items = req.body.installments;
+
+    await client.query("BEGIN");
+
+    const project = await client.query("SELECT * FROM projects WHERE id = $1 FOR UPDATE", [id]);
+
+    if (project.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (project.rows[0].status === "Cancelled") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "A cancelled booking has no payment schedule" });
+    }
+
+    const scheduleError = installments.validateSchedule(items, project.rows[0].price);
+    if (scheduleError) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    await client.query("DELETE FROM project_installments WHERE project_id = $1", [id]);
+    for (const item of items) {
+      await client.query(
+        "INSERT INTO project_installments (project_id, amount, due_date, note) VALUES ($1, $2, $3, $4)",
+        [id, item.amount, item.due_date, item.note || null]
+      );
+    }
+
+    const updated = await syncProjectBalance(client, id);
+    const schedule = await loadInstallments(client, updated);
+
+    await client.query("COMMIT");
+
+    res.json({ project: updated, installments: schedule });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Error saving installments:", err);
+    res.status(500).json({ error: "Failed to save installments" });
+  } finally {
+    client.release();
+  }
+});
+
+// Installments past their due date and not paid off, across all live
+// bookings, most overdue first. ?as_of=YYYY-MM-DD checks against another day.
+app.get("/api/installments/overdue", async (req, res) => {
+  try {
+    const { as_of } = req.query;
+
+    if (as_of && !/^\d{4}-\d{2}-\d{2}$/.test(as_of)) {
+      return res.status(400).json({ error: "as_of must be a date in YYYY-MM-DD format" });
+    }
+    const asOf = as_of || new Date().toISOString().slice(0, 10);
+
+    const result = await pool.query(
+      `SELECT
+        i.*,
+        p.status as project_status,
+        p.event_type,
+        p.event_date,
+        p.client_id,
+        c.name as client_name,
+        c.phone as client_phone,
+        c.email as client_email
+      FROM project_installments i
+      JOIN projects p ON i.project_id = p.id
+      LEFT JOIN clients c ON p.client_id = c.id
+      WHERE i.status <> 'paid' AND i.due_date < $1 AND p.status <> 'Cancelled'
+      ORDER BY i.due_date, i.id`,
+      [asOf]
+    );
+
+    res.json(result.rows.map((i) => installments.describeInstallment(i, asOf, i.project_status)));
+  } catch (err) {
+    console.error("Error fetching overdue installments:", err);
+    res.status(500).json({ error: "Failed to fetch overdue installments" });
+  }
+});
+
+// Charges a late fee on an overdue installment. Without an amount in the
+// body the configured late fee policy decides it. One late fee per installment.
+app.post("/api/installments/:id/late-fee", async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { amount } = req.body;
+
+    if (amount !== undefined && amount !== null && amount !== "" && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ error: "amount must be more than 0" });
+    }
+
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT i.*, p.status as project_status
+       FROM project_installments i
+       JOIN projects p ON i.project_id = p.id
+       WHERE i.id = $1
+       FOR UPDATE OF i`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Installment not found" });
+    }
+
+    const installment = result.rows[0];
+    if (Number(installment.late_fee) > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "A late fee has already been charged on this installment" });
+    }
+    if (!installments.isOverdue(installment, undefined, installment.project_status)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Only overdue installments can be charged a late fee" });
+    }
+
+    const fee = amount ? parseFloat(amount) : installments.lateFeeFor(installment);
+    if (!(fee > 0)) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: installments.isLateFeeEnabled()
+          ? "This installment is still within its grace period"
+          : "No late fee is configured; send an amount",
+      });
+    }
+
+    await client.query(
+      "UPDATE project_installments SET late_fee = $1, late_fee_charged_at = NOW() WHERE id = $2",
+      [fee, id]
+    );
+    const project = await syncProjectBalance(client, installment.project_id);
+    const schedule = await loadInstallments(client, project);
+
+    await client.query("COMMIT");
+
+    res.status(201).json({
+      installment: schedule.find((i) => i.id === installment.id),
+      project,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Error charging late fee:", err);
+    res.status(500).json({ error: "Failed to charge late fee" });
+  } finally {
+    client.release();
+  }
+});
+
+// -----------------------------
+// ✉️ NOTIFICATION ROUTES
+// -----------------------------
+
+// Renders the event's templates for a project, sends them to the client -
+// or to each assigned crew member for crew events - by email and
+// SMS/WhatsApp, and logs each attempt, whatever the outcome.
+// Options: `data` adds to the template data (e.g. { payment }), `channel`
+// limits it to one template channel, and `jobId` marks the sends as a
+// background job's: a retried job skips whatever its earlier attempts
+// already logged. Returns the new log rows.
+async function sendNotification(event, projectId, { data = {}, channel = null, jobId = null } = {}) {
+  const context = await loadDocumentContext(pool, projectId);
+  if (!context) return [];
+
+  const templates = await pool.query(
+    `SELECT * FROM notification_templates
+     WHERE event = $1 AND active = TRUE AND ($2::text IS NULL OR channel = $2)
+     ORDER BY channel`,
+    [event, channel]
+  );
+
+  const recipients = notifications.CREW_EVENTS.includes(event)
+    ? (await pool.query(
+        `SELECT t.* FROM team t
+         JOIN project_team pt ON pt.team_member_id = t.id
+         WHERE pt.project_id = $1
+         ORDER BY t.name`,
+        [projectId]
+      )).rows.map((member) => ({ member, contact: member }))
+    : [{ member: null, contact: context.client }];
+
+  const logs = [];
+  for (const { member, contact } of recipients) {
+    for (const template of templates.rows) {
+      if (jobId) {
+        const earlier = await pool.query(
+          `SELECT id FROM notifications
+           WHERE job_id = $1 AND status <> 'failed'
+             AND team_member_id IS NOT DISTINCT FROM $2 AND (channel = 'email') = $3`,
+          [jobId, member?.id ?? null, template.channel === "email"]
+        );
+        if (earlier.rows.length > 0) continue;
+      }
+
+      const message = notifications.renderTemplate(template, { ...context, team: member, ...data });
+      const outcome = template.channel === "email"
+        ? { channel: "email", to: contact.email || null, ...(await notifications.sendEmail({ to: contact.email, ...message })) }
+        : await messaging.sendMessage({ recipient: contact, body: message.body });
+
+      const log = await pool.query(
+        `INSERT INTO notifications (
+          project_id, client_id, team_member_id, job_id, event, channel, recipient, subject, body,
+          status, error, provider_message_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *`,
+        [
+          projectId, context.project.client_id, member?.id ?? null, jobId, event, outcome.channel,
+          outcome.to || null, message.subject, message.body, outcome.status, outcome.error || null,
+          outcome.message_id || null
+        ]
+      );
+      logs.push(log.rows[0]);
+    }
+  }
+  return logs;
+}
+
+// For triggers: sends after the request's own work is committed, and never
+// holds up or fails the request
+function notifyInBackground(event, projectId, data) {
+  sendNotification(event, projectId, { data }).catch((err) => {
+    console.error(`Error sending ${event} notification:`, err);
+  });
+}
+
+app.get("/api/notification-templates", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM notification_templates ORDER BY channel, id");
+    res.json({
+      templates: result.rows,
+      placeholders: notifications.listPlaceholders(),
+      email_enabled: notifications.isEmailEnabled(),
+      messaging_enabled: messaging.isMessagingEnabled(),
+      messaging_channel: messaging.messagingChannel(),
+    });
+  } catch (err) {
+    console.error("Error fetching notification templates:", err);
+    res.status(500).json({ error: "Failed to fetch notification templates" });
+  }
+});
+
+// Edits a template: { subject, body, active }
+app.put("/api/notification-templates/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { subject, body, active } = req.body;
+
+    const existing = await pool.query("SELECT channel FROM notification_templates WHERE id = $1", [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "Notification template not found" });
+    }
+
+    const { channel } = existing.rows[0];
+    const templateError = notifications.validateTemplate({ channel, subject, body });
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    const result = await pool.query(
+      `UPDATE notification_templates SET
+        subject = $1, body = $2, active = COALESCE($3, active), updated_at = NOW()
+      WHERE id = $4
+      RETURNING *`,
+      [channel === "email" ? subject.trim() : null, body, active ?? null, id]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error updating notification template:", err);
+    res.status(500).json({ error: "Failed to update notification template" });
+  }
+});
+
+// The notifications log, newest first. Filters: ?project_id=, ?client_id=, ?status=
+app.get("/api/notifications", async (req, res) => {
+  try {
+    const { project_id, client_id, status } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (project_id) {
+      params.push(project_id);
+      conditions.push(`n.project_id = $${params.length}`);
+    }
+    if (client_id) {
+      params.push(client_id);
+      conditions.push(`n.client_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`n.status = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT n.*, c.name as client_name, t.name as team_member_name
+       FROM notifications n
+       LEFT JOIN clients c ON n.client_id = c.id
+       LEFT JOIN team t ON n.team_member_id = t.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT 200`,
+      params
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching notifications:", err);
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+// Sends one of the templates by hand, e.g. a balance reminder:
+// { event, channel } where channel ('email' or 'message') is optional
+app.post("/api/projects/:id/notifications", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { event, channel } = req.body;
+
+    if (!notifications.NOTIFICATION_EVENTS.includes(event)) {
+      return res.status(400).json({
+        error: `event must be one of ${notifications.NOTIFICATION_EVENTS.join(", ")}`,
+      });
+    }
+    if (channel && !notifications.NOTIFICATION_CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        error: `channel must be one of ${notifications.NOTIFICATION_CHANNELS.join(", ")}`,
+      });
+    }
+
+    const project = await pool.query("SELECT id FROM projects WHERE id = $1", [id]);
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (notifications.CREW_EVENTS.includes(event)) {
+      const crew = await pool.query("SELECT 1 FROM project_team WHERE project_id = $1 LIMIT 1", [id]);
+      if (crew.rows.length === 0) {
+        return res.status(409).json({ error: "No crew is assigned to this project" });
+      }
+    }
+
+    const logs = await sendNotification(event, id, { channel: channel || null });
+    if (logs.length === 0) {
+      return res.status(409).json({ error: "This notification template is switched off" });
+    }
+    res.status(201).json(logs);
+  } catch (err) {
+    console.error("Error sending notification:", err);
+    res.status(500).json({ error: "Failed to send notification" });
+  }
+});
+
+// -----------------------------
+// ⏰ BACKGROUND JOB ROUTES
+// -----------------------------
+
+// Queues a job unless one with the same type and run key already exists,
+// which is what keeps planning idempotent. Returns true when it was new.
+async function enqueueJob(jobType, runKey, payload = {}) {
+  const result = await pool.query(
+    `INSERT INTO jobs (job_type, run_key, payload, max_attempts)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (job_type, run_key) DO NOTHING
+     RETURNING id`,
+    [jobType, runKey, JSON.stringify(payload), jobs.JOB_SETTINGS.maxAttempts]
+  );
+  return result.rows.length > 0;
+}
+
+// One job per project and event date, so a rescheduled project gets a
+// fresh reminder for its new date
+async function enqueueProjectJobs(jobType, projects) {
+  let queued = 0;
+  for (const { id, event_date } of projects) {
+    const runKey = jobs.jobKey("project", id, event_date);
+    if (await enqueueJob(jobType, runKey, { project_id: id, event_date })) queued++;
+  }
+  return queued;
+}
+
+// Finds the work that has become due and queues it. Returns how many new
+// jobs were queued.
+async function planJobs(today = jobs.addDays(0)) {
+  const tomorrow = jobs.addDays(1, today);
+  const reminderUntil = jobs.addDays(jobs.JOB_SETTINGS.balanceReminderDays, today);
+
+  const [owing, shootingTomorrow, pastEvent] = await Promise.all([
+    pool.query(
+      `SELECT id, event_date FROM projects
+       WHERE status NOT IN ('Cancelled', 'Completed') AND balance_amount > 0
+         AND event_date >= $1 AND event_date <= $2`,
+      [today, reminderUntil]
+    ),
+    pool.query(
+      "SELECT id, event_date FROM projects WHERE status = 'Confirmed' AND event_date = $1",
+      [tomorrow]
+    ),
+    pool.query(
+      "SELECT id, event_date FROM projects WHERE status = 'Confirmed' AND event_date < $1 AND event_date <> ''",
+      [today]
+    ),
+  ]);
+
+  let queued = 0;
+  queued += await enqueueProjectJobs("balance_reminder", owing.rows);
+  queued += await enqueueProjectJobs("shoot_reminder", shootingTomorrow.rows);
+  queued += await enqueueProjectJobs("crew_briefing", shootingTomorrow.rows);
+  queued += await enqueueProjectJobs("start_shooting", pastEvent.rows);
+  if (await enqueueJob("expire_quotes", jobs.jobKey("day", today), { date: today })) queued++;
+  return queued;
+}
+
+// The project a job was queued for, or null when it has since been deleted
+// or moved to another date
+async function findJobProject(projectId, eventDate) {
+  const result = await pool.query("SELECT * FROM projects WHERE id = $1", [projectId]);
+  const project = result.rows[0];
+  return project && project.event_date === eventDate ? project : null;
+}
+
+// Sends a job's notification. A failed send fails the attempt so the job
+// is retried; the retry only resends what didn't go out the first time.
+async function sendJobNotification(event, projectId, job) {
+  const logs = await sendNotification(event, projectId, { jobId: job.id });
+  const failed = logs.filter((log) => log.status === "failed");
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${logs.length} message(s) failed: ${failed[0].error}`);
+  }
+  const sent = logs.filter((log) => log.status === "sent").length;
+  return { sent, skipped: logs.length - sent };
+}
+
+// One handler per job type. Each gets the job's payload and returns a
+// summary for the run history, and re-checks the project first since it
+// may have changed after the job was queued.
+const JOB_HANDLERS = {
+  balance_reminder: async ({ project_id, event_date }, job) => {
+    const project = await findJobProject(project_id, event_date);
+    if (!project || ["Cancelled", "Completed"].includes(project.status) || parseFloat(project.balance_amount) <= 0) {
+      return { skipped: "Nothing is owed on this booking any more" };
+    }
+    return sendJobNotification("balance_reminder", project_id, job);
+  },
+
+  shoot_reminder: async ({ project_id, event_date }, job) => {
+    const project = await findJobProject(project_id, event_date);
+    if (!project || project.status !== "Confirmed") {
+      return { skipped: "Project is no longer confirmed for this date" };
+    }
+    return sendJobNotification("shoot_reminder", project_id, job);
+  },
+
+  crew_briefing: async ({ project_id, event_date }, job) => {
+    const project = await findJobProject(project_id, event_date);
+    if (!project || project.status !== "Confirmed") {
+      return { skipped: "Project is no longer confirmed for this date" };
+    }
+    return sendJobNotification("crew_briefing", project_id, job);
+  },
+
+  start_shooting: ({ project_id, event_date }) => store.transaction(async (tx) => {
+    const project = await tx.projects.get(project_id, { forUpdate: true });
+    if (!project || project.event_date !== event_date || project.status !== "Confirmed") {
+      return { skipped: "Project is no longer confirmed for this date" };
+    }
+
+    const transitionError = workflow.validateTransition(project, "Shooting");
+    if (transitionError) {
+      throw new Error(transitionError);
+    }
+
+    await tx.projects.setStatus(project.id, "Shooting", "Moved automatically after the event date");
+    return { status: "Shooting" };
+  }),
+
+  expire_quotes: async ({ date }) => {
+    const result = await pool.query(
+      `UPDATE quotes SET status = 'expired'
+       WHERE status IN ('draft', 'sent') AND valid_until <> '' AND valid_until < $1
+       RETURNING id`,
+      [date]
+    );
+    return { expired: result.rows.map((quote) => quote.id) };
+  },
+};
+
+// Runs one claimed job and records the attempt in job_runs. A failure puts
+// the job back in the queue with a growing delay, until it runs out of
+// attempts and is marked failed.
+async function runJob(job) {
+  const run = await pool.query(
+    "INSERT INTO job_runs (job_id, attempt) VALUES ($1, $2) RETURNING id",
+    [job.id, job.attempts]
+  );
+  const runId = run.rows[0].id;
+
+  try {
+    const handler = JOB_HANDLERS[job.job_type];
+    if (!handler) {
+      throw new Error(`Unknown job type "${job.job_type}"`);
+    }
+
+    const result = await handler(job.payload || {}, job);
+
+    await pool.query(
+      "UPDATE job_runs SET status = 'succeeded', result = $1, finished_at = NOW() WHERE id = $2",
+      [JSON.stringify(result || {}), runId]
+    );
+    await pool.query(
+      `UPDATE jobs SET status = 'done', last_error = NULL, locked_at = NULL, completed_at = NOW()
+       WHERE id = $1`,
+      [job.id]
+    );
+  } catch (err) {
+    console.error(`Error running job #${job.id} (${job.job_type}):`, err);
+    await pool.query(
+      "UPDATE job_runs SET status = 'failed', error = $1, finished_at = NOW() WHERE id = $2",
+      [err.message, runId]
+    );
+    await pool.query(
+      `UPDATE jobs SET
+        status = $1, last_error = $2, locked_at = NULL,
+        run_at = NOW() + make_interval(mins => $3)
+      WHERE id = $4`,
+      [jobs.statusAfterFailure(job), err.message, jobs.retryDelayMinutes(job.attempts), job.id]
+    );
+  }
+}
+
+// Claims the jobs that are due and runs them one at a time. SKIP LOCKED
+// lets two servers share the queue without both running the same job.
+// Returns how many jobs ran.
+async function runDueJobs() {
+  // A job still 'running' long after it was claimed belongs to a server
+  // that stopped mid-run: close its attempt and queue it again
+  const stale = await pool.query(
+    `UPDATE jobs SET
+      status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+      last_error = 'Server stopped while the job was running',
+      locked_at = NULL
+    WHERE status = 'running' AND locked_at < NOW() - make_interval(mins => $1)
+    RETURNING id`,
+    [jobs.JOB_SETTINGS.staleAfterMinutes]
+  );
+  if (stale.rows.length > 0) {
+    await pool.query(
+      `UPDATE job_runs SET status = 'failed', error = 'Server stopped while the job was running', finished_at = NOW()
+       WHERE status = 'running' AND job_id = ANY($1)`,
+      [stale.rows.map((job) => job.id)]
+    );
+  }
+
+  const claimed = await pool.query(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_at = NOW()
+     WHERE id IN (
+       SELECT id FROM jobs
+       WHERE status = 'pending' AND run_at <= NOW()
+       ORDER BY run_at, id
+       LIMIT 20
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`
+  );
+
+  for (const job of claimed.rows) {
+    await runJob(job);
+  }
+  return claimed.rows.length;
+}
+
+let jobPassRunning = false;
+
+// One pass of the scheduler: queue whatever has become due, then run it.
+// Returns null when the previous pass is still going.
+async function runJobPass() {
+  if (jobPassRunning) return null;
+  jobPassRunning = true;
+
+  try {
+    const queued = await planJobs();
+    const ran = await runDueJobs();
+    return { queued, ran };
+  } finally {
+    jobPassRunning = false;
+  }
+}
+
+function startJobScheduler() {
+  if (!jobs.JOB_SETTINGS.enabled) {
+    console.log("⏸️ Background jobs are switched off (JOBS_ENABLED=false)");
+    return;
+  }
+
+  const pass = () => runJobPass().catch((err) => {
+    console.error("Error running background jobs:", err);
+  });
+  pass();
+  setInterval(pass, jobs.JOB_SETTINGS.intervalSeconds * 1000);
+  console.log(`⏰ Background jobs checked every ${jobs.JOB_SETTINGS.intervalSeconds}s`);
+}
+
+// Latest jobs first. Filters: ?status=, ?job_type=
+app.get("/api/jobs", async (req, res) => {
+  try {
+    const { status, job_type } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (job_type) {
+      params.push(job_type);
+      conditions.push(`job_type = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM jobs
+       ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY created_at DESC, id DESC
+       LIMIT 200`,
+      params
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching jobs:", err);
+    res.status(500).json({ error: "Failed to fetch jobs" });
+  }
+});
+
+app.get("/api/jobs/:id/runs", async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM job_runs WHERE job_id = $1 ORDER BY started_at DESC, id DESC",
+      [req.params.id]
+    );
     res.json(result.rows);
   } catch (err) {
-    console.error("Error fetching packages:", err);
-    res.status(500).json({ error: "Failed to fetch packages" });
+    console.error("Error fetching job runs:", err);
+    res.status(500).json({ error: "Failed to fetch job runs" });
   }
 });
 
-app.get("/api/packages/:id", async (req, res) => {
+// Runs a scheduler pass now instead of waiting for the next one
+app.post("/api/jobs/run", async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query("SELECT * FROM packages WHERE id = $1", [id]);
-    
+    const summary = await runJobPass();
+    if (!summary) {
+      return res.status(409).json({ error: "Jobs are already running" });
+    }
+    res.json(summary);
+  } catch (err) {
+    console.error("Error running jobs:", err);
+    res.status(500).json({ error: "Failed to run jobs" });
+  }
+});
+
+// Gives a failed job a fresh set of attempts
+app.post("/api/jobs/:id/retry", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE jobs SET status = 'pending', attempts = 0, run_at = NOW()
+       WHERE id = $1 AND status = 'failed'
+       RETURNING *`,
+      [req.params.id]
+    );
+
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Package not found" });
+      const existing = await pool.query("SELECT id FROM jobs WHERE id = $1", [req.params.id]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+      return res.status(409).json({ error: "Only a failed job can be retried" });
     }
     res.json(result.rows[0]);
   } catch (err) {
-    console.error("Error fetching package:", err);
-    res.status(500).json({ error: "Failed to fetch package" });
+    console.error("Error retrying job:", err);
+    res.status(500).json({ error: "Failed to retry job" });
   }
 });
 
-app.post("/api/packages", async (req, res) => {
+// -----------------------------
+// 🔗 CLIENT PORTAL LINKS ROUTES
+// -----------------------------
+
+// Link rows without the token hash
+const PORTAL_LINK_COLUMNS = "id, project_id, expires_at, revoked_at, last_viewed_at, created_at";
+
+app.get("/api/projects/:id/portal-links", async (req, res) => {
   try {
-    const { name, category, price, hours, deliverables, description } = req.body;
-    
-    if (!name || price === undefined) {
-      return res.status(400).json({ error: "Name and price are required" });
+    const { id } = req.params;
+    const project = await pool.query("SELECT id FROM projects WHERE id = $1", [id]);
+
+    if (project.rows.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
     }
-    
+
     const result = await pool.query(
-      `INSERT INTO packages (name, category, price, hours, deliverables, description) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
-       RETURNING *`,
-      [name, category || null, price, hours || null, deliverables || null, description || null]
+      `SELECT ${PORTAL_LINK_COLUMNS} FROM portal_links WHERE project_id = $1 ORDER BY created_at DESC`,
+      [id]
     );
-    res.status(201).json(result.rows[0]);
+    res.json(result.rows.map((link) => ({ ...link, active: portal.checkLink(link) === null })));
   } catch (err) {
-    console.error("Error creating package:", err);
-    res.status(500).json({ error: "Failed to create package" });
+    console.error("Error fetching portal links:", err);
+    res.status(500).json({ error: "Failed to fetch portal links" });
   }
 });
 
-app.put("/api/packages/:id", async (req, res) => {
+// Creates a link for the client: { expires_in_days }. The token is only
+// ever returned here, so this response is the one chance to share it.
+app.post("/api/projects/:id/portal-links", async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, category, price, hours, deliverables, description } = req.body;
-    
+    const { days, error } = portal.parseLinkDays(req.body.expires_in_days);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const token = portal.generateToken();
     const result = await pool.query(
-      `UPDATE packages 
-       SET name = $1, category = $2, price = $3, hours = $4, deliverables = $5, description = $6 
-       WHERE id = $7 
-       RETURNING *`,
-      [name, category, price, hours, deliverables, description, id]
+      `INSERT INTO portal_links (project_id, token_hash, expires_at)
+       SELECT id, $2, NOW() + make_interval(days => $3)
+       FROM projects WHERE id = $1
+       RETURNING ${PORTAL_LINK_COLUMNS}`,
+      [id, portal.hashToken(token), days]
     );
-    
+
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Package not found" });
+      return res.status(404).json({ error: "Project not found" });
     }
-    res.json(result.rows[0]);
+    res.status(201).json({ ...result.rows[0], active: true, token });
   } catch (err) {
-    console.error("Error updating package:", err);
-    res.status(500).json({ error: "Failed to update package" });
+    console.error("Error creating portal link:", err);
+    res.status(500).json({ error: "Failed to create portal link" });
   }
 });
 
-app.delete("/api/packages/:id", async (req, res) => {
+app.post("/api/portal-links/:id/revoke", async (req, res) => {
   try {
     const { id } = req.params;
     const result = await pool.query(
-      "DELETE FROM packages WHERE id = $1 RETURNING *",
+      `UPDATE portal_links SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1
+       RETURNING ${PORTAL_LINK_COLUMNS}`,
       [id]
     );
-    
+
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Package not found" });
+      return res.status(404).json({ error: "Portal link not found" });
     }
-    res.json({ message: "Package deleted successfully" });
+    res.json({ ...result.rows[0], active: false });
   } catch (err) {
-    console.error("Error deleting package:", err);
-    res.status(500).json({ error: "Failed to delete package" });
+    console.error("Error revoking portal link:", err);
+    res.status(500).json({ error: "Failed to revoke portal link" });
   }
 });
 
 // -----------------------------
-// 📁 PROJECTS ROUTES
+// 🌐 PUBLIC ROUTES
 // -----------------------------
-app.get("/api/projects", async (req, res) => {
+// No staff data here: everything is looked up through the token and shaped
+// by portal.buildPortalView.
+
+// The portal link behind a token, or the { status, error } to answer with
+async function findPortalLink(token) {
+  const link = await pool.query(
+    "SELECT * FROM portal_links WHERE token_hash = $1",
+    [portal.hashToken(token)]
+  );
+
+  if (link.rows.length === 0) {
+    return { status: 404, error: "Link not found" };
+  }
+  const linkError = portal.checkLink(link.rows[0]);
+  if (linkError) {
+    return { status: 410, error: linkError };
+  }
+  return { link: link.rows[0] };
+}
+
+// The contract a client is shown: the newest one that hasn't been replaced
+async function findCurrentContract(projectId) {
+  const result = await pool.query(
+    `SELECT * FROM project_contracts
+     WHERE project_id = $1 AND status <> 'superseded'
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [projectId]
+  );
+  return result.rows[0] || null;
+}
+
+app.get("/api/public/portal/:token", async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT 
-        p.*,
-        c.name as client_name,
-        c.phone as client_phone,
-        c.email as client_email,
-        pkg.name as package_name
-      FROM projects p
-      LEFT JOIN clients c ON p.client_id = c.id
-      LEFT JOIN packages pkg ON p.package_id = pkg.id
-      ORDER BY p.created_at DESC
-    `);
-    res.json(result.rows);
+    res.set("Cache-Control", "no-store");
+
+    const { link, status, error } = await findPortalLink(req.params.token);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const projectId = link.project_id;
+    const [project, schedule, checklist, revisionLog, contract] = await Promise.all([
+      pool.query(
+        `SELECT p.*, c.name as client_name, pkg.name as package_name
+         FROM projects p
+         LEFT JOIN clients c ON p.client_id = c.id
+         LEFT JOIN packages pkg ON p.package_id = pkg.id
+         WHERE p.id = $1`,
+        [projectId]
+      ),
+      pool.query("SELECT * FROM project_installments WHERE project_id = $1 ORDER BY due_date, id", [projectId]),
+      pool.query("SELECT * FROM project_deliverables WHERE project_id = $1 ORDER BY sort_order, id", [projectId]),
+      pool.query("SELECT * FROM project_revisions WHERE project_id = $1 ORDER BY requested_on, id", [projectId]),
+      findCurrentContract(projectId),
+    ]);
+
+    await pool.query("UPDATE portal_links SET last_viewed_at = NOW() WHERE id = $1", [link.id]);
+
+    res.json({
+      expires_at: link.expires_at,
+      ...portal.buildPortalView({
+        project: project.rows[0],
+        client: { name: project.rows[0].client_name },
+        schedule: schedule.rows,
+        deliverables: checklist.rows,
+        revisions: revisionLog.rows,
+        contract,
+      }),
+    });
   } catch (err) {
-    console.error("Error fetching projects:", err);
-    res.status(500).json({ error: "Failed to fetch projects" });
+    console.error("Error loading portal:", err);
+    res.status(500).json({ error: "Failed to load portal" });
   }
 });
 
-app.get("/api/projects/:id", async (req, res) => {
+// The client accepts the contract shown in their portal:
+// { accepted_by, version_hash }
+app.post("/api/public/portal/:token/contract/accept", async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query(`
-      SELECT 
-        p.*,
-        c.name as client_name,
-        c.phone as client_phone,
-        c.email as client_email,
-        pkg.name as package_name
-      FROM projects p
-      LEFT JOIN clients c ON p.client_id = c.id
-      LEFT JOIN packages pkg ON p.package_id = pkg.id
-      WHERE p.id = $1
-    `, [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Project not found" });
+    res.set("Cache-Control", "no-store");
+
+    const { link, status, error } = await findPortalLink(req.params.token);
+    if (error) {
+      return res.status(status).json({ error });
     }
-    res.json(result.rows[0]);
+
+    const contract = await findCurrentContract(link.project_id);
+    if (!contract) {
+      return res.status(404).json({ error: "There is no contract to accept yet" });
+    }
+
+    const result = await acceptContract(contract.id, req.body, "portal", req.ip);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ contract: portal.buildContractView(result.contract) });
   } catch (err) {
-    console.error("Error fetching project:", err);
-    res.status(500).json({ error: "Failed to fetch project" });
+    console.error("Error accepting contract from portal:", err);
+    res.status(500).json({ error: "Failed to accept contract" });
   }
 });
 
-app.post("/api/projects", async (req, res) => {
+// Packages a prospective client can pick on the enquiry form
+app.get("/api/public/packages", async (req, res) => {
   try {
-    const {
-      client_id, package_id, event_type, event_date, event_time,
-      location, status, price, deposit_percent, deposit_amount,
-      balance_amount, amount_paid, drive_link, internal_path,
-      revision_limit, revisions_used, crew_assigned, notes
-    } = req.body;
-    
-    const result = await pool.query(
-      `INSERT INTO projects (
-        client_id, package_id, event_type, event_date, event_time,
-        location, status, price, deposit_percent, deposit_amount,
-        balance_amount, amount_paid, drive_link, internal_path,
-        revision_limit, revisions_used, crew_assigned, notes
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
-      RETURNING *`,
-      [
-        client_id || null, package_id || null, event_type, event_date, event_time,
-        location, status || 'New', price, deposit_percent, deposit_amount,
-        balance_amount, amount_paid || 0, drive_link, internal_path,
-        revision_limit || 2, revisions_used || 0, crew_assigned, notes
-      ]
-    );
-    res.status(201).json(result.rows[0]);
+    const result = await pool.query("SELECT id, name, category, price FROM packages ORDER BY price, id");
+    res.json(result.rows.map((pkg) => ({ ...pkg, price: Number(pkg.price) })));
   } catch (err) {
-    console.error("Error creating project:", err);
-    res.status(500).json({ error: "Failed to create project" });
+    console.error("Error fetching public packages:", err);
+    res.status(500).json({ error: "Failed to fetch packages" });
   }
 });
 
-app.put("/api/projects/:id", async (req, res) => {
+// The website enquiry form. Each enquiry becomes a lead from the 'website'
+// source, linked to the client it came from when we already know them. The
+// reply never says whether the client was already known.
+app.post("/api/public/enquiries", enquiries.createRateLimiter(), async (req, res) => {
+  const thanks = { message: "Thanks! We'll be in touch soon." };
+
+  // Bots get the same answer as people, so they don't learn to skip the trap
+  if (enquiries.isSpam(req.body)) {
+    console.warn("Discarded enquiry caught by the honeypot from", req.ip);
+    return res.status(201).json(thanks);
+  }
+
+  const enquiryError = enquiries.validateEnquiry(req.body);
+  if (enquiryError) {
+    return res.status(400).json({ error: enquiryError });
+  }
+
   try {
-    const { id } = req.params;
-    const {
-      client_id, package_id, event_type, event_date, event_time,
-      location, status, price, deposit_percent, deposit_amount,
-      balance_amount, amount_paid, drive_link, internal_path,
-      revision_limit, revisions_used, crew_assigned, notes
-    } = req.body;
-    
-    const result = await pool.query(
-      `UPDATE projects SET
-        client_id = $1, package_id = $2, event_type = $3, event_date = $4,
-        event_time = $5, location = $6, status = $7, price = $8,
-        deposit_percent = $9, deposit_amount = $10, balance_amount = $11,
-        amount_paid = $12, drive_link = $13, internal_path = $14,
-        revision_limit = $15, revisions_used = $16, crew_assigned = $17, notes = $18
-      WHERE id = $19
-      RETURNING *`,
+    const { name, phone, email, event_type, event_date, location, package_id, message } = req.body;
+
+    if ((await loadPackagePrice(pool, package_id)) === null) {
+      return res.status(400).json({ error: "Please pick one of our packages" });
+    }
+
+    const known = await findClientByContact(store, { phone, email });
+
+    await pool.query(
+      `INSERT INTO leads (
+        name, phone, email, source, stage, event_type, event_date, location, package_id, notes, client_id
+      ) VALUES ($1, $2, $3, 'website', 'new', $4, $5, $6, $7, $8, $9)`,
       [
-        client_id, package_id, event_type, event_date, event_time,
-        location, status, price, deposit_percent, deposit_amount,
-        balance_amount, amount_paid, drive_link, internal_path,
-        revision_limit, revisions_used, crew_assigned, notes, id
+        name.trim(), phone || null, email ? email.trim() : null, event_type || null,
+        event_date || null, location || null, package_id || null, message || null, known?.id || null
       ]
     );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Project not found" });
-    }
-    res.json(result.rows[0]);
+
+    res.status(201).json(thanks);
   } catch (err) {
-    console.error("Error updating project:", err);
-    res.status(500).json({ error: "Failed to update project" });
+    console.error("Error saving enquiry:", err);
+    res.status(500).json({ error: "Sorry, we couldn't send your enquiry. Please try again." });
   }
 });
 
-app.delete("/api/projects/:id", async (req, res) => {
+// -----------------------------
+// 🛠️ ADMIN ROUTES
+// -----------------------------
+
+// When ADMIN_TOKEN is set, admin routes need it in the X-Admin-Token header
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (token && req.get("X-Admin-Token") !== token) {
+    return res.status(401).json({ error: "Admin token required" });
+  }
+  next();
+}
+
+// Recomputes amount_paid / balance_amount from the payments ledger and
+// reports the projects that had drifted. Dry run unless { "apply": true }.
+app.post("/api/admin/reconcile", requireAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query(
-      "DELETE FROM projects WHERE id = $1 RETURNING *",
-      [id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Project not found" });
-    }
-    res.json({ message: "Project deleted successfully" });
+    const apply = req.body?.apply === true || req.query.apply === "true";
+    const report = await reconcile.reconcilePostgres(pool, { apply });
+    res.json(report);
   } catch (err) {
-    console.error("Error deleting project:", err);
-    res.status(500).json({ error: "Failed to delete project" });
+    console.error("Error reconciling balances:", err);
+    res.status(500).json({ error: "Failed to reconcile balances" });
   }
 });
 
 // -----------------------------
-// 💰 PAYMENTS ROUTES
+// 🧾 INVOICE & RECEIPT ROUTES
 // -----------------------------
-app.get("/api/payments", async (req, res) => {
-  try {
-    const { project_id } = req.query;
-    
-    let query = `
-      SELECT p.*, pr.event_type, c.name as client_name
-      FROM payments p
-      LEFT JOIN projects pr ON p.project_id = pr.id
-      LEFT JOIN clients c ON pr.client_id = c.id
-    `;
-    const params = [];
-    
-    if (project_id) {
-      query += " WHERE p.project_id = $1";
-      params.push(project_id);
-    }
-    
-    query += " ORDER BY p.created_at DESC";
-    
-    const result = await pool.query(query, params);
-    res.json(result.rows);
-  } catch (err) {
-    console.error("Error fetching payments:", err);
-    res.status(500).json({ error: "Failed to fetch payments" });
+
+// Next number in a gap-free sequence, e.g. INV-000042. Must run inside the
+// caller's transaction: the counter row stays locked until commit, and a
+// rollback hands the number back, so no number is ever skipped.
+async function nextDocumentNumber(db, docType, prefix) {
+  await db.query(
+    "INSERT INTO document_sequences (doc_type) VALUES ($1) ON CONFLICT DO NOTHING",
+    [docType]
+  );
+  const result = await db.query(
+    `UPDATE document_sequences SET last_number = last_number + 1
+     WHERE doc_type = $1
+     RETURNING last_number`,
+    [docType]
+  );
+  return `${prefix}-${String(result.rows[0].last_number).padStart(6, "0")}`;
+}
+
+// Returns the project's invoice, issuing a number the first time.
+// Once issued the number never changes, whatever happens to the project.
+async function issueInvoice(db, projectId) {
+  const existing = await db.query("SELECT * FROM invoices WHERE project_id = $1", [projectId]);
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  // Lock the project so two first requests can't both issue a number
+  await db.query("SELECT id FROM projects WHERE id = $1 FOR UPDATE", [projectId]);
+  const recheck = await db.query("SELECT * FROM invoices WHERE project_id = $1", [projectId]);
+  if (recheck.rows.length > 0) return recheck.rows[0];
+
+  const invoiceNumber = await nextDocumentNumber(db, "invoice", "INV");
+  const result = await db.query(
+    "INSERT INTO invoices (invoice_number, project_id) VALUES ($1, $2) RETURNING *",
+    [invoiceNumber, projectId]
+  );
+  return result.rows[0];
+}
+
+// Same as issueInvoice, for a payment's receipt
+async function issueReceipt(db, paymentId) {
+  const existing = await db.query("SELECT * FROM receipts WHERE payment_id = $1", [paymentId]);
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  await db.query("SELECT id FROM payments WHERE id = $1 FOR UPDATE", [paymentId]);
+  const recheck = await db.query("SELECT * FROM receipts WHERE payment_id = $1", [paymentId]);
+  if (recheck.rows.length > 0) return recheck.rows[0];
+
+  const receiptNumber = await nextDocumentNumber(db, "receipt", "RCT");
+  const result = await db.query(
+    "INSERT INTO receipts (receipt_number, payment_id) VALUES ($1, $2) RETURNING *",
+    [receiptNumber, paymentId]
+  );
+  return result.rows[0];
+}
+
+// Project, client, package and line item rows used by both documents
+async function loadDocumentContext(db, projectId) {
+  const project = await db.query("SELECT * FROM projects WHERE id = $1", [projectId]);
+  if (project.rows.length === 0) return null;
+
+  const { client_id, package_id, discount_id, tax_rate_id } = project.rows[0];
+  const [client, pkg, lineItems, discount, taxRate, schedule] = await Promise.all([
+    db.query("SELECT * FROM clients WHERE id = $1", [client_id]),
+    db.query(`${PACKAGE_SELECT} WHERE pkg.id = $1`, [package_id]),
+    db.query("SELECT * FROM project_line_items WHERE project_id = $1 ORDER BY id", [projectId]),
+    db.query("SELECT * FROM discounts WHERE id = $1", [discount_id]),
+    db.query("SELECT * FROM tax_rates WHERE id = $1", [tax_rate_id]),
+    db.query("SELECT * FROM project_installments WHERE project_id = $1 ORDER BY due_date, id", [projectId]),
+  ]);
+
+  return {
+    project: project.rows[0],
+    client: client.rows[0] || {},
+    package: pkg.rows[0] || null,
+    line_items: lineItems.rows,
+    discount: discount.rows[0] || null,
+    tax_rate: taxRate.rows[0] || null,
+    installments: schedule.rows,
+  };
+}
+
+// Lines that add up to the project subtotal (before discount and tax). The
+// package line takes whatever the line items don't cover, so a manual price
+// override still adds up.
+function invoiceLines({ project, package: pkg, line_items: lineItems }) {
+  const extras = lineItems.map((item) => ({
+    description: item.quantity > 1 ? `${item.description} x${item.quantity}` : item.description,
+    amount: pricing.lineItemTotal(item),
+  }));
+  const baseAmount = Number(project.subtotal ?? project.price) - pricing.lineItemsTotal(lineItems);
+
+  if (!pkg) {
+    const base = { description: project.event_type || "Photography services", amount: baseAmount };
+    return baseAmount !== 0 || extras.length === 0 ? [base, ...extras] : extras;
   }
-});
 
-app.post("/api/payments", async (req, res) => {
+  const title = pkg.hours ? `${pkg.name} (${pkg.hours})` : pkg.name;
+  const included = pkg.deliverables ||
+    (pkg.deliverable_items || []).map(deliverables.describeDeliverable).join(", ");
+  return [{
+    description: included ? `${title}\n${included}` : title,
+    amount: baseAmount,
+  }, ...extras];
+}
+
+function sendPdf(res, filename, buffer) {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${filename}"`,
+    "Content-Length": buffer.length,
+  });
+  res.send(buffer);
+}
+
+app.get("/api/projects/:id/invoice.pdf", async (req, res) => {
   const client = await pool.connect();
-  
+
   try {
-    const { project_id, amount, method, reference, note } = req.body;
-    
-    if (!project_id || !amount || !method) {
-      return res.status(400).json({ error: "project_id, amount, and method are required" });
-    }
-    
+    const { id } = req.params;
+
     await client.query("BEGIN");
-    
-    // Insert payment
-    const paymentResult = await client.query(
-      `INSERT INTO payments (project_id, amount, method, reference, note)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [project_id, amount, method, reference || null, note || null]
-    );
-    
-    // Update project's amount_paid
-    await client.query(
-      `UPDATE projects 
-       SET amount_paid = amount_paid + $1,
-           balance_amount = balance_amount - $1
-       WHERE id = $2`,
-      [amount, project_id]
+
+    const context = await loadDocumentContext(client, id);
+    if (!context) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const invoice = await issueInvoice(client, id);
+    const payments = await client.query(
+      `SELECT p.*, r.receipt_number
+       FROM payments p
+       LEFT JOIN receipts r ON r.payment_id = p.id
+       WHERE p.project_id = $1
+       ORDER BY p.created_at, p.id`,
+      [id]
     );
-    
+
     await client.query("COMMIT");
-    
-    res.status(201).json(paymentResult.rows[0]);
+
+    const buffer = await pdf.renderInvoice({
+      number: invoice.invoice_number,
+      issued_at: invoice.issued_at,
+      ...context,
+      lines: invoiceLines(context),
+      payments: payments.rows,
+    });
+    sendPdf(res, `${invoice.invoice_number}.pdf`, buffer);
   } catch (err) {
     await client.query("ROLLBACK");
-    console.error("Error creating payment:", err);
-    res.status(500).json({ error: "Failed to create payment" });
+    console.error("Error generating invoice:", err);
+    res.status(500).json({ error: "Failed to generate invoice" });
   } finally {
     client.release();
   }
 });
 
-app.delete("/api/payments/:id", async (req, res) => {
+app.get("/api/payments/:id/receipt.pdf", async (req, res) => {
   const client = await pool.connect();
-  
+
   try {
     const { id } = req.params;
-    
+
     await client.query("BEGIN");
-    
-    // Get payment details first
-    const paymentResult = await client.query(
-      "SELECT * FROM payments WHERE id = $1",
-      [id]
-    );
-    
+
+    const paymentResult = await client.query("SELECT * FROM payments WHERE id = $1", [id]);
     if (paymentResult.rows.length === 0) {
       await client.query("ROLLBACK");
       return res.status(404).json({ error: "Payment not found" });
     }
-    
+
     const payment = paymentResult.rows[0];
-    
-    // Delete payment
-    await client.query("DELETE FROM payments WHERE id = $1", [id]);
-    
-    // Update project's amount_paid
-    await client.query(
-      `UPDATE projects 
-       SET amount_paid = amount_paid - $1,
-           balance_amount = balance_amount + $1
-       WHERE id = $2`,
-      [payment.amount, payment.project_id]
+    if ((payment.entry_type || "payment") !== "payment") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Receipts are only issued for payments, not refunds or voids" });
+    }
+
+    const context = await loadDocumentContext(client, payment.project_id);
+    if (!context) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const receipt = await issueReceipt(client, id);
+    const invoice = await client.query(
+      "SELECT invoice_number FROM invoices WHERE project_id = $1",
+      [payment.project_id]
     );
-    
+
+    // Paid to date as of this payment, not as of today
+    const paid = await client.query(
+      `SELECT COALESCE(SUM(amount), 0) AS total FROM payments
+       WHERE project_id = $1 AND (created_at, id) <= ($2, $3)`,
+      [payment.project_id, payment.created_at, payment.id]
+    );
+
     await client.query("COMMIT");
-    
-    res.json({ message: "Payment deleted successfully" });
+
+    const buffer = await pdf.renderReceipt({
+      number: receipt.receipt_number,
+      issued_at: receipt.issued_at,
+      payment,
+      ...context,
+      invoice_number: invoice.rows[0]?.invoice_number,
+      paid_to_date: Number(paid.rows[0].total),
+    });
+    sendPdf(res, `${receipt.receipt_number}.pdf`, buffer);
   } catch (err) {
     await client.query("ROLLBACK");
-    console.error("Error deleting payment:", err);
-    res.status(500).json({ error: "Failed to delete payment" });
+    console.error("Error generating receipt:", err);
+    res.status(500).json({ error: "Failed to generate receipt" });
   } finally {
     client.release();
   }
@@ -663,6 +4991,10 @@ async function startServer() {
     console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
   });
 
+  if (dbInitialized) {
+    startJobScheduler();
+  }
+
 
   // ===========================================
 // 🗄️ Database Connection Pool
@@ -0,0 +1,186 @@
+// server/installments.js
+
+// ===========================================
+// 📅 PAYMENT SCHEDULES
+// ===========================================
+
+// A project can be paid in installments, each with an amount and a due
+// date. Payments aren't tied to a particular installment: the project's net
+// paid amount is spread over its installments oldest due date first, so
+// refunds and voids move the allocation back too.
+const INSTALLMENT_STATUSES = ['pending', 'partial', 'paid'];
+
+// Differences smaller than this are rounding
+const TOLERANCE = 0.005;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+// ===========================================
+// ⏰ LATE FEES
+// ===========================================
+
+// Late fees are off unless configured. LATE_FEE_PERCENT charges a share of
+// what's still owed on the installment, LATE_FEE_FLAT a fixed amount (both
+// add up when set), and nothing is charged until LATE_FEE_GRACE_DAYS have
+// passed since the due date.
+function loadLateFeePolicy(env = process.env) {
+  const number = (name) => {
+    const value = parseFloat(env[name]);
+    if (env[name] && !(value >= 0)) {
+      console.warn(`⚠️  ${name} is invalid, ignoring it`);
+      return 0;
+    }
+    return value || 0;
+  };
+
+  return {
+    percent: number('LATE_FEE_PERCENT'),
+    flat: number('LATE_FEE_FLAT'),
+    grace_days: Math.floor(number('LATE_FEE_GRACE_DAYS')),
+  };
+}
+
+const LATE_FEE_POLICY = loadLateFeePolicy();
+
+function isLateFeeEnabled(policy = LATE_FEE_POLICY) {
+  return policy.percent > 0 || policy.flat > 0;
+}
+
+// The fee the policy gives for an overdue installment, 0 while it's still
+// in its grace period, already charged, or when no late fee is configured
+function lateFeeFor(installment, asOf = today(), policy = LATE_FEE_POLICY) {
+  if (!isLateFeeEnabled(policy) || parseFloat(installment.late_fee) > 0) return 0;
+  if (daysBetween(installment.due_date, asOf) <= policy.grace_days) return 0;
+
+  const outstanding = parseFloat(installment.amount) - parseFloat(installment.amount_paid || 0);
+  if (outstanding <= 0) return 0;
+  return roundMoney((outstanding * policy.percent) / 100 + policy.flat);
+}
+
+// ===========================================
+// 🧮 SCHEDULES & ALLOCATION
+// ===========================================
+
+// Checks a new schedule for a project priced at `price`:
+// [{ amount, due_date, note }]. An empty list clears the schedule.
+// Returns an error message, or null when it's usable.
+function validateSchedule(items, price) {
+  if (!Array.isArray(items)) return 'installments must be a list';
+  if (items.length === 0) return null;
+
+  for (const item of items) {
+    if (!item || !(parseFloat(item.amount) > 0)) return 'Every installment needs an amount more than 0';
+    if (!DATE_PATTERN.test(item.due_date || '')) return 'Every installment needs a due_date in YYYY-MM-DD format';
+  }
+
+  const total = roundMoney(items.reduce((sum, item) => sum + parseFloat(item.amount), 0));
+  if (Math.abs(total - parseFloat(price)) >= TOLERANCE) {
+    return `Installments add up to Rs. ${total.toLocaleString()} but the project price is Rs. ${parseFloat(price).toLocaleString()}`;
+  }
+  return null;
+}
+
+// Oldest due date first; ties keep the order they were added in
+function sortSchedule(installments) {
+  return [...installments].sort((a, b) =>
+    a.due_date === b.due_date ? a.id - b.id : (a.due_date < b.due_date ? -1 : 1)
+  );
+}
+
+// Brings a schedule back in line with the project's price after the price
+// changes: a rise is added to the last installment, a cut is taken from
+// the last ones first, dropping any it brings down to nothing. Returns the
+// installments to keep, in due order, with their new amounts.
+function rebalanceSchedule(installments, price) {
+  const schedule = sortSchedule(installments);
+  const total = roundMoney(schedule.reduce((sum, i) => sum + parseFloat(i.amount), 0));
+  let excess = roundMoney(total - (parseFloat(price) || 0));
+  if (schedule.length === 0 || Math.abs(excess) < TOLERANCE) return schedule;
+
+  if (excess < 0) {
+    const last = schedule[schedule.length - 1];
+    return [...schedule.slice(0, -1), { ...last, amount: roundMoney(parseFloat(last.amount) - excess) }];
+  }
+
+  const kept = [];
+  for (const installment of schedule.reverse()) {
+    const amount = parseFloat(installment.amount);
+    const cut = Math.min(excess, amount);
+    excess = roundMoney(excess - cut);
+    if (amount - cut >= TOLERANCE) kept.unshift({ ...installment, amount: roundMoney(amount - cut) });
+  }
+  return kept;
+}
+
+// Spreads `netPaid` over the installments. An installment owes its amount
+// plus any late fee charged on it. Returns the installments in due order
+// with amount_paid and status filled in.
+function allocatePayments(installments, netPaid) {
+  let remaining = Math.max(roundMoney(parseFloat(netPaid) || 0), 0);
+
+  return sortSchedule(installments).map(installment => {
+    const owed = roundMoney(parseFloat(installment.amount) + parseFloat(installment.late_fee || 0));
+    const allocated = roundMoney(Math.min(remaining, owed));
+    remaining = roundMoney(remaining - allocated);
+
+    let status = 'pending';
+    if (allocated >= owed - TOLERANCE) status = 'paid';
+    else if (allocated > 0) status = 'partial';
+
+    return { ...installment, amount_paid: allocated, status };
+  });
+}
+
+// Whether an installment is past its due date and not paid off. Nothing on
+// a cancelled booking is overdue.
+function isOverdue(installment, asOf = today(), projectStatus = null) {
+  if (projectStatus === 'Cancelled') return false;
+  return installment.status !== 'paid' && installment.due_date < asOf;
+}
+
+// Adds what the API shows for each installment: what's outstanding, whether
+// it's overdue and by how long, and the late fee that could be charged
+function describeInstallment(installment, asOf = today(), projectStatus = null) {
+  const owed = parseFloat(installment.amount) + parseFloat(installment.late_fee || 0);
+  const overdue = isOverdue(installment, asOf, projectStatus);
+
+  return {
+    ...installment,
+    amount: Number(installment.amount),
+    late_fee: Number(installment.late_fee || 0),
+    amount_paid: Number(installment.amount_paid || 0),
+    outstanding: roundMoney(owed - parseFloat(installment.amount_paid || 0)),
+    overdue,
+    days_overdue: overdue ? daysBetween(installment.due_date, asOf) : 0,
+    suggested_late_fee: overdue ? lateFeeFor(installment, asOf) : 0,
+  };
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  INSTALLMENT_STATUSES,
+  LATE_FEE_POLICY,
+  loadLateFeePolicy,
+  isLateFeeEnabled,
+  lateFeeFor,
+  validateSchedule,
+  rebalanceSchedule,
+  allocatePayments,
+  isOverdue,
+  describeInstallment,
+};
@@ -0,0 +1,91 @@
+// server/jobs.js
+
+// ===========================================
+// ⏰ BACKGROUND JOBS
+// ===========================================
+
+// Work the server does on its own, queued in the jobs table:
+//   balance_reminder - emails/messages the client N days before the event
+//                      while a balance is still owed
+//   shoot_reminder   - "see you tomorrow" to the client the day before
+//   crew_briefing    - the day-before briefing to each assigned crew member
+//   start_shooting   - moves a Confirmed project to Shooting once its event
+//                      date has passed
+//   expire_quotes    - marks draft/sent quotes past valid_until as expired
+// Every job has a run key naming what it acts on (e.g. the project and its
+// event date), unique per type, so planning the same work again after a
+// restart finds the existing job instead of queueing a second one.
+const JOB_TYPES = [
+  'balance_reminder',
+  'shoot_reminder',
+  'crew_briefing',
+  'start_shooting',
+  'expire_quotes',
+];
+const JOB_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+// Scheduler settings from the environment. JOBS_ENABLED=false turns the
+// scheduler off, e.g. on a second server sharing the same database.
+function loadJobSettings(env = process.env) {
+  const balanceReminderDays = parseInt(env.BALANCE_REMINDER_DAYS);
+  return {
+    enabled: env.JOBS_ENABLED !== 'false',
+    intervalSeconds: Math.max(parseInt(env.JOBS_INTERVAL_SECONDS) || 60, 5),
+    balanceReminderDays: balanceReminderDays >= 0 ? balanceReminderDays : 7,
+    maxAttempts: Math.max(parseInt(env.JOBS_MAX_ATTEMPTS) || 5, 1),
+    // A job still 'running' after this long was left by a crashed server
+    staleAfterMinutes: 15,
+  };
+}
+
+const JOB_SETTINGS = loadJobSettings();
+
+// ===========================================
+// 📅 DATES
+// ===========================================
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// 'YYYY-MM-DD' `days` after `from` (today by default)
+function addDays(days, from = toDateString(new Date())) {
+  const date = new Date(`${from}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+// ===========================================
+// 🔑 RUN KEYS & RETRIES
+// ===========================================
+
+// e.g. jobKey('project', 12, '2025-06-01') -> 'project:12:2025-06-01'
+function jobKey(...parts) {
+  return parts.map(String).join(':');
+}
+
+// Minutes to wait before the next attempt: 1, 4, 9, 16... after each failure
+function retryDelayMinutes(attempts) {
+  return Math.max(attempts, 1) ** 2;
+}
+
+// Where a job goes after a failed attempt: back in the queue, or 'failed'
+// for good once it has used all its attempts
+function statusAfterFailure(job) {
+  return job.attempts >= job.max_attempts ? 'failed' : 'pending';
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUSES,
+  JOB_SETTINGS,
+  loadJobSettings,
+  addDays,
+  jobKey,
+  retryDelayMinutes,
+  statusAfterFailure,
+};
@@ -0,0 +1,96 @@
+// server/leads.js
+
+// ===========================================
+// 🧲 LEADS
+// ===========================================
+
+// A lead is an enquiry that hasn't booked (yet). It moves through the open
+// stages while staff follow it up, and ends either 'won' (converted into a
+// client and project) or 'lost' (with a reason, so we learn why).
+const LEAD_SOURCES = ['instagram', 'facebook', 'referral', 'walk-in', 'website', 'other'];
+const LEAD_STAGES = ['new', 'contacted', 'quoted', 'won', 'lost'];
+const OPEN_STAGES = ['new', 'contacted', 'quoted'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Checks a lead body. Returns an error message, or null when it's usable.
+function validateLead(lead) {
+  if (!lead.name || !String(lead.name).trim()) return 'Name is required';
+  if (!lead.phone && !lead.email) return 'A phone number or email is required';
+  if (!LEAD_SOURCES.includes(lead.source)) return `source must be one of ${LEAD_SOURCES.join(', ')}`;
+  if (lead.event_date && !DATE_PATTERN.test(lead.event_date)) return 'event_date must be a date in YYYY-MM-DD format';
+  if (![undefined, null, ''].includes(lead.quoted_price) && !(parseFloat(lead.quoted_price) >= 0)) {
+    return 'quoted_price must be a number of 0 or more';
+  }
+  if (lead.follow_up_date && !DATE_PATTERN.test(lead.follow_up_date)) {
+    return 'follow_up_date must be a date in YYYY-MM-DD format';
+  }
+  return null;
+}
+
+// Checks moving `lead` to `stage`. 'won' only comes from converting the
+// lead, a won lead stays won, and losing a lead needs a reason.
+// Returns an error message, or null when the move is fine.
+function validateStageChange(lead, stage, lostReason) {
+  if (!LEAD_STAGES.includes(stage)) return `stage must be one of ${LEAD_STAGES.join(', ')}`;
+  if (stage === lead.stage) return null;
+  if (lead.stage === 'won') return 'This lead has already been converted';
+  if (stage === 'won') return 'Convert the lead to mark it won';
+  if (stage === 'lost' && !(lostReason && String(lostReason).trim())) return 'A lost reason is required';
+  return null;
+}
+
+// Checks that a lead can be converted into a client and project
+function validateConversion(lead) {
+  if (lead.stage === 'won') return 'This lead has already been converted';
+  if (lead.stage === 'lost') return 'Re-open this lead before converting it';
+  return null;
+}
+
+// ===========================================
+// 📈 CONVERSION REPORT
+// ===========================================
+
+// Adds conversion rates to the per-source, per-month counts from the
+// database: [{ month, source, leads, won, lost, booked_value }]
+function conversionReport(rows) {
+  const rate = (won, total) => (total > 0 ? Math.round((won / total) * 1000) / 10 : 0);
+
+  const bySource = new Map();
+  const months = rows.map(row => {
+    const leads = Number(row.leads);
+    const won = Number(row.won);
+    const lost = Number(row.lost);
+    const bookedValue = Number(row.booked_value || 0);
+
+    const totals = bySource.get(row.source) || { source: row.source, leads: 0, won: 0, lost: 0, booked_value: 0 };
+    totals.leads += leads;
+    totals.won += won;
+    totals.lost += lost;
+    totals.booked_value += bookedValue;
+    bySource.set(row.source, totals);
+
+    return { month: row.month, source: row.source, leads, won, lost, booked_value: bookedValue, conversion_rate: rate(won, leads) };
+  });
+
+  return {
+    by_month: months,
+    by_source: [...bySource.values()]
+      .map(totals => ({ ...totals, conversion_rate: rate(totals.won, totals.leads) }))
+      .sort((a, b) => b.won - a.won || b.leads - a.leads),
+  };
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  LEAD_SOURCES,
+  LEAD_STAGES,
+  OPEN_STAGES,
+  validateLead,
+  validateStageChange,
+  validateConversion,
+  conversionReport,
+};
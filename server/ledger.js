@@ -0,0 +1,62 @@
+// server/ledger.js
+
+// ===========================================
+// 📒 PAYMENT LEDGER
+// ===========================================
+
+// Money coming in is a 'payment'. Money going back is never deleted: it's
+// a negative entry linked to the payment it reverses, either a 'refund'
+// (part or all of it) or a 'void' (a payment taken in error, reversed in full).
+const ENTRY_TYPES = ['payment', 'refund', 'void'];
+const REVERSAL_TYPES = ['refund', 'void'];
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// How much of `payment` hasn't been given back yet, given the reversals
+// already linked to it
+function refundableAmount(payment, reversals) {
+  const reversed = reversals.reduce((sum, r) => sum + Math.abs(parseFloat(r.amount)), 0);
+  return roundMoney(parseFloat(payment.amount) - reversed);
+}
+
+// Checks a refund or void of `payment`.
+// Returns an error message, or null when it can be recorded.
+function validateReversal(payment, reversals, { type, amount, reason }) {
+  if (!REVERSAL_TYPES.includes(type)) return `Unknown reversal type "${type}"`;
+  if ((payment.entry_type || 'payment') !== 'payment') return 'Only payments can be refunded or voided';
+  if (!reason || !String(reason).trim()) return 'A reason is required';
+
+  const refundable = refundableAmount(payment, reversals);
+  if (refundable <= 0) return 'This payment has already been fully refunded or voided';
+
+  if (type === 'void') {
+    return reversals.length > 0 ? 'A partly refunded payment cannot be voided; refund the rest instead' : null;
+  }
+
+  const value = parseFloat(amount);
+  if (!(value > 0)) return 'amount must be more than 0';
+  if (value > refundable) return `Cannot refund more than the Rs. ${refundable.toLocaleString()} left on this payment`;
+  return null;
+}
+
+// A project's balance given what the ledger says it has paid: its price
+// plus any late fees charged, less what's been paid.
+// A cancelled booking owes nothing more, whatever it paid.
+function deriveBalance(project, netPaid) {
+  if (project.status === 'Cancelled') return 0;
+  return roundMoney(parseFloat(project.price || 0) + parseFloat(project.late_fees || 0) - netPaid);
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  ENTRY_TYPES,
+  REVERSAL_TYPES,
+  refundableAmount,
+  validateReversal,
+  deriveBalance,
+};
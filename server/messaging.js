@@ -0,0 +1,136 @@
+// server/messaging.js
+const fs = require('fs');
+const path = require('path');
+
+// ===========================================
+// 📱 SMS / WHATSAPP MESSAGING
+// ===========================================
+
+// Text messages go out through one provider, picked with MESSAGING_PROVIDER:
+//   http  - POSTs { channel, to, text, sender } as JSON to MESSAGING_HTTP_URL,
+//           with MESSAGING_HTTP_TOKEN as a bearer token if set
+//   mock  - writes each message to the console and MESSAGING_MOCK_FILE, for
+//           development
+// Unset, messaging is off. MESSAGING_CHANNEL picks 'sms' (default) or
+// 'whatsapp' for the whole studio.
+const MESSAGE_CHANNELS = ['sms', 'whatsapp'];
+
+const DEFAULT_COUNTRY_CODE = process.env.MESSAGING_DEFAULT_COUNTRY_CODE || '94';
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// ===========================================
+// ☎️ PHONE NUMBERS
+// ===========================================
+
+// A phone number in E.164 form (+94771234567), or null when it can't be
+// read as one. Local numbers (077 123 4567) get the default country code.
+function normalizePhone(phone, countryCode = DEFAULT_COUNTRY_CODE) {
+  const raw = String(phone || '').trim();
+  if (!raw) return null;
+
+  let digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = countryCode + digits.slice(1);
+  } else if (!digits.startsWith(countryCode) || digits.length <= 9) {
+    // Local number typed without its leading zero (77 123 4567)
+    digits = countryCode + digits;
+  }
+
+  const normalized = `+${digits}`;
+  return E164_PATTERN.test(normalized) ? normalized : null;
+}
+
+// ===========================================
+// 🔌 PROVIDERS
+// ===========================================
+
+// A provider is { send({ channel, to, body }) } resolving to { message_id },
+// and throwing when the message wasn't accepted.
+const providers = {
+  http: {
+    async send({ channel, to, body }) {
+      if (!process.env.MESSAGING_HTTP_URL) throw new Error('MESSAGING_HTTP_URL is not set');
+
+      const response = await fetch(process.env.MESSAGING_HTTP_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.MESSAGING_HTTP_TOKEN && { Authorization: `Bearer ${process.env.MESSAGING_HTTP_TOKEN}` }),
+        },
+        body: JSON.stringify({ channel, to, text: body, sender: process.env.MESSAGING_SENDER_ID || undefined }),
+        signal: AbortSignal.timeout(10000),
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Provider responded ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { message_id: result.message_id || result.id || null };
+    },
+  },
+
+  mock: {
+    async send({ channel, to, body }) {
+      const file = process.env.MESSAGING_MOCK_FILE || path.join(__dirname, 'messages.log');
+      const message_id = `mock-${Date.now()}`;
+
+      fs.appendFileSync(file, `${JSON.stringify({ message_id, channel, to, body, at: new Date().toISOString() })}\n`);
+      console.log(`📱 [mock ${channel}] to ${to}:\n${body}`);
+      return { message_id };
+    },
+  },
+};
+
+// Adds (or replaces) a provider, e.g. one for a specific SMS gateway's API
+function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+function messagingChannel() {
+  const channel = process.env.MESSAGING_CHANNEL || 'sms';
+  return MESSAGE_CHANNELS.includes(channel) ? channel : 'sms';
+}
+
+function isMessagingEnabled() {
+  return Boolean(providers[process.env.MESSAGING_PROVIDER]);
+}
+
+// Sends one text message to a client or crew member. Like email, it never
+// throws: the outcome comes back as { status, error, message_id, channel, to }
+// for the notifications log.
+async function sendMessage({ recipient, body }) {
+  const channel = messagingChannel();
+  const provider = providers[process.env.MESSAGING_PROVIDER];
+  const to = normalizePhone(recipient.phone);
+
+  if (!provider) return { channel, to, status: 'skipped', error: 'Messaging is not configured (MESSAGING_PROVIDER is not set)' };
+  if (recipient.messaging_opt_out) return { channel, to, status: 'skipped', error: 'Client has opted out of messages' };
+  if (!to) return { channel, to, status: 'skipped', error: 'Recipient has no valid phone number' };
+
+  try {
+    const { message_id } = await provider.send({ channel, to, body });
+    return { channel, to, status: 'sent', error: null, message_id };
+  } catch (err) {
+    return { channel, to, status: 'failed', error: err.message };
+  }
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  MESSAGE_CHANNELS,
+  normalizePhone,
+  registerProvider,
+  messagingChannel,
+  isMessagingEnabled,
+  sendMessage,
+};
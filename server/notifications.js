@@ -0,0 +1,295 @@
+// server/notifications.js
+const nodemailer = require('nodemailer');
+
+// ===========================================
+// ✉️ CLIENT NOTIFICATIONS
+// ===========================================
+
+// Messages sent to clients when something happens on their booking. Each
+// event has an editable template per channel: 'email', and 'message' for
+// SMS/WhatsApp (see messaging.js). Every attempt is written to the
+// notifications log, including the ones that were skipped or failed.
+const NOTIFICATION_EVENTS = [
+  'booking_confirmation',
+  'payment_received',
+  'balance_reminder',
+  'shoot_reminder',
+  'crew_briefing',
+  'delivery_ready',
+];
+
+// Events that go to the crew assigned to the project instead of the client
+const CREW_EVENTS = ['crew_briefing'];
+const NOTIFICATION_CHANNELS = ['email', 'message'];
+const NOTIFICATION_STATUSES = ['sent', 'failed', 'skipped'];
+
+// Project statuses that notify the client when a project enters them
+const STATUS_EVENTS = {
+  Delivered: 'delivery_ready',
+};
+
+const STUDIO_NAME = process.env.STUDIO_NAME || 'FrameFlicker Studios';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function formatMoney(value) {
+  return `Rs. ${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) return String(value);
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' });
+}
+
+// Every placeholder a template may use, read from
+// { project, client, package, payment, team }
+const PLACEHOLDERS = {
+  'client.name': { label: 'Client name', value: ({ client }) => client.name },
+  'client.phone': { label: 'Client phone', value: ({ client }) => client.phone },
+  'project.id': { label: 'Project number', value: ({ project }) => project.id },
+  'project.event_type': { label: 'Event type', value: ({ project }) => project.event_type },
+  'project.event_date': { label: 'Event date', value: ({ project }) => formatDate(project.event_date) },
+  'project.event_time': { label: 'Event time', value: ({ project }) => project.event_time },
+  'project.location': { label: 'Location', value: ({ project }) => project.location },
+  'project.price': { label: 'Total price', value: ({ project }) => formatMoney(Number(project.price) + Number(project.late_fees || 0)) },
+  'project.deposit_amount': { label: 'Deposit amount', value: ({ project }) => formatMoney(project.deposit_amount) },
+  'project.amount_paid': { label: 'Paid so far', value: ({ project }) => formatMoney(project.amount_paid) },
+  'project.balance_amount': { label: 'Balance due', value: ({ project }) => formatMoney(project.balance_amount) },
+  'project.drive_link': { label: 'Gallery / download link', value: ({ project }) => project.drive_link },
+  'package.name': { label: 'Package name', value: ({ package: pkg }) => pkg?.name },
+  'payment.amount': { label: 'Payment amount', value: ({ payment }) => payment && formatMoney(payment.amount) },
+  'payment.method': { label: 'Payment method', value: ({ payment }) => payment?.method },
+  'payment.receipt_number': { label: 'Receipt number', value: ({ payment }) => payment?.receipt_number },
+  'team.name': { label: 'Crew member name (crew briefings)', value: ({ team }) => team?.name },
+  'studio.name': { label: 'Studio name', value: () => STUDIO_NAME },
+};
+
+// Templates a new install starts with, one per event and channel
+const DEFAULT_EMAIL_TEMPLATES = {
+  booking_confirmation: {
+    subject: 'Your booking with {{studio.name}} (#{{project.id}})',
+    body: `Hi {{client.name}},
+
+Thank you for booking {{studio.name}}! Here are your details:
+
+Event: {{project.event_type}}
+Date: {{project.event_date}} {{project.event_time}}
+Location: {{project.location}}
+Package: {{package.name}}
+Total: {{project.price}}
+Deposit to secure the date: {{project.deposit_amount}}
+
+We'll be in touch as the day gets closer.
+
+{{studio.name}}`,
+  },
+  payment_received: {
+    subject: 'Payment received - thank you! (#{{project.id}})',
+    body: `Hi {{client.name}},
+
+We've received your payment of {{payment.amount}} by {{payment.method}} (receipt {{payment.receipt_number}}).
+
+Paid so far: {{project.amount_paid}}
+Balance remaining: {{project.balance_amount}}
+
+{{studio.name}}`,
+  },
+  balance_reminder: {
+    subject: 'Reminder: balance due for your {{project.event_type}} (#{{project.id}})',
+    body: `Hi {{client.name}},
+
+A friendly reminder that {{project.balance_amount}} is still due on your booking for {{project.event_date}}.
+
+Paid so far: {{project.amount_paid}} of {{project.price}}
+
+Please get in touch if you have any questions.
+
+{{studio.name}}`,
+  },
+  shoot_reminder: {
+    subject: 'See you tomorrow! (#{{project.id}})',
+    body: `Hi {{client.name}},
+
+Just a reminder that we'll be there for your {{project.event_type}} tomorrow, {{project.event_date}}, at {{project.event_time}}.
+
+Location: {{project.location}}
+
+If anything has changed, please let us know today.
+
+{{studio.name}}`,
+  },
+  crew_briefing: {
+    subject: 'Shoot tomorrow: {{project.event_type}} for {{client.name}} (#{{project.id}})',
+    body: `Hi {{team.name}},
+
+You're on tomorrow's shoot:
+
+Event: {{project.event_type}}
+Date: {{project.event_date}} {{project.event_time}}
+Location: {{project.location}}
+Package: {{package.name}}
+Client: {{client.name}} ({{client.phone}})
+
+Please check your gear tonight and be there 30 minutes early.
+
+{{studio.name}}`,
+  },
+  delivery_ready: {
+    subject: 'Your photos are ready! (#{{project.id}})',
+    body: `Hi {{client.name}},
+
+Great news - your {{project.event_type}} photos are ready.
+
+You can view and download them here: {{project.drive_link}}
+
+We hope you love them!
+
+{{studio.name}}`,
+  },
+};
+
+// SMS/WhatsApp versions: short, no subject
+const DEFAULT_MESSAGE_TEMPLATES = {
+  booking_confirmation: {
+    body: 'Hi {{client.name}}, your {{project.event_type}} on {{project.event_date}} is booked with {{studio.name}} (#{{project.id}}). Total {{project.price}}, deposit {{project.deposit_amount}}. Thank you!',
+  },
+  payment_received: {
+    body: 'Hi {{client.name}}, we received {{payment.amount}} (receipt {{payment.receipt_number}}). Balance remaining: {{project.balance_amount}}. - {{studio.name}}',
+  },
+  balance_reminder: {
+    body: 'Hi {{client.name}}, a reminder that {{project.balance_amount}} is due on your booking #{{project.id}} for {{project.event_date}}. - {{studio.name}}',
+  },
+  shoot_reminder: {
+    body: 'Hi {{client.name}}, see you tomorrow at {{project.event_time}} for your {{project.event_type}} at {{project.location}}! - {{studio.name}}',
+  },
+  crew_briefing: {
+    body: 'Hi {{team.name}}, shoot tomorrow: {{project.event_type}} for {{client.name}} ({{client.phone}}), {{project.event_time}} at {{project.location}}. Package: {{package.name}}. - {{studio.name}}',
+  },
+  delivery_ready: {
+    body: 'Hi {{client.name}}, your photos are ready: {{project.drive_link}} - {{studio.name}}',
+  },
+};
+
+const DEFAULT_TEMPLATES = {
+  email: DEFAULT_EMAIL_TEMPLATES,
+  message: DEFAULT_MESSAGE_TEMPLATES,
+};
+
+// ===========================================
+// 📮 SMTP TRANSPORT
+// ===========================================
+
+// SMTP settings from the environment, or null when email is switched off.
+// A local catcher such as MailHog only needs SMTP_HOST=localhost and
+// SMTP_PORT=1025.
+function loadSmtpConfig(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+
+  const port = parseInt(env.SMTP_PORT) || 587;
+  return {
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined,
+    from: env.MAIL_FROM || `"${STUDIO_NAME}" <${env.SMTP_USER || 'no-reply@localhost'}>`,
+  };
+}
+
+const SMTP_CONFIG = loadSmtpConfig();
+
+let transport = null;
+
+function getTransport() {
+  if (!SMTP_CONFIG) return null;
+  if (!transport) {
+    const { from, ...options } = SMTP_CONFIG;
+    transport = nodemailer.createTransport(options);
+  }
+  return transport;
+}
+
+function isEmailEnabled() {
+  return SMTP_CONFIG !== null;
+}
+
+// Sends one email. Never throws: the outcome comes back as
+// { status, error, message_id } for the notifications log, so a mail server
+// being down doesn't fail whatever triggered the message.
+async function sendEmail({ to, subject, body }) {
+  const transporter = getTransport();
+  if (!transporter) return { status: 'skipped', error: 'Email is not configured (SMTP_HOST is not set)' };
+  if (!to) return { status: 'skipped', error: 'Recipient has no email address' };
+
+  try {
+    const info = await transporter.sendMail({ from: SMTP_CONFIG.from, to, subject, text: body });
+    return { status: 'sent', error: null, message_id: info.messageId || null };
+  } catch (err) {
+    return { status: 'failed', error: err.message };
+  }
+}
+
+// ===========================================
+// 📝 TEMPLATES
+// ===========================================
+
+function unknownPlaceholders(text) {
+  const keys = [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  return [...new Set(keys.filter(key => !PLACEHOLDERS[key]))];
+}
+
+// Checks an edited template. Returns an error message, or null.
+// Only emails have a subject.
+function validateTemplate({ channel, subject, body }) {
+  if (channel === 'email' && !(subject && String(subject).trim())) return 'Subject is required';
+  if (!body || !String(body).trim()) return 'Message body is required';
+
+  const unknown = [...unknownPlaceholders(subject), ...unknownPlaceholders(body)];
+  if (unknown.length > 0) {
+    return `Unknown placeholder(s): ${[...new Set(unknown)].map(key => `{{${key}}}`).join(', ')}`;
+  }
+  return null;
+}
+
+function fill(text, data) {
+  return String(text).replace(PLACEHOLDER_PATTERN, (match, key) => {
+    const placeholder = PLACEHOLDERS[key];
+    if (!placeholder) return match;
+
+    const value = placeholder.value(data);
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+// Fills in a template's subject and body for one project
+function renderTemplate(template, context) {
+  const data = { project: {}, client: {}, package: null, payment: null, team: null, ...context };
+  return {
+    subject: template.subject ? fill(template.subject, data).replace(/\s+/g, ' ').trim() : null,
+    body: fill(template.body, data),
+  };
+}
+
+function listPlaceholders() {
+  return Object.entries(PLACEHOLDERS).map(([key, { label }]) => ({ key, label }));
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  CREW_EVENTS,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+  STATUS_EVENTS,
+  DEFAULT_TEMPLATES,
+  loadSmtpConfig,
+  isEmailEnabled,
+  sendEmail,
+  validateTemplate,
+  renderTemplate,
+  listPlaceholders,
+};
@@ -0,0 +1,381 @@
+// server/pdf.js
+const PDFDocument = require('pdfkit');
+
+// ===========================================
+// 🎨 BRANDING
+// ===========================================
+
+const STUDIO = {
+  name: process.env.STUDIO_NAME || 'FrameFlicker Studios',
+  address: process.env.STUDIO_ADDRESS || '',
+  phone: process.env.STUDIO_PHONE || '',
+  email: process.env.STUDIO_EMAIL || '',
+};
+
+const BRAND_RED = '#ff1f1f';
+const TEXT_DARK = '#111111';
+const TEXT_MUTED = '#6b7280';
+const RULE = '#e5e7eb';
+
+const PAGE_MARGIN = 50;
+
+// ===========================================
+// 🧮 HELPER FUNCTIONS
+// ===========================================
+
+function formatMoney(value) {
+  const amount = Number(value || 0);
+  return `${amount < 0 ? '-' : ''}Rs. ${Math.abs(amount).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+function formatDate(value) {
+  if (!value) return '-';
+  const date = new Date(value);
+  if (isNaN(date)) return String(value);
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+// Collect a PDFKit document into a Buffer
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+function contentWidth(doc) {
+  return doc.page.width - PAGE_MARGIN * 2;
+}
+
+// Studio logo text and contact details, then the document title block
+function drawHeader(doc, title, number, issuedAt) {
+  doc.rect(0, 0, doc.page.width, 8).fill(BRAND_RED);
+
+  doc.font('Helvetica-BoldOblique').fontSize(22);
+  doc.fillColor(BRAND_RED).text('Frame', PAGE_MARGIN, 35, { continued: true });
+  doc.fillColor(TEXT_DARK).text('Flicker');
+  doc.font('Helvetica').fontSize(8).fillColor(TEXT_MUTED).text('S T U D I O S', PAGE_MARGIN + 2);
+
+  const contact = [STUDIO.name, STUDIO.address, STUDIO.phone, STUDIO.email].filter(Boolean);
+  doc.font('Helvetica').fontSize(9).fillColor(TEXT_MUTED);
+  doc.text(contact.join('\n'), PAGE_MARGIN, 38, { width: contentWidth(doc), align: 'right' });
+
+  doc.moveDown(3);
+  const top = Math.max(doc.y, 110);
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT_DARK).text(title, PAGE_MARGIN, top);
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_MUTED);
+  doc.text(`No. ${number}`, PAGE_MARGIN, top + 4, { width: contentWidth(doc), align: 'right' });
+  doc.text(`Issued ${formatDate(issuedAt)}`, { width: contentWidth(doc), align: 'right' });
+
+  doc.moveTo(PAGE_MARGIN, top + 35).lineTo(doc.page.width - PAGE_MARGIN, top + 35).strokeColor(RULE).stroke();
+  doc.y = top + 50;
+}
+
+// Two side-by-side blocks of label/value lines, e.g. "Bill To" and "Event"
+function drawInfoColumns(doc, left, right) {
+  const top = doc.y;
+  const columnWidth = contentWidth(doc) / 2 - 10;
+
+  const drawBlock = (block, x) => {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(BRAND_RED).text(block.title.toUpperCase(), x, top);
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT_DARK);
+    block.lines.filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width: columnWidth }));
+    return doc.y;
+  };
+
+  const leftBottom = drawBlock(left, PAGE_MARGIN);
+  const rightBottom = drawBlock(right, PAGE_MARGIN + columnWidth + 20);
+  doc.y = Math.max(leftBottom, rightBottom) + 20;
+}
+
+// Simple table: columns are { header, width (fraction), align }
+function drawTable(doc, columns, rows) {
+  const width = contentWidth(doc);
+  const xs = [];
+  columns.reduce((x, column) => {
+    xs.push(x);
+    return x + column.width * width;
+  }, PAGE_MARGIN);
+
+  const drawRow = (cells, font, color) => {
+    const top = doc.y;
+    let bottom = top;
+    cells.forEach((cell, i) => {
+      doc.font(font).fontSize(9).fillColor(color);
+      doc.text(String(cell ?? ''), xs[i] + 4, top, {
+        width: columns[i].width * width - 8,
+        align: columns[i].align || 'left',
+      });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 6;
+    doc.moveTo(PAGE_MARGIN, doc.y - 3).lineTo(PAGE_MARGIN + width, doc.y - 3).strokeColor(RULE).stroke();
+  };
+
+  doc.rect(PAGE_MARGIN, doc.y - 4, width, 18).fill('#f9fafb');
+  drawRow(columns.map(c => c.header), 'Helvetica-Bold', TEXT_MUTED);
+  rows.forEach(row => drawRow(row, 'Helvetica', TEXT_DARK));
+  doc.moveDown(0.5);
+}
+
+// Right-aligned label/amount pairs under a table; the last one is emphasised
+function drawTotals(doc, totals) {
+  const width = contentWidth(doc);
+  totals.forEach(({ label, amount, strong }) => {
+    const top = doc.y;
+    doc.font(strong ? 'Helvetica-Bold' : 'Helvetica').fontSize(strong ? 11 : 10);
+    doc.fillColor(strong ? TEXT_DARK : TEXT_MUTED);
+    doc.text(label, PAGE_MARGIN + width * 0.45, top, { width: width * 0.3, align: 'right' });
+    doc.fillColor(TEXT_DARK).text(formatMoney(amount), PAGE_MARGIN + width * 0.75, top, {
+      width: width * 0.25,
+      align: 'right',
+    });
+    doc.moveDown(0.3);
+  });
+  doc.moveDown(1);
+}
+
+function drawSectionTitle(doc, title) {
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT_DARK).text(title, PAGE_MARGIN, doc.y);
+  doc.moveDown(0.5);
+}
+
+function drawFooter(doc, note) {
+  doc.font('Helvetica').fontSize(9).fillColor(TEXT_MUTED);
+  doc.text(note, PAGE_MARGIN, doc.page.height - PAGE_MARGIN - 20, {
+    width: contentWidth(doc),
+    align: 'center',
+  });
+}
+
+function clientLines(client) {
+  return [client.name, client.address, client.phone, client.email];
+}
+
+function eventLines(project) {
+  return [
+    `Project #${project.id}${project.event_type ? ` - ${project.event_type}` : ''}`,
+    `Date: ${formatDate(project.event_date)}${project.event_time ? ` at ${project.event_time}` : ''}`,
+    project.location ? `Location: ${project.location}` : null,
+  ];
+}
+
+// ===========================================
+// 🧾 INVOICE
+// ===========================================
+
+// data: { number, issued_at, project, client, package, lines, payments, discount, tax_rate, installments }
+// lines: [{ description, amount }] making up the project subtotal
+// installments: the payment schedule, shown instead of deposit/balance when there is one
+async function renderInvoice(data) {
+  const { project, client = {}, payments = [] } = data;
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+
+  drawHeader(doc, 'INVOICE', data.number, data.issued_at);
+  drawInfoColumns(
+    doc,
+    { title: 'Bill To', lines: clientLines(client) },
+    { title: 'Event', lines: eventLines(project) }
+  );
+
+  drawTable(
+    doc,
+    [
+      { header: 'Description', width: 0.75 },
+      { header: 'Amount', width: 0.25, align: 'right' },
+    ],
+    data.lines.map(line => [line.description, formatMoney(line.amount)])
+  );
+
+  const price = parseFloat(project.price || 0);
+  const depositPercent = parseFloat(project.deposit_percent || 0);
+  const discountAmount = parseFloat(project.discount_amount || 0);
+  const taxAmount = parseFloat(project.tax_amount || 0);
+
+  // Discount and tax get their own lines between the subtotal and the total
+  const adjustments = [];
+  if (discountAmount > 0) {
+    const discount = data.discount;
+    adjustments.push({
+      label: discount ? `Discount (${discount.code || discount.name})` : 'Discount',
+      amount: -discountAmount,
+    });
+  }
+  if (taxAmount > 0) {
+    const taxRate = data.tax_rate;
+    adjustments.push({
+      label: taxRate ? `${taxRate.name} (${parseFloat(taxRate.rate)}%)` : 'Tax',
+      amount: taxAmount,
+    });
+  }
+  if (adjustments.length > 0) {
+    adjustments.unshift({ label: 'Subtotal', amount: project.subtotal ?? price + discountAmount - taxAmount });
+  }
+
+  const installments = data.installments || [];
+  const lateFees = parseFloat(project.late_fees || 0);
+
+  drawTotals(doc, [
+    ...adjustments,
+    { label: 'Total', amount: price, strong: true },
+    ...(installments.length > 0 ? [] : [
+      { label: `Deposit (${depositPercent}%)`, amount: project.deposit_amount },
+      { label: 'Balance on delivery', amount: price - parseFloat(project.deposit_amount || 0) },
+    ]),
+  ]);
+
+  if (installments.length > 0) {
+    drawSectionTitle(doc, 'Payment Schedule');
+    drawTable(
+      doc,
+      [
+        { header: 'Due', width: 0.2 },
+        { header: 'Note', width: 0.35 },
+        { header: 'Status', width: 0.2 },
+        { header: 'Amount', width: 0.25, align: 'right' },
+      ],
+      installments.map(i => [
+        formatDate(i.due_date),
+        parseFloat(i.late_fee) > 0 ? `${i.note || ''}${i.note ? ' ' : ''}(late fee ${formatMoney(i.late_fee)})` : i.note || '',
+        i.status.charAt(0).toUpperCase() + i.status.slice(1),
+        formatMoney(parseFloat(i.amount) + parseFloat(i.late_fee || 0)),
+      ])
+    );
+  }
+
+  drawSectionTitle(doc, 'Payment History');
+  if (payments.length === 0) {
+    doc.font('Helvetica').fontSize(9).fillColor(TEXT_MUTED).text('No payments received yet.');
+    doc.moveDown(1);
+  } else {
+    drawTable(
+      doc,
+      [
+        { header: 'Date', width: 0.2 },
+        { header: 'Receipt', width: 0.2 },
+        { header: 'Method', width: 0.2 },
+        { header: 'Reference', width: 0.2 },
+        { header: 'Amount', width: 0.2, align: 'right' },
+      ],
+      payments.map(p => [
+        formatDate(p.created_at),
+        p.receipt_number || '-',
+        p.method,
+        p.reference || '',
+        formatMoney(p.amount),
+      ])
+    );
+  }
+
+  const paid = payments.reduce((sum, p) => sum + parseFloat(p.amount || 0), 0);
+  drawTotals(doc, [
+    ...(lateFees > 0 ? [{ label: 'Late fees', amount: lateFees }] : []),
+    { label: 'Paid to date', amount: paid },
+    { label: 'Amount outstanding', amount: price + lateFees - paid, strong: true },
+  ]);
+
+  drawFooter(doc, `Thank you for choosing ${STUDIO.name}.`);
+  return toBuffer(doc);
+}
+
+// ===========================================
+// 🧾 RECEIPT
+// ===========================================
+
+// data: { number, issued_at, payment, project, client, invoice_number, paid_to_date }
+async function renderReceipt(data) {
+  const { payment, project, client = {} } = data;
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+
+  drawHeader(doc, 'RECEIPT', data.number, data.issued_at);
+  drawInfoColumns(
+    doc,
+    { title: 'Received From', lines: clientLines(client) },
+    {
+      title: 'For',
+      lines: [
+        ...eventLines(project),
+        data.invoice_number ? `Invoice: ${data.invoice_number}` : null,
+      ],
+    }
+  );
+
+  drawTable(
+    doc,
+    [
+      { header: 'Payment Date', width: 0.25 },
+      { header: 'Method', width: 0.25 },
+      { header: 'Reference', width: 0.25 },
+      { header: 'Amount', width: 0.25, align: 'right' },
+    ],
+    [[formatDate(payment.created_at), payment.method, payment.reference || '', formatMoney(payment.amount)]]
+  );
+
+  const price = parseFloat(project.price || 0);
+  drawTotals(doc, [
+    { label: 'Project total', amount: price },
+    { label: 'Deposit required', amount: project.deposit_amount },
+    { label: 'Paid to date', amount: data.paid_to_date },
+    { label: 'Balance remaining', amount: price - data.paid_to_date, strong: true },
+  ]);
+
+  if (payment.note) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor(TEXT_MUTED).text(`Note: ${payment.note}`, PAGE_MARGIN);
+  }
+
+  drawFooter(doc, `Payment received with thanks - ${STUDIO.name}.`);
+  return toBuffer(doc);
+}
+
+// ===========================================
+// 📜 CONTRACT
+// ===========================================
+
+// data: { contract, project, client }
+// The body is the contract's rendered text, printed as-is, followed by the
+// acceptance record once the client has accepted it.
+async function renderContract(data) {
+  const { contract, project, client = {} } = data;
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+
+  drawHeader(doc, 'CONTRACT', `C-${String(contract.id).padStart(6, '0')}`, contract.created_at);
+  drawInfoColumns(
+    doc,
+    { title: 'Client', lines: clientLines(client) },
+    { title: 'Event', lines: eventLines(project) }
+  );
+
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_DARK);
+  doc.text(contract.body, PAGE_MARGIN, doc.y, { width: contentWidth(doc), lineGap: 2 });
+  doc.moveDown(2);
+
+  drawSectionTitle(doc, 'Acceptance');
+  doc.font('Helvetica').fontSize(9).fillColor(TEXT_MUTED);
+  if (contract.status === 'accepted') {
+    const via = contract.accepted_via === 'portal' ? 'online through the client portal' : 'in person';
+    doc.text(`Accepted by ${contract.accepted_by} on ${new Date(contract.accepted_at).toUTCString()}, ${via}.`);
+    doc.text(`IP address: ${contract.accepted_ip || '-'}`);
+  } else {
+    doc.text('Not accepted yet.');
+  }
+  doc.text(`Version: ${contract.content_hash}`);
+
+  return toBuffer(doc);
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  formatMoney,
+  renderInvoice,
+  renderReceipt,
+  renderContract,
+};
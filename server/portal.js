@@ -0,0 +1,116 @@
+// server/portal.js
+const crypto = require('crypto');
+const installments = require('./installments');
+
+// ===========================================
+// 🔗 CLIENT PORTAL LINKS
+// ===========================================
+
+// A portal link lets a client look up their own booking without an
+// account. Only a hash of the token is stored, so a link can't be rebuilt
+// from the database: lost links are replaced, not recovered.
+const DEFAULT_LINK_DAYS = parseInt(process.env.PORTAL_LINK_DAYS) || 30;
+const MAX_LINK_DAYS = 365;
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Checks the requested lifetime of a new link.
+// Returns { days } or { error }.
+function parseLinkDays(value) {
+  if (value === undefined || value === null || value === '') return { days: DEFAULT_LINK_DAYS };
+  const days = parseInt(value);
+  if (!(days >= 1 && days <= MAX_LINK_DAYS)) {
+    return { error: `expires_in_days must be between 1 and ${MAX_LINK_DAYS}` };
+  }
+  return { days };
+}
+
+// Why a stored link can't be used any more, or null when it still works
+function checkLink(link, now = new Date()) {
+  if (link.revoked_at) return 'This link has been revoked';
+  if (new Date(link.expires_at) <= now) return 'This link has expired';
+  return null;
+}
+
+// ===========================================
+// 👀 PUBLIC VIEW
+// ===========================================
+
+// The contract as the client sees it; the hash is what they send back to
+// accept this exact version
+function buildContractView(contract) {
+  if (!contract) return null;
+  return {
+    title: contract.title,
+    body: contract.body,
+    status: contract.status,
+    version_hash: contract.content_hash,
+    accepted_by: contract.accepted_by,
+    accepted_at: contract.accepted_at,
+  };
+}
+
+// Everything the portal shows is picked field by field from here, so new
+// columns on the staff side never leak out by accident.
+function buildPortalView({ project, client, schedule = [], deliverables = [], revisions = [], contract = null }) {
+  const asOf = new Date().toISOString().slice(0, 10);
+
+  return {
+    client_name: client?.name || null,
+    event: {
+      type: project.event_type,
+      date: project.event_date,
+      time: project.event_time,
+      location: project.location,
+      package_name: project.package_name || null,
+      status: project.status,
+    },
+    payments: {
+      price: Number(project.price),
+      late_fees: Number(project.late_fees || 0),
+      amount_paid: Number(project.amount_paid || 0),
+      balance: Number(project.balance_amount || 0),
+      schedule: schedule.map(i => ({
+        due_date: i.due_date,
+        amount: Number(i.amount),
+        late_fee: Number(i.late_fee || 0),
+        amount_paid: Number(i.amount_paid || 0),
+        status: i.status,
+        overdue: installments.isOverdue(i, asOf, project.status),
+      })),
+    },
+    deliverables: deliverables.map(d => ({
+      name: d.name,
+      quantity: d.quantity,
+      status: d.status,
+      delivered_on: d.delivered_on,
+      download_link: d.delivery_link || null,
+    })),
+    revisions: revisions.map(r => ({
+      requested_on: r.requested_on,
+      request: r.request_text,
+      status: r.status,
+      resolution: r.resolution,
+    })),
+    contract: buildContractView(contract),
+  };
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  generateToken,
+  hashToken,
+  parseLinkDays,
+  checkLink,
+  buildContractView,
+  buildPortalView,
+};
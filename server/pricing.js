@@ -0,0 +1,240 @@
+// server/pricing.js
+
+// ===========================================
+// 💲 PRICING RULES
+// ===========================================
+
+// Deposit tiers, cheapest first: a price up to `max_price` pays `percent`
+// up front, and the last tier (max_price null) covers everything above.
+// Set PRICING_DEPOSIT_TIERS to a JSON list in the same shape to change them.
+const DEFAULT_DEPOSIT_TIERS = [
+  { max_price: 15000, percent: 50 },
+  { max_price: null, percent: 25 },
+];
+
+// Fields staff may set by hand instead of taking the computed value
+const OVERRIDABLE_FIELDS = ['price', 'deposit_percent', 'deposit_amount'];
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// ===========================================
+// 🧮 HELPER FUNCTIONS
+// ===========================================
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isValidTierList(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) return false;
+  if (tiers[tiers.length - 1].max_price !== null) return false;
+
+  return tiers.every((tier, i) => {
+    const percentOk = Number.isFinite(tier.percent) && tier.percent >= 0 && tier.percent <= 100;
+    const isLast = i === tiers.length - 1;
+    const maxOk = isLast || (Number.isFinite(tier.max_price) && (i === 0 || tier.max_price > tiers[i - 1].max_price));
+    return percentOk && maxOk;
+  });
+}
+
+function loadDepositTiers(value = process.env.PRICING_DEPOSIT_TIERS) {
+  if (!value) return DEFAULT_DEPOSIT_TIERS;
+
+  try {
+    const tiers = JSON.parse(value);
+    if (isValidTierList(tiers)) return tiers;
+  } catch {
+    // fall through to the warning below
+  }
+  console.warn('⚠️  PRICING_DEPOSIT_TIERS is invalid, using the default deposit tiers');
+  return DEFAULT_DEPOSIT_TIERS;
+}
+
+const DEPOSIT_TIERS = loadDepositTiers();
+
+function lineItemTotal(item) {
+  return (parseInt(item.quantity) || 1) * parseFloat(item.unit_price || 0);
+}
+
+function lineItemsTotal(items = []) {
+  return roundMoney(items.reduce((sum, item) => sum + lineItemTotal(item), 0));
+}
+
+function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? amount : NaN;
+}
+
+// ===========================================
+// 💰 CALCULATION
+// ===========================================
+
+function depositPercentFor(price, tiers = DEPOSIT_TIERS) {
+  const tier = tiers.find(t => t.max_price === null || price <= t.max_price);
+  return tier.percent;
+}
+
+function depositAmountFor(price, percent) {
+  return roundMoney((price * percent) / 100);
+}
+
+// Checks extra line items: [{ description, quantity, unit_price }].
+// Returns an error message, or null when they're usable.
+function validateLineItems(items) {
+  if (!Array.isArray(items)) return 'items must be a list';
+
+  for (const item of items) {
+    if (!item || !item.description) return 'Every item needs a description';
+    if (!(parseFloat(item.unit_price) >= 0)) return 'Every item needs a unit_price of 0 or more';
+    if (item.quantity !== undefined && !(parseInt(item.quantity) > 0)) {
+      return 'Item quantity must be at least 1';
+    }
+  }
+  return null;
+}
+
+// ===========================================
+// 🏷️ DISCOUNTS & TAX
+// ===========================================
+
+// Checks a discount body. Returns an error message, or null when it's usable.
+function validateDiscount(discount) {
+  if (!discount.name) return 'Name is required';
+  if (!DISCOUNT_TYPES.includes(discount.type)) return `type must be one of ${DISCOUNT_TYPES.join(', ')}`;
+
+  const value = parseAmount(discount.value);
+  if (value === null || Number.isNaN(value) || value <= 0) return 'value must be more than 0';
+  if (discount.type === 'percent' && value > 100) return 'A percentage discount cannot be more than 100';
+
+  if (discount.valid_from && discount.valid_until && discount.valid_from > discount.valid_until) {
+    return 'valid_from must not be after valid_until';
+  }
+  const limit = discount.usage_limit;
+  if (limit !== undefined && limit !== null && limit !== '' && !(parseInt(limit) > 0)) {
+    return 'usage_limit must be at least 1';
+  }
+  return null;
+}
+
+// Whether a discount can be put on a new booking today.
+// Returns an error message, or null when it can.
+function checkDiscountAvailable(discount, today = new Date().toISOString().slice(0, 10)) {
+  if (!discount.active) return `Discount "${discount.name}" is not active`;
+  if (discount.valid_from && today < discount.valid_from) return `Discount "${discount.name}" is not valid yet`;
+  if (discount.valid_until && today > discount.valid_until) return `Discount "${discount.name}" has expired`;
+  if (discount.usage_limit !== null && discount.usage_limit !== undefined &&
+      discount.times_used >= discount.usage_limit) {
+    return `Discount "${discount.name}" has been used up`;
+  }
+  return null;
+}
+
+function discountAmountFor(subtotal, discount) {
+  if (!discount) return 0;
+  const value = parseFloat(discount.value) || 0;
+  const amount = discount.type === 'percent' ? (subtotal * value) / 100 : value;
+  return roundMoney(Math.min(amount, subtotal));
+}
+
+function validateTaxRate(taxRate) {
+  if (!taxRate.name) return 'Name is required';
+  const rate = parseAmount(taxRate.rate);
+  if (rate === null || Number.isNaN(rate) || rate < 0 || rate > 100) return 'rate must be between 0 and 100';
+  return null;
+}
+
+// Checks the hand-set values in `overrides` ({ price, deposit_percent,
+// deposit_amount }). Returns an error message, or null when they're usable.
+function validateOverrides(overrides) {
+  for (const field of OVERRIDABLE_FIELDS) {
+    const value = parseAmount(overrides[field]);
+    if (Number.isNaN(value) || value < 0) return `${field} must be a number of 0 or more`;
+  }
+
+  if (parseAmount(overrides.deposit_percent) > 100) return 'deposit_percent cannot be more than 100';
+  return null;
+}
+
+// The hand-set values a project carries after a create or edit. A field
+// sent replaces the stored override (kept in the project's
+// <field>_override column), or clears it when sent as null or ''; a field
+// left out keeps it. `project` is null for a new project.
+function activeOverrides(project, sent) {
+  const active = {};
+  for (const field of OVERRIDABLE_FIELDS) {
+    const stored = project ? parseAmount(project[`${field}_override`]) : null;
+    active[field] = sent[field] === undefined ? stored : parseAmount(sent[field]);
+  }
+  return active;
+}
+
+// Works out a project's price, deposit and balance. The subtotal is the
+// package plus its line items (add-ons, extras); the discount comes off
+// that, tax is added on what's left, and the deposit comes from the tier the
+// final price falls in. Any field in `overrides` replaces its computed value
+// (a `price` override sets the subtotal, before discount and tax).
+// `overrides` in the result lists the fields that ended up different from
+// what the rules gave.
+function calculatePricing({
+  packagePrice = 0, lineItems = [], amountPaid = 0, overrides = {}, discount = null, taxRate = null
+}) {
+  const computedSubtotal = roundMoney((parseFloat(packagePrice) || 0) + lineItemsTotal(lineItems));
+  const subtotal = parseAmount(overrides.price) ?? computedSubtotal;
+
+  const discountAmount = discountAmountFor(subtotal, discount);
+  const taxPercent = taxRate ? parseFloat(taxRate.rate) || 0 : 0;
+  const taxAmount = roundMoney(((subtotal - discountAmount) * taxPercent) / 100);
+  const price = roundMoney(subtotal - discountAmount + taxAmount);
+
+  const computedPercent = depositPercentFor(price);
+  const computedDeposit = depositAmountFor(price, computedPercent);
+
+  let depositPercent = parseAmount(overrides.deposit_percent) ?? computedPercent;
+  let depositAmount = depositAmountFor(price, depositPercent);
+
+  // A fixed deposit amount wins over the percentage; keep the percent in step with it
+  const fixedDeposit = parseAmount(overrides.deposit_amount);
+  if (fixedDeposit !== null) {
+    depositAmount = Math.min(fixedDeposit, price);
+    depositPercent = price > 0 ? roundMoney((depositAmount / price) * 100) : 0;
+  }
+
+  const computed = { price: computedSubtotal, deposit_percent: computedPercent, deposit_amount: computedDeposit };
+  const result = { price: subtotal, deposit_percent: depositPercent, deposit_amount: depositAmount };
+
+  return {
+    subtotal,
+    discount_amount: discountAmount,
+    tax_amount: taxAmount,
+    price,
+    deposit_percent: depositPercent,
+    deposit_amount: depositAmount,
+    balance_amount: roundMoney(price - (parseFloat(amountPaid) || 0)),
+    computed,
+    overrides: OVERRIDABLE_FIELDS
+      .filter(field => parseAmount(overrides[field]) !== null && result[field] !== computed[field])
+      .map(field => ({ field, computed_value: computed[field], override_value: result[field] })),
+  };
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  DEPOSIT_TIERS,
+  loadDepositTiers,
+  depositPercentFor,
+  depositAmountFor,
+  lineItemTotal,
+  lineItemsTotal,
+  validateLineItems,
+  validateDiscount,
+  checkDiscountAvailable,
+  discountAmountFor,
+  validateTaxRate,
+  validateOverrides,
+  activeOverrides,
+  calculatePricing,
+};
@@ -0,0 +1,91 @@
+// server/quotes.js
+const pricing = require('./pricing');
+
+// ===========================================
+// 💬 QUOTE RULES
+// ===========================================
+
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'expired'];
+
+// How long a quote stays open when no valid_until is given
+const QUOTE_VALIDITY_DAYS = 30;
+
+// Accepting goes through POST /api/quotes/:id/accept, which also creates the project
+const QUOTE_TRANSITIONS = {
+  draft: ['sent', 'expired'],
+  sent: ['accepted', 'expired'],
+  accepted: [],
+  expired: ['draft'],
+};
+
+// ===========================================
+// ✅ VALIDATION
+// ===========================================
+
+// An error message when a deposit_percent that was sent isn't 0-100
+function depositPercentError(percent) {
+  if (percent === undefined || percent === null || percent === '') return null;
+  const value = parseFloat(percent);
+  return value >= 0 && value <= 100 ? null : 'deposit_percent must be between 0 and 100';
+}
+
+// Checks a quote body. On update only the fields sent are checked.
+// Returns an error message, or null when it's usable.
+function validateQuote(quote, { creating = false } = {}) {
+  if ((creating || quote.client_id !== undefined) && !quote.client_id) return 'client_id is required';
+  if (creating || quote.items !== undefined) {
+    const itemsError = pricing.validateLineItems(quote.items ?? []);
+    if (itemsError) return itemsError;
+  }
+  return depositPercentError(quote.deposit_percent);
+}
+
+function validateStatusChange(quote, toStatus) {
+  if (!QUOTE_STATUSES.includes(toStatus)) return `Unknown quote status "${toStatus}"`;
+  if (toStatus === 'accepted') return 'Use POST /api/quotes/:id/accept to accept a quote';
+  if (!QUOTE_TRANSITIONS[quote.status].includes(toStatus)) {
+    return `Cannot move a quote from ${quote.status} to ${toStatus}`;
+  }
+  return null;
+}
+
+function defaultValidUntil(from = new Date()) {
+  const date = new Date(from);
+  date.setDate(date.getDate() + QUOTE_VALIDITY_DAYS);
+  return date.toISOString().slice(0, 10);
+}
+
+// A quote past its valid_until date can't be accepted, whatever its status says
+function isPastValidity(quote, today = new Date().toISOString().slice(0, 10)) {
+  return Boolean(quote.valid_until) && String(quote.valid_until).slice(0, 10) < today;
+}
+
+function validateAcceptance(quote) {
+  if (quote.status === 'accepted') return 'Quote has already been accepted';
+  if (quote.status === 'expired' || isPastValidity(quote)) return 'Quote has expired';
+  if (quote.status !== 'sent') return 'Only a sent quote can be accepted';
+  return null;
+}
+
+// ===========================================
+// 🧮 TOTALS
+// ===========================================
+
+function calculateQuoteTotal(packagePrice, items) {
+  return Math.round((parseFloat(packagePrice || 0) + pricing.lineItemsTotal(items)) * 100) / 100;
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  QUOTE_STATUSES,
+  defaultValidUntil,
+  depositPercentError,
+  validateQuote,
+  validateStatusChange,
+  validateAcceptance,
+  isPastValidity,
+  calculateQuoteTotal,
+};
@@ -0,0 +1,174 @@
+// server/reconcile.js
+const ledger = require('./ledger');
+
+// ===========================================
+// 🧾 BALANCE RECONCILIATION
+// ===========================================
+
+// amount_paid and balance_amount are stored on each project but only ever
+// follow from its payments and price. This recomputes them, lists every
+// project where the stored figures have drifted, and (only when asked)
+// writes the correct ones back.
+
+const RECONCILED_FIELDS = ['amount_paid', 'balance_amount'];
+
+// Differences smaller than this are rounding, not drift
+const TOLERANCE = 0.005;
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Compares each project's stored figures with what its payments say.
+// Returns one entry per project that doesn't match:
+// { project_id, client_name, changes: [{ field, stored, expected }] }
+function diffProjectBalances(projects, payments) {
+  const paidByProject = new Map();
+  for (const payment of payments) {
+    const key = String(payment.project_id);
+    paidByProject.set(key, (paidByProject.get(key) || 0) + (parseFloat(payment.amount) || 0));
+  }
+
+  const mismatches = [];
+  for (const project of projects) {
+    const amountPaid = roundMoney(paidByProject.get(String(project.id)) || 0);
+    const expected = {
+      amount_paid: amountPaid,
+      balance_amount: ledger.deriveBalance(project, amountPaid),
+    };
+
+    const changes = RECONCILED_FIELDS
+      .map(field => ({ field, stored: roundMoney(parseFloat(project[field]) || 0), expected: expected[field] }))
+      .filter(change => Math.abs(change.stored - change.expected) >= TOLERANCE);
+
+    if (changes.length > 0) {
+      mismatches.push({ project_id: project.id, client_name: project.client_name || null, changes });
+    }
+  }
+  return mismatches;
+}
+
+function buildReport(projects, mismatches, apply) {
+  return {
+    dry_run: !apply,
+    checked: projects.length,
+    mismatched: mismatches.length,
+    repaired: apply ? mismatches.length : 0,
+    mismatches,
+  };
+}
+
+// ===========================================
+// 🐘 POSTGRES
+// ===========================================
+
+// Runs inside one transaction with the projects locked, so nothing can
+// change between the check and the repair. A dry run rolls back.
+async function reconcilePostgres(pool, { apply = false } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const projects = await client.query(
+      `SELECT p.*, c.name as client_name
+       FROM projects p
+       LEFT JOIN clients c ON p.client_id = c.id
+       ORDER BY p.id
+       FOR UPDATE OF p`
+    );
+    const payments = await client.query('SELECT project_id, amount FROM payments');
+
+    const mismatches = diffProjectBalances(projects.rows, payments.rows);
+
+    if (apply) {
+      for (const mismatch of mismatches) {
+        const project = projects.rows.find(p => p.id === mismatch.project_id);
+        const fixed = Object.fromEntries(RECONCILED_FIELDS.map(field => [field, project[field]]));
+        mismatch.changes.forEach(change => { fixed[change.field] = change.expected; });
+
+        await client.query(
+          'UPDATE projects SET amount_paid = $1, balance_amount = $2 WHERE id = $3',
+          [fixed.amount_paid, fixed.balance_amount, mismatch.project_id]
+        );
+      }
+    }
+
+    await client.query(apply ? 'COMMIT' : 'ROLLBACK');
+    return buildReport(projects.rows, mismatches, apply);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ===========================================
+// 🗄️ STORAGE REPOSITORY
+// ===========================================
+
+// Any backend behind storage/ (Google Sheets, SQLite, or Postgres through
+// the repository). Sheets can't roll back, so there a repair writes each
+// project row on its own.
+async function reconcileStorage(store, { apply = false } = {}) {
+  return store.transaction(async (tx) => {
+    const projects = await tx.projects.list();
+    const payments = await tx.payments.list();
+
+    const mismatches = diffProjectBalances(projects, payments);
+
+    if (apply) {
+      for (const mismatch of mismatches) {
+        await tx.projects.syncBalance(mismatch.project_id);
+      }
+    }
+
+    return buildReport(projects, mismatches, apply);
+  });
+}
+
+// ===========================================
+// 🖨️ TEXT REPORT
+// ===========================================
+
+function formatAmount(value) {
+  return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Plain-text diff of a report, for the CLI
+function formatReport(report) {
+  const lines = [];
+
+  for (const mismatch of report.mismatches) {
+    lines.push(`Project #${mismatch.project_id}${mismatch.client_name ? ` (${mismatch.client_name})` : ''}`);
+    for (const change of mismatch.changes) {
+      const difference = roundMoney(change.expected - change.stored);
+      lines.push(
+        `  ${change.field.padEnd(15)} - ${formatAmount(change.stored).padStart(12)}` +
+        `  + ${formatAmount(change.expected).padStart(12)}` +
+        `  (${difference > 0 ? '+' : ''}${formatAmount(difference)})`
+      );
+    }
+  }
+
+  if (report.mismatched === 0) {
+    lines.push(`All ${report.checked} projects match their payments.`);
+  } else if (report.dry_run) {
+    lines.push('', `${report.mismatched} of ${report.checked} projects don't match. Dry run: nothing was changed (use --apply to repair).`);
+  } else {
+    lines.push('', `Repaired ${report.repaired} of ${report.checked} projects.`);
+  }
+  return lines.join('\n');
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  diffProjectBalances,
+  reconcilePostgres,
+  reconcileStorage,
+  formatReport,
+};
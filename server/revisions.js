@@ -0,0 +1,49 @@
+// server/revisions.js
+
+// ===========================================
+// ✏️ REVISION REQUESTS
+// ===========================================
+
+// Every package includes a number of free revision rounds (the project's
+// revision_limit). Each request the client makes is logged against the
+// project and counts towards the limit. Once it's used up, a further
+// request is only taken on when it's billed as a paid add-on.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isLimitReached(project) {
+  return (parseInt(project.revisions_used) || 0) >= (parseInt(project.revision_limit) || 0);
+}
+
+// Checks a new revision request against the project's limit. `addon` is the
+// add-on to bill it with, if one was picked.
+// Returns { error, status } when it can't be logged, or { billable } when it can.
+function checkRevisionRequest(project, { request_text, requested_on }, addon = null) {
+  if (!request_text || !String(request_text).trim()) {
+    return { error: 'request_text is required', status: 400 };
+  }
+  if (requested_on && !DATE_PATTERN.test(requested_on)) {
+    return { error: 'requested_on must be a date in YYYY-MM-DD format', status: 400 };
+  }
+  if (project.status === 'Cancelled') {
+    return { error: 'Revisions cannot be logged on a cancelled booking', status: 409 };
+  }
+
+  if (!isLimitReached(project)) return { billable: false };
+  if (!addon) {
+    return {
+      error: `Revision limit of ${project.revision_limit} reached; bill this one as a paid add-on`,
+      status: 409,
+    };
+  }
+  return { billable: true };
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  isLimitReached,
+  checkRevisionRequest,
+};
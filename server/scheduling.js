@@ -0,0 +1,164 @@
+// server/scheduling.js
+
+// ===========================================
+// 📅 CREW SCHEDULING
+// ===========================================
+
+// Length assumed for a booking whose package doesn't say how many hours it covers
+const DEFAULT_BOOKING_HOURS = 4;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Longest range the availability and calendar endpoints will cover
+const MAX_AVAILABILITY_DAYS = 366;
+
+// ===========================================
+// 🧮 HELPER FUNCTIONS
+// ===========================================
+
+// "8", "8 hours", "6.5 hrs" -> 8, 8, 6.5
+function parseHours(hours) {
+  const value = parseFloat(hours);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+// "14:30" -> minutes since midnight
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// Minutes since midnight -> "14:30"
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// The part of its event day a booking occupies, in minutes since midnight.
+// Without a start time we can't tell, so the whole day is blocked.
+function getBookingWindow(booking) {
+  const start = parseTime(booking.event_time);
+  if (start === null) return { start: 0, end: MINUTES_PER_DAY };
+
+  const hours = parseHours(booking.hours) || DEFAULT_BOOKING_HOURS;
+  return { start, end: Math.min(start + hours * 60, MINUTES_PER_DAY) };
+}
+
+function bookingsOverlap(a, b) {
+  if (!a.event_date || a.event_date !== b.event_date) return false;
+
+  const windowA = getBookingWindow(a);
+  const windowB = getBookingWindow(b);
+  return windowA.start < windowB.end && windowB.start < windowA.end;
+}
+
+// Every YYYY-MM-DD date from `from` to `to`, inclusive
+function eachDay(from, to) {
+  const days = [];
+  const current = new Date(`${from}T00:00:00Z`);
+  const last = new Date(`${to}T00:00:00Z`);
+
+  while (current <= last) {
+    days.push(current.toISOString().slice(0, 10));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return days;
+}
+
+// ===========================================
+// 🚦 CONFLICTS & AVAILABILITY
+// ===========================================
+
+// Finds crew bookings that clash with `booking` (a project's event_date,
+// event_time and package hours). `crewBookings` holds one entry per crew
+// member per project: { project_id, team_member_id, team_member_name,
+// event_date, event_time, hours, status }. A cancelled shoot frees its crew.
+function findCrewConflicts(booking, crewIds, crewBookings) {
+  const ids = crewIds.map(String);
+
+  return crewBookings
+    .filter(b => b.status !== 'Cancelled')
+    .filter(b => booking.id === undefined || String(b.project_id) !== String(booking.id))
+    .filter(b => ids.includes(String(b.team_member_id)))
+    .filter(b => bookingsOverlap(booking, b))
+    .map(b => ({
+      project_id: b.project_id,
+      team_member_id: b.team_member_id,
+      team_member_name: b.team_member_name,
+      event_date: b.event_date,
+      event_time: b.event_time || null,
+    }));
+}
+
+// Response body for a 409 caused by double-booked crew
+function conflictResponse(conflicts) {
+  return {
+    error: 'Crew already booked at this time. Send override_conflicts: true to book anyway.',
+    conflicting_project_ids: [...new Set(conflicts.map(c => c.project_id))],
+    conflicts,
+  };
+}
+
+// Splits the days between `from` and `to` into busy days (with the
+// projects booked on them) and free days. Cancelled bookings leave the day free.
+function getAvailability(from, to, bookings) {
+  const busy = [];
+  const free = [];
+  const live = bookings.filter(b => b.status !== 'Cancelled');
+
+  for (const day of eachDay(from, to)) {
+    const projects = live.filter(b => b.event_date === day);
+    if (projects.length > 0) {
+      busy.push({ date: day, projects });
+    } else {
+      free.push(day);
+    }
+  }
+
+  return { busy, free };
+}
+
+// A booking as the calendar shows it: its start and end time, or all day
+// when it has no start time
+function toCalendarEvent(booking) {
+  const allDay = parseTime(booking.event_time) === null;
+  const { start, end } = getBookingWindow(booking);
+
+  return {
+    ...booking,
+    all_day: allDay,
+    start_time: allDay ? null : formatTime(start),
+    end_time: allDay ? null : formatTime(end),
+  };
+}
+
+// Checks the from/to query of the availability and calendar endpoints.
+// Returns an error message, or null when the range is usable.
+function validateRange(from, to) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!datePattern.test(from || '') || !datePattern.test(to || '')) {
+    return 'from and to are required dates in YYYY-MM-DD format';
+  }
+  if (from > to) {
+    return 'from must not be after to';
+  }
+  if (eachDay(from, to).length > MAX_AVAILABILITY_DAYS) {
+    return `Range can't be longer than ${MAX_AVAILABILITY_DAYS} days`;
+  }
+  return null;
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  DEFAULT_BOOKING_HOURS,
+  getBookingWindow,
+  bookingsOverlap,
+  findCrewConflicts,
+  conflictResponse,
+  getAvailability,
+  toCalendarEvent,
+  validateRange,
+};
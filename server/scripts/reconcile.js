@@ -0,0 +1,71 @@
+// server/scripts/reconcile.js
+//
+// Recomputes every project's amount_paid and balance_amount from its
+// payments and price, and prints the projects that don't match.
+//
+//   node scripts/reconcile.js            dry run against Postgres (DATABASE_URL)
+//   node scripts/reconcile.js --apply    write the corrected figures back
+//   node scripts/reconcile.js --storage  check the STORAGE_BACKEND store instead
+//                                        (Google Sheets, SQLite; see storage/)
+//   node scripts/reconcile.js --json     print the report as JSON
+//
+// Exits with 1 when mismatches are found and left unrepaired.
+require('dotenv').config();
+
+const reconcile = require('../reconcile');
+
+const args = process.argv.slice(2);
+const apply = args.includes('--apply');
+const useStorage = args.includes('--storage');
+const asJson = args.includes('--json');
+
+async function runPostgres() {
+  const { Pool } = require('pg');
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set');
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }, // Required for Neon.tech
+  });
+
+  try {
+    return await reconcile.reconcilePostgres(pool, { apply });
+  } finally {
+    await pool.end();
+  }
+}
+
+async function runStorage() {
+  const storage = require('../storage');
+
+  const configError = storage.validateStorageConfig(storage.STORAGE_CONFIG);
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  const store = storage.createStorage();
+  if (!(await store.init())) {
+    throw new Error(`Could not connect to ${store.label}`);
+  }
+
+  try {
+    return await reconcile.reconcileStorage(store, { apply });
+  } finally {
+    await store.close();
+  }
+}
+
+async function main() {
+  const report = useStorage ? await runStorage() : await runPostgres();
+
+  console.log(asJson ? JSON.stringify(report, null, 2) : reconcile.formatReport(report));
+  process.exitCode = report.mismatched > 0 && report.dry_run ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error('❌ Reconciliation failed:', err.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,90 @@
+// server/storage/index.js
+const path = require('path');
+const { createRepository } = require('./repository');
+
+// ===========================================
+// 🗄️ STORAGE BACKENDS
+// ===========================================
+
+// Where clients, packages, team, projects and payments are kept, picked
+// with STORAGE_BACKEND:
+//   postgres - DATABASE_URL (the schema is created by server/index.js)
+//   sheets   - a Google spreadsheet: SPREADSHEET_ID and GOOGLE_CREDENTIALS
+//   sqlite   - a local file, SQLITE_PATH (default server/frameflicker.sqlite)
+// Unset, it follows whichever of DATABASE_URL or SPREADSHEET_ID is set, and
+// falls back to SQLite. Routes only ever talk to the repository (see
+// repository.js), so they behave the same on all three.
+//
+// Only these tables are portable. The full API in server/index.js keeps
+// pricing, installments, contracts, the client portal and the rest in
+// Postgres-only tables and refuses to start on another backend; on Sheets
+// and SQLite, index.js at the repo root serves the subset built on the
+// repository (clients, packages, team, projects, payments, the dashboard
+// and balance reconciliation).
+const STORAGE_BACKENDS = ['postgres', 'sheets', 'sqlite'];
+
+function loadStorageConfig(env = process.env) {
+  const inferred = env.DATABASE_URL ? 'postgres' : env.SPREADSHEET_ID ? 'sheets' : 'sqlite';
+  return {
+    backend: (env.STORAGE_BACKEND || inferred).toLowerCase(),
+    databaseUrl: env.DATABASE_URL || null,
+    spreadsheetId: env.SPREADSHEET_ID || null,
+    googleCredentials: env.GOOGLE_CREDENTIALS || null,
+    sqlitePath: env.SQLITE_PATH || path.join(__dirname, '..', 'frameflicker.sqlite'),
+  };
+}
+
+const STORAGE_CONFIG = loadStorageConfig();
+
+// Checks that the chosen backend has what it needs. Returns an error
+// message, or null.
+function validateStorageConfig(config) {
+  if (!STORAGE_BACKENDS.includes(config.backend)) {
+    return `STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(', ')}`;
+  }
+  if (config.backend === 'postgres') {
+    if (!config.databaseUrl) return 'DATABASE_URL is not set';
+    if (!/^postgres(ql)?:\/\//.test(config.databaseUrl)) {
+      return "DATABASE_URL should start with 'postgres://' or 'postgresql://'";
+    }
+  }
+  if (config.backend === 'sheets') {
+    if (!config.spreadsheetId) return 'SPREADSHEET_ID is not set';
+    if (!config.googleCredentials) return 'GOOGLE_CREDENTIALS is not set';
+  }
+  return null;
+}
+
+function createAdapter(config, { pool } = {}) {
+  switch (config.backend) {
+    case 'postgres':
+      return require('./postgres').createPostgresAdapter({ pool, databaseUrl: config.databaseUrl });
+    case 'sheets':
+      return require('./sheets').createSheetsAdapter({
+        spreadsheetId: config.spreadsheetId,
+        credentials: config.googleCredentials,
+      });
+    case 'sqlite':
+      return require('./sqlite').createSqliteAdapter({ sqlitePath: config.sqlitePath });
+    default:
+      throw new Error(validateStorageConfig(config));
+  }
+}
+
+// The repository for `config`. Pass `pool` to share an existing pg Pool.
+// Call init() on it before the first query.
+function createStorage(config = STORAGE_CONFIG, options = {}) {
+  return createRepository(createAdapter(config, options));
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  STORAGE_BACKENDS,
+  STORAGE_CONFIG,
+  loadStorageConfig,
+  validateStorageConfig,
+  createStorage,
+};
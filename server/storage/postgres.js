@@ -0,0 +1,145 @@
+// server/storage/postgres.js
+const records = require('./records');
+
+// ===========================================
+// 🐘 POSTGRES ADAPTER
+// ===========================================
+
+// Rows in the Postgres tables created by server/index.js (initDb). Table and
+// column names only ever come from records.js, never from a request.
+// Foreign keys already cascade / set null on delete.
+
+// A list value matches any of its entries
+function whereClause(where = {}, offset = 0) {
+  const columns = Object.keys(where);
+  if (columns.length === 0) return { sql: '', values: [] };
+
+  const condition = (column, i) => (Array.isArray(where[column])
+    ? `${column} = ANY($${offset + i + 1})`
+    : `${column} = $${offset + i + 1}`);
+
+  return {
+    sql: ` WHERE ${columns.map(condition).join(' AND ')}`,
+    values: columns.map(column => where[column]),
+  };
+}
+
+function setClause(changes) {
+  const columns = Object.keys(changes);
+  return {
+    sql: columns.map((column, i) => `${column} = $${i + 1}`).join(', '),
+    values: columns.map(column => changes[column]),
+  };
+}
+
+// `db` is a pg Pool, or a client checked out of one for a transaction
+function buildAdapter(db, pool) {
+  const adapter = {
+    backend: 'postgres',
+    label: 'PostgreSQL',
+    enforcesForeignKeys: true,
+    db,
+
+    init: async () => {
+      try {
+        await pool.query('SELECT 1');
+        console.log('✅ Connected to PostgreSQL');
+        return true;
+      } catch (err) {
+        console.error('❌ PostgreSQL Connection Error:', err.message);
+        return false;
+      }
+    },
+
+    close: () => pool.end(),
+
+    all: async (table, where) => {
+      const clause = whereClause(where);
+      const result = await db.query(`SELECT * FROM ${table}${clause.sql}`, clause.values);
+      return result.rows;
+    },
+
+    get: async (table, id, { forUpdate = false } = {}) => {
+      const result = await db.query(
+        `SELECT * FROM ${table} WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    insert: async (table, record) => {
+      const columns = Object.keys(record);
+      const result = await db.query(
+        `INSERT INTO ${table} (${columns.join(', ')})
+         VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+         ${records.hasId(table) ? 'RETURNING id' : ''}`,
+        columns.map(column => record[column])
+      );
+      return records.hasId(table) ? result.rows[0].id : null;
+    },
+
+    update: async (table, id, changes) => {
+      const set = setClause(changes);
+      const result = await db.query(
+        `UPDATE ${table} SET ${set.sql} WHERE id = $${set.values.length + 1}`,
+        [...set.values, id]
+      );
+      return result.rowCount > 0;
+    },
+
+    updateWhere: async (table, where, changes) => {
+      const set = setClause(changes);
+      const clause = whereClause(where, set.values.length);
+      await db.query(`UPDATE ${table} SET ${set.sql}${clause.sql}`, [...set.values, ...clause.values]);
+    },
+
+    remove: async (table, id) => {
+      const result = await db.query(`DELETE FROM ${table} WHERE id = $1`, [id]);
+      return result.rowCount > 0;
+    },
+
+    removeWhere: async (table, where) => {
+      const clause = whereClause(where);
+      await db.query(`DELETE FROM ${table}${clause.sql}`, clause.values);
+    },
+
+    transaction: async (work) => {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+        const result = await work(buildAdapter(client, pool));
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+  };
+
+  return adapter;
+}
+
+// Shares `pool` when the caller already has one (server/index.js);
+// otherwise connects to DATABASE_URL
+function createPostgresAdapter({ pool, databaseUrl }) {
+  if (!pool) {
+    const { Pool } = require('pg');
+    pool = new Pool({
+      connectionString: databaseUrl,
+      ssl: { rejectUnauthorized: false }, // Required for Neon.tech
+    });
+  }
+  return buildAdapter(pool, pool);
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  createPostgresAdapter,
+};
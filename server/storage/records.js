@@ -0,0 +1,338 @@
+// server/storage/records.js
+const messaging = require('../messaging');
+
+// ===========================================
+// 🗂️ STORAGE RECORDS
+// ===========================================
+
+// The tables every backend keeps and the type of each field. Adapters only
+// move these fields in and out; what a value means - coercion, defaults,
+// required fields and how an update merges with the stored row - is decided
+// here, so a route behaves the same whichever backend is in use.
+//
+// Field types:
+//   id        - positive whole number (primary and foreign keys)
+//   text      - string; '' is stored as null
+//   phone     - text normalised to E.164 (+94771234567) where it can be
+//   date      - 'YYYY-MM-DD'
+//   timestamp - ISO 8601 string, set by the repository
+//   number    - decimal (money, percentages)
+//   integer   - whole number
+//   boolean   - true / false
+const TABLES = {
+  clients: {
+    fields: {
+      id: 'id',
+      name: 'text',
+      phone: 'phone',
+      email: 'text',
+      address: 'text',
+      messaging_opt_out: 'boolean',
+      created_at: 'timestamp',
+    },
+    required: ['name'],
+    requiredError: 'Name is required',
+    defaults: { messaging_opt_out: false },
+  },
+  packages: {
+    fields: {
+      id: 'id',
+      name: 'text',
+      category: 'text',
+      price: 'number',
+      hours: 'text',
+      deliverables: 'text',
+      description: 'text',
+    },
+    required: ['name', 'price'],
+    requiredError: 'Name and price are required',
+    defaults: {},
+  },
+  team: {
+    fields: {
+      id: 'id',
+      name: 'text',
+      role: 'text',
+      phone: 'text',
+      email: 'text',
+    },
+    required: ['name'],
+    requiredError: 'Name is required',
+    defaults: {},
+  },
+  projects: {
+    fields: {
+      id: 'id',
+      client_id: 'id',
+      package_id: 'id',
+      event_type: 'text',
+      event_date: 'date',
+      event_time: 'text',
+      location: 'text',
+      status: 'text',
+      price: 'number',
+      deposit_percent: 'number',
+      deposit_amount: 'number',
+      balance_amount: 'number',
+      amount_paid: 'number',
+      drive_link: 'text',
+      internal_path: 'text',
+      revision_limit: 'integer',
+      revisions_used: 'integer',
+      notes: 'text',
+      // Pricing: price = subtotal - discount + tax. The *_override fields
+      // hold hand-set values (null when the pricing rules apply).
+      subtotal: 'number',
+      discount_id: 'id',
+      discount_amount: 'number',
+      tax_rate_id: 'id',
+      tax_amount: 'number',
+      price_override: 'number',
+      deposit_percent_override: 'number',
+      deposit_amount_override: 'number',
+      // Late fees charged on installments, owed on top of the price
+      late_fees: 'number',
+      // UID of the calendar event a tentative booking was imported from
+      ics_uid: 'text',
+      created_at: 'timestamp',
+    },
+    required: [],
+    requiredError: null,
+    defaults: {
+      status: 'New',
+      price: 0,
+      deposit_percent: 0,
+      deposit_amount: 0,
+      amount_paid: 0,
+      revision_limit: 2,
+      revisions_used: 0,
+      discount_amount: 0,
+      tax_amount: 0,
+      late_fees: 0,
+    },
+    // Follow from the payments ledger and the revisions log, never from an
+    // update (see syncProjectBalance in repository.js)
+    derived: ['amount_paid', 'balance_amount', 'late_fees', 'revisions_used'],
+  },
+  // Crew assigned to each project (no id of its own)
+  project_team: {
+    fields: {
+      project_id: 'id',
+      team_member_id: 'id',
+    },
+    required: ['project_id', 'team_member_id'],
+    requiredError: 'project_id and team_member_id are required',
+    defaults: {},
+  },
+  project_status_history: {
+    fields: {
+      id: 'id',
+      project_id: 'id',
+      from_status: 'text',
+      to_status: 'text',
+      note: 'text',
+      changed_at: 'timestamp',
+    },
+    required: ['project_id', 'to_status'],
+    requiredError: 'project_id and to_status are required',
+    defaults: {},
+  },
+  payments: {
+    fields: {
+      id: 'id',
+      project_id: 'id',
+      amount: 'number',
+      method: 'text',
+      reference: 'text',
+      note: 'text',
+      // Refunds and voids are negative entries pointing back at the
+      // payment they reverse
+      entry_type: 'text',
+      original_payment_id: 'id',
+      reason: 'text',
+      created_at: 'timestamp',
+    },
+    required: ['project_id', 'amount', 'method'],
+    requiredError: 'project_id, amount, and method are required',
+    defaults: { entry_type: 'payment' },
+  },
+};
+
+// What happens to other rows when a row is deleted. Postgres enforces these
+// with its foreign keys; for backends that don't, the repository applies them.
+const RELATIONS = {
+  clients: [{ table: 'projects', column: 'client_id', onDelete: 'set null' }],
+  packages: [{ table: 'projects', column: 'package_id', onDelete: 'set null' }],
+  team: [{ table: 'project_team', column: 'team_member_id', onDelete: 'cascade' }],
+  projects: [
+    { table: 'project_team', column: 'project_id', onDelete: 'cascade' },
+    { table: 'project_status_history', column: 'project_id', onDelete: 'cascade' },
+    { table: 'payments', column: 'project_id', onDelete: 'cascade' },
+  ],
+  payments: [{ table: 'payments', column: 'original_payment_id', onDelete: 'set null' }],
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ===========================================
+// 🧮 HELPER FUNCTIONS
+// ===========================================
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function hasId(table) {
+  return TABLES[table].fields.id === 'id';
+}
+
+// Writable fields: everything except the id and the timestamps the
+// repository sets itself
+function writableFields(table) {
+  return Object.entries(TABLES[table].fields)
+    .filter(([field, type]) => field !== 'id' && type !== 'timestamp')
+    .map(([field]) => field);
+}
+
+// A value from a request, as it should be stored
+function toValue(type, value) {
+  if (type === 'boolean') return value === true || value === 'true' || value === 1 || value === '1';
+  if (isBlank(value)) return null;
+
+  switch (type) {
+    case 'id':
+    case 'integer':
+    case 'number':
+      return Number(value);
+    // Routes reject numbers that can't be normalised; anything that got in
+    // another way (an enquiry, an import) is kept as it was written
+    case 'phone':
+      return messaging.normalizePhone(value) || String(value);
+    default:
+      return String(value);
+  }
+}
+
+// A value as a backend returned it ('' and '12.50' from Sheets, 0/1 from
+// SQLite, Date and DECIMAL strings from Postgres), in the one shape every
+// route sends back
+function fromValue(type, value) {
+  if (type === 'boolean') {
+    return value === true || value === 1 || String(value).toLowerCase() === 'true' || value === '1';
+  }
+  if (isBlank(value)) return null;
+
+  switch (type) {
+    case 'id':
+    case 'integer':
+      return parseInt(value);
+    case 'number':
+      return parseFloat(value);
+    case 'timestamp':
+      return value instanceof Date ? value.toISOString() : String(value);
+    default:
+      return String(value);
+  }
+}
+
+// ===========================================
+// ✅ VALIDATION
+// ===========================================
+
+function fieldError(field, type, value) {
+  if (isBlank(value) || type === 'boolean') return null;
+
+  switch (type) {
+    case 'id':
+      return Number.isInteger(Number(value)) && Number(value) > 0 ? null : `${field} must be an ID`;
+    case 'integer':
+      return Number.isInteger(Number(value)) ? null : `${field} must be a whole number`;
+    case 'number':
+      return Number.isFinite(Number(value)) ? null : `${field} must be a number`;
+    case 'date':
+      return DATE_PATTERN.test(value) ? null : `${field} must be a date in YYYY-MM-DD format`;
+    case 'phone':
+      return messaging.normalizePhone(value) ? null : `"${value}" isn't a valid phone number`;
+    default:
+      return null;
+  }
+}
+
+// Checks a create (`creating`) or update request. Returns an error message,
+// or null. On update only the fields sent are checked, and a required field
+// can't be cleared.
+function validate(table, input, { creating = false } = {}) {
+  const { fields, required, requiredError } = TABLES[table];
+  const body = input || {};
+
+  const missing = required.some(field => (creating ? isBlank(body[field]) : body[field] !== undefined && isBlank(body[field])));
+  if (missing) return requiredError;
+
+  for (const field of writableFields(table)) {
+    const error = fieldError(field, fields[field], body[field]);
+    if (error) return error;
+  }
+  return null;
+}
+
+// ===========================================
+// 🧱 BUILDING & MERGING
+// ===========================================
+
+// A new row from a request: known fields only, defaults filled in
+function buildRecord(table, input) {
+  const { fields, defaults } = TABLES[table];
+  const record = {};
+
+  for (const field of writableFields(table)) {
+    const value = input[field];
+    record[field] = isBlank(value) && defaults[field] !== undefined
+      ? defaults[field]
+      : toValue(fields[field], value);
+  }
+
+  for (const [field, type] of Object.entries(fields)) {
+    if (type === 'timestamp') record[field] = new Date().toISOString();
+  }
+  return record;
+}
+
+// The row an update leaves behind. A field left out of `changes` keeps its
+// stored value; a field sent as null or '' is cleared. The table's derived
+// fields always keep their stored value.
+function mergeRecord(table, existing, changes) {
+  const { fields, derived = [] } = TABLES[table];
+  const record = {};
+
+  for (const field of writableFields(table)) {
+    record[field] = changes[field] === undefined || derived.includes(field)
+      ? existing[field]
+      : toValue(fields[field], changes[field]);
+  }
+  return record;
+}
+
+// A row from a backend with every known field in its proper type. Columns
+// only one backend has (e.g. Postgres pricing columns) are passed through.
+function fromStorage(table, row) {
+  const record = { ...row };
+  for (const [field, type] of Object.entries(TABLES[table].fields)) {
+    record[field] = fromValue(type, row[field]);
+  }
+  return record;
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  TABLES,
+  RELATIONS,
+  hasId,
+  writableFields,
+  validate,
+  buildRecord,
+  mergeRecord,
+  fromStorage,
+};
@@ -0,0 +1,482 @@
+// server/storage/repository.js
+const ledger = require('../ledger');
+const records = require('./records');
+
+// ===========================================
+// 🗄️ STORAGE REPOSITORY
+// ===========================================
+
+// The one interface routes use for clients, packages, team, projects and
+// payments, built on top of a backend adapter. An adapter only knows how to
+// read and write rows of the tables in records.js:
+//
+//   all(table, where)                  rows, optionally matching { column: value }
+//                                      (a list value matches any of its entries)
+//   get(table, id, { forUpdate })      one row, or null; forUpdate holds it
+//                                      until the transaction ends where the
+//                                      backend can (others run one
+//                                      transaction at a time)
+//   insert(table, record)              new row's id (null for tables without one)
+//   update(table, id, changes)         true when the row exists
+//   updateWhere(table, where, changes)
+//   remove(table, id)                  true when the row existed
+//   removeWhere(table, where)
+//   transaction(work)                  runs work(adapter) atomically where the
+//                                      backend can
+//
+// Everything else - joins, sort order, defaults, update merging, crew,
+// status history, balances and what a delete takes with it - lives here.
+
+// ===========================================
+// 🧮 HELPER FUNCTIONS
+// ===========================================
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Route params arrive as strings; anything that isn't a positive whole
+// number can't match a row
+function parseId(id) {
+  const value = Number(id);
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// The distinct, non-empty values of `column` across `rows`, for a where
+// that should only read the rows they point at
+function idsOf(rows, column) {
+  return [...new Set(rows.map(row => row[column]).filter(Boolean))];
+}
+
+function byId(rows) {
+  return new Map(rows.map(row => [row.id, row]));
+}
+
+// order: [['created_at', 'desc'], ['id', 'desc']]
+function sortRows(rows, order) {
+  return [...rows].sort((a, b) => {
+    for (const [field, direction] of order) {
+      const result = compareValues(a[field], b[field]);
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+}
+
+async function readRows(db, table, where) {
+  const rows = await db.all(table, where);
+  return rows.map(row => records.fromStorage(table, row));
+}
+
+async function readRow(db, table, id, options) {
+  const key = parseId(id);
+  if (!key) return null;
+
+  const row = await db.get(table, key, options);
+  return row ? records.fromStorage(table, row) : null;
+}
+
+// Deletes a row and applies RELATIONS for backends without foreign keys
+async function removeRow(db, table, id) {
+  const key = parseId(id);
+  if (!key || !(await db.get(table, key))) return false;
+
+  if (!db.enforcesForeignKeys) {
+    for (const relation of records.RELATIONS[table] || []) {
+      const where = { [relation.column]: key };
+      if (relation.onDelete === 'cascade') {
+        await db.removeWhere(relation.table, where);
+      } else {
+        await db.updateWhere(relation.table, where, { [relation.column]: null });
+      }
+    }
+  }
+
+  return db.remove(table, key);
+}
+
+// ===========================================
+// 📇 SIMPLE ENTITIES (clients, packages, team)
+// ===========================================
+
+const ORDER = {
+  clients: [['created_at', 'desc'], ['id', 'desc']],
+  packages: [['id', 'asc']],
+  team: [['name', 'asc'], ['id', 'asc']],
+  projects: [['created_at', 'desc'], ['id', 'desc']],
+  project_status_history: [['changed_at', 'asc'], ['id', 'asc']],
+  payments: [['created_at', 'asc'], ['id', 'asc']],
+};
+
+function entityRepository(table, adapter, atomic) {
+  return {
+    list: async () => sortRows(await readRows(adapter, table), ORDER[table]),
+
+    get: (id) => readRow(adapter, table, id),
+
+    validate: (input, options) => records.validate(table, input, options),
+
+    create: (input) => atomic(async (db) => {
+      const id = await db.insert(table, records.buildRecord(table, input));
+      return readRow(db, table, id);
+    }),
+
+    // null when the row doesn't exist
+    update: (id, changes) => atomic(async (db) => {
+      const existing = await readRow(db, table, id);
+      if (!existing) return null;
+
+      await db.update(table, existing.id, records.mergeRecord(table, existing, changes));
+      return readRow(db, table, existing.id);
+    }),
+
+    remove: (id) => atomic(db => removeRow(db, table, id)),
+  };
+}
+
+// ===========================================
+// 📁 PROJECTS
+// ===========================================
+
+// Adds client_name/phone/email, package_name and crew ([{ id, name, role }]
+// by name) to project rows
+async function joinProjects(db, projects) {
+  if (projects.length === 0) return [];
+
+  // Only the rows these projects point at are read
+  const [clients, packages, links] = await Promise.all([
+    readRows(db, 'clients', { id: idsOf(projects, 'client_id') }).then(byId),
+    readRows(db, 'packages', { id: idsOf(projects, 'package_id') }).then(byId),
+    readRows(db, 'project_team', { project_id: idsOf(projects, 'id') }),
+  ]);
+  const team = byId(await readRows(db, 'team', { id: idsOf(links, 'team_member_id') }));
+
+  return projects.map((project) => {
+    const client = clients.get(project.client_id);
+    const pkg = packages.get(project.package_id);
+    const crew = links
+      .filter(link => link.project_id === project.id)
+      .map(link => team.get(link.team_member_id))
+      .filter(Boolean)
+      .map(t => ({ id: t.id, name: t.name, role: t.role }));
+
+    return {
+      ...project,
+      client_name: client?.name ?? null,
+      client_phone: client?.phone ?? null,
+      client_email: client?.email ?? null,
+      package_name: pkg?.name ?? null,
+      crew: sortRows(crew, [['name', 'asc']]),
+    };
+  });
+}
+
+async function findProject(db, id, options) {
+  const project = await readRow(db, 'projects', id, options);
+  if (!project) return null;
+
+  const [joined] = await joinProjects(db, [project]);
+  return joined;
+}
+
+async function setProjectCrew(db, projectId, crewIds) {
+  await db.removeWhere('project_team', { project_id: projectId });
+  for (const memberId of new Set(crewIds.map(Number))) {
+    await db.insert('project_team', { project_id: projectId, team_member_id: memberId });
+  }
+}
+
+async function addStatusHistory(db, projectId, fromStatus, toStatus, note) {
+  await db.insert('project_status_history', records.buildRecord('project_status_history', {
+    project_id: projectId,
+    from_status: fromStatus,
+    to_status: toStatus,
+    note,
+  }));
+}
+
+// amount_paid and balance_amount only ever follow from the project's
+// payments, so they're recomputed rather than adjusted
+async function syncProjectBalance(db, projectId) {
+  const project = await readRow(db, 'projects', projectId);
+  if (!project) return;
+
+  const payments = await readRows(db, 'payments', { project_id: project.id });
+  const amountPaid = roundMoney(payments.reduce((sum, p) => sum + (p.amount || 0), 0));
+
+  await db.update('projects', project.id, {
+    amount_paid: amountPaid,
+    balance_amount: ledger.deriveBalance(project, amountPaid),
+  });
+}
+
+function projectRepository(adapter, atomic) {
+  return {
+    // Newest first. Filters: team_member_id (projects they're crew on),
+    // from / to (event_date range, inclusive) and ics_uid.
+    list: async ({ team_member_id, from, to, ics_uid } = {}) => {
+      const where = {};
+      if (ics_uid) where.ics_uid = ics_uid;
+      if (team_member_id !== undefined) {
+        const links = await readRows(adapter, 'project_team', { team_member_id: parseId(team_member_id) });
+        where.id = idsOf(links, 'project_id');
+      }
+      let projects = await joinProjects(adapter, await readRows(adapter, 'projects', where));
+
+      if (from) projects = projects.filter(p => p.event_date && p.event_date >= from);
+      if (to) projects = projects.filter(p => p.event_date && p.event_date <= to);
+
+      return sortRows(projects, ORDER.projects);
+    },
+
+    // Pass { forUpdate: true } inside a transaction that's about to change it
+    get: (id, options) => findProject(adapter, id, options),
+
+    validate: (input, options) => records.validate('projects', input, options),
+
+    // crew_ids are assumed to be existing team members. The balance starts
+    // as whatever the price leaves unpaid unless balance_amount is sent.
+    // `note` starts the status history.
+    create: (input, { note = 'Project created' } = {}) => atomic(async (db) => {
+      const record = records.buildRecord('projects', input);
+      if (input.balance_amount === undefined) {
+        record.balance_amount = ledger.deriveBalance(record, record.amount_paid);
+      }
+
+      const id = await db.insert('projects', record);
+      await setProjectCrew(db, id, input.crew_ids || []);
+      await addStatusHistory(db, id, null, record.status, note);
+      return findProject(db, id);
+    }),
+
+    // Crew is left as-is unless crew_ids is sent. amount_paid and
+    // balance_amount can't be set here; the balance is recomputed for the
+    // new price. null when the project doesn't exist.
+    update: (id, changes) => atomic(async (db) => {
+      const existing = await readRow(db, 'projects', id, { forUpdate: true });
+      if (!existing) return null;
+
+      await db.update('projects', existing.id, records.mergeRecord('projects', existing, changes));
+      if (changes.crew_ids !== undefined) {
+        await setProjectCrew(db, existing.id, changes.crew_ids);
+      }
+      await syncProjectBalance(db, existing.id);
+      return findProject(db, existing.id);
+    }),
+
+    // Recomputes amount_paid and balance_amount from the project's payments
+    syncBalance: (id) => atomic(async (db) => {
+      const key = parseId(id);
+      if (key) await syncProjectBalance(db, key);
+    }),
+
+    // Moves the project to `status` and logs it. The transition itself is
+    // checked by the caller (see workflow.js). Cancelling clears whatever
+    // was still owed.
+    setStatus: (id, status, note) => atomic(async (db) => {
+      const existing = await readRow(db, 'projects', id, { forUpdate: true });
+      if (!existing) return null;
+
+      await db.update('projects', existing.id, { status });
+      await addStatusHistory(db, existing.id, existing.status, status, note);
+      await syncProjectBalance(db, existing.id);
+      return findProject(db, existing.id);
+    }),
+
+    remove: (id) => atomic(db => removeRow(db, 'projects', id)),
+
+    // Oldest first
+    statusHistory: async (id) => {
+      const key = parseId(id);
+      if (!key) return [];
+      return sortRows(await readRows(adapter, 'project_status_history', { project_id: key }), ORDER.project_status_history);
+    },
+  };
+}
+
+// ===========================================
+// 💰 PAYMENTS
+// ===========================================
+
+function paymentRepository(adapter, atomic) {
+  return {
+    // Payments joined with their project and client, newest first. Each
+    // row's running_balance is what the project would owe after everything
+    // paid up to and including that payment (ledger.deriveBalance), worked
+    // out before the filters apply. project_id and client_id narrow the read
+    // itself: a running balance only depends on its own project's payments.
+    list: async ({ project_id, client_id, method, entry_type, original_payment_id, from, to } = {}) => {
+      let projectIds;
+      if (project_id) projectIds = [parseId(project_id)];
+      if (client_id) {
+        const owned = idsOf(await readRows(adapter, 'projects', { client_id: parseId(client_id) }), 'id');
+        projectIds = projectIds ? projectIds.filter(id => owned.includes(id)) : owned;
+      }
+
+      const payments = await readRows(adapter, 'payments', projectIds ? { project_id: projectIds } : undefined);
+      const projects = byId(await readRows(adapter, 'projects', { id: idsOf(payments, 'project_id') }));
+      const clients = byId(await readRows(adapter, 'clients', { id: idsOf([...projects.values()], 'client_id') }));
+
+      const paidSoFar = new Map();
+      const rows = sortRows(payments, ORDER.payments).map((payment) => {
+        const project = projects.get(payment.project_id);
+        const client = clients.get(project?.client_id);
+        const paid = (paidSoFar.get(payment.project_id) || 0) + (payment.amount || 0);
+        paidSoFar.set(payment.project_id, paid);
+
+        return {
+          ...payment,
+          event_type: project?.event_type ?? null,
+          client_id: project?.client_id ?? null,
+          project_price: project?.price ?? null,
+          client_name: client?.name ?? null,
+          running_balance: project ? ledger.deriveBalance(project, roundMoney(paid)) : null,
+        };
+      });
+
+      return rows
+        .filter(p => !project_id || p.project_id === parseId(project_id))
+        .filter(p => !client_id || p.client_id === parseId(client_id))
+        .filter(p => !method || p.method === method)
+        .filter(p => !entry_type || p.entry_type === entry_type)
+        .filter(p => !original_payment_id || p.original_payment_id === parseId(original_payment_id))
+        .filter(p => !from || (p.created_at || '').slice(0, 10) >= from)
+        .filter(p => !to || (p.created_at || '').slice(0, 10) <= to)
+        .reverse();
+    },
+
+    // Pass { forUpdate: true } inside a transaction that's about to reverse it
+    get: (id, options) => readRow(adapter, 'payments', id, options),
+
+    validate: (input, options) => records.validate('payments', input, options),
+
+    // Records the payment (or refund / void, as a negative amount) and
+    // recomputes the project's balance. null when the project doesn't exist.
+    create: (input) => atomic(async (db) => {
+      const project = await readRow(db, 'projects', input.project_id, { forUpdate: true });
+      if (!project) return null;
+
+      const id = await db.insert('payments', records.buildRecord('payments', input));
+      await syncProjectBalance(db, project.id);
+      return readRow(db, 'payments', id);
+    }),
+
+    // No remove: payments stay in the ledger, and money going back is a
+    // refund or void entry
+  };
+}
+
+// ===========================================
+// 📊 DASHBOARD
+// ===========================================
+
+// Projects are filtered by event_date, payments and clients by the date they
+// were recorded. The totals need every row in the range and adapters only
+// match on equality, so the three tables are read as they are; only the
+// recent projects shown are joined.
+async function dashboardStats(db, { from, to, statuses = [] } = {}) {
+  const [projects, payments, clients] = await Promise.all([
+    readRows(db, 'projects').then(rows => sortRows(rows, ORDER.projects)),
+    readRows(db, 'payments'),
+    readRows(db, 'clients'),
+  ]);
+  const projectsById = byId(projects);
+
+  const inRange = (date) => {
+    const day = (date || '').slice(0, 10);
+    if (from && (!day || day < from)) return false;
+    if (to && (!day || day > to)) return false;
+    return true;
+  };
+  const statusMatches = (project) =>
+    statuses.length === 0 || (project && statuses.includes(project.status));
+
+  const filteredProjects = projects.filter(p => inRange(p.event_date) && statusMatches(p));
+  const filteredPayments = payments.filter(payment =>
+    inRange(payment.created_at) && statusMatches(projectsById.get(payment.project_id))
+  );
+
+  // Refunds and voids are negative entries, so revenue is already net of them
+  const refunded = (rows) => roundMoney(-rows.reduce((sum, p) => sum + Math.min(p.amount || 0, 0), 0));
+  const cancelled = filteredProjects.filter(p => p.status === 'Cancelled');
+  const cancelledIds = new Set(cancelled.map(p => p.id));
+  const recent = await joinProjects(db, filteredProjects.slice(0, 5));
+
+  return {
+    totalRevenue: roundMoney(filteredPayments.reduce((sum, p) => sum + (p.amount || 0), 0)),
+    totalProjects: filteredProjects.length,
+    totalClients: clients.filter(c => inRange(c.created_at)).length,
+    pendingPayments: roundMoney(filteredProjects.reduce((sum, p) => sum + Math.max(p.balance_amount || 0, 0), 0)),
+    totalRefunds: refunded(filteredPayments),
+    // What cancelled bookings paid, got back, and what the studio kept
+    cancellations: {
+      count: cancelled.length,
+      refunded: refunded(payments.filter(payment => cancelledIds.has(payment.project_id))),
+      retained: roundMoney(cancelled.reduce((sum, p) => sum + (p.amount_paid || 0), 0)),
+    },
+    recentProjects: recent.map(p => ({
+      id: p.id,
+      event_date: p.event_date,
+      status: p.status,
+      price: p.price || 0,
+      client_name: p.client_name,
+      package_name: p.package_name,
+    })),
+  };
+}
+
+// ===========================================
+// 🏗️ REPOSITORY
+// ===========================================
+
+// `db` is the backend's own handle (the pg client inside a transaction,
+// the better-sqlite3 database...) for queries beyond these tables
+function createRepository(adapter, { inTransaction = false } = {}) {
+  const atomic = (work) => (inTransaction ? work(adapter) : adapter.transaction(work));
+
+  const repository = {
+    backend: adapter.backend,
+    label: adapter.label,
+    db: adapter.db,
+
+    init: () => adapter.init(),
+
+    close: () => adapter.close(),
+
+    health: async () => ({
+      database: adapter.label,
+      clientCount: (await adapter.all('clients')).length,
+    }),
+
+    // Runs work(repository) in one transaction where the backend has them
+    transaction: (work) => (inTransaction
+      ? work(repository)
+      : adapter.transaction(tx => work(createRepository(tx, { inTransaction: true })))),
+
+    clients: entityRepository('clients', adapter, atomic),
+    packages: entityRepository('packages', adapter, atomic),
+    team: entityRepository('team', adapter, atomic),
+    projects: projectRepository(adapter, atomic),
+    payments: paymentRepository(adapter, atomic),
+
+    dashboard: (filters) => dashboardStats(adapter, filters),
+  };
+
+  return repository;
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  createRepository,
+};
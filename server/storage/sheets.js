@@ -0,0 +1,207 @@
+// server/storage/sheets.js
+const { google } = require('googleapis');
+const records = require('./records');
+
+// ===========================================
+// 📗 GOOGLE SHEETS ADAPTER
+// ===========================================
+
+// One sheet per table, named after it, with the column names in row 1.
+// Values are written to whichever column has the field's name, so the
+// columns can be in any order; a field with no column isn't kept. Every
+// cell is text: records.js turns values back into numbers and booleans.
+// Sheets has no transactions or foreign keys: a transaction can't roll back,
+// it only runs one at a time so two writes never pick the same next id, and
+// the repository handles what a delete takes with it.
+
+function toCell(value) {
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
+
+// A list value matches any of its entries
+function matches(row, where = {}) {
+  return Object.entries(where).every(([column, value]) => (Array.isArray(value)
+    ? value.map(toCell).includes(row[column])
+    : row[column] === toCell(value)));
+}
+
+function createSheetsAdapter({ spreadsheetId, credentials }) {
+  let sheets;
+  let queue = Promise.resolve();
+
+  // ===========================================
+  // 📊 HELPER FUNCTIONS
+  // ===========================================
+
+  // Header row and every row below it as an object keyed by header, with
+  // its 1-based row number
+  async function readSheet(sheetName) {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${sheetName}!A1:Z1000`,
+    });
+
+    const values = response.data.values || [];
+    if (values.length === 0) return { headers: [], rows: [] };
+
+    const headers = values[0];
+    const rows = values.slice(1).map((row, index) => {
+      const obj = { _row: index + 2 };
+      headers.forEach((header, i) => {
+        obj[header] = row[i] || '';
+      });
+      return obj;
+    });
+
+    return { headers, rows };
+  }
+
+  function strip(row) {
+    const { _row, ...fields } = row;
+    return fields;
+  }
+
+  async function writeRow(sheetName, rowNumber, headers, record) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${sheetName}!A${rowNumber}:Z${rowNumber}`,
+      valueInputOption: 'RAW',
+      resource: {
+        values: [headers.map(header => toCell(record[header]))],
+      },
+    });
+  }
+
+  // Deletes rows bottom-up so the row numbers still to be deleted don't shift
+  async function deleteRows(sheetName, rowNumbers) {
+    if (rowNumbers.length === 0) return;
+
+    const sheetMeta = await sheets.spreadsheets.get({ spreadsheetId });
+    const sheet = sheetMeta.data.sheets.find(s => s.properties.title === sheetName);
+    if (!sheet) throw new Error('Sheet not found');
+
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [...rowNumbers].sort((a, b) => b - a).map(rowNumber => ({
+          deleteDimension: {
+            range: {
+              sheetId: sheet.properties.sheetId,
+              dimension: 'ROWS',
+              startIndex: rowNumber - 1,
+              endIndex: rowNumber,
+            },
+          },
+        })),
+      },
+    });
+  }
+
+  // ===========================================
+  // 🔌 ADAPTER
+  // ===========================================
+
+  const adapter = {
+    backend: 'sheets',
+    label: 'Google Sheets',
+    enforcesForeignKeys: false,
+    db: null,
+
+    init: async () => {
+      try {
+        const auth = new google.auth.GoogleAuth({
+          credentials: JSON.parse(credentials || '{}'),
+          scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+        });
+
+        const authClient = await auth.getClient();
+        sheets = google.sheets({ version: 'v4', auth: authClient });
+        adapter.db = sheets;
+
+        console.log('✅ Connected to Google Sheets');
+        return true;
+      } catch (err) {
+        console.error('❌ Google Sheets Connection Error:', err.message);
+        return false;
+      }
+    },
+
+    close: async () => {},
+
+    all: async (table, where) => {
+      const { rows } = await readSheet(table);
+      return rows.filter(row => matches(row, where)).map(strip);
+    },
+
+    get: async (table, id) => {
+      const { rows } = await readSheet(table);
+      const row = rows.find(r => r.id === String(id));
+      return row ? strip(row) : null;
+    },
+
+    // Ids are one more than the highest in the sheet
+    insert: async (table, record) => {
+      const { headers, rows } = await readSheet(table);
+      const id = records.hasId(table)
+        ? Math.max(0, ...rows.map(row => parseInt(row.id) || 0)) + 1
+        : null;
+
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${table}!A:Z`,
+        valueInputOption: 'RAW',
+        resource: {
+          values: [headers.map(header => toCell(header === 'id' ? id : record[header]))],
+        },
+      });
+      return id;
+    },
+
+    update: async (table, id, changes) => {
+      const { headers, rows } = await readSheet(table);
+      const row = rows.find(r => r.id === String(id));
+      if (!row) return false;
+
+      await writeRow(table, row._row, headers, { ...row, ...changes });
+      return true;
+    },
+
+    updateWhere: async (table, where, changes) => {
+      const { headers, rows } = await readSheet(table);
+      for (const row of rows.filter(r => matches(r, where))) {
+        await writeRow(table, row._row, headers, { ...row, ...changes });
+      }
+    },
+
+    remove: async (table, id) => {
+      const { rows } = await readSheet(table);
+      const row = rows.find(r => r.id === String(id));
+      if (!row) return false;
+
+      await deleteRows(table, [row._row]);
+      return true;
+    },
+
+    removeWhere: async (table, where) => {
+      const { rows } = await readSheet(table);
+      await deleteRows(table, rows.filter(r => matches(r, where)).map(r => r._row));
+    },
+
+    transaction: (work) => {
+      const run = queue.then(() => work(adapter));
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+
+  return adapter;
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  createSheetsAdapter,
+};
@@ -0,0 +1,219 @@
+// server/storage/sqlite.js
+const records = require('./records');
+
+// ===========================================
+// 🪶 SQLITE ADAPTER
+// ===========================================
+
+// A single-file database (SQLITE_PATH), handy for running the API locally
+// without Postgres or a spreadsheet. Missing tables and columns are added on
+// init, so an older frameflicker.sqlite is brought up to date in place.
+// Foreign keys aren't relied on: the repository handles what a delete takes
+// with it, the same as for Sheets.
+
+const COLUMN_TYPES = {
+  id: 'INTEGER',
+  integer: 'INTEGER',
+  number: 'REAL',
+  boolean: 'INTEGER',
+};
+
+function columnType(type) {
+  return COLUMN_TYPES[type] || 'TEXT';
+}
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null
+function toParam(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+// A list value matches any of its entries (an empty list matches nothing)
+function whereClause(where = {}) {
+  const columns = Object.keys(where);
+  if (columns.length === 0) return { sql: '', values: [] };
+
+  const condition = (column) => {
+    const value = where[column];
+    if (!Array.isArray(value)) return `${column} = ?`;
+    return value.length > 0 ? `${column} IN (${value.map(() => '?').join(', ')})` : '0 = 1';
+  };
+
+  return {
+    sql: ` WHERE ${columns.map(condition).join(' AND ')}`,
+    values: columns.flatMap(column => [].concat(where[column]).map(toParam)),
+  };
+}
+
+function setClause(changes) {
+  const columns = Object.keys(changes);
+  return {
+    sql: columns.map(column => `${column} = ?`).join(', '),
+    values: columns.map(column => toParam(changes[column])),
+  };
+}
+
+function tableSql(table, extraColumns = []) {
+  const { fields } = records.TABLES[table];
+  const columns = Object.entries(fields).map(([field, type]) =>
+    field === 'id' ? 'id INTEGER PRIMARY KEY AUTOINCREMENT' : `${field} ${columnType(type)}`
+  );
+  if (!records.hasId(table)) {
+    columns.push(`PRIMARY KEY (${Object.keys(fields).join(', ')})`);
+  }
+  return `CREATE TABLE ${table} (${[...columns, ...extraColumns].join(', ')})`;
+}
+
+// SQLite can't drop a NOT NULL constraint, so a table that has one (older
+// files made projects.client_id NOT NULL, which deleting a client has to
+// clear) is copied into a new one. Columns we don't know are kept.
+function rebuildTable(database, table, existing) {
+  const { fields } = records.TABLES[table];
+  const extra = existing.filter(column => !fields[column.name]);
+  const copied = existing.map(column => column.name);
+
+  database.transaction(() => {
+    database.exec(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+    database.exec(tableSql(table, extra.map(column => `${column.name} ${column.type || 'TEXT'}`)));
+    database.exec(`INSERT INTO ${table} (${copied.join(', ')}) SELECT ${copied.join(', ')} FROM ${table}_old`);
+    database.exec(`DROP TABLE ${table}_old`);
+  })();
+}
+
+function createTables(database) {
+  for (const [table, { fields }] of Object.entries(records.TABLES)) {
+    database.exec(tableSql(table).replace('CREATE TABLE', 'CREATE TABLE IF NOT EXISTS'));
+
+    const existing = database.prepare(`PRAGMA table_info(${table})`).all();
+    if (existing.some(column => column.notnull && column.name !== 'id')) {
+      rebuildTable(database, table, existing);
+      continue;
+    }
+
+    for (const [field, type] of Object.entries(fields)) {
+      if (!existing.some(column => column.name === field)) {
+        database.exec(`ALTER TABLE ${table} ADD COLUMN ${field} ${columnType(type)}`);
+      }
+    }
+  }
+}
+
+function createSqliteAdapter({ sqlitePath }) {
+  let database = null;
+
+  // better-sqlite3 is synchronous and has one connection, so while a
+  // transaction is open every other call waits for it to finish instead of
+  // landing inside it
+  let pending = null;
+
+  async function idle() {
+    while (pending) await pending.catch(() => {});
+  }
+
+  function buildAdapter(inTransaction) {
+    // Wraps a synchronous call. The wait and the call run with no await in
+    // between, so nothing can open a transaction in the gap.
+    const call = (fn) => async (...args) => {
+      while (!inTransaction && pending) await pending.catch(() => {});
+      return fn(...args);
+    };
+
+    const adapter = {
+      backend: 'sqlite',
+      label: 'SQLite',
+      enforcesForeignKeys: false,
+      get db() {
+        return database;
+      },
+
+      init: async () => {
+        try {
+          const Database = require('better-sqlite3');
+          database = new Database(sqlitePath);
+          database.pragma('journal_mode = WAL');
+          createTables(database);
+
+          console.log(`✅ Opened SQLite database at ${sqlitePath}`);
+          return true;
+        } catch (err) {
+          console.error('❌ SQLite Error:', err.message);
+          return false;
+        }
+      },
+
+      close: async () => {
+        await idle();
+        database?.close();
+      },
+
+      all: call((table, where) => {
+        const clause = whereClause(where);
+        return database.prepare(`SELECT * FROM ${table}${clause.sql}`).all(...clause.values);
+      }),
+
+      get: call((table, id) => database.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id) || null),
+
+      insert: call((table, record) => {
+        const columns = Object.keys(record);
+        const result = database
+          .prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+          .run(...columns.map(column => toParam(record[column])));
+        return records.hasId(table) ? Number(result.lastInsertRowid) : null;
+      }),
+
+      update: call((table, id, changes) => {
+        const set = setClause(changes);
+        return database.prepare(`UPDATE ${table} SET ${set.sql} WHERE id = ?`).run(...set.values, id).changes > 0;
+      }),
+
+      updateWhere: call((table, where, changes) => {
+        const set = setClause(changes);
+        const clause = whereClause(where);
+        database.prepare(`UPDATE ${table} SET ${set.sql}${clause.sql}`).run(...set.values, ...clause.values);
+      }),
+
+      remove: call((table, id) => database.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id).changes > 0),
+
+      removeWhere: call((table, where) => {
+        const clause = whereClause(where);
+        database.prepare(`DELETE FROM ${table}${clause.sql}`).run(...clause.values);
+      }),
+
+      transaction: async (work) => {
+        if (inTransaction) return work(adapter);
+
+        while (pending) await pending.catch(() => {});
+        const run = (async () => {
+          database.exec('BEGIN');
+          try {
+            const result = await work(buildAdapter(true));
+            database.exec('COMMIT');
+            return result;
+          } catch (err) {
+            database.exec('ROLLBACK');
+            throw err;
+          }
+        })();
+
+        pending = run;
+        try {
+          return await run;
+        } finally {
+          if (pending === run) pending = null;
+        }
+      },
+    };
+
+    return adapter;
+  }
+
+  return buildAdapter(false);
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  createSqliteAdapter,
+};
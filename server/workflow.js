@@ -0,0 +1,123 @@
+// server/workflow.js
+const contracts = require('./contracts');
+const deliverables = require('./deliverables');
+
+// ===========================================
+// 🔁 PROJECT STATUS WORKFLOW
+// ===========================================
+
+// Statuses in the order a booking normally moves through them
+const STATUSES = [
+  'New',
+  'Confirmed',
+  'Shooting',
+  'Editing',
+  'Review',
+  'Delivered',
+  'Completed',
+  'Cancelled',
+];
+
+// Every project starts here. Later statuses are only reached through
+// validateTransition, so their guards run and the move is logged.
+const INITIAL_STATUS = STATUSES[0];
+
+// Allowed moves from each status. Apart from the next step, a project can
+// go back from Review to Editing when the client asks for changes, and can
+// be cancelled any time before the shoot is over.
+const TRANSITIONS = {
+  New: ['Confirmed', 'Cancelled'],
+  Confirmed: ['Shooting', 'Cancelled'],
+  Shooting: ['Editing', 'Cancelled'],
+  Editing: ['Review'],
+  Review: ['Editing', 'Delivered'],
+  Delivered: ['Completed'],
+  Completed: [],
+  Cancelled: [],
+};
+
+// Checks that must pass before a project may enter a status.
+// Each guard returns an error message, or null when the move is fine.
+// `context.contracts` are the project's contracts and
+// `context.deliverables` is its deliverables checklist. A backend that
+// doesn't keep contracts or deliverables leaves them out, and the guard on
+// them is skipped.
+const GUARDS = {
+  Confirmed: [
+    (project, { contracts: projectContracts }) =>
+      projectContracts && !contracts.hasAcceptedContract(projectContracts)
+        ? 'The client must accept a contract before the project can be confirmed'
+        : null,
+  ],
+  Delivered: [
+    (project) =>
+      parseFloat(project.amount_paid || 0) < parseFloat(project.deposit_amount || 0)
+        ? 'Deposit must be paid before the project can be delivered'
+        : null,
+    (project, { deliverables: checklist }) => {
+      if (!checklist) return null;
+      const outstanding = deliverables.outstandingRequired(checklist);
+      return outstanding.length > 0
+        ? `Still to deliver: ${outstanding.map(deliverables.describeDeliverable).join(', ')}`
+        : null;
+    },
+  ],
+  Completed: [
+    (project) =>
+      parseFloat(project.balance_amount || 0) > 0
+        ? 'Balance must be fully paid before the project can be completed'
+        : null,
+  ],
+};
+
+// ===========================================
+// ✅ VALIDATION
+// ===========================================
+
+function isValidStatus(status) {
+  return STATUSES.includes(status);
+}
+
+function getAllowedTransitions(fromStatus) {
+  // Rows created before the workflow existed may carry other statuses;
+  // let them move onto any workflow status once.
+  if (!isValidStatus(fromStatus)) return STATUSES;
+  return TRANSITIONS[fromStatus];
+}
+
+// Returns an error message when the project may not move to `toStatus`,
+// or null when the transition is allowed.
+function validateTransition(project, toStatus, context = {}) {
+  if (!isValidStatus(toStatus)) {
+    return `Unknown status "${toStatus}"`;
+  }
+
+  const fromStatus = project.status || 'New';
+  if (fromStatus === toStatus) {
+    return `Project is already ${toStatus}`;
+  }
+
+  if (!getAllowedTransitions(fromStatus).includes(toStatus)) {
+    return `Cannot move a project from ${fromStatus} to ${toStatus}`;
+  }
+
+  for (const guard of GUARDS[toStatus] || []) {
+    const error = guard(project, context);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+// ===========================================
+// 📤 EXPORTS
+// ===========================================
+
+module.exports = {
+  STATUSES,
+  INITIAL_STATUS,
+  TRANSITIONS,
+  isValidStatus,
+  getAllowedTransitions,
+  validateTransition,
+};